@@ -4,20 +4,61 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { createCipheriv, createDecipheriv, randomBytes, timingSafeEqual } from 'crypto';
+import readline from 'readline';
 import http from 'http';
 import { WebSocketServer } from 'ws';
-import Tesseract from 'tesseract.js';
+import sharp from 'sharp';
 
 import {
     AutoProcessor,
     AutoModelForImageTextToText,
     TextStreamer,
+    RawImage,
     load_image,
 } from "@huggingface/transformers";
 
 import wavefile from 'wavefile';
 import onnx from 'onnxruntime-node';
 import { createCanvas, loadImage } from 'canvas';
+import { createGenerationQueue } from './utils/generationQueue.js';
+import {
+    parseGenerationOptions,
+    toGenerateConfig,
+    GenerationOptionsError,
+    StopSequenceCriteria,
+} from './utils/generationOptions.js';
+import { createEventStream, createUsageTracker, getFinishReason } from './utils/eventStream.js';
+import { createJobStreams, pipeJobStreamToNdjson, pipeJobStreamToSse } from './utils/jobStreams.js';
+import { MAX_PDF_PAGES, extractPdfPages, formatPdfText, isPdfFile } from './utils/pdfPages.js';
+import { OcrLanguageError, createTextRecognizer, getTextDirection } from './utils/ocrLanguages.js';
+import { preprocessForOcrInWorker } from './utils/ocrPreprocess.js';
+import { createAttachmentStore } from './utils/attachmentStore.js';
+import {
+    JsonSchemaError,
+    StructuredOutputError,
+    buildCorrectionPrompt,
+    checkStructuredOutput,
+    describeSchema,
+    parseJsonSchema,
+    parseMaxAttempts
+} from './utils/jsonSchema.js';
+import {
+    MAX_AUDIO_PER_TURN,
+    MAX_DOCUMENTS_PER_TURN,
+    MAX_HISTORY_IMAGES,
+    MAX_IMAGES_PER_TURN,
+    appendCorrectionTurns,
+    buildTurnContent,
+    parseAttachmentOrder
+} from './utils/chatMessages.js';
+import {
+    countMediaTokens,
+    fitConversationToBudget,
+    getPromptBudget,
+    parseContextSummary,
+    summarizeConversation
+} from './utils/contextBudget.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -37,7 +78,139 @@ const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
-app.use('/uploads', express.static(uploadsDir));
+
+// --- Uploads are encrypted with the app's vault key (src/main/vault.js), which the Electron main
+// process sends as JSON lines on stdin: { type: 'vault', key: base64 | null }. It also reports how
+// often saved records and conversations refer to each attachment:
+// { type: 'attachments', references: { [id]: count } }, and { type: 'reindex-attachments' } after
+// restoring a backup into the folder. A server started on its own never hears
+// from the app, keeps saving plain files and never deletes attachments. ---
+const VAULT_MAGIC = Buffer.from('GVLT1');
+const VAULT_IV_BYTES = 12;
+const VAULT_TAG_BYTES = 16;
+let vaultKey; // undefined: no vault, null: locked, Buffer: unlocked
+
+class UploadsLockedError extends Error {
+    constructor() {
+        super('The app is locked; uploads cannot be read or saved until it is unlocked.');
+        this.name = 'UploadsLockedError';
+    }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    try {
+        const message = JSON.parse(line);
+        if (message.type === 'vault') {
+            vaultKey = message.key ? Buffer.from(message.key, 'base64') : null;
+            console.log(`🔐 Uploads ${vaultKey ? 'unlocked' : 'locked'}`);
+        } else if (message.type === 'attachments') {
+            const deleted = attachmentStore.setReferences(message.references);
+            if (deleted > 0) console.log(`🗑️ Deleted ${deleted} attachment(s) nothing refers to any more`);
+        } else if (message.type === 'reindex-attachments') {
+            attachmentStore.reindex();
+        }
+    } catch (error) {
+        console.error('Ignoring unreadable message on stdin:', error.message);
+    }
+});
+
+function sealUpload(buffer) {
+    if (vaultKey === undefined) return buffer;
+    if (!vaultKey) throw new UploadsLockedError();
+    const iv = randomBytes(VAULT_IV_BYTES);
+    const cipher = createCipheriv('aes-256-gcm', vaultKey, iv);
+    const body = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return Buffer.concat([VAULT_MAGIC, iv, cipher.getAuthTag(), body]);
+}
+
+// Reads an upload, decrypting it if it was saved encrypted
+function readUpload(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (!buffer.subarray(0, VAULT_MAGIC.length).equals(VAULT_MAGIC)) return buffer;
+    if (!vaultKey) throw new UploadsLockedError();
+    const ivStart = VAULT_MAGIC.length;
+    const tagStart = ivStart + VAULT_IV_BYTES;
+    const decipher = createDecipheriv('aes-256-gcm', vaultKey, buffer.subarray(ivStart, tagStart));
+    decipher.setAuthTag(buffer.subarray(tagStart, tagStart + VAULT_TAG_BYTES));
+    return Buffer.concat([decipher.update(buffer.subarray(tagStart + VAULT_TAG_BYTES)), decipher.final()]);
+}
+
+// --- Every uploaded file is kept once, under its content hash (utils/attachmentStore.js) ---
+const attachmentStore = createAttachmentStore({ dir: uploadsDir, seal: sealUpload });
+const attachmentUrl = (id) => `http://localhost:${port}/attachments/${id}`;
+
+// --- Uploads and attachments are only served to the app. The Electron main process starts the
+// server with a token for the session (GAMVRA_UPLOADS_TOKEN) and adds it to every request its
+// window makes (src/main/uploads.js); other web pages open in the user's browser can reach
+// localhost too, but do not know it. Attachment ids are content hashes, not secrets. A server
+// started on its own has no token and serves neither. ---
+const UPLOADS_TOKEN_HEADER = 'X-Gamvra-Uploads-Token';
+const uploadsToken = process.env.GAMVRA_UPLOADS_TOKEN ? Buffer.from(process.env.GAMVRA_UPLOADS_TOKEN) : null;
+
+function requireUploadsToken(req, res, next) {
+    const token = Buffer.from(req.get(UPLOADS_TOKEN_HEADER) || '');
+    if (uploadsToken && token.length === uploadsToken.length && timingSafeEqual(token, uploadsToken)) {
+        return next();
+    }
+    res.status(403).json({ error: 'Uploads and attachments are only served to the app.' });
+}
+
+app.use(['/uploads', '/attachments'], requireUploadsToken);
+
+// Serves uploads decrypted
+app.get('/uploads/:fileName', (req, res, next) => {
+    const filePath = path.join(uploadsDir, path.basename(req.params.fileName));
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return next();
+    try {
+        res.type(path.extname(filePath)).send(readUpload(filePath));
+    } catch (error) {
+        if (error instanceof UploadsLockedError) return res.status(423).json({ error: error.message });
+        console.error(`Could not read upload ${filePath}:`, error);
+        res.status(500).json({ error: 'Failed to read the upload' });
+    }
+});
+
+// --- Stores files for records and conversations; they refer to them by id from then on ---
+app.post('/attachments', upload.array('file', 20), (req, res) => {
+    if (!req.files?.length) {
+        return res.status(400).json({ error: "No file uploaded in the 'file' field." });
+    }
+    try {
+        const stored = req.files.map((file) => {
+            const { id } = attachmentStore.save(file.buffer, {
+                name: file.originalname,
+                thumbnail: file.mimetype.startsWith('image/')
+            });
+            return { id, url: attachmentUrl(id), thumbnailUrl: `${attachmentUrl(id)}/thumbnail` };
+        });
+        res.json({ attachments: stored });
+    } catch (error) {
+        if (error instanceof UploadsLockedError) return res.status(423).json({ error: error.message });
+        console.error('Could not store attachments:', error);
+        res.status(500).json({ error: 'Failed to store the attachments' });
+    }
+});
+
+// Serves an attachment, or its thumbnail (the image itself while the thumbnail is being made)
+function sendAttachment(res, id, { thumbnail = false } = {}) {
+    const attachment = attachmentStore.get(id);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+    const filePath = thumbnail ? attachment.thumbnailPath || attachment.path : attachment.path;
+    try {
+        res.type(path.extname(filePath) || 'application/octet-stream').send(readUpload(filePath));
+    } catch (error) {
+        if (error instanceof UploadsLockedError) return res.status(423).json({ error: error.message });
+        console.error(`Could not read attachment ${id}:`, error);
+        res.status(500).json({ error: 'Failed to read the attachment' });
+    }
+}
+
+app.get('/attachments/:id', (req, res) => sendAttachment(res, req.params.id));
+app.get('/attachments/:id/thumbnail', (req, res) => sendAttachment(res, req.params.id, { thumbnail: true }));
+
+// --- Generation Queue ---
+// All requests that touch the Gemma model go through this queue so they run one at a time.
+const generationQueue = createGenerationQueue();
 
 // --- Model Configuration ---
 let processor, model;
@@ -243,274 +416,634 @@ async function getPoseEstimationFrame(session, imageBuffer, pointsToHighlight =
 // ## 4. API Endpoints
 // =================================================================
 
-// --- FIX: Refactored /generate endpoint with robust resource cleanup and full response logging ---
-// Modify the /generate endpoint to handle conversation history
-// Update the /generate endpoint to correctly process conversation history
-// Update the /generate endpoint to correctly handle alternating conversation roles
-app.post(
-    '/generate',
-    upload.fields([{ name: 'image', maxCount: 1 }, { name: 'audio', maxCount: 1 }]),
-    async (req, res) => {
-        // --- Define all potential resource variables here to ensure they are accessible in 'finally'
-        let image = null;
-        let audio = null;
-        let inputs = null;
-        let tempImagePath = null;
-        let imageUrl = null;
-        let fullResponse = ''; // Variable to capture the complete response
-
-        try {
-            const { text, imageUrl: providedImageUrl } = req.body;
-            const imageFile = req.files?.image?.[0];
-            const audioFile = req.files?.audio?.[0];
-            const conversationJson = req.body.conversation;
-
-            console.log(`Request received: ${text ? 'With text' : 'No text'}, ${imageFile ? 'With image' : 'No image'}, ${audioFile ? 'With audio' : 'No audio'}`);
-            console.log(`Conversation history: ${conversationJson ? 'Present' : 'Missing'}`);
-
-            if (!text && !providedImageUrl && !imageFile && !audioFile) {
-                return res.status(400).json({ error: "Please provide text, an image, or an audio file." });
-            }
+// --- Job streams: the event history of every generation, so clients can (re)attach over NDJSON, SSE or WebSocket ---
+const jobStreams = createJobStreams({
+    // Nobody came back after a disconnect (e.g. the chat window was closed), or nobody ever followed the
+    // job (its client gave up before hearing the job id), so stop wasting the model on it
+    onAbandoned: (jobId) => {
+        console.log(`🔌 No client is following job ${jobId}, cancelling it`);
+        generationQueue.cancel(jobId);
+    }
+});
 
-            // --- Handle Image Loading ---
-            if (imageFile) {
-                console.log(`Processing uploaded image: ${imageFile.originalname}`);
-                const uploadDir = path.join(__dirname, 'uploads');
-                if (!fs.existsSync(uploadDir)) {
-                    fs.mkdirSync(uploadDir, { recursive: true });
-                }
-                
-                // Generate unique filename to avoid conflicts
-                const timestamp = Date.now();
-                const fileExtension = path.extname(imageFile.originalname);
-                const fileName = `${timestamp}-${imageFile.originalname}`;
-                tempImagePath = path.join(uploadDir, fileName);
-                
-                fs.writeFileSync(tempImagePath, imageFile.buffer);
-                image = await load_image(tempImagePath);
-                
-                // Create accessible URL for the uploaded image
-                imageUrl = `http://localhost:${port}/uploads/${fileName}`;
-                console.log(`📸 Image accessible at: ${imageUrl}`);
-                
-            } else if (providedImageUrl) {
-                console.log(`Loading image from URL: ${providedImageUrl}`);
-                image = await load_image(providedImageUrl);
-                imageUrl = providedImageUrl;
-            }
+// Thrown while reading a generation request that should be rejected with a 400
+class BadRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BadRequestError';
+    }
+}
 
-            // --- Handle Audio Loading ---
-            if (audioFile) {
-                console.log(`Processing uploaded audio: ${audioFile.originalname}`);
-                audio = await processAudio(audioFile.buffer);
-            }
+const isBadRequest = (error) => error instanceof BadRequestError
+    || error instanceof GenerationOptionsError
+    || error instanceof OcrLanguageError
+    || error instanceof JsonSchemaError;
+
+/**
+ * Queues a Gemma generation and publishes its events to a new job stream.
+ * `prepareInputs` runs once the job reaches the model and returns the processor tensors,
+ * which are disposed when generation ends.
+ *
+ * With a `schema`, the answer must be JSON matching it: an invalid answer is sent back to the
+ * model with the validation errors (prepareInputs is called again with `retry`), up to
+ * `maxAttempts` answers in all. The complete event then carries the parsed object as `data`.
+ * @param {object} options
+ * @param {string} options.label - Short name used in logs.
+ * @param {object} options.generationOptions - Output of parseGenerationOptions.
+ * @param {Function} options.prepareInputs - async (job, { emitMetadata, retry }) => model inputs.
+ *   `emitMetadata(fields)` sends an extra metadata event, e.g. how the prompt was fitted.
+ *   `retry` is null on the first attempt, then `{ previousResponse, feedback }` (see appendCorrectionTurns).
+ * @param {object} [options.metadata] - Extra fields for the first metadata event and the complete event.
+ * @param {string} [options.startMessage] - Status text sent when the job reaches the model.
+ * @param {object} [options.schema] - JSON Schema the answer must match (see utils/jsonSchema.js).
+ * @param {number} [options.maxAttempts] - Answers allowed before failing, when there is a schema.
+ * @returns {object} The job stream (see utils/jobStreams.js).
+ */
+function startGenerationJob({ label, generationOptions, prepareInputs, metadata = {}, startMessage = null, schema = null, maxAttempts = 1 }) {
+    let stopSequenceCriteria = new StopSequenceCriteria(generationOptions.stop);
+    const usage = createUsageTracker();
+    let fullResponse = ''; // Variable to capture the complete response
+    let structured = null; // { data, attempts } once an answer matches the schema
+    let attemptTokensStart = 0; // Completion tokens generated before the current attempt
+    let jobStream = null;
+
+    const job = generationQueue.enqueue(async (currentJob) => {
+        let promptTokens = 0;
+        let retry = null;
+        for (let attempt = 1; ; attempt++) {
+            let inputs = null;
+            try {
+                // This creates the tensors that MUST be disposed of later
+                inputs = await prepareInputs(currentJob, {
+                    emitMetadata: (fields) => jobStream.emit('metadata', { jobId: currentJob.id, ...fields }),
+                    retry
+                });
+                promptTokens += inputs.input_ids.dims.at(-1);
+                usage.setPromptTokens(promptTokens);
+
+                const streamer = new TextStreamer(processor.tokenizer, {
+                    skip_prompt: true,
+                    skip_special_tokens: true,
+                    token_callback_function: usage.onToken,
+                    callback_function: (chunk) => {
+                        // Drop anything from a stop sequence onwards
+                        const text = stopSequenceCriteria.push(chunk);
+                        if (!text) return;
+                        // Capture each chunk to build the full response
+                        fullResponse += text;
+                        jobStream.emit('chunk', { data: text });
+                    },
+                });
 
-            // --- Process Conversation History ---
-            let rawConversation = [];
-            if (conversationJson) {
-                try {
-                    rawConversation = JSON.parse(conversationJson);
-                    console.log(`📚 Successfully parsed conversation history with ${rawConversation.length} messages`);
-                    
-                    // Log the first few messages for debugging
-                    if (rawConversation.length > 0) {
-                        console.log("First message:", JSON.stringify(rawConversation[0]));
-                        if (rawConversation.length > 1) {
-                            console.log("Last message:", JSON.stringify(rawConversation[rawConversation.length - 1]));
+                await model.generate({
+                    ...inputs,
+                    ...toGenerateConfig(generationOptions),
+                    streamer: streamer,
+                    stopping_criteria: [currentJob.stoppingCriteria, stopSequenceCriteria],
+                });
+                // A stop sequence split across chunks may already have been partly streamed
+                fullResponse = stopSequenceCriteria.text;
+            } finally {
+                // --- Explicitly dispose of all tensors to prevent memory leaks ---
+                if (inputs) {
+                    console.log("🗑️ Disposing of model input tensors...");
+                    for (const key in inputs) {
+                        if (inputs[key] && typeof inputs[key].dispose === 'function') {
+                            inputs[key].dispose();
                         }
                     }
-                } catch (error) {
-                    console.error("❌ Failed to parse conversation history:", error);
-                    rawConversation = [];
+                    console.log("✅ Tensors disposed.");
                 }
             }
 
-            // --- Fix: Ensure proper alternating user/assistant messages ---
-            const messages = [];
-
-            // Simple but robust approach to ensure alternating roles
-            if (rawConversation.length === 0) {
-                // If no history, just add the current user message
-                console.log("📝 No conversation history, creating a new conversation");
-                
-                const currentUserContent = [];
-                if (image) currentUserContent.push({ type: "image" });
-                if (audio) currentUserContent.push({ type: "audio" });
-                if (text) currentUserContent.push({ type: "text", text });
-                
-                messages.push({
-                    role: "user",
-                    content: currentUserContent
-                });
-                
-                console.log("🔄 Final message count being sent to model: 1");
-                console.log("Role sequence: user");
-            } 
-            else {
-                // Force alternating roles by rebuilding the conversation
-                let expectedRole = "user";
-                
-                // Process each message in the history
-                for (let i = 0; i < rawConversation.length; i++) {
-                    const msg = rawConversation[i];
-                    
-                    // If role doesn't match what we expect, insert a placeholder
-                    if (msg.role !== expectedRole) {
-                        console.log(`⚠️ Found unexpected ${msg.role} message, inserting placeholder ${expectedRole} message`);
-                        messages.push({
-                            role: expectedRole,
-                            content: [{ type: "text", text: "" }]
-                        });
-                    }
-                    
-                    // Add the current message
-                    messages.push({
-                        role: msg.role,
-                        content: [{ type: "text", text: msg.content || "" }]
-                    });
-                    
-                    // Update expected role for next iteration
-                    expectedRole = (msg.role === "user") ? "assistant" : "user";
-                }
-                
-                // Before adding the current message, ensure we're expecting a user message
-                if (expectedRole !== "user") {
-                    console.log("⚠️ Last message was a user message, inserting placeholder assistant message");
-                    messages.push({
-                        role: "assistant",
-                        content: [{ type: "text", text: "" }]
-                    });
-                }
-                
-                // Add the current user message with any media
-                const currentUserContent = [];
-                if (image) currentUserContent.push({ type: "image" });
-                if (audio) currentUserContent.push({ type: "audio" });
-                if (text) currentUserContent.push({ type: "text", text });
-                
-                messages.push({
-                    role: "user",
-                    content: currentUserContent
-                });
-                
-                console.log(`🔄 Final message count being sent to model: ${messages.length}`);
-                console.log("Role sequence:", messages.map(m => m.role).join(", "));
-            }
-            
-            // Format the messages using the chat template
-            const prompt = processor.apply_chat_template(messages, { add_generation_prompt: true });
-            
-            // DEBUG - Print a portion of the prompt to verify structure
-            console.log("🔍 Prompt structure (first 500 chars):", prompt.substring(0, 500) + "...");
+            if (!schema || currentJob.stoppingCriteria.interrupted) return;
 
-            // This creates the tensors that MUST be disposed of later
-            inputs = await processor(prompt, image, audio, { add_special_tokens: false });
-            
-            // --- Set headers before any response is sent ---
-            if (imageUrl && imageFile) {
-                res.setHeader('Content-Type', 'application/json');
-            } else {
-                res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            // --- Structured output: only a schema-valid answer completes the job ---
+            const check = checkStructuredOutput(fullResponse, schema);
+            if (check.valid) {
+                structured = { data: check.value, attempts: attempt };
+                return;
             }
-            res.setHeader('Transfer-Encoding', 'chunked');
-
-            // --- Send initial metadata if image was uploaded ---
-            if (imageUrl && imageFile) {
-                res.write(JSON.stringify({ 
-                    type: 'metadata', 
-                    imageUrl: imageUrl,
-                    message: 'Processing...\n\n'
-                }) + '\n');
+            console.log(`⚠️ ${label} answer ${attempt}/${maxAttempts} does not match the schema:`, check.errors);
+            if (attempt >= maxAttempts) {
+                throw new StructuredOutputError(attempt, check.errors);
             }
 
-            const streamer = new TextStreamer(processor.tokenizer, {
-                skip_prompt: true,
-                skip_special_tokens: true,
-                callback_function: (chunk) => {
-                    // Capture each chunk to build the full response
-                    fullResponse += chunk;
-                    // Send chunk to client
-                    if (imageUrl && imageFile) {
-                        // Send as JSON chunk for clients that need to parse metadata
-                        res.write(JSON.stringify({ type: 'chunk', data: chunk }) + '\n');
-                    } else {
-                        res.write(chunk);
-                    }
-                },
-            });
-            
-            await model.generate({
-                ...inputs,
-                max_new_tokens: `32000`,
-                do_sample: false,
-                streamer: streamer,
+            retry = { previousResponse: fullResponse, feedback: buildCorrectionPrompt(check.errors) };
+            jobStream.emit('metadata', { jobId: currentJob.id, attempt: attempt + 1, validationErrors: check.errors });
+            fullResponse = '';
+            stopSequenceCriteria = new StopSequenceCriteria(generationOptions.stop);
+            attemptTokensStart = usage.completionTokens;
+        }
+    }, {
+        label,
+        onPositionChange: (queuePosition) => jobStream.emit('metadata', { jobId: job.id, queuePosition }),
+        onStart: () => {
+            usage.start();
+            jobStream.emit('metadata', {
+                jobId: job.id,
+                queuePosition: 0,
+                ...(startMessage && { message: startMessage })
             });
+        }
+    });
 
-            // Send final metadata if image was uploaded
-            if (imageUrl && imageFile) {
-                res.write(JSON.stringify({ 
-                    type: 'complete', 
-                    imageUrl: imageUrl,
-                    fullResponse: fullResponse
-                }) + '\n');
-            }
+    jobStream = jobStreams.create(job.id);
 
-        } catch (error) {
-            console.error("❌ Error during generation:", error);
-            if (!res.headersSent) {
-                res.status(500).json({ error: "An internal server error occurred during generation." });
-            } else {
-                // If headers are already sent, try to send error as part of the stream
-                try {
-                    if (imageUrl && imageFile) {
-                        res.write(JSON.stringify({ 
-                            type: 'error', 
-                            error: error.message 
-                        }) + '\n');
-                    } else {
-                        res.write("\n\nError: " + error.message);
-                    }
-                } catch (e) {
-                    console.error("Failed to send error in stream:", e);
-                }
-            }
-        } finally {
-            console.log("🧹 Cleaning up resources...");
-            
+    // --- Send initial metadata so the client can cancel or reattach to this job ---
+    jobStream.emit('metadata', {
+        jobId: job.id,
+        queuePosition: generationQueue.getPosition(job.id),
+        ...metadata
+    });
+
+    job.done
+        .then((status) => {
+            usage.finish();
+            jobStream.emit('usage', usage.toJSON());
+            jobStream.emit('complete', {
+                jobId: job.id,
+                finishReason: getFinishReason({
+                    cancelled: status === 'cancelled',
+                    stopSequenceMatched: stopSequenceCriteria.matched,
+                    completionTokens: usage.completionTokens - attemptTokensStart,
+                    maxNewTokens: generationOptions.max_new_tokens
+                }),
+                ...metadata,
+                generationParams: generationOptions,
+                fullResponse: fullResponse,
+                ...structured // data and attempts, with a schema
+            });
+        })
+        .catch((error) => {
+            console.error(`❌ Error during ${label} job ${job.id}:`, error);
+            jobStream.emit('error', { jobId: job.id, error: error.message });
+        })
+        .finally(() => {
             // --- Log the full Gemma response ---
             if (fullResponse.trim()) {
                 console.log("\n" + "=".repeat(80));
-                console.log("📝 FULL GEMMA RESPONSE:");
+                console.log(`📝 FULL GEMMA RESPONSE (${label}):`);
                 console.log("=".repeat(80));
                 console.log(fullResponse);
                 console.log("=".repeat(80) + "\n");
             }
-            
-            // --- Explicitly dispose of all tensors to prevent memory leaks ---
-            if (inputs) {
-                console.log("🗑️ Disposing of model input tensors...");
-                for (const key in inputs) {
-                    if (inputs[key] && typeof inputs[key].dispose === 'function') {
-                        inputs[key].dispose();
+            console.log("✅ Cleanup complete. Server is ready for the next request.");
+        });
+
+    return jobStream;
+}
+
+// --- Context budgeting helpers (see utils/contextBudget.js) ---
+const countTextTokens = (text) => processor.tokenizer.encode(text, { add_special_tokens: false }).length;
+
+const truncateToTokens = (text, maxTokens) => {
+    const ids = processor.tokenizer.encode(text, { add_special_tokens: false });
+    if (ids.length <= maxTokens) return text;
+    return processor.tokenizer.decode(ids.slice(0, maxTokens), { skip_special_tokens: true });
+};
+
+// --- Uploaded images go to the attachment store so they can be served back and re-attached in later turns ---
+function saveUploadedImage(imageFile) {
+    const { id, path: filePath } = attachmentStore.save(imageFile.buffer, { name: imageFile.originalname, thumbnail: true });
+    const url = attachmentUrl(id);
+    console.log(`📸 Image accessible at: ${url}`);
+    return { id, path: filePath, url };
+}
+
+// Maps a URL returned by saveUploadedImage (or by older versions, under /uploads) back to its
+// file; null for anything else
+function uploadUrlToPath(url) {
+    if (typeof url !== 'string') return null;
+    const attachmentPrefix = `http://localhost:${port}/attachments/`;
+    if (url.startsWith(attachmentPrefix)) {
+        return attachmentStore.get(url.slice(attachmentPrefix.length))?.path || null;
+    }
+    const prefix = `http://localhost:${port}/uploads/`;
+    if (!url.startsWith(prefix)) return null;
+    const filePath = path.join(uploadsDir, path.basename(decodeURIComponent(url.slice(prefix.length))));
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Loads an image for the model; saved uploads are read through readUpload since they may be encrypted
+async function loadImageSource(source) {
+    if (typeof source === 'string' && source.startsWith(uploadsDir + path.sep) && fs.existsSync(source)) {
+        return RawImage.fromBlob(new Blob([readUpload(source)]));
+    }
+    return load_image(source);
+}
+
+const AUDIO_CLIP_GAP_SECONDS = 0.5;
+
+// Joins several clips into one track, with a short silence between them;
+// Gemma 3n's audio encoder takes a single clip per prompt
+function concatAudioClips(clips) {
+    if (clips.length === 1) return clips[0];
+    const sampleRate = processor.feature_extractor.config.sampling_rate;
+    const gap = Math.round(sampleRate * AUDIO_CLIP_GAP_SECONDS);
+    const merged = new Float32Array(clips.reduce((total, clip) => total + clip.length, 0) + gap * (clips.length - 1));
+    let offset = 0;
+    clips.forEach((clip) => {
+        merged.set(clip, offset);
+        offset += clip.length + gap;
+    });
+    if (merged.length > sampleRate * 30) {
+        console.warn(`⚠️ Combined audio is ${(merged.length / sampleRate).toFixed(1)}s; the model only hears the first 30s`);
+    }
+    return merged;
+}
+
+// --- Text recognition for images and scanned PDF pages ---
+// Tesseract models ship with the app in this directory (see README), so OCR works offline
+const TESSDATA_DIR = path.join(__dirname, 'models/tessdata');
+const textRecognizer = createTextRecognizer({ tessdataDir: TESSDATA_DIR });
+
+// Cleans up a photographed page before OCR and saves the result so the client can compare it
+// with the original. Falls back to the original image if preprocessing fails. Preprocessing runs
+// in a worker thread, as Tesseract does, so streams keep flowing while a page is read.
+async function preprocessPhoto(imageFile) {
+    try {
+        const result = await preprocessForOcrInWorker(imageFile.buffer);
+        const { url } = saveUploadedImage({
+            originalname: `${path.parse(imageFile.originalname).name}.png`,
+            buffer: result.buffer
+        });
+        console.log(`🧹 Preprocessed ${imageFile.originalname}: ${result.steps.join(', ')} (skew ${result.skewAngle}°)`);
+        return { buffer: result.buffer, url, steps: result.steps, skewAngle: result.skewAngle };
+    } catch (error) {
+        console.error(`⚠️ Preprocessing failed for ${imageFile.originalname}, reading the original:`, error);
+        return { buffer: imageFile.buffer, url: null, steps: [], skewAngle: 0 };
+    }
+}
+
+// Reads a PDF upload: embedded text where present, OCR for scanned pages
+async function readPdfDocument(file, language) {
+    console.log(`📄 Reading PDF: ${file.originalname}`);
+    const { pageCount, pages } = await extractPdfPages(file.buffer, {
+        ocr: async (imageBuffer) => (await textRecognizer.recognize(imageBuffer, language)).text
+    });
+    const ocrPages = pages.filter(page => page.method === 'ocr').length;
+    console.log(`✅ PDF read: ${pages.length}/${pageCount} pages, ${ocrPages} OCR'd`);
+    return {
+        name: file.originalname,
+        pageCount,
+        pages: pages.map(page => ({ ...page, direction: getTextDirection(page.text) })),
+        text: formatPdfText(file.originalname, { pageCount, pages })
+    };
+}
+
+// Joins the text of every OCR page for the prompt; several pages are labelled so the model can tell them apart
+function combinePageTexts(pages) {
+    const imagePages = pages.filter(page => !page.pageNumber);
+    const documentNames = [...new Set(pages.filter(page => page.pageNumber).map(page => page.name))];
+    const imageText = imagePages.length === 1 && documentNames.length === 0
+        ? imagePages[0].text
+        : imagePages
+            .filter(page => page.text.length > 0)
+            .map(page => `--- Image ${imagePages.indexOf(page) + 1} (${page.name}) ---\n${page.text}`)
+            .join('\n\n');
+    const documentTexts = documentNames.map(name => {
+        const documentPages = pages.filter(page => page.pageNumber && page.name === name);
+        return formatPdfText(name, { pageCount: documentPages[0].pageCount, pages: documentPages });
+    });
+    return [imageText, ...documentTexts].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Reads the `pages` form field of /ocrgenerate: the `pages` of an earlier metadata event with
+ * the user's corrections applied, so the Gemma step can run again without repeating OCR.
+ * @returns {Array<object>|null}
+ * @throws {BadRequestError}
+ */
+function parseCorrectedPages(value) {
+    if (value === undefined || value === null || value === '') return null;
+    let pages = value;
+    if (typeof value === 'string') {
+        try {
+            pages = JSON.parse(value);
+        } catch {
+            throw new BadRequestError("'pages' must be a JSON array of OCR pages.");
+        }
+    }
+    const maxPages = MAX_IMAGES_PER_TURN + MAX_DOCUMENTS_PER_TURN * MAX_PDF_PAGES;
+    if (!Array.isArray(pages) || pages.length === 0 || pages.length > maxPages) {
+        throw new BadRequestError(`'pages' must be an array of 1 to ${maxPages} OCR pages.`);
+    }
+    return pages.map((page, index) => {
+        if (typeof page?.text !== 'string') {
+            throw new BadRequestError(`Page ${index + 1} has no text.`);
+        }
+        const isDocumentPage = Number.isInteger(page.pageNumber) && page.pageNumber > 0;
+        return {
+            ...page,
+            name: typeof page.name === 'string' ? page.name : `page-${index + 1}`,
+            text: page.text.trim(),
+            pageNumber: isDocumentPage ? page.pageNumber : undefined,
+            pageCount: isDocumentPage ? Math.max(page.pageCount || 0, page.pageNumber) : undefined,
+            // Only images this server saved are echoed back
+            imageUrl: uploadUrlToPath(page.imageUrl) ? page.imageUrl : null,
+            preprocessedImageUrl: uploadUrlToPath(page.preprocessedImageUrl) ? page.preprocessedImageUrl : null,
+            direction: getTextDirection(page.text),
+            corrected: true
+        };
+    });
+}
+
+// Room for the turn markers around a structured output correction (see appendCorrectionTurns)
+const CORRECTION_TURN_TOKENS = 16;
+
+/**
+ * Reads a text generation request and queues it.
+ * Used by POST /generate, POST /generate/structured, POST /generate/jobs and the WebSocket 'generate' message.
+ * @param {object} body - Form fields: text, imageUrl, system, conversation (JSON string or array),
+ *   summary (rolling summary from an earlier `context` metadata event), order (attachment order),
+ *   lang (OCR language for scanned PDF pages) and generation parameters. User turns in
+ *   `conversation` may carry `imageUrls` returned by an earlier request; the most recent of those
+ *   images are attached again.
+ * @param {object} [files] - Multer files: image, audio and document (PDF), several of each.
+ * @param {object} [options]
+ * @param {object} [options.schema] - JSON Schema the answer must match (/generate/structured).
+ * @param {number} [options.maxAttempts] - Answers allowed before failing, with a schema.
+ * @returns {object} The job stream.
+ * @throws {BadRequestError|GenerationOptionsError|OcrLanguageError} If the request is invalid.
+ */
+function startGenerateJobFromRequest(body, files = {}, { schema = null, maxAttempts = 1 } = {}) {
+    const { text, imageUrl: providedImageUrl } = body;
+    const systemPrompt = typeof body.system === 'string' ? body.system : '';
+    const contextSummary = parseContextSummary(body.summary);
+    const imageFiles = files.image || [];
+    const audioFiles = files.audio || [];
+    const documentFiles = files.document || [];
+    const conversationJson = body.conversation;
+
+    console.log(`Request received: ${text ? 'With text' : 'No text'}, ${imageFiles.length} image(s), ${audioFiles.length} audio clip(s), ${documentFiles.length} document(s)`);
+    console.log(`Conversation history: ${conversationJson ? 'Present' : 'Missing'}`);
+    console.log(`System prompt: ${systemPrompt ? `${systemPrompt.length} characters` : 'None'}`);
+
+    if (!text && !providedImageUrl && imageFiles.length === 0 && audioFiles.length === 0 && documentFiles.length === 0) {
+        throw new BadRequestError("Please provide text, an image, an audio file or a PDF.");
+    }
+
+    const unsupportedDocument = documentFiles.find(file => !isPdfFile(file));
+    if (unsupportedDocument) {
+        throw new BadRequestError(`Only PDF documents are supported (got '${unsupportedDocument.originalname}').`);
+    }
+    const ocrLanguage = textRecognizer.parseLanguage(body.lang);
+
+    // --- Validate generation parameters (temperature, top_p, stop, ...) ---
+    const generationOptions = parseGenerationOptions(body);
+
+    // --- Save the uploaded images so they can be served back to the client ---
+    const savedImages = imageFiles.map((imageFile) => {
+        console.log(`Processing uploaded image: ${imageFile.originalname}`);
+        return saveUploadedImage(imageFile);
+    });
+    const imageUrls = savedImages.map(image => image.url);
+    if (imageUrls.length === 0 && providedImageUrl) {
+        imageUrls.push(providedImageUrl);
+    }
+
+    // --- Attachments of this turn, in the order the client asked for ---
+    const attachments = [];
+    if (providedImageUrl) {
+        attachments.push({ type: "image", source: uploadUrlToPath(providedImageUrl) || providedImageUrl });
+    }
+    parseAttachmentOrder(body.order, { images: imageFiles.length, audio: audioFiles.length }).forEach(({ type, index }) => {
+        attachments.push(type === 'image'
+            ? { type: "image", name: imageFiles[index].originalname, source: savedImages[index].path }
+            : { type: "audio", name: audioFiles[index].originalname, index });
+    });
+
+    // --- Process Conversation History ---
+    let rawConversation = [];
+    if (conversationJson) {
+        try {
+            rawConversation = typeof conversationJson === 'string' ? JSON.parse(conversationJson) : conversationJson;
+            if (!Array.isArray(rawConversation)) throw new Error("Conversation must be an array.");
+            console.log(`📚 Successfully parsed conversation history with ${rawConversation.length} messages`);
+
+            // Log the first few messages for debugging
+            if (rawConversation.length > 0) {
+                console.log("First message:", JSON.stringify(rawConversation[0]));
+                if (rawConversation.length > 1) {
+                    console.log("Last message:", JSON.stringify(rawConversation[rawConversation.length - 1]));
+                }
+            }
+        } catch (error) {
+            console.error("❌ Failed to parse conversation history:", error);
+            rawConversation = [];
+        }
+    }
+
+    // --- Re-attach images from earlier turns, newest first, up to MAX_HISTORY_IMAGES in total ---
+    let historyImagesLeft = Math.max(0, MAX_HISTORY_IMAGES - attachments.filter(a => a.type === 'image').length);
+    const history = rawConversation.map(msg => ({ ...msg }));
+    for (let i = history.length - 1; i >= 0 && historyImagesLeft > 0; i--) {
+        const msg = history[i];
+        if (msg.role !== 'user' || !Array.isArray(msg.imageUrls)) continue;
+        const sources = msg.imageUrls.map(uploadUrlToPath).filter(Boolean).slice(-historyImagesLeft);
+        if (sources.length === 0) continue;
+        historyImagesLeft -= sources.length;
+        msg.media = buildTurnContent(sources.map(source => ({ type: "image", name: path.basename(source), source })));
+    }
+
+    // With a schema, the model is told the exact shape to answer in
+    const promptText = schema ? [text, describeSchema(schema)].filter(Boolean).join('\n\n') : text;
+    // Audio and PDF text are read once, even if a structured answer needs another attempt
+    let media = null;
+
+    return startGenerationJob({
+        label: schema ? 'generate-structured' : 'generate',
+        generationOptions,
+        schema,
+        maxAttempts,
+        metadata: imageUrls.length > 0 ? { imageUrl: imageUrls[0], imageUrls } : {},
+        startMessage: 'Processing...\n\n',
+        prepareInputs: async (currentJob, { emitMetadata, retry }) => {
+            if (!media) {
+                // --- Handle Audio Loading ---
+                const audioAttachments = attachments.filter(a => a.type === 'audio');
+                let audio = null;
+                if (audioAttachments.length > 0) {
+                    const clips = [];
+                    for (const attachment of audioAttachments) {
+                        console.log(`Processing uploaded audio: ${attachment.name}`);
+                        clips.push(await processAudio(audioFiles[attachment.index].buffer));
                     }
+                    audio = concatAudioClips(clips);
+                }
+
+                // Several clips become one track, placed where the first clip was
+                const [firstAudio] = audioAttachments;
+                const currentAttachments = attachments
+                    .filter(a => a.type === 'image' || a === firstAudio)
+                    .map(a => (a === firstAudio && audioAttachments.length > 1
+                        ? { ...a, name: `${audioAttachments.map(clip => clip.name).join(', ')} (played one after another)` }
+                        : a));
+
+                // --- Handle PDF documents: their text goes ahead of the user's message ---
+                const documentTexts = [];
+                for (const file of documentFiles) {
+                    const document = await readPdfDocument(file, ocrLanguage);
+                    if (document.text) documentTexts.push(document.text);
                 }
-                console.log("✅ Tensors disposed.");
+                media = { audio, currentAttachments, documentTexts };
             }
-            
-            // Release memory-intensive variables for garbage collection
-            image = null;
-            audio = null;
-            inputs = null;
-            fullResponse = ''; // Clear the response variable
-
-            // Ensure the response stream is properly closed
-            if (res.writable && !res.writableEnded) {
-                res.end();
+            const { audio, currentAttachments, documentTexts } = media;
+            const turnText = [...documentTexts, promptText].filter(Boolean).join('\n\n');
+
+            // Add the current user message with any media
+            const currentUserContent = buildTurnContent(currentAttachments, turnText);
+
+            // --- Fit history, system prompt and summary into the context window ---
+            // Roles are rebuilt to alternate and the system prompt is folded into the first user turn
+            // A retry also has to fit the rejected answer and the feedback on it
+            const budget = getPromptBudget(generationOptions.max_new_tokens)
+                - (retry ? countTextTokens(retry.previousResponse + retry.feedback) + CORRECTION_TURN_TOKENS : 0);
+            const { messages: fittedMessages, context } = await fitConversationToBudget({
+                system: systemPrompt,
+                summary: contextSummary,
+                history,
+                current: currentUserContent,
+                budget,
+                countTokens: (candidate) => countTextTokens(
+                    processor.apply_chat_template(candidate, { add_generation_prompt: true })
+                ) + countMediaTokens(candidate),
+                truncate: truncateToTokens,
+                summarize: (previousSummary, turns) => summarizeConversation({
+                    processor,
+                    model,
+                    previousSummary,
+                    turns,
+                    stoppingCriteria: currentJob.stoppingCriteria,
+                    budget,
+                    truncate: truncateToTokens
+                })
+            });
+            emitMetadata({ context });
+            const messages = appendCorrectionTurns(fittedMessages, retry);
+
+            if (context.droppedMessages > 0 || context.summaryUpdated || context.systemTruncated) {
+                console.log(`✂️ Fitted prompt to ${context.promptTokens}/${budget} tokens: ${context.summarizedMessages} summarized, ${context.droppedMessages} dropped, system prompt ${context.systemTruncated ? 'truncated' : 'kept'}`);
             }
-            console.log("✅ Cleanup complete. Server is ready for the next request.");
+            console.log(`🔄 Final message count being sent to model: ${messages.length}`);
+            console.log("Role sequence:", messages.map(m => m.role).join(", "));
+
+            // --- Handle Image Loading, in the order the images appear in the prompt ---
+            const imageSources = messages.flatMap(m => m.content.filter(part => part.type === 'image').map(part => part.source));
+            const images = [];
+            for (const source of imageSources) {
+                console.log(`Loading image: ${source}`);
+                images.push(await loadImageSource(source));
+            }
+
+            // Format the messages using the chat template
+            const prompt = processor.apply_chat_template(messages, { add_generation_prompt: true });
+
+            // DEBUG - Print a portion of the prompt to verify structure
+            console.log("🔍 Prompt structure (first 500 chars):", prompt.substring(0, 500) + "...");
+
+            return processor(prompt, images.length > 0 ? images : null, audio, { add_special_tokens: false });
         }
+    });
+}
+
+const generateFields = upload.fields([
+    { name: 'image', maxCount: MAX_IMAGES_PER_TURN },
+    { name: 'audio', maxCount: MAX_AUDIO_PER_TURN },
+    { name: 'document', maxCount: MAX_DOCUMENTS_PER_TURN }
+]);
+
+// Too many files is the client's mistake; keep it for the handler to report in its own format
+const generateUpload = (req, res, next) => generateFields(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+        req.uploadError = new BadRequestError(error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Too many '${error.field}' files: at most ${MAX_IMAGES_PER_TURN} images, ${MAX_AUDIO_PER_TURN} audio clips and ${MAX_DOCUMENTS_PER_TURN} documents per message.`
+            : error.message);
+        return next();
     }
-);
+    next(error);
+});
+
+// A request rejected before its job started still gets an NDJSON error event
+function sendStartError(res, error) {
+    console.error("❌ Error starting generation:", error);
+    const stream = createEventStream(res);
+    stream.error(
+        isBadRequest(error) ? error.message : "An internal server error occurred during generation.",
+        { status: isBadRequest(error) ? 400 : 500 }
+    );
+    stream.end();
+}
+
+// --- Generate and stream the answer in the response body (NDJSON) ---
+app.post('/generate', generateUpload, (req, res) => {
+    let jobStream;
+    try {
+        if (req.uploadError) throw req.uploadError;
+        jobStream = startGenerateJobFromRequest(req.body, req.files);
+    } catch (error) {
+        return sendStartError(res, error);
+    }
+    pipeJobStreamToNdjson(jobStream, res);
+});
+
+// --- Generate JSON matching the JSON Schema in `schema`; streamed like /generate ---
+// Invalid answers are retried with the validation errors (up to `maxAttempts`), and the
+// complete event carries the parsed object as `data`; if no answer matches, the stream ends with an error.
+app.post('/generate/structured', generateUpload, (req, res) => {
+    let jobStream;
+    try {
+        if (req.uploadError) throw req.uploadError;
+        const schema = parseJsonSchema(req.body.schema);
+        if (!schema) {
+            throw new BadRequestError("Please provide the JSON Schema of the answer in 'schema'.");
+        }
+        jobStream = startGenerateJobFromRequest(req.body, req.files, {
+            schema,
+            maxAttempts: parseMaxAttempts(req.body.maxAttempts)
+        });
+    } catch (error) {
+        return sendStartError(res, error);
+    }
+    pipeJobStreamToNdjson(jobStream, res);
+});
+
+// --- Queue a generation and return its job ID; the answer is read from /generate/:id/events ---
+app.post('/generate/jobs', generateUpload, (req, res) => {
+    try {
+        if (req.uploadError) throw req.uploadError;
+        const jobStream = startGenerateJobFromRequest(req.body, req.files);
+        res.status(202).json({
+            jobId: jobStream.jobId,
+            events: `/generate/${jobStream.jobId}/events`
+        });
+    } catch (error) {
+        console.error("❌ Error starting generation:", error);
+        res.status(isBadRequest(error) ? 400 : 500).json({
+            error: isBadRequest(error) ? error.message : "An internal server error occurred during generation."
+        });
+    }
+});
+
+// --- Server-Sent Events for a job; replays everything after Last-Event-ID (or ?lastEventId) ---
+app.get('/generate/:id/events', (req, res) => {
+    const jobStream = jobStreams.get(req.params.id);
+    if (!jobStream) {
+        return res.status(404).json({ error: "No generation job with this ID (it may have expired)." });
+    }
+    const afterId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+    pipeJobStreamToSse(jobStream, res, { afterId });
+});
+
+// --- Cancel a queued or running generation job ---
+app.delete('/generate/:id', (req, res) => {
+    const cancelled = generationQueue.cancel(req.params.id);
+    if (!cancelled) {
+        return res.status(404).json({ error: "No queued or running job with this ID." });
+    }
+    res.json({ jobId: req.params.id, cancelled: true });
+});
 
 // --- Health check endpoint ---
 app.get('/health', (req, res) => {
@@ -520,7 +1053,8 @@ app.get('/health', (req, res) => {
         models: {
             gemma_vision: { loaded: !!model, path: LOCAL_MODEL_PATH },
             pose_estimation: { loaded: !!poseSession, path: POSE_MODEL_PATH }
-        }
+        },
+        queue: generationQueue.getStats()
     });
 });
 
@@ -559,60 +1093,93 @@ app.post('/pose-estimation2', upload.single('image'), (req, res) => httpPoseEsti
 
 
 
+// --- OCR languages installed with the app, for the client's language selector ---
+app.get('/ocr/languages', (req, res) => {
+    res.json(textRecognizer.listLanguages());
+});
+
 app.post(
     '/ocrgenerate',
-    upload.single('image'),
+    generateUpload,
     async (req, res) => {
-        let inputs = null;
-        let tempImagePath = null;
-        let imageUrl = null;
-        let fullResponse = '';
-        let image = null;
-
         try {
+            if (req.uploadError) throw req.uploadError;
+            if (req.files?.audio) {
+                throw new BadRequestError("OCR reads images and PDFs; send audio to /generate instead.");
+            }
             const { prompt } = req.body;
-            const imageFile = req.file;
+            // A PDF sent in the 'image' field is read as a document too
+            const uploads = [...(req.files?.image || []), ...(req.files?.document || [])];
+            const imageFiles = uploads.filter(file => !isPdfFile(file));
+            const documentFiles = uploads.filter(isPdfFile);
 
-            console.log(`OCR Request received: ${prompt ? 'With prompt' : 'No prompt'}, ${imageFile ? 'With image' : 'No image'}`);
+            console.log(`OCR Request received: ${prompt ? 'With prompt' : 'No prompt'}, ${imageFiles.length} image(s), ${documentFiles.length} PDF(s)`);
 
-            if (!imageFile) {
-                return res.status(400).json({ error: "Please provide an image file for OCR processing." });
+            // Corrected text from an earlier response replaces the OCR step
+            const correctedPages = parseCorrectedPages(req.body.pages);
+            if (correctedPages && uploads.length > 0) {
+                throw new BadRequestError("Send either files to read or corrected 'pages', not both.");
+            }
+            if (uploads.length === 0 && !correctedPages) {
+                throw new BadRequestError("Please provide an image file or a PDF for OCR processing.");
             }
 
             if (!prompt) {
-                return res.status(400).json({ error: "Please provide a prompt to combine with the OCR text." });
+                throw new BadRequestError("Please provide a prompt to combine with the OCR text.");
             }
 
-            // --- Process uploaded image ---
-            console.log(`Processing uploaded image for OCR: ${imageFile.originalname}`);
-            const uploadDir = path.join(__dirname, 'uploads');
-            if (!fs.existsSync(uploadDir)) {
-                fs.mkdirSync(uploadDir, { recursive: true });
+            const generationOptions = parseGenerationOptions(req.body);
+            // Optional JSON Schema for the answer, as in /generate/structured
+            const schema = parseJsonSchema(req.body.schema);
+            const maxAttempts = schema ? parseMaxAttempts(req.body.maxAttempts) : 1;
+            // `auto` (the default) detects the script of each page first
+            const ocrLanguage = textRecognizer.parseLanguage(req.body.lang);
+            // Photos are cleaned up first unless the client sends preprocess=false (e.g. for screenshots)
+            const preprocess = req.body.preprocess !== 'false';
+
+            // --- Process uploaded images; each one is a page, in upload order ---
+            const pages = correctedPages || [];
+            if (correctedPages) {
+                console.log(`✏️ Using corrected text for ${correctedPages.length} page(s), skipping OCR`);
+            }
+            for (const imageFile of imageFiles) {
+                console.log(`Processing uploaded image for OCR: ${imageFile.originalname}`);
+                const { url: imageUrl } = saveUploadedImage(imageFile);
+
+                // --- Deskew, square up and binarize the photo, then OCR it ---
+                const cleaned = preprocess ? await preprocessPhoto(imageFile) : null;
+                const ocrBuffer = cleaned?.buffer || imageFile.buffer;
+                const { text, language, direction, confidence, lines } = await textRecognizer.recognize(ocrBuffer, ocrLanguage);
+                // Word boxes are in the pixels of the image Tesseract read
+                const { width, height } = await sharp(ocrBuffer).metadata();
+                pages.push({
+                    name: imageFile.originalname,
+                    imageUrl,
+                    preprocessedImageUrl: cleaned?.url || null,
+                    preprocessing: cleaned && { steps: cleaned.steps, skewAngle: cleaned.skewAngle },
+                    ocrImage: { url: cleaned?.url || imageUrl, width, height },
+                    text,
+                    method: 'ocr',
+                    language,
+                    direction,
+                    confidence,
+                    lines
+                });
+            }
+
+            // --- Read PDFs: embedded text where present, OCR for scanned pages ---
+            for (const file of documentFiles) {
+                const document = await readPdfDocument(file, ocrLanguage);
+                document.pages.forEach(page => pages.push({ name: document.name, pageCount: document.pageCount, ...page }));
+            }
+            // An empty PDF gives no pages at all
+            if (pages.length === 0) {
+                throw new BadRequestError("The uploaded PDF has no pages to read.");
             }
-            
-            // Generate unique filename to avoid conflicts
-            const timestamp = Date.now();
-            const fileExtension = path.extname(imageFile.originalname);
-            const fileName = `ocr-${timestamp}-${imageFile.originalname}`;
-            tempImagePath = path.join(uploadDir, fileName);
-            
-            fs.writeFileSync(tempImagePath, imageFile.buffer);
-            
-            // Create accessible URL for the uploaded image
-            imageUrl = `http://localhost:${port}/uploads/${fileName}`;
-            console.log(`📸 Image accessible at: ${imageUrl}`);
-
-            // --- Perform OCR on the image ---
-            console.log("🔍 Starting OCR processing...");
-            const ocrResult = await Tesseract.recognize(imageFile.buffer, 'eng', {
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-                    }
-                }
-            });
 
-            const extractedText = ocrResult.data.text.trim();
+            const extractedText = combinePageTexts(pages);
+            const imageUrl = pages.find(page => page.imageUrl)?.imageUrl || null;
+            const direction = getTextDirection(extractedText);
             console.log("✅ OCR completed");
             console.log(`📝 Extracted text length: ${extractedText.length} characters`);
             
@@ -623,9 +1190,18 @@ app.post(
             }
 
             // --- Combine OCR text with user prompt ---
+            const fileCount = new Set(pages.map(page => page.pageNumber ? `document:${page.name}` : page)).size;
+            const source = fileCount > 1
+                ? `the ${fileCount} files`
+                : pages[0].pageNumber ? 'the document' : 'the image';
+            // Tell the model about right-to-left text so it keeps names and values as written
+            const directionNote = direction === 'rtl'
+                ? ' It is mostly written right to left (e.g. Arabic); keep names and values in their original script unless asked otherwise.'
+                : '';
+            const request = schema ? `${prompt}\n\n${describeSchema(schema)}` : prompt;
             const combinedMessage = extractedText.length > 0 
-                ? `Here is the text I extracted from the image:\n\n"${extractedText}"\n\nUser request: ${prompt}`
-                : `I couldn't extract any text from the image. User request: ${prompt}`;
+                ? `Here is the text I extracted from ${source}:${directionNote}\n\n"${extractedText}"\n\nUser request: ${request}`
+                : `I couldn't extract any text from ${source}. User request: ${request}`;
 
             console.log("🔄 Combined message created, sending to model...");
 
@@ -635,98 +1211,42 @@ app.post(
                 content: [{ type: "text", text: combinedMessage }]
             }];
 
-            // Format the messages using the chat template
-            const modelPrompt = processor.apply_chat_template(messages, { add_generation_prompt: true });
-
-            // Create model inputs
-            inputs = await processor(modelPrompt, null, null, { add_special_tokens: false });
-            
-            // --- Set response headers ---
-            res.setHeader('Content-Type', 'application/json');
-            res.setHeader('Transfer-Encoding', 'chunked');
-
-            // --- Send initial metadata ---
-            res.write(JSON.stringify({ 
-                type: 'metadata', 
-                imageUrl: imageUrl,
-                extractedText: extractedText,
-                extractedTextLength: extractedText.length,
-                message: 'OCR completed, generating response...\n\n'
-            }) + '\n');
-
-            // --- Stream the model response ---
-            const streamer = new TextStreamer(processor.tokenizer, {
-                skip_prompt: true,
-                skip_special_tokens: true,
-                callback_function: (chunk) => {
-                    fullResponse += chunk;
-                    res.write(JSON.stringify({ type: 'chunk', data: chunk }) + '\n');
+            // --- Queue the model step; OCR itself does not use the model ---
+            const jobStream = startGenerationJob({
+                label: 'ocrgenerate',
+                generationOptions,
+                schema,
+                maxAttempts,
+                metadata: {
+                    imageUrl: imageUrl,
+                    imageUrls: pages.filter(page => page.imageUrl).map(page => page.imageUrl),
+                    preprocessedImageUrl: pages.find(page => page.preprocessedImageUrl)?.preprocessedImageUrl || null,
+                    preprocessedImageUrls: pages.filter(page => page.preprocessedImageUrl).map(page => page.preprocessedImageUrl),
+                    pages: pages,
+                    extractedText: extractedText,
+                    extractedTextLength: extractedText.length,
+                    language: ocrLanguage,
+                    direction: direction
                 },
+                startMessage: 'OCR completed, generating response...\n\n',
+                // Format the messages using the chat template
+                prepareInputs: (currentJob, { retry }) => processor(
+                    processor.apply_chat_template(appendCorrectionTurns(messages, retry), { add_generation_prompt: true }),
+                    null,
+                    null,
+                    { add_special_tokens: false }
+                )
             });
-            
-            await model.generate({
-                ...inputs,
-                max_new_tokens: 32000,
-                do_sample: false,
-                streamer: streamer,
-            });
-
-            // Send completion metadata
-            res.write(JSON.stringify({ 
-                type: 'complete', 
-                imageUrl: imageUrl,
-                extractedText: extractedText,
-                extractedTextLength: extractedText.length,
-                fullResponse: fullResponse
-            }) + '\n');
+            pipeJobStreamToNdjson(jobStream, res);
 
         } catch (error) {
             console.error("❌ Error during OCR generation:", error);
-            if (!res.headersSent) {
-                res.status(500).json({ error: "An internal server error occurred during OCR processing." });
-            } else {
-                try {
-                    res.write(JSON.stringify({ 
-                        type: 'error', 
-                        error: error.message 
-                    }) + '\n');
-                } catch (e) {
-                    console.error("Failed to send error in stream:", e);
-                }
-            }
-        } finally {
-            console.log("🧹 Cleaning up OCR resources...");
-            
-            // --- Log the full response ---
-            if (fullResponse.trim()) {
-                console.log("\n" + "=".repeat(80));
-                console.log("📝 FULL OCR + GEMMA RESPONSE:");
-                console.log("=".repeat(80));
-                console.log(fullResponse);
-                console.log("=".repeat(80) + "\n");
-            }
-            
-            // --- Dispose of tensors ---
-            if (inputs) {
-                console.log("🗑️ Disposing of model input tensors...");
-                for (const key in inputs) {
-                    if (inputs[key] && typeof inputs[key].dispose === 'function') {
-                        inputs[key].dispose();
-                    }
-                }
-                console.log("✅ Tensors disposed.");
-            }
-            
-            // Clean up variables
-            image = null;
-            inputs = null;
-            fullResponse = '';
-
-            // Ensure response stream is closed
-            if (res.writable && !res.writableEnded) {
-                res.end();
-            }
-            console.log("✅ OCR cleanup complete. Server ready for next request.");
+            const stream = createEventStream(res);
+            stream.error(
+                isBadRequest(error) ? error.message : "An internal server error occurred during OCR processing.",
+                { status: isBadRequest(error) ? 400 : 500 }
+            );
+            stream.end();
         }
     }
 );
@@ -735,45 +1255,84 @@ app.get('/model-info', (req, res) => {
     res.json({ gemma: { path: LOCAL_MODEL_PATH, loaded: !!model } });
 });
 
-// --- Endpoint to list uploaded images ---
-app.get('/uploads/list', (req, res) => {
-    try {
-        const uploadDir = path.join(__dirname, 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            return res.json({ images: [] });
-        }
-        
-        const files = fs.readdirSync(uploadDir);
-        const imageFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(ext);
-        });
-        
-        const images = imageFiles.map(file => ({
-            filename: file,
-            url: `http://localhost:${port}/uploads/${file}`,
-            uploadTime: fs.statSync(path.join(uploadDir, file)).mtime
-        }));
-        
-        res.json({ images });
-    } catch (error) {
-        console.error("Error listing uploaded images:", error);
-        res.status(500).json({ error: "Failed to list uploaded images" });
-    }
-});
-
 // =================================================================
 // ## 5. Server and WebSocket Initialization
 // =================================================================
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
+/**
+ * Handles the generation messages of the WebSocket protocol:
+ *   { type: 'generate', requestId, text, imageUrl, conversation, ...generation parameters }
+ *   { type: 'generation.attach', jobId, lastEventId }
+ *   { type: 'generation.cancel', jobId }
+ * Job events are sent as { type: 'generation.event', jobId, event } frames.
+ * @param {WebSocket} ws
+ * @param {object} payload
+ * @param {Map<string, Function>} subscriptions - jobId -> unsubscribe, for this connection.
+ */
+function handleGenerationMessage(ws, payload, subscriptions) {
+    const send = (data) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(data));
+    };
+
+    const attach = (jobStream, afterId = 0) => {
+        subscriptions.get(jobStream.jobId)?.();
+        const unsubscribe = jobStream.subscribe((event) => {
+            send({ type: 'generation.event', jobId: jobStream.jobId, event });
+            if (event.type === 'complete' || event.type === 'error') {
+                subscriptions.delete(jobStream.jobId);
+            }
+        }, { afterId });
+        if (!jobStream.finished) subscriptions.set(jobStream.jobId, unsubscribe);
+    };
+
+    switch (payload.type) {
+        case 'generate': {
+            const { requestId, ...body } = payload;
+            try {
+                const jobStream = startGenerateJobFromRequest(body);
+                send({ type: 'generation.accepted', requestId, jobId: jobStream.jobId });
+                attach(jobStream);
+            } catch (error) {
+                console.error("❌ Error starting generation via WebSocket:", error);
+                send({
+                    type: 'generation.error',
+                    requestId,
+                    status: isBadRequest(error) ? 400 : 500,
+                    error: isBadRequest(error) ? error.message : "An internal server error occurred during generation."
+                });
+            }
+            break;
+        }
+        case 'generation.attach': {
+            const jobStream = jobStreams.get(payload.jobId);
+            if (!jobStream) {
+                send({ type: 'generation.error', jobId: payload.jobId, status: 404, error: "No generation job with this ID (it may have expired)." });
+                break;
+            }
+            attach(jobStream, Number(payload.lastEventId) || 0);
+            break;
+        }
+        case 'generation.cancel':
+            send({ type: 'generation.cancelled', jobId: payload.jobId, cancelled: generationQueue.cancel(payload.jobId) });
+            break;
+        default:
+            console.warn(`Ignoring unknown WebSocket message type: ${payload.type}`);
+    }
+}
+
 wss.on('connection', (ws) => {
     console.log('✅ Client connected for real-time pose estimation');
+    const generationSubscriptions = new Map();
 
     ws.on('message', async (message) => {
         try {
             const payload = JSON.parse(message);
+
+            if (payload.type) {
+                return handleGenerationMessage(ws, payload, generationSubscriptions);
+            }
             
             if (!payload.frame) {
                 return; // Ignore messages without a frame
@@ -814,6 +1373,9 @@ wss.on('connection', (ws) => {
     });
 
     ws.on('close', () => {
+        // Detach from any generation jobs; they keep running for a grace period in case the client reconnects
+        generationSubscriptions.forEach((unsubscribe) => unsubscribe());
+        generationSubscriptions.clear();
         console.log('🔌 Client disconnected');
     });
 
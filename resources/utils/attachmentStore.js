@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+
+// Attachments are named after the SHA-256 of their content, so a file saved twice is stored once
+const ATTACHMENT_FILE = /^([a-f0-9]{64})(\.[a-z0-9]{1,8})?$/;
+const THUMBNAIL_SUFFIX = '.thumb.webp';
+// Longest side of a thumbnail
+const THUMBNAIL_SIZE = 256;
+// Attachments nothing refers to yet (e.g. a record that is still being filled in) are kept this long
+const UNREFERENCED_GRACE_MS = 24 * 60 * 60 * 1000;
+
+export const isAttachmentId = (id) => typeof id === 'string' && /^[a-f0-9]{64}$/.test(id);
+
+// Keeps a short, safe extension so the file can be served with the right content type
+function extensionOf(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return /^\.[a-z0-9]{1,8}$/.test(extension) ? extension : '';
+}
+
+/**
+ * Content-addressed attachment store in one folder.
+ *
+ * Every file is saved once under its content hash, images get a small WebP thumbnail next
+ * to it, and files are deleted once no saved record or conversation refers to them. Who
+ * refers to what is not known here: the app reports reference counts with
+ * `setReferences`, and until it has, nothing is deleted.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Folder the files are kept in.
+ * @param {Function} options.seal - Buffer => Buffer as written to disk (e.g. encrypted).
+ * @param {number} [options.graceMs] - How long unreferenced attachments are kept.
+ */
+export function createAttachmentStore({ dir, seal, graceMs = UNREFERENCED_GRACE_MS }) {
+    const files = new Map(); // id -> file name
+    let references = null; // id -> count, null until the app reports them
+
+    const reindex = () => {
+        files.clear();
+        fs.readdirSync(dir).forEach((fileName) => {
+            const match = ATTACHMENT_FILE.exec(fileName);
+            if (match) files.set(match[1], fileName);
+        });
+    };
+    reindex();
+
+    const filePath = (fileName) => path.join(dir, fileName);
+    const thumbnailPath = (id) => filePath(`${id}${THUMBNAIL_SUFFIX}`);
+
+    // Written under a hidden name first, so a crash never leaves a partial file under a real id
+    const writeAtomically = (target, buffer) => {
+        const partial = path.join(dir, `.${path.basename(target)}.partial`);
+        fs.writeFileSync(partial, seal(buffer));
+        fs.renameSync(partial, target);
+    };
+
+    // Thumbnails are made in the background; until one exists the full image is served instead
+    const writeThumbnail = async (id, buffer) => {
+        try {
+            const thumbnail = await sharp(buffer)
+                .rotate()
+                .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 75 })
+                .toBuffer();
+            // The attachment may have been deleted meanwhile
+            if (files.has(id)) writeAtomically(thumbnailPath(id), thumbnail);
+        } catch (error) {
+            console.warn(`⚠️ Could not make a thumbnail for attachment ${id}:`, error.message);
+        }
+    };
+
+    const remove = (id) => {
+        [filePath(files.get(id)), thumbnailPath(id)].forEach((target) => fs.rmSync(target, { force: true }));
+        files.delete(id);
+    };
+
+    return {
+        /**
+         * Lists the folder again, after files were added from outside (e.g. a restored backup).
+         */
+        reindex,
+
+        /**
+         * Saves a file, or finds the copy already saved.
+         * @param {Buffer} buffer - The file's content.
+         * @param {object} [info]
+         * @param {string} [info.name] - Original file name; only its extension is kept.
+         * @param {boolean} [info.thumbnail] - Whether to make a thumbnail (for images).
+         * @returns {{ id: string, path: string, created: boolean }}
+         */
+        save(buffer, { name, thumbnail = false } = {}) {
+            const id = createHash('sha256').update(buffer).digest('hex');
+            if (files.has(id)) {
+                // Restart the grace period, the copy is about to be referred to again
+                const now = new Date();
+                fs.utimesSync(filePath(files.get(id)), now, now);
+                return { id, path: filePath(files.get(id)), created: false };
+            }
+
+            const fileName = `${id}${extensionOf(name)}`;
+            writeAtomically(filePath(fileName), buffer);
+            files.set(id, fileName);
+            if (thumbnail) writeThumbnail(id, buffer);
+            return { id, path: filePath(fileName), created: true };
+        },
+
+        /**
+         * @returns {{ path: string, extension: string, thumbnailPath: string|null }|null}
+         */
+        get(id) {
+            if (!isAttachmentId(id) || !files.has(id)) return null;
+            const fileName = files.get(id);
+            return {
+                path: filePath(fileName),
+                extension: path.extname(fileName),
+                thumbnailPath: fs.existsSync(thumbnailPath(id)) ? thumbnailPath(id) : null
+            };
+        },
+
+        /**
+         * Replaces the reference counts and deletes attachments nothing refers to any more.
+         * @param {Object<string, number>} counts - Attachment id -> number of references.
+         * @returns {number} How many attachments were deleted.
+         */
+        setReferences(counts) {
+            references = new Map(Object.entries(counts || {}).filter(([id, count]) => isAttachmentId(id) && count > 0));
+            return this.sweep();
+        },
+
+        /**
+         * Deletes unreferenced attachments older than the grace period. Does nothing until
+         * the reference counts are known.
+         * @returns {number} How many attachments were deleted.
+         */
+        sweep() {
+            if (!references) return 0;
+            const cutoff = Date.now() - graceMs;
+            let deleted = 0;
+            for (const [id, fileName] of files) {
+                if (references.has(id)) continue;
+                try {
+                    if (fs.statSync(filePath(fileName)).mtimeMs > cutoff) continue;
+                    remove(id);
+                    deleted++;
+                } catch (error) {
+                    console.error(`Could not delete attachment ${id}:`, error);
+                }
+            }
+            return deleted;
+        }
+    };
+}
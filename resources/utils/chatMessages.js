@@ -0,0 +1,140 @@
+/**
+ * Builds the message list passed to Gemma's chat template.
+ *
+ * Gemma has no system role, so the system prompt is folded into the first user turn,
+ * ahead of its content. System messages found in the history (sent by older clients)
+ * are folded the same way instead of being treated as conversation turns; identical
+ * prompts are only included once.
+ *
+ * The remaining history is rebuilt so roles strictly alternate user/assistant,
+ * inserting empty placeholder turns where needed, and ends with the current user turn.
+ *
+ * @param {object} options
+ * @param {string} [options.system] - System prompt (e.g. patient memory).
+ * @param {Array<{ role: string, content: string, media?: Array<object> }>} [options.history] - Earlier messages;
+ *   `media` holds content parts to put ahead of the text.
+ * @param {Array<object>} options.current - Content parts of the current user turn
+ *   ({ type: 'image' } | { type: 'audio' } | { type: 'text', text }).
+ * @returns {Array<{ role: 'user'|'assistant', content: Array<object> }>}
+ */
+export function buildChatMessages({ system = '', history = [], current = [] }) {
+    const systemPrompts = [];
+    const addSystemPrompt = (text) => {
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        if (trimmed && !systemPrompts.includes(trimmed)) systemPrompts.push(trimmed);
+    };
+
+    addSystemPrompt(system);
+    history.filter(msg => msg?.role === 'system').forEach(msg => addSystemPrompt(msg.content));
+
+    // --- Force alternating user/assistant roles ---
+    const messages = [];
+    let expectedRole = 'user';
+    for (const msg of history) {
+        if (msg?.role !== 'user' && msg?.role !== 'assistant') continue;
+
+        // If role doesn't match what we expect, insert a placeholder
+        if (msg.role !== expectedRole) {
+            messages.push({ role: expectedRole, content: [{ type: 'text', text: '' }] });
+        }
+        // Past-turn media (e.g. re-attached images) goes ahead of the text, like in the current turn
+        messages.push({ role: msg.role, content: [...(msg.media || []), { type: 'text', text: msg.content || '' }] });
+        expectedRole = msg.role === 'user' ? 'assistant' : 'user';
+    }
+
+    // The current message is always a user turn
+    if (expectedRole !== 'user') {
+        messages.push({ role: 'assistant', content: [{ type: 'text', text: '' }] });
+    }
+    messages.push({ role: 'user', content: [...current] });
+
+    // --- Fold the system prompt into the first user turn ---
+    if (systemPrompts.length > 0) {
+        const systemText = systemPrompts.join('\n\n');
+        const firstUserTurn = messages.find(msg => msg.role === 'user');
+        const firstText = firstUserTurn.content.find(part => part.type === 'text');
+
+        if (firstText && firstUserTurn.content[0] === firstText) {
+            firstUserTurn.content[0] = {
+                ...firstText,
+                text: firstText.text ? `${systemText}\n\n${firstText.text}` : systemText
+            };
+        } else {
+            // Keep the instructions ahead of any image or audio
+            firstUserTurn.content.unshift({ type: 'text', text: `${systemText}\n\n` });
+        }
+    }
+
+    return messages;
+}
+
+// Attachments accepted in a single /generate turn
+export const MAX_IMAGES_PER_TURN = 8;
+export const MAX_AUDIO_PER_TURN = 4;
+export const MAX_DOCUMENTS_PER_TURN = 4;
+// Images from earlier turns attached again (each costs as many tokens as a page of text)
+export const MAX_HISTORY_IMAGES = 4;
+
+/**
+ * Reads the `order` form field: a JSON array of 'image' / 'audio' entries giving the order
+ * of the turn's attachments, e.g. ["image", "audio", "image"] is first image, first audio,
+ * second image. Attachments the order leaves out follow in upload order, images first.
+ * @returns {Array<{ type: 'image'|'audio', index: number }>}
+ */
+export function parseAttachmentOrder(value, { images = 0, audio = 0 } = {}) {
+    let requested = [];
+    if (value) {
+        try {
+            requested = typeof value === 'string' ? JSON.parse(value) : value;
+        } catch {
+            requested = [];
+        }
+        if (!Array.isArray(requested)) requested = [];
+    }
+
+    const next = { image: 0, audio: 0 };
+    const counts = { image: images, audio };
+    const order = [];
+    for (const type of [...requested, ...Array(images).fill('image'), ...Array(audio).fill('audio')]) {
+        if (!(type in counts) || next[type] >= counts[type]) continue;
+        order.push({ type, index: next[type]++ });
+    }
+    return order;
+}
+
+/**
+ * Content parts for a turn with several attachments. Each attachment is preceded by a
+ * short label (e.g. "[Image 2: page-2.jpg]") so the model and its answer can refer to it;
+ * a single attachment needs no label. Extra fields on an attachment (e.g. `source`) are kept.
+ * @param {Array<{ type: 'image'|'audio', name?: string }>} attachments - In prompt order.
+ * @param {string} [text]
+ */
+export function buildTurnContent(attachments, text = '') {
+    const counters = { image: 0, audio: 0 };
+    const content = [];
+    for (const attachment of attachments) {
+        if (attachments.length > 1) {
+            const number = ++counters[attachment.type];
+            const kind = attachment.type === 'image' ? 'Image' : 'Audio';
+            content.push({ type: 'text', text: `[${kind} ${number}${attachment.name ? `: ${attachment.name}` : ''}]` });
+        }
+        content.push(attachment);
+    }
+    if (text) content.push({ type: 'text', text });
+    return content;
+}
+
+/**
+ * Adds a rejected answer and the feedback on it after the prompt, so the model can correct itself
+ * (structured output retries, see utils/jsonSchema.js).
+ * @param {Array<object>} messages - Messages ending with the user turn that was answered.
+ * @param {{ previousResponse: string, feedback: string }|null} retry - null leaves the messages as they are.
+ */
+export function appendCorrectionTurns(messages, retry) {
+    if (!retry) return messages;
+    return [
+        ...messages,
+        { role: 'assistant', content: [{ type: 'text', text: retry.previousResponse }] },
+        { role: 'user', content: [{ type: 'text', text: retry.feedback }] }
+    ];
+}
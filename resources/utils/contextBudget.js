@@ -0,0 +1,241 @@
+import { buildChatMessages } from './chatMessages.js';
+
+// Gemma 3n context window, shared by the prompt and the generated answer
+export const CONTEXT_WINDOW_TOKENS = 32768;
+// Room kept free for the answer; max_new_tokens above this does not shrink the prompt further
+export const MAX_RESPONSE_RESERVE_TOKENS = 4096;
+// Tokens the processor expands every image / audio clip into (processor_config.json)
+export const IMAGE_TOKENS = 256;
+export const AUDIO_TOKENS = 188;
+// Longest summary of dropped turns; reserved in the budget when summarizing
+export const SUMMARY_MAX_NEW_TOKENS = 512;
+
+/**
+ * Thrown when the current message does not fit in the context window on its own.
+ */
+export class ContextBudgetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContextBudgetError';
+    }
+}
+
+/**
+ * Tokens available for the prompt when up to `maxNewTokens` may be generated.
+ */
+export function getPromptBudget(maxNewTokens) {
+    return CONTEXT_WINDOW_TOKENS - Math.min(maxNewTokens, MAX_RESPONSE_RESERVE_TOKENS);
+}
+
+/**
+ * Tokens the images and audio clips in `messages` add to the prompt, beyond the
+ * single placeholder token the chat template writes for each of them.
+ */
+export function countMediaTokens(messages) {
+    let tokens = 0;
+    for (const message of messages) {
+        for (const part of message.content) {
+            if (part.type === 'image') tokens += IMAGE_TOKENS - 1;
+            else if (part.type === 'audio') tokens += AUDIO_TOKENS - 1;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Reads the `summary` form field: a rolling summary of the first `messageCount`
+ * history messages, as returned in an earlier `context` metadata event.
+ * Anything malformed is ignored rather than rejected, since it only saves work.
+ * @returns {{ text: string, messageCount: number } | null}
+ */
+export function parseContextSummary(value) {
+    if (!value) return null;
+    let summary = value;
+    if (typeof value === 'string') {
+        try {
+            summary = JSON.parse(value);
+        } catch {
+            return null;
+        }
+    }
+    if (typeof summary?.text !== 'string' || !summary.text.trim()) return null;
+    if (!Number.isInteger(summary.messageCount) || summary.messageCount < 1) return null;
+    return { text: summary.text.trim(), messageCount: summary.messageCount };
+}
+
+/**
+ * Summarizes conversation turns that no longer fit in the context, continuing `previousSummary`.
+ * Runs inside the job that needs it, so it is queued and cancelled with that job.
+ *
+ * @param {object} options
+ * @param {object} options.processor - Gemma processor (chat template, tokenizer, decoding).
+ * @param {object} options.model - Gemma model.
+ * @param {string} [options.previousSummary] - The rolling summary so far.
+ * @param {Array<{ role: string, content: string }>} options.turns - The turns to fold into it.
+ * @param {object} options.stoppingCriteria - The job's stopping criteria, for cancelling.
+ * @param {number} options.budget - Tokens available for the prompt.
+ * @param {Function} options.truncate - (text, maxTokens) => text cut to at most maxTokens.
+ * @returns {Promise<string>} The new summary; empty if the job was cancelled.
+ */
+export async function summarizeConversation({ processor, model, previousSummary, turns, stoppingCriteria, budget, truncate }) {
+    const transcript = turns
+        .map(turn => `${turn.role === 'user' ? 'Patient' : 'Assistant'}: ${turn.content || ''}`)
+        .join('\n\n');
+    const instructions = "Summarize the conversation below between a patient and a medical assistant. " +
+        "Keep every symptom, diagnosis, medication, dosage, test result and open question. " +
+        "Write plain sentences, without a preamble.";
+    const request = [
+        instructions,
+        previousSummary && `Summary so far:\n${previousSummary}`,
+        // Leave room for the instructions and the summary itself
+        `Conversation:\n${truncate(transcript, budget - SUMMARY_MAX_NEW_TOKENS - 1024)}`
+    ].filter(Boolean).join('\n\n');
+
+    const prompt = processor.apply_chat_template(
+        [{ role: "user", content: [{ type: "text", text: request }] }],
+        { add_generation_prompt: true }
+    );
+    const inputs = await processor(prompt, null, null, { add_special_tokens: false });
+    let outputs = null;
+    try {
+        console.log(`🧾 Summarizing ${turns.length} earlier messages to fit the context...`);
+        outputs = await model.generate({
+            ...inputs,
+            max_new_tokens: SUMMARY_MAX_NEW_TOKENS,
+            do_sample: false,
+            stopping_criteria: [stoppingCriteria],
+        });
+        // A cancelled job must not leave a half-written summary behind
+        if (stoppingCriteria.interrupted) return '';
+        const generated = outputs.slice(null, [inputs.input_ids.dims.at(-1), null]);
+        const [summary] = processor.batch_decode(generated, { skip_special_tokens: true });
+        return summary;
+    } finally {
+        for (const key in inputs) {
+            if (inputs[key] && typeof inputs[key].dispose === 'function') {
+                inputs[key].dispose();
+            }
+        }
+        outputs?.dispose?.();
+    }
+}
+
+const withSummary = (system, summaryText) => [
+    system,
+    summaryText && `Summary of the earlier conversation:\n${summaryText}`
+].filter(Boolean).join('\n\n');
+
+/**
+ * Fits a conversation into the prompt budget.
+ *
+ * History already covered by `summary` is replaced by it. If the prompt is still too
+ * long, the oldest turns are dropped (cutting at a user turn) and, when `summarize` is
+ * given, folded into a new rolling summary. If even the current message alone does not
+ * fit, the system prompt is truncated; if that is not enough a ContextBudgetError is thrown.
+ *
+ * @param {object} options
+ * @param {string} [options.system] - System prompt (e.g. patient memory).
+ * @param {object|null} [options.summary] - Output of parseContextSummary.
+ * @param {Array<{ role: string, content: string }>} [options.history] - Earlier messages.
+ * @param {Array<object>} options.current - Content parts of the current user turn.
+ * @param {number} options.budget - Tokens available for the prompt.
+ * @param {Function} options.countTokens - (messages) => prompt tokens, media included (see countMediaTokens).
+ * @param {Function} options.truncate - (text, maxTokens) => text cut to at most maxTokens.
+ * @param {Function} [options.summarize] - async (previousSummaryText, turns) => summary text.
+ * @returns {Promise<{ messages: Array<object>, context: object }>} `context` is reported to
+ *   the client in a metadata event; `context.summary` is the rolling summary to send next time.
+ */
+export async function fitConversationToBudget({
+    system = '',
+    summary = null,
+    history = [],
+    current,
+    budget,
+    countTokens,
+    truncate,
+    summarize = null
+}) {
+    const turns = history.filter(msg => msg?.role === 'user' || msg?.role === 'assistant');
+    // A summary that covers more than the history belongs to another conversation (or an edited one)
+    const usableSummary = summary && summary.messageCount <= turns.length ? summary : null;
+    let summaryText = usableSummary?.text || '';
+    let summarizedCount = usableSummary?.messageCount || 0;
+    let systemText = system;
+
+    const build = (start) => buildChatMessages({
+        system: withSummary(systemText, summaryText),
+        history: turns.slice(start),
+        current
+    });
+
+    let start = summarizedCount;
+    let messages = build(start);
+    let promptTokens = countTokens(messages);
+    const context = {
+        budget,
+        historyMessages: turns.length,
+        summarizedMessages: summarizedCount,
+        droppedMessages: 0,
+        systemTruncated: false,
+        summaryUpdated: false
+    };
+
+    if (promptTokens > budget) {
+        // Leave room for the summary that will replace the dropped turns
+        const target = summarize ? budget - SUMMARY_MAX_NEW_TOKENS : budget;
+        do {
+            start++;
+            while (start < turns.length && turns[start].role !== 'user') start++;
+            messages = build(start);
+            promptTokens = countTokens(messages);
+        } while (promptTokens > target && start < turns.length);
+
+        const dropped = turns.slice(summarizedCount, start);
+        if (summarize && dropped.length > 0) {
+            try {
+                const text = (await summarize(summaryText, dropped)).trim();
+                if (text) {
+                    summaryText = text;
+                    summarizedCount = start;
+                    context.summaryUpdated = true;
+                }
+            } catch (error) {
+                console.error("❌ Failed to summarize earlier conversation, dropping it instead:", error);
+            }
+        }
+        context.summarizedMessages = summarizedCount;
+        context.droppedMessages = start - summarizedCount;
+
+        messages = build(start);
+        promptTokens = countTokens(messages);
+    }
+
+    if (promptTokens > budget && systemText) {
+        // Only the current message is left; shorten the system prompt to what still fits
+        systemText = '';
+        const available = budget - countTokens(build(start));
+        let limit = available;
+        systemText = limit > 0 ? truncate(system, limit) : '';
+        // Tokens don't always split the same way once cut, so shrink until it really fits
+        while (systemText && countTokens(build(start)) > budget) {
+            limit = Math.floor(limit * 0.9);
+            systemText = limit > 0 ? truncate(system, limit) : '';
+        }
+        context.systemTruncated = true;
+        messages = build(start);
+        promptTokens = countTokens(messages);
+    }
+
+    if (promptTokens > budget) {
+        throw new ContextBudgetError(
+            `The message is too long for the model's context (${promptTokens} tokens, ${budget} available).`
+        );
+    }
+
+    context.promptTokens = promptTokens;
+    context.keptMessages = turns.length - start;
+    if (summaryText) {
+        context.summary = { text: summaryText, messageCount: summarizedCount };
+    }
+    return { messages, context };
+}
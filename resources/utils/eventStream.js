@@ -0,0 +1,115 @@
+/**
+ * Streaming protocol shared by every generation endpoint.
+ *
+ * Responses are newline-delimited JSON (`application/x-ndjson`). Each line is one
+ * event carrying the protocol version `v` and a `type`:
+ *
+ *   metadata  { jobId, queuePosition, ...endpoint-specific fields (imageUrl, extractedText, message, context) }
+ *             Sent first and again whenever the job's status changes. `context` reports how
+ *             /generate fitted the conversation into the context window (see contextBudget.js).
+ *   chunk     { data }  A piece of generated text.
+ *   usage     { promptTokens, completionTokens, totalTokens, queueMs, timeToFirstTokenMs,
+ *               generationMs, totalMs, tokensPerSecond }
+ *   complete  { jobId, finishReason, fullResponse, generationParams, ... }  Always the last event on success.
+ *             finishReason is 'stop', 'length', 'stop_sequence' or 'cancelled'.
+ *   error     { error, jobId? }  Always the last event on failure. Also used, with a 4xx/5xx
+ *             status, when a request is rejected before streaming starts.
+ *
+ * Queued jobs publish the same events through utils/jobStreams.js, which adds a per-job
+ * sequence `id` and also serves them as Server-Sent Events and over the WebSocket.
+ */
+export const STREAM_PROTOCOL_VERSION = 1;
+
+/**
+ * Wraps an Express response in an NDJSON event writer.
+ * Headers are sent with the first event, so validation errors can still set a status code.
+ * @param {import('express').Response} res
+ */
+export function createEventStream(res) {
+    const open = (status = 200) => {
+        res.status(status);
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Transfer-Encoding', 'chunked');
+    };
+
+    // Write one event, unless the client has gone away
+    const send = (type, payload = {}) => {
+        if (!res.headersSent) open();
+        if (res.writable && !res.writableEnded) {
+            res.write(JSON.stringify({ v: STREAM_PROTOCOL_VERSION, type, ...payload }) + '\n');
+        }
+    };
+
+    return {
+        metadata: (payload) => send('metadata', payload),
+        chunk: (data) => send('chunk', { data }),
+        usage: (payload) => send('usage', payload),
+        complete: (payload) => send('complete', payload),
+        error: (message, { status = 500, ...details } = {}) => {
+            if (!res.headersSent) open(status);
+            send('error', { error: message, ...details });
+        },
+        end: () => {
+            if (res.writable && !res.writableEnded) {
+                res.end();
+            }
+        }
+    };
+}
+
+/**
+ * Collects token counts and timings for the `usage` event.
+ * Call `start` when the job reaches the model, feed `onToken` from the streamer's
+ * `token_callback_function`, then `finish` once `model.generate` returns.
+ */
+export function createUsageTracker() {
+    const createdAt = Date.now();
+    let startedAt = null;
+    let firstTokenAt = null;
+    let finishedAt = null;
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    return {
+        start: () => {
+            startedAt = Date.now();
+        },
+        setPromptTokens: (count) => {
+            promptTokens = count;
+        },
+        onToken: (tokens) => {
+            if (firstTokenAt === null) firstTokenAt = Date.now();
+            completionTokens += tokens.length;
+        },
+        finish: () => {
+            finishedAt = Date.now();
+        },
+        get completionTokens() {
+            return completionTokens;
+        },
+        toJSON: () => {
+            const end = finishedAt ?? Date.now();
+            const generationMs = startedAt ? end - startedAt : 0;
+            return {
+                promptTokens,
+                completionTokens,
+                totalTokens: promptTokens + completionTokens,
+                queueMs: (startedAt ?? end) - createdAt,
+                timeToFirstTokenMs: firstTokenAt && startedAt ? firstTokenAt - startedAt : null,
+                generationMs,
+                totalMs: end - createdAt,
+                tokensPerSecond: generationMs > 0 ? Number((completionTokens / (generationMs / 1000)).toFixed(2)) : 0
+            };
+        }
+    };
+}
+
+/**
+ * Works out why generation ended, for the `complete` event.
+ */
+export function getFinishReason({ cancelled, stopSequenceMatched, completionTokens, maxNewTokens }) {
+    if (cancelled) return 'cancelled';
+    if (stopSequenceMatched) return 'stop_sequence';
+    if (completionTokens >= maxNewTokens) return 'length';
+    return 'stop';
+}
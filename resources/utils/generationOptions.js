@@ -0,0 +1,147 @@
+import { StoppingCriteria } from '@huggingface/transformers';
+
+// Allowed range and default for every numeric generation parameter.
+// Out-of-range values are clamped; values that are not numbers are rejected.
+export const GENERATION_LIMITS = {
+    temperature: { min: 0, max: 2, default: 0 },
+    top_p: { min: 0.01, max: 1, default: 1 },
+    top_k: { min: 0, max: 200, default: 50, integer: true },
+    repetition_penalty: { min: 1, max: 2, default: 1 },
+    max_new_tokens: { min: 1, max: 32000, default: 32000, integer: true }
+};
+
+export const MAX_STOP_SEQUENCES = 4;
+export const MAX_STOP_SEQUENCE_LENGTH = 64;
+
+/**
+ * Thrown when a request carries a generation parameter that cannot be used.
+ * Endpoints turn this into a 400 response.
+ */
+export class GenerationOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GenerationOptionsError';
+    }
+}
+
+// Form fields arrive as strings; `stop` may be a JSON array, a plain string or repeated fields
+function parseStopSequences(value) {
+    if (value === undefined || value === null || value === '') return [];
+
+    let sequences = value;
+    if (typeof value === 'string') {
+        try {
+            sequences = JSON.parse(value);
+        } catch {
+            sequences = [value];
+        }
+    }
+    if (!Array.isArray(sequences)) sequences = [sequences];
+
+    if (sequences.length > MAX_STOP_SEQUENCES) {
+        throw new GenerationOptionsError(`At most ${MAX_STOP_SEQUENCES} stop sequences are allowed.`);
+    }
+    return sequences.map((sequence) => {
+        if (typeof sequence !== 'string' || sequence.length === 0) {
+            throw new GenerationOptionsError("Stop sequences must be non-empty strings.");
+        }
+        if (sequence.length > MAX_STOP_SEQUENCE_LENGTH) {
+            throw new GenerationOptionsError(`Stop sequences must be at most ${MAX_STOP_SEQUENCE_LENGTH} characters.`);
+        }
+        return sequence;
+    });
+}
+
+/**
+ * Reads and validates the generation parameters from a request body.
+ * Missing fields fall back to the defaults in GENERATION_LIMITS.
+ * @param {object} body - `req.body` of a multipart or JSON request.
+ * @returns {{ temperature: number, top_p: number, top_k: number, repetition_penalty: number, max_new_tokens: number, stop: string[] }}
+ * @throws {GenerationOptionsError} If a field is not a valid number or the stop sequences are malformed.
+ */
+export function parseGenerationOptions(body = {}) {
+    const options = {};
+
+    for (const [name, limits] of Object.entries(GENERATION_LIMITS)) {
+        const raw = body[name];
+        if (raw === undefined || raw === null || raw === '') {
+            options[name] = limits.default;
+            continue;
+        }
+
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+            throw new GenerationOptionsError(`'${name}' must be a number.`);
+        }
+        const clamped = Math.min(limits.max, Math.max(limits.min, value));
+        options[name] = limits.integer ? Math.round(clamped) : clamped;
+    }
+
+    options.stop = parseStopSequences(body.stop);
+    return options;
+}
+
+/**
+ * Maps validated options onto the arguments `model.generate` expects.
+ * A temperature of 0 means greedy decoding, matching the previous hardcoded behaviour.
+ */
+export function toGenerateConfig(options) {
+    const sampling = options.temperature > 0;
+    return {
+        max_new_tokens: options.max_new_tokens,
+        do_sample: sampling,
+        ...(sampling && {
+            temperature: options.temperature,
+            top_p: options.top_p,
+            top_k: options.top_k
+        }),
+        repetition_penalty: options.repetition_penalty
+    };
+}
+
+/**
+ * Stops generation once the streamed text contains one of the stop sequences.
+ * The streamer feeds decoded text through `push`, which returns only the part
+ * before the stop sequence; `model.generate` polls the criterion after each token.
+ */
+export class StopSequenceCriteria extends StoppingCriteria {
+    constructor(stopSequences = []) {
+        super();
+        this.stopSequences = stopSequences;
+        this.text = '';
+        this.matched = false;
+    }
+
+    push(chunk) {
+        if (this.matched) return '';
+        if (this.stopSequences.length === 0) {
+            this.text += chunk;
+            return chunk;
+        }
+
+        const previousLength = this.text.length;
+        const combined = this.text + chunk;
+        // Only search from where a sequence straddling the previous chunk could start
+        const searchFrom = Math.max(0, previousLength - MAX_STOP_SEQUENCE_LENGTH);
+        let stopIndex = -1;
+        for (const sequence of this.stopSequences) {
+            const index = combined.indexOf(sequence, searchFrom);
+            if (index !== -1 && (stopIndex === -1 || index < stopIndex)) {
+                stopIndex = index;
+            }
+        }
+
+        if (stopIndex === -1) {
+            this.text = combined;
+            return chunk;
+        }
+
+        this.matched = true;
+        this.text = combined.slice(0, stopIndex);
+        return this.text.slice(previousLength);
+    }
+
+    _call(input_ids) {
+        return new Array(input_ids.length).fill(this.matched);
+    }
+}
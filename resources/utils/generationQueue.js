@@ -0,0 +1,132 @@
+import { randomUUID } from 'crypto';
+import { InterruptableStoppingCriteria } from '@huggingface/transformers';
+
+/**
+ * Creates a FIFO queue that runs generation jobs one at a time.
+ * There is only one CPU model instance, so overlapping `model.generate` calls
+ * just fight over the same cores; serializing them keeps each request fast.
+ *
+ * Every job gets an ID and its own InterruptableStoppingCriteria, so it can be
+ * cancelled while waiting (removed from the queue) or while running (the
+ * stopping criterion ends generation at the next token).
+ */
+export function createGenerationQueue() {
+    const jobs = new Map(); // jobId -> job
+    const pending = []; // jobs waiting for the model, in order
+    let activeJob = null;
+
+    // Tell every waiting job where it now stands in line
+    const notifyPositions = () => {
+        pending.forEach((job, index) => {
+            if (job.onPositionChange) job.onPositionChange(index + 1);
+        });
+    };
+
+    const finish = (job, status, error = null) => {
+        job.status = status;
+        job.finishedAt = Date.now();
+        jobs.delete(job.id);
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(status);
+        }
+    };
+
+    const runNext = async () => {
+        if (activeJob || pending.length === 0) return;
+
+        activeJob = pending.shift();
+        notifyPositions();
+
+        const job = activeJob;
+        job.status = 'running';
+        job.startedAt = Date.now();
+        if (job.onStart) job.onStart();
+
+        try {
+            await job.run(job);
+            finish(job, job.stoppingCriteria.interrupted ? 'cancelled' : 'completed');
+        } catch (error) {
+            finish(job, 'failed', error);
+        } finally {
+            activeJob = null;
+            runNext();
+        }
+    };
+
+    /**
+     * Adds a job to the queue.
+     * @param {Function} run - async (job) => void; must pass `job.stoppingCriteria` to `model.generate`.
+     * @param {object} [options]
+     * @param {string} [options.label] - Short description used in logs.
+     * @param {Function} [options.onPositionChange] - Called with the 1-based queue position while waiting.
+     * @param {Function} [options.onStart] - Called when the job reaches the model.
+     * @returns {object} The job. `job.done` resolves with 'completed' or 'cancelled' and rejects on failure.
+     */
+    const enqueue = (run, { label = 'generation', onPositionChange, onStart } = {}) => {
+        const job = {
+            id: randomUUID(),
+            label,
+            status: 'queued',
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            stoppingCriteria: new InterruptableStoppingCriteria(),
+            run,
+            onPositionChange,
+            onStart
+        };
+        job.done = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        jobs.set(job.id, job);
+        pending.push(job);
+        console.log(`📥 Queued ${label} job ${job.id} (position ${pending.length})`);
+
+        // Defer so the caller can report the initial position before the job starts
+        setImmediate(runNext);
+        return job;
+    };
+
+    /**
+     * Cancels a queued or running job.
+     * @param {string} jobId
+     * @returns {boolean} false if the job is unknown or already finished.
+     */
+    const cancel = (jobId) => {
+        const job = jobs.get(jobId);
+        if (!job) return false;
+
+        if (job.status === 'queued') {
+            pending.splice(pending.indexOf(job), 1);
+            job.stoppingCriteria.interrupt();
+            finish(job, 'cancelled');
+            notifyPositions();
+        } else if (job.status === 'running') {
+            // model.generate checks the criterion after each token and returns early
+            job.stoppingCriteria.interrupt();
+        }
+        console.log(`🛑 Cancellation requested for job ${jobId}`);
+        return true;
+    };
+
+    const getJob = (jobId) => jobs.get(jobId) || null;
+
+    // 0 means running, 1+ means waiting, -1 means unknown/finished
+    const getPosition = (jobId) => {
+        const job = jobs.get(jobId);
+        if (!job) return -1;
+        if (job === activeJob) return 0;
+        return pending.indexOf(job) + 1;
+    };
+
+    const getStats = () => ({
+        active: activeJob ? { id: activeJob.id, label: activeJob.label, startedAt: activeJob.startedAt } : null,
+        pending: pending.length
+    });
+
+    return { enqueue, cancel, getJob, getPosition, getStats };
+}
@@ -0,0 +1,144 @@
+import { STREAM_PROTOCOL_VERSION } from './eventStream.js';
+
+/**
+ * Keeps the event history of every generation job so clients can (re)attach to it.
+ *
+ * Events get a per-job sequence number `id`. A subscriber passes the last `id` it saw
+ * and receives everything after it, then live events, so a renderer that reloaded or
+ * navigated away can pick an answer back up where it left off. Finished streams are
+ * kept for `retentionMs` so a late reattach still gets the full answer.
+ *
+ * When the last subscriber leaves an unfinished job, `onAbandoned(jobId)` is called
+ * unless someone reattaches within `detachGraceMs`. The same goes for a job nobody
+ * subscribes to after it is created, e.g. when the client that asked for it gave up
+ * before it heard the job's id.
+ */
+export function createJobStreams({ retentionMs = 5 * 60 * 1000, detachGraceMs = 15 * 1000, onAbandoned } = {}) {
+    const streams = new Map(); // jobId -> stream
+
+    const create = (jobId) => {
+        const events = [];
+        const listeners = new Set();
+        let finished = false;
+        let graceTimer = null;
+
+        const clearGraceTimer = () => {
+            if (graceTimer) {
+                clearTimeout(graceTimer);
+                graceTimer = null;
+            }
+        };
+
+        const startGraceTimer = () => {
+            if (!onAbandoned || finished) return;
+            clearGraceTimer();
+            graceTimer = setTimeout(() => {
+                graceTimer = null;
+                if (listeners.size === 0 && !finished) onAbandoned(jobId);
+            }, detachGraceMs);
+            graceTimer.unref();
+        };
+
+        const stream = {
+            jobId,
+            get finished() {
+                return finished;
+            },
+            get lastEventId() {
+                return events.length;
+            },
+
+            emit: (type, payload = {}) => {
+                if (finished) return;
+                const event = { v: STREAM_PROTOCOL_VERSION, id: events.length + 1, type, ...payload };
+                events.push(event);
+                listeners.forEach((listener) => listener(event));
+
+                // 'complete' and 'error' are terminal
+                if (type === 'complete' || type === 'error') {
+                    finished = true;
+                    clearGraceTimer();
+                    listeners.clear();
+                    setTimeout(() => streams.delete(jobId), retentionMs).unref();
+                }
+            },
+
+            /**
+             * Replays events after `afterId`, then forwards live ones.
+             * The listener is called synchronously during replay.
+             * @returns {Function} unsubscribe
+             */
+            subscribe: (listener, { afterId = 0 } = {}) => {
+                events.slice(Math.max(0, afterId)).forEach(listener);
+                if (finished) return () => {};
+
+                clearGraceTimer();
+                listeners.add(listener);
+                return () => {
+                    if (!listeners.delete(listener)) return;
+                    if (listeners.size === 0) startGraceTimer();
+                };
+            }
+        };
+
+        streams.set(jobId, stream);
+        startGraceTimer();
+        return stream;
+    };
+
+    const get = (jobId) => streams.get(jobId) || null;
+
+    return { create, get };
+}
+
+/**
+ * Writes a job stream to an HTTP response as NDJSON (see eventStream.js).
+ * Ends the response after the terminal event.
+ */
+export function pipeJobStreamToNdjson(jobStream, res, { afterId = 0 } = {}) {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Transfer-Encoding', 'chunked');
+
+    const unsubscribe = jobStream.subscribe((event) => {
+        if (res.writable && !res.writableEnded) {
+            res.write(JSON.stringify(event) + '\n');
+        }
+        if (event.type === 'complete' || event.type === 'error') {
+            res.end();
+        }
+    }, { afterId });
+
+    res.on('close', unsubscribe);
+}
+
+/**
+ * Writes a job stream to an HTTP response as Server-Sent Events.
+ * Each SSE `id` is the event's sequence number, so EventSource's automatic
+ * reconnect (Last-Event-ID) resumes without gaps.
+ */
+export function pipeJobStreamToSse(jobStream, res, { afterId = 0 } = {}) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    // Keep idle connections (e.g. while queued) from being closed by intermediaries
+    const heartbeat = setInterval(() => {
+        if (res.writable && !res.writableEnded) res.write(': heartbeat\n\n');
+    }, 15000);
+
+    const unsubscribe = jobStream.subscribe((event) => {
+        if (res.writable && !res.writableEnded) {
+            res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+        if (event.type === 'complete' || event.type === 'error') {
+            clearInterval(heartbeat);
+            res.end();
+        }
+    }, { afterId });
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
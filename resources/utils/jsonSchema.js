@@ -0,0 +1,287 @@
+// Structured output: the client sends a JSON Schema, the model's answer is parsed and validated
+// against it, and an invalid answer is sent back to the model with the validation errors.
+// Supports the subset of JSON Schema the app's prompts need: type, enum, const, properties,
+// required, additionalProperties, items, minItems/maxItems, minLength/maxLength, pattern,
+// minimum/maximum and anyOf.
+
+export const DEFAULT_SCHEMA_ATTEMPTS = 3;
+export const MAX_SCHEMA_ATTEMPTS = 5;
+// Errors listed in a correction prompt or an error message; the rest are summarized
+const MAX_REPORTED_ERRORS = 8;
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Thrown when a request carries a schema (or attempt count) that cannot be used.
+ * Endpoints turn this into a 400 response.
+ */
+export class JsonSchemaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JsonSchemaError';
+    }
+}
+
+/**
+ * Thrown when the model still has not produced a schema-valid answer after the last attempt.
+ */
+export class StructuredOutputError extends Error {
+    constructor(attempts, errors) {
+        super(`The model's answer did not match the schema after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${summarizeErrors(errors).join('; ')}`);
+        this.name = 'StructuredOutputError';
+        this.attempts = attempts;
+        this.errors = errors;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function summarizeErrors(errors) {
+    if (errors.length <= MAX_REPORTED_ERRORS) return errors;
+    return [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more`];
+}
+
+function checkSchema(schema, where) {
+    if (!isPlainObject(schema)) {
+        throw new JsonSchemaError(`Schema at ${where} must be an object.`);
+    }
+    const types = [].concat(schema.type ?? []);
+    const unknownType = types.find(type => !TYPES.includes(type));
+    if (unknownType !== undefined) {
+        throw new JsonSchemaError(`Unsupported type '${unknownType}' at ${where}.`);
+    }
+    if (schema.properties !== undefined) {
+        if (!isPlainObject(schema.properties)) {
+            throw new JsonSchemaError(`'properties' at ${where} must be an object.`);
+        }
+        Object.entries(schema.properties).forEach(([name, property]) => checkSchema(property, `${where}.${name}`));
+    }
+    if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+        throw new JsonSchemaError(`'required' at ${where} must be an array of property names.`);
+    }
+    if (isPlainObject(schema.additionalProperties)) {
+        checkSchema(schema.additionalProperties, `${where}.*`);
+    }
+    if (schema.items !== undefined) {
+        checkSchema(schema.items, `${where}[]`);
+    }
+    if (schema.enum !== undefined && !(Array.isArray(schema.enum) && schema.enum.length > 0)) {
+        throw new JsonSchemaError(`'enum' at ${where} must be a non-empty array.`);
+    }
+    if (schema.anyOf !== undefined) {
+        if (!(Array.isArray(schema.anyOf) && schema.anyOf.length > 0)) {
+            throw new JsonSchemaError(`'anyOf' at ${where} must be a non-empty array of schemas.`);
+        }
+        schema.anyOf.forEach((option, index) => checkSchema(option, `${where} (option ${index + 1})`));
+    }
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern, 'u');
+        } catch {
+            throw new JsonSchemaError(`'pattern' at ${where} is not a valid regular expression.`);
+        }
+    }
+}
+
+/**
+ * Reads the `schema` field of a request.
+ * @param {string|object|undefined} value - A JSON string (multipart forms) or an object.
+ * @returns {object|null} The schema, or null when the request has none.
+ * @throws {JsonSchemaError} If it is not JSON or uses something the validator does not support.
+ */
+export function parseJsonSchema(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let schema = value;
+    if (typeof value === 'string') {
+        try {
+            schema = JSON.parse(value);
+        } catch {
+            throw new JsonSchemaError("'schema' is not valid JSON.");
+        }
+    }
+    checkSchema(schema, '$');
+    return schema;
+}
+
+/**
+ * Reads the `maxAttempts` field: how many answers the model may give before the request fails.
+ * @throws {JsonSchemaError} If it is not a whole number between 1 and MAX_SCHEMA_ATTEMPTS.
+ */
+export function parseMaxAttempts(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_SCHEMA_ATTEMPTS;
+    const attempts = Number(value);
+    if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_SCHEMA_ATTEMPTS) {
+        throw new JsonSchemaError(`'maxAttempts' must be a whole number from 1 to ${MAX_SCHEMA_ATTEMPTS}.`);
+    }
+    return attempts;
+}
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'object') return isPlainObject(value);
+    return typeOf(value) === type;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Validates a value against a schema.
+ * @returns {string[]} One message per problem, with a JSONPath-like location ("$.labResults[0].unit: ...").
+ */
+export function validateJson(value, schema, where = '$') {
+    const types = [].concat(schema.type ?? []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+    if (schema.const !== undefined && !sameValue(value, schema.const)) {
+        errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some(option => sameValue(value, option))) {
+        errors.push(`${where}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => validateJson(value, option, where).length === 0)) {
+        errors.push(`${where}: does not match any of the allowed shapes`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where}: must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'} long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${where}: must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${where}: must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${where}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${where}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${where}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${where}[${index}]`)));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) errors.push(`${where}: missing required property "${name}"`);
+        });
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            if (properties[name]) {
+                errors.push(...validateJson(propertyValue, properties[name], `${where}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unexpected property "${name}"`);
+            } else if (isPlainObject(schema.additionalProperties)) {
+                errors.push(...validateJson(propertyValue, schema.additionalProperties, `${where}.${name}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// End of the JSON value starting at `start` ('{' or '['), skipping brackets inside strings
+function findJsonEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parses the JSON in a model answer: the whole answer, else the first complete object or array
+ * in it (models often wrap JSON in code fences or a sentence).
+ * @throws {SyntaxError} If no JSON value can be parsed.
+ */
+export function extractJson(text) {
+    const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        let start = trimmed.search(/[{[]/);
+        while (start !== -1) {
+            const end = findJsonEnd(trimmed, start);
+            if (end === -1) break;
+            try {
+                return JSON.parse(trimmed.slice(start, end + 1));
+            } catch {
+                // Not JSON after all (e.g. "[1]" in prose); try the next bracket
+            }
+            const next = trimmed.slice(start + 1).search(/[{[]/);
+            start = next === -1 ? -1 : start + 1 + next;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parses and validates a model answer.
+ * @returns {{ valid: boolean, value: any, errors: string[] }}
+ */
+export function checkStructuredOutput(text, schema) {
+    let value;
+    try {
+        value = extractJson(text);
+    } catch (error) {
+        return { valid: false, value: null, errors: [`the answer is not valid JSON (${error.message})`] };
+    }
+    const errors = validateJson(value, schema);
+    return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Instruction appended to the prompt so the model knows the exact shape to answer in.
+ */
+export function describeSchema(schema) {
+    return `Respond with ONLY JSON that matches this JSON Schema - no markdown, code fences or text before or after it:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Follow-up message for a retry, listing what was wrong with the previous answer.
+ */
+export function buildCorrectionPrompt(errors) {
+    return [
+        'Your previous answer does not match the required JSON Schema:',
+        ...summarizeErrors(errors).map(error => `- ${error}`),
+        'Reply again with ONLY the corrected JSON, keeping everything that was already right.'
+    ].join('\n');
+}
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import Tesseract from 'tesseract.js';
+
+// Languages the OCR can read, by Tesseract code. Each needs `<code>.traineddata.gz`
+// in the tessdata directory (4.0.0_best_int from @tesseract.js-data, copied there by
+// scripts/copy-tessdata.js and shipped with the app).
+export const OCR_LANGUAGES = {
+    eng: { label: 'English', script: 'Latin', direction: 'ltr' },
+    fra: { label: 'French', script: 'Latin', direction: 'ltr' },
+    spa: { label: 'Spanish', script: 'Latin', direction: 'ltr' },
+    ara: { label: 'Arabic', script: 'Arabic', direction: 'rtl' }
+};
+
+export const AUTO_OCR_LANGUAGE = 'auto';
+export const DEFAULT_OCR_LANGUAGE = 'eng';
+// Script detection model (legacy engine, 4.0.0 from @tesseract.js-data)
+const OSD_LANGUAGE = 'osd';
+// Below this the detected script is ignored and every Latin language is tried
+const MIN_SCRIPT_CONFIDENCE = 1;
+
+// Strong right-to-left letters: Hebrew, Arabic, Syriac, Thaana, NKo and presentation forms
+const RTL_CHARS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g;
+const LTR_CHARS = /[A-Za-z\u00C0-\u024F]/g;
+const STRONG_CHAR = /[A-Za-z\u00C0-\u024F\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+/**
+ * Thrown when the requested OCR language is unknown or not installed.
+ * Endpoints turn this into a 400 response.
+ */
+export class OcrLanguageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OcrLanguageError';
+    }
+}
+
+/**
+ * 'rtl' when most letters in `text` are written right to left.
+ */
+export function getTextDirection(text) {
+    const rtl = (text.match(RTL_CHARS) || []).length;
+    const ltr = (text.match(LTR_CHARS) || []).length;
+    return rtl > ltr ? 'rtl' : 'ltr';
+}
+
+/**
+ * Tidies Tesseract output for right-to-left languages. The text is kept in logical
+ * (reading) order; stray direction marks are removed and each line that mixes Arabic
+ * with Latin words or numbers is isolated as right-to-left, so it displays correctly
+ * on its own and does not reorder the lines around it.
+ */
+export function normalizeRtlText(text) {
+    return text
+        .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '')
+        .split('\n')
+        .map(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return '';
+            // Like the bidi algorithm, a line takes the direction of its first strong letter
+            const firstStrong = trimmed.match(STRONG_CHAR)?.[0];
+            return firstStrong && getTextDirection(firstStrong) === 'rtl' && /[A-Za-z0-9]/.test(trimmed)
+                ? `\u2067${trimmed}\u2069`
+                : trimmed;
+        })
+        .join('\n');
+}
+
+const toBox = ({ x0, y0, x1, y1 }) => ({ x0, y0, x1, y1 });
+const roundConfidence = (confidence) => Math.round(confidence * 10) / 10;
+
+/**
+ * Flattens Tesseract's blocks into lines of words with their boxes (in the OCR'd
+ * image's pixels) and confidences (0-100). Each word keeps up to three alternative readings.
+ * @returns {Array<{ text: string, confidence: number, bbox: object, words: Array<object> }>}
+ */
+export function toOcrLines(blocks) {
+    const lines = [];
+    for (const block of blocks || []) {
+        for (const paragraph of block.paragraphs) {
+            for (const line of paragraph.lines) {
+                const words = line.words
+                    .filter(word => word.text.trim())
+                    .map(word => ({
+                        text: word.text,
+                        confidence: roundConfidence(word.confidence),
+                        bbox: toBox(word.bbox),
+                        alternatives: (word.choices || [])
+                            .filter(choice => choice.text !== word.text)
+                            .slice(0, 3)
+                            .map(choice => choice.text)
+                    }));
+                if (words.length === 0) continue;
+                lines.push({
+                    text: line.text.trim(),
+                    confidence: roundConfidence(line.confidence),
+                    bbox: toBox(line.bbox),
+                    words
+                });
+            }
+        }
+    }
+    return lines;
+}
+
+/**
+ * Reads Tesseract models from one directory, offline. A language without a model there is
+ * not installed; nothing is ever downloaded.
+ * @param {object} options
+ * @param {string} options.tessdataDir - Directory holding `<code>.traineddata.gz` files.
+ * @returns {{ listLanguages: Function, parseLanguage: Function, recognize: Function }}
+ */
+export function createTextRecognizer({ tessdataDir }) {
+    const hasModel = (code) => fs.existsSync(`${tessdataDir}/${code}.traineddata.gz`);
+
+    const installedLanguages = () => Object.keys(OCR_LANGUAGES).filter(hasModel);
+
+    // Workers only ever load the local models; without one they would fetch it from a CDN
+    function workerOptions(codes) {
+        const missing = codes.find(code => !hasModel(code));
+        if (missing) {
+            throw new OcrLanguageError(`OCR language '${missing}' is not installed.`);
+        }
+        return { langPath: tessdataDir, cachePath: tessdataDir, cacheMethod: 'none' };
+    }
+
+    /**
+     * Installed languages for the client's selector. Without the script detection model
+     * `auto` still works but reads everything as Latin text.
+     */
+    function listLanguages() {
+        const languages = installedLanguages().map(code => ({ code, ...OCR_LANGUAGES[code] }));
+        return {
+            languages,
+            autoDetect: hasModel(OSD_LANGUAGE),
+            default: AUTO_OCR_LANGUAGE
+        };
+    }
+
+    /**
+     * Reads the `lang` form field: `auto`, one code or several joined with '+' (e.g. 'ara+eng').
+     * @returns {string} `auto` or a Tesseract language string.
+     * @throws {OcrLanguageError}
+     */
+    function parseLanguage(value) {
+        if (value === undefined || value === null || value === '' || value === AUTO_OCR_LANGUAGE) {
+            return AUTO_OCR_LANGUAGE;
+        }
+        const codes = String(value).split('+').map(code => code.trim().toLowerCase()).filter(Boolean);
+        const installed = installedLanguages();
+        const unknown = codes.find(code => !OCR_LANGUAGES[code]);
+        if (unknown) {
+            throw new OcrLanguageError(`Unknown OCR language '${unknown}'. Use 'auto' or one of: ${Object.keys(OCR_LANGUAGES).join(', ')}.`);
+        }
+        const missing = codes.find(code => !installed.includes(code));
+        if (missing) {
+            throw new OcrLanguageError(`OCR language '${missing}' is not installed. Available: ${installed.join(', ') || 'none'}.`);
+        }
+        return [...new Set(codes)].join('+');
+    }
+
+    // Languages to read with once the script is known; Latin covers every installed Latin language
+    function languagesForScript(script) {
+        const installed = installedLanguages();
+        const sameScript = installed.filter(code => OCR_LANGUAGES[code].script === script);
+        if (sameScript.length === 0) return null;
+        // Drug names and doses in non-Latin prescriptions are usually written in Latin letters
+        if (script !== 'Latin' && installed.includes(DEFAULT_OCR_LANGUAGE)) sameScript.push(DEFAULT_OCR_LANGUAGE);
+        return sameScript.join('+');
+    }
+
+    async function detectScript(imageBuffer) {
+        if (!hasModel(OSD_LANGUAGE)) return null;
+        const worker = await Tesseract.createWorker(OSD_LANGUAGE, Tesseract.OEM.TESSERACT_ONLY, {
+            ...workerOptions([OSD_LANGUAGE]),
+            legacyCore: true,
+            legacyLang: true,
+            gzip: true
+        });
+        try {
+            const { data } = await worker.detect(imageBuffer);
+            if (!data.script || data.script_confidence < MIN_SCRIPT_CONFIDENCE) return null;
+            return data.script;
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    /**
+     * Recognizes the text in an image.
+     * @param {Buffer} imageBuffer
+     * @param {string} [language] - Output of parseLanguage.
+     * @returns {Promise<{ text: string, language: string, script: string|null, direction: 'ltr'|'rtl',
+     *   confidence: number, lines: Array<object> }>} `lines` as returned by toOcrLines.
+     */
+    async function recognize(imageBuffer, language = AUTO_OCR_LANGUAGE) {
+        let lang = language;
+        let script = null;
+        if (language === AUTO_OCR_LANGUAGE) {
+            try {
+                script = await detectScript(imageBuffer);
+            } catch (error) {
+                console.warn("⚠️ Script detection failed, reading as Latin text:", error);
+            }
+            lang = (script && languagesForScript(script)) || languagesForScript('Latin');
+            if (!lang) throw new OcrLanguageError('No OCR language is installed.');
+            console.log(`🌐 OCR language: ${lang}${script ? ` (detected ${script} script)` : ''}`);
+        }
+
+        const langCodes = lang.split('+');
+        const worker = await Tesseract.createWorker(lang, Tesseract.OEM.LSTM_ONLY, {
+            ...workerOptions(langCodes),
+            logger: m => {
+                if (m.status === 'recognizing text') {
+                    console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+                }
+            }
+        });
+        try {
+            const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+            const raw = data.text.trim();
+            const direction = getTextDirection(raw);
+            return {
+                text: direction === 'rtl' ? normalizeRtlText(raw) : raw,
+                language: lang,
+                script: script || OCR_LANGUAGES[langCodes[0]].script,
+                direction,
+                confidence: roundConfidence(data.confidence),
+                lines: toOcrLines(data.blocks)
+            };
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    return { listLanguages, parseLanguage, recognize };
+}
@@ -0,0 +1,366 @@
+import sharp from 'sharp';
+import { Worker } from 'worker_threads';
+
+// Longest side of the small copy used to find the page and measure skew
+const ANALYSIS_SIZE = 1000;
+// Largest side kept from the photo before processing
+const MAX_INPUT_SIDE = 4000;
+// Page width Tesseract reads well (about 250 dpi for an A4 sheet); narrower pages are upscaled
+const TARGET_WIDTH = 2000;
+const MAX_UPSCALE = 2.5;
+// The detected page must cover this share of the photo; above the upper bound the photo is already just the page
+const MIN_PAGE_AREA = 0.2;
+const MAX_PAGE_AREA = 0.95;
+// Corners are pulled this share towards the page centre so no background is left along the edges
+const PAGE_INSET = 0.015;
+const MAX_SKEW_DEGREES = 10;
+// Smaller angles are left alone; rotating blurs the text slightly
+const MIN_SKEW_DEGREES = 0.3;
+// Adaptive binarization: each pixel is compared with the mean of a window this fraction of the page width
+const BINARIZE_WINDOW_FRACTION = 1 / 16;
+// A pixel is ink when it is this much darker than its surroundings
+const BINARIZE_SENSITIVITY = 0.15;
+
+// Grayscale pixels as { data, width, height }, one byte per pixel
+async function toGray(pipeline) {
+    const { data, info } = await pipeline.grayscale().extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+const fromGray = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 1 } });
+
+function shrinkForAnalysis(image) {
+    return toGray(fromGray(image).resize({
+        width: ANALYSIS_SIZE,
+        height: ANALYSIS_SIZE,
+        fit: 'inside',
+        withoutEnlargement: true
+    }));
+}
+
+/**
+ * Otsu's threshold: the gray level that best separates dark from light pixels.
+ */
+export function otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    let total = 0;
+    for (let level = 0; level < 256; level++) total += level * histogram[level];
+
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    let best = { threshold: 127, variance: -1 };
+    for (let level = 0; level < 256; level++) {
+        backgroundCount += histogram[level];
+        if (backgroundCount === 0) continue;
+        const foregroundCount = data.length - backgroundCount;
+        if (foregroundCount === 0) break;
+        backgroundSum += level * histogram[level];
+        const meanDifference = backgroundSum / backgroundCount - (total - backgroundSum) / foregroundCount;
+        const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+        if (variance > best.variance) best = { threshold: level, variance };
+    }
+    return best.threshold;
+}
+
+const quadArea = (corners) => Math.abs(corners.reduce((sum, point, i) => {
+    const next = corners[(i + 1) % corners.length];
+    return sum + point.x * next.y - next.x * point.y;
+}, 0)) / 2;
+
+/**
+ * Finds the corners of a sheet of paper photographed on a darker background:
+ * the largest bright region, and its extreme points along both diagonals.
+ * @returns {Array<{ x: number, y: number }>|null} Top-left, top-right, bottom-right, bottom-left,
+ *   or null when no plausible page was found.
+ */
+export function findPageCorners({ data, width, height }) {
+    const threshold = otsuThreshold(data);
+    const labels = new Uint8Array(data.length); // 1 = visited
+    const queue = new Int32Array(data.length);
+    let largest = null;
+
+    for (let start = 0; start < data.length; start++) {
+        if (labels[start] || data[start] <= threshold) continue;
+
+        // Flood-fill one bright region, tracking its diagonal extremes
+        const region = { size: 0, tl: start, tr: start, br: start, bl: start };
+        const score = (index) => {
+            const x = index % width;
+            const y = (index - x) / width;
+            return { sum: x + y, diff: x - y };
+        };
+        let best = { tl: Infinity, br: -Infinity, tr: -Infinity, bl: Infinity };
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        labels[start] = 1;
+        while (head < tail) {
+            const index = queue[head++];
+            region.size++;
+            const { sum, diff } = score(index);
+            if (sum < best.tl) { best.tl = sum; region.tl = index; }
+            if (sum > best.br) { best.br = sum; region.br = index; }
+            if (diff > best.tr) { best.tr = diff; region.tr = index; }
+            if (diff < best.bl) { best.bl = diff; region.bl = index; }
+
+            const x = index % width;
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index - width,
+                index + width
+            ];
+            for (const next of neighbours) {
+                if (next < 0 || next >= data.length || labels[next] || data[next] <= threshold) continue;
+                labels[next] = 1;
+                queue[tail++] = next;
+            }
+        }
+        if (!largest || region.size > largest.size) largest = region;
+    }
+    if (!largest) return null;
+
+    const corners = [largest.tl, largest.tr, largest.br, largest.bl].map(index => ({
+        x: index % width,
+        y: Math.floor(index / width)
+    }));
+    const coverage = quadArea(corners) / (width * height);
+    if (coverage < MIN_PAGE_AREA || coverage > MAX_PAGE_AREA) return null;
+
+    const centre = {
+        x: corners.reduce((sum, point) => sum + point.x, 0) / 4,
+        y: corners.reduce((sum, point) => sum + point.y, 0) / 4
+    };
+    return corners.map(({ x, y }) => ({
+        x: x + (centre.x - x) * PAGE_INSET,
+        y: y + (centre.y - y) * PAGE_INSET
+    }));
+}
+
+// Solves the 8 unknowns of the homography that maps a width x height rectangle's corners onto `corners`
+function homographyFromRect(width, height, corners) {
+    const source = [[0, 0], [width, 0], [width, height], [0, height]];
+    const rows = [];
+    source.forEach(([u, v], i) => {
+        const { x, y } = corners[i];
+        rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+        rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 8; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = 0; row < 8; row++) {
+            if (row === col) continue;
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    const h = rows.map((row, i) => row[8] / row[i]);
+    return [...h, 1];
+}
+
+/**
+ * Maps the quadrilateral `corners` of `image` onto an upright rectangle.
+ */
+export function warpPerspective(image, corners) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const [tl, tr, br, bl] = corners;
+    const width = Math.round(Math.max(distance(tl, tr), distance(bl, br)));
+    const height = Math.round(Math.max(distance(tl, bl), distance(tr, br)));
+    const h = homographyFromRect(width, height, corners);
+    const output = new Uint8Array(width * height);
+
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            const w = h[6] * u + h[7] * v + h[8];
+            const x = (h[0] * u + h[1] * v + h[2]) / w;
+            const y = (h[3] * u + h[4] * v + h[5]) / w;
+            output[v * width + u] = sampleBilinear(image, x, y);
+        }
+    }
+    return { data: output, width, height };
+}
+
+function sampleBilinear({ data, width, height }, x, y) {
+    if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return 255;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fx = x - x0;
+    const fy = y - y0;
+    const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+    const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+    return Math.round(top * (1 - fy) + bottom * fy);
+}
+
+// Average brightness of the paper, so areas uncovered by rotating blend in instead of looking like a bright border
+function paperColour({ data }) {
+    const threshold = otsuThreshold(data);
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] > threshold) {
+            sum += data[i];
+            count++;
+        }
+    }
+    const level = count > 0 ? Math.round(sum / count) : 255;
+    return { r: level, g: level, b: level };
+}
+
+/**
+ * Estimates how far text lines are tilted, in degrees (positive = clockwise), from the
+ * angle at which the ink's row projection is sharpest.
+ */
+export function estimateSkew({ data, width, height }) {
+    const threshold = otsuThreshold(data);
+    const ink = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[y * width + x] < threshold) ink.push(x, y);
+        }
+    }
+    if (ink.length === 0) return 0;
+
+    const bins = new Float64Array(width + height * 2);
+    const sharpness = (degrees) => {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        bins.fill(0);
+        for (let i = 0; i < ink.length; i += 2) {
+            bins[Math.round(ink[i + 1] * cos - ink[i] * sin) + width]++;
+        }
+        let score = 0;
+        for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+        return score;
+    };
+
+    const search = (from, to, step) => {
+        let best = { angle: 0, score: -1 };
+        for (let angle = from; angle <= to + 1e-9; angle += step) {
+            const score = sharpness(angle);
+            if (score > best.score) best = { angle, score };
+        }
+        return best.angle;
+    };
+    const coarse = search(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5);
+    return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+/**
+ * Bradley-Roth adaptive thresholding: ink is whatever is clearly darker than its
+ * neighbourhood, so shadows and uneven lighting fade to white.
+ */
+export function binarizeAdaptive({ data, width, height }) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += data[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    const half = Math.max(7, Math.round(width * BINARIZE_WINDOW_FRACTION / 2));
+    const output = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half);
+        const y1 = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half);
+            const x1 = Math.min(width, x + half + 1);
+            const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            const count = (x1 - x0) * (y1 - y0);
+            output[y * width + x] = data[y * width + x] * count <= sum * (1 - BINARIZE_SENSITIVITY) ? 0 : 255;
+        }
+    }
+    return { data: output, width, height };
+}
+
+/**
+ * Cleans up a phone photo of a document for OCR: EXIF orientation, perspective correction
+ * from the page corners, deskew, denoise, upscaling and adaptive binarization.
+ * Steps that find nothing to fix are skipped.
+ * @param {Buffer} buffer - Encoded image (JPEG, PNG, ...).
+ * @returns {Promise<{ buffer: Buffer, steps: string[], skewAngle: number, corners: Array<object>|null }>}
+ *   `buffer` is a black-and-white PNG; `corners` are in the (oriented) input's pixels.
+ */
+export async function preprocessForOcr(buffer) {
+    const steps = ['orient'];
+    let image = await toGray(sharp(buffer).rotate().resize({
+        width: MAX_INPUT_SIDE,
+        height: MAX_INPUT_SIDE,
+        fit: 'inside',
+        withoutEnlargement: true
+    }));
+
+    // --- Perspective: crop to the page and square it up ---
+    const small = await shrinkForAnalysis(image);
+    const scale = image.width / small.width;
+    const smallCorners = findPageCorners(small);
+    const corners = smallCorners && smallCorners.map(({ x, y }) => ({ x: x * scale, y: y * scale }));
+    if (corners) {
+        image = warpPerspective(image, corners);
+        steps.push('perspective');
+    }
+
+    // --- Deskew: level the text lines ---
+    const preview = await shrinkForAnalysis(image);
+    const skewAngle = estimateSkew(preview);
+    if (Math.abs(skewAngle) >= MIN_SKEW_DEGREES) {
+        image = await toGray(fromGray(image).rotate(-skewAngle, { background: paperColour(preview) }));
+        steps.push('deskew');
+    }
+
+    // --- Denoise and upscale small text ---
+    const factor = Math.min(MAX_UPSCALE, Math.max(1, TARGET_WIDTH / image.width));
+    let pipeline = fromGray(image).median(3);
+    if (factor > 1) {
+        pipeline = pipeline.resize({ width: Math.round(image.width * factor), kernel: 'lanczos3' });
+        steps.push('upscale');
+    }
+    image = await toGray(pipeline);
+    steps.push('denoise');
+
+    // --- Binarize: ink black, paper (and shadows) white ---
+    image = binarizeAdaptive(image);
+    steps.push('binarize');
+
+    return {
+        buffer: await fromGray(image).png({ compressionLevel: 9 }).toBuffer(),
+        steps,
+        skewAngle,
+        corners: corners && corners.map(({ x, y }) => ({ x: Math.round(x), y: Math.round(y) }))
+    };
+}
+
+/**
+ * Runs preprocessForOcr in a worker thread. Its pixel loops take seconds on a large photo, and on
+ * the server's own thread they would hold up every stream it is sending meanwhile.
+ * @param {Buffer} buffer - Encoded image (JPEG, PNG, ...).
+ * @returns {Promise<{ buffer: Buffer, steps: string[], skewAngle: number, corners: Array<object>|null }>}
+ *   As preprocessForOcr.
+ */
+export function preprocessForOcrInWorker(buffer) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./ocrPreprocessWorker.js', import.meta.url), { workerData: buffer });
+        worker.once('message', ({ result, error }) => {
+            if (error) reject(new Error(error));
+            else resolve({ ...result, buffer: Buffer.from(result.buffer) });
+        });
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) reject(new Error(`OCR preprocessing stopped with exit code ${code}`));
+        });
+    });
+}
@@ -0,0 +1,8 @@
+import { parentPort, workerData } from 'worker_threads';
+import { preprocessForOcr } from './ocrPreprocess.js';
+
+// Cleans up one photo off the server's thread; started by preprocessForOcrInWorker
+preprocessForOcr(Buffer.from(workerData)).then(
+    (result) => parentPort.postMessage({ result }),
+    (error) => parentPort.postMessage({ error: error.message })
+);
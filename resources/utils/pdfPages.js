@@ -0,0 +1,87 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { createCanvas } from 'canvas';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Pages read from one PDF; later pages are ignored
+export const MAX_PDF_PAGES = 20;
+// A page with less embedded text than this is treated as scanned and OCR'd
+export const MIN_EMBEDDED_TEXT_LENGTH = 20;
+// Render scale for OCR (1 = 72 dpi); 2 gives Tesseract about 144 dpi
+export const PDF_RENDER_SCALE = 2;
+
+const require = createRequire(import.meta.url);
+const pdfjsDir = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+export function isPdfFile(file) {
+    return file.mimetype === 'application/pdf' || path.extname(file.originalname || '').toLowerCase() === '.pdf';
+}
+
+/**
+ * Reads the text of every page of a PDF.
+ * Pages with embedded text use it directly; scanned pages are rendered to PNG and passed to `ocr`.
+ * @param {Buffer} buffer - The PDF file.
+ * @param {object} options
+ * @param {Function} options.ocr - async (pngBuffer) => recognized text.
+ * @param {number} [options.maxPages]
+ * @returns {Promise<{ pageCount: number, pages: Array<{ pageNumber: number, text: string, method: 'text'|'ocr' }> }>}
+ *   `pageCount` is the document's full length; `pages` stops at `maxPages`.
+ */
+export async function extractPdfPages(buffer, { ocr, maxPages = MAX_PDF_PAGES }) {
+    const pdf = await getDocument({
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: path.join(pdfjsDir, 'standard_fonts') + path.sep,
+        cMapUrl: path.join(pdfjsDir, 'cmaps') + path.sep,
+        cMapPacked: true,
+        isEvalSupported: false
+    }).promise;
+
+    try {
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, maxPages); pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            try {
+                const content = await page.getTextContent();
+                const embeddedText = content.items
+                    .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+                    .join('')
+                    .replace(/[ \t]+/g, ' ')
+                    .trim();
+
+                if (embeddedText.length >= MIN_EMBEDDED_TEXT_LENGTH) {
+                    pages.push({ pageNumber, text: embeddedText, method: 'text' });
+                    continue;
+                }
+
+                // --- Scanned page: rasterize and OCR ---
+                const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+                const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+                const context = canvas.getContext('2d');
+                // Scans are often transparent where empty; OCR wants white paper
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                await page.render({ canvasContext: context, viewport }).promise;
+
+                const text = (await ocr(canvas.toBuffer('image/png'))).trim();
+                pages.push({ pageNumber, text, method: 'ocr' });
+            } finally {
+                page.cleanup();
+            }
+        }
+        return { pageCount: pdf.numPages, pages };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+/**
+ * Joins the pages of a document into one labelled block of text for the prompt.
+ */
+export function formatPdfText(name, { pageCount, pages }) {
+    const body = pages
+        .filter(page => page.text.length > 0)
+        .map(page => `--- ${name}, page ${page.pageNumber} of ${pageCount} ---\n${page.text}`)
+        .join('\n\n');
+    const skipped = pageCount - pages.length;
+    return skipped > 0 ? `${body}\n\n(${skipped} more pages were not read.)` : body;
+}
@@ -0,0 +1,30 @@
+import { copyFileSync, existsSync, mkdirSync } from 'fs'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+
+// Copies the OCR models from the @tesseract.js-data packages to resources/models/tessdata, where
+// the backend server reads them (resources/utils/ocrLanguages.js). Runs after `npm install`;
+// packaged builds get the same files through `extraResources` in package.json.
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..')
+const tessdataDir = join(root, 'resources/models/tessdata')
+
+// Language code -> model version; the script detection model only comes for the legacy engine
+const MODELS = {
+  eng: '4.0.0_best_int',
+  fra: '4.0.0_best_int',
+  spa: '4.0.0_best_int',
+  ara: '4.0.0_best_int',
+  osd: '4.0.0'
+}
+
+mkdirSync(tessdataDir, { recursive: true })
+for (const [code, version] of Object.entries(MODELS)) {
+  const file = `${code}.traineddata.gz`
+  const source = join(root, 'node_modules/@tesseract.js-data', code, version, file)
+  if (!existsSync(source)) {
+    console.warn(`[tessdata]: ${source} is missing; OCR in '${code}' will not be available.`)
+    continue
+  }
+  copyFileSync(source, join(tessdataDir, file))
+}
@@ -0,0 +1,420 @@
+import { app, BrowserWindow, dialog, ipcMain } from 'electron'
+import { createHash } from 'crypto'
+import { existsSync, readdirSync, statSync } from 'fs'
+import { readFile, rename, unlink, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { promisify } from 'util'
+import { gunzip, gzip } from 'zlib'
+import {
+  MIN_PASSPHRASE_LENGTH, sealBuffer, openBuffer, isUnlocked, onVaultChange, createPassphraseKdf, derivePassphraseKey
+} from './vault'
+import {
+  isCollectionName, readCollection, readCollections, saveCollection, removeCollection, flushStorage
+} from './storage'
+import { readUploadsForBackup, writeRestoredUploads } from './uploads'
+
+// Backups of the whole workspace in one file: every database collection (profile, records with
+// their calendar notes, prescriptions with their history, conversations, settings) and the
+// uploads they refer to. A backup file is
+//   MAGIC | header length (uint32 BE) | header JSON | body
+// The header can be read without the password: format version, when the backup was made, the
+// schema version of each collection, how the body is encrypted and the body's SHA-256. The body is the gzipped payload, encrypted with
+// a key derived from the password when one is given. The payload is
+//   manifest length (uint32 BE) | manifest JSON | entries
+// where the manifest lists every collection and file with its offset, length and SHA-256.
+
+const MAGIC = Buffer.from('GAMVRA-BACKUP\n')
+export const BACKUP_VERSION = 1
+const BACKUP_EXTENSION = 'gvbackup'
+const SCHEDULE_COLLECTION = 'backupSchedule'
+// Schema version of each collection; see src/renderer/src/api/dataSchema.jsx
+const SCHEMA_VERSIONS_COLLECTION = 'schemaVersions'
+// Belong to this computer and are neither backed up nor restored: the reminder state follows
+// this computer's notifications, the schedule its folders
+const LOCAL_COLLECTIONS = ['reminders', SCHEDULE_COLLECTION]
+const RESTORE_MODES = ['merge', 'replace']
+
+export const BACKUP_FREQUENCIES = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+}
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  folder: null,
+  frequency: 'daily',
+  // Automatic backups kept in the folder; older ones are deleted
+  keep: 7,
+  // { kdf, key } when scheduled backups are password-protected; the key, not the password, is kept
+  encryption: null,
+  lastBackupAt: null,
+  lastError: null
+}
+const MAX_KEEP = 100
+const SCHEDULE_CHECK_MS = 60 * 60 * 1000
+// The first check waits for the backend server, which knows where the uploads are
+const STARTUP_DELAY_MS = 2 * 60 * 1000
+// Only files named like this are deleted when old automatic backups are cleaned up
+const AUTO_BACKUP_FILE = /^gamvra-auto-backup-\d{8}-\d{4}\.gvbackup$/
+
+const gzipAsync = promisify(gzip)
+const gunzipAsync = promisify(gunzip)
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex')
+
+let schedule = null
+let scheduleTimer = null
+let startupTimer = null
+let scheduledRun = null
+// The backup file last picked for restoring; restore only reads the file the user picked
+let restoreFile = null
+
+const pad = (value) => String(value).padStart(2, '0')
+const timestamp = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`
+
+async function passwordEncryption(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The backup password needs at least ${MIN_PASSPHRASE_LENGTH} characters.`)
+  }
+  const kdf = createPassphraseKdf()
+  return { kdf, key: await derivePassphraseKey(password, kdf) }
+}
+
+// Collections and uploads laid out as the payload described at the top
+async function buildPayload() {
+  await flushStorage()
+  const collections = Object.entries(readCollections())
+    .filter(([name, value]) => !LOCAL_COLLECTIONS.includes(name) && value !== null)
+  const uploads = await readUploadsForBackup()
+
+  const manifest = { collections: [], files: [] }
+  const entries = []
+  let offset = 0
+  const add = (list, name, buffer) => {
+    list.push({ name, offset, length: buffer.length, sha256: sha256(buffer) })
+    entries.push(buffer)
+    offset += buffer.length
+  }
+  collections.forEach(([name, value]) => add(manifest.collections, name, Buffer.from(JSON.stringify(value), 'utf8')))
+  uploads.forEach(({ name, buffer }) => add(manifest.files, name, buffer))
+
+  const manifestBuffer = Buffer.from(JSON.stringify(manifest), 'utf8')
+  const manifestLength = Buffer.alloc(4)
+  manifestLength.writeUInt32BE(manifestBuffer.length)
+  return {
+    payload: Buffer.concat([manifestLength, manifestBuffer, ...entries]),
+    contents: { collections: manifest.collections.length, files: manifest.files.length },
+    schemaVersions: Object.fromEntries(collections)[SCHEMA_VERSIONS_COLLECTION] || null
+  }
+}
+
+/**
+ * Writes a backup of everything to a file.
+ * @param {string} filePath
+ * @param {{ kdf: object, key: Buffer }|null} encryption - Password-derived key, or null for none.
+ * @returns {Promise<{ path: string, createdAt: string, collections: number, files: number }>}
+ */
+export async function createBackup(filePath, encryption) {
+  if (!isUnlocked()) throw new Error('Unlock the app before making a backup.')
+  const { payload, contents, schemaVersions } = await buildPayload()
+  const compressed = await gzipAsync(payload)
+  const body = encryption ? sealBuffer(compressed, encryption.key) : compressed
+  const createdAt = new Date().toISOString()
+  const header = Buffer.from(JSON.stringify({
+    version: BACKUP_VERSION,
+    createdAt,
+    appVersion: app.getVersion(),
+    encryption: encryption ? { cipher: 'aes-256-gcm', kdf: encryption.kdf } : null,
+    contents,
+    schemaVersions,
+    sha256: sha256(body)
+  }), 'utf8')
+  const headerLength = Buffer.alloc(4)
+  headerLength.writeUInt32BE(header.length)
+
+  // A backup cut short must not look like a complete one
+  await writeFile(`${filePath}.partial`, Buffer.concat([MAGIC, headerLength, header, body]), { mode: 0o600 })
+  await rename(`${filePath}.partial`, filePath)
+  console.log(`[Backup]: Saved ${contents.collections} collection(s) and ${contents.files} file(s) to ${filePath}`)
+  return { path: filePath, createdAt, ...contents }
+}
+
+async function readBackupFile(filePath) {
+  const file = await readFile(filePath)
+  if (file.length < MAGIC.length + 4 || !file.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('This is not a GAMVRA backup file.')
+  }
+  const headerStart = MAGIC.length + 4
+  const headerEnd = headerStart + file.readUInt32BE(MAGIC.length)
+  let header
+  try {
+    header = JSON.parse(file.subarray(headerStart, headerEnd).toString('utf8'))
+  } catch {
+    throw new Error('The backup file is damaged.')
+  }
+  if (!Number.isInteger(header.version) || header.version < 1) throw new Error('The backup file is damaged.')
+  if (header.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of GAMVRA. Update the app to restore it.')
+  }
+  return { header, body: file.subarray(headerEnd) }
+}
+
+// Decrypts and unpacks a backup body, checking every checksum before anything is restored
+async function openBackupBody(header, body, password) {
+  if (sha256(body) !== header.sha256) throw new Error('The backup file is damaged; its checksum does not match.')
+
+  let compressed = body
+  if (header.encryption) {
+    if (!password) throw new Error('This backup is protected by a password.')
+    const key = await derivePassphraseKey(password, header.encryption.kdf)
+    try {
+      compressed = openBuffer(body, key)
+    } catch {
+      throw new Error('The backup password is wrong.')
+    }
+  }
+
+  const payload = await gunzipAsync(compressed)
+  const manifestEnd = 4 + payload.readUInt32BE(0)
+  const manifest = JSON.parse(payload.subarray(4, manifestEnd).toString('utf8'))
+  const readEntry = ({ name, offset, length, sha256: expected }) => {
+    const buffer = payload.subarray(manifestEnd + offset, manifestEnd + offset + length)
+    if (buffer.length !== length || sha256(buffer) !== expected) {
+      throw new Error(`The backup file is damaged; ${name} does not match its checksum.`)
+    }
+    return buffer
+  }
+
+  return {
+    collections: manifest.collections.map((entry) => {
+      if (!isCollectionName(entry.name)) throw new Error(`The backup file is damaged; ${entry.name} is not a collection.`)
+      return { name: entry.name, value: JSON.parse(readEntry(entry).toString('utf8')) }
+    }),
+    files: manifest.files.map((entry) => ({ name: entry.name, buffer: readEntry(entry) }))
+  }
+}
+
+// Merging keeps what is on this computer and adds what only the backup has. Lists (records,
+// prescriptions, conversations) are merged by id; an entry whose id is already here is the same
+// entry, and the copy here wins. Anything else (profile, settings) is only taken from the backup
+// when this computer has none.
+function mergeCollection(current, restored) {
+  if (current === null || current === undefined) return restored
+  if (!Array.isArray(current) || !Array.isArray(restored)) return current
+
+  const ids = new Set(current.map((item) => item?.id).filter((id) => id !== undefined))
+  const contents = new Set(current.map((item) => JSON.stringify(item)))
+  const added = restored.filter((item) => (item?.id !== undefined
+    ? !ids.has(item.id)
+    : !contents.has(JSON.stringify(item))))
+  return [...current, ...added]
+}
+
+// A merged collection holds entries from both sides, so it is marked with the older of the two
+// schema versions and the app upgrades it again at startup. Backups made before versions were
+// recorded count as version 0.
+function mergeSchemaVersions(current, restored) {
+  const names = new Set([...Object.keys(current || {}), ...Object.keys(restored || {})])
+  return Object.fromEntries([...names].map((name) => [name, Math.min(current?.[name] ?? 0, restored?.[name] ?? 0)]))
+}
+
+/**
+ * Restores a backup.
+ * @param {string} filePath
+ * @param {object} options
+ * @param {string} [options.password] - For password-protected backups.
+ * @param {'merge'|'replace'} options.mode - Merge with the data here, or replace it.
+ * @returns {Promise<{ createdAt: string, collections: number, files: number }>}
+ */
+export async function restoreBackup(filePath, { password, mode }) {
+  if (!isUnlocked()) throw new Error('Unlock the app before restoring a backup.')
+  if (!RESTORE_MODES.includes(mode)) throw new Error(`Unknown restore mode: ${mode}`)
+  const { header, body } = await readBackupFile(filePath)
+  const { collections, files } = await openBackupBody(header, body, password)
+
+  await flushStorage()
+  const current = readCollections()
+  // Files first, so restored records never point at attachments that are not there yet
+  const addedFiles = await writeRestoredUploads(files)
+  const restored = collections.filter(({ name }) => !LOCAL_COLLECTIONS.includes(name))
+  for (const { name, value } of restored) {
+    if (mode === 'merge' && name === SCHEMA_VERSIONS_COLLECTION) continue
+    await saveCollection(name, mode === 'merge' ? mergeCollection(current[name], value) : value)
+  }
+  if (mode === 'merge') {
+    const backupVersions = restored.find(({ name }) => name === SCHEMA_VERSIONS_COLLECTION)?.value
+    await saveCollection(SCHEMA_VERSIONS_COLLECTION, mergeSchemaVersions(current[SCHEMA_VERSIONS_COLLECTION], backupVersions))
+  }
+  if (mode === 'replace') {
+    const restoredNames = new Set(restored.map(({ name }) => name))
+    const dropped = Object.keys(current).filter((name) => !LOCAL_COLLECTIONS.includes(name) &&
+      !restoredNames.has(name) && current[name] !== null)
+    for (const name of dropped) {
+      await removeCollection(name)
+    }
+  }
+
+  console.log(`[Backup]: Restored ${restored.length} collection(s) and ${addedFiles} new file(s) from ${filePath} (${mode})`)
+  return { createdAt: header.createdAt, collections: restored.length, files: addedFiles }
+}
+
+// What the renderer sees of the schedule; the key stays in the main process
+const publicSchedule = () => {
+  const { encryption, ...visible } = schedule || DEFAULT_SCHEDULE
+  return { ...visible, encrypted: !!encryption }
+}
+
+function loadSchedule() {
+  schedule = { ...DEFAULT_SCHEDULE, ...readCollection(SCHEDULE_COLLECTION) }
+}
+
+async function pruneAutomaticBackups() {
+  const backups = readdirSync(schedule.folder).filter((file) => AUTO_BACKUP_FILE.test(file)).sort().reverse()
+  for (const file of backups.slice(schedule.keep)) {
+    await unlink(join(schedule.folder, file))
+  }
+}
+
+async function runScheduledBackup() {
+  const now = new Date()
+  try {
+    const encryption = schedule.encryption && {
+      kdf: schedule.encryption.kdf,
+      key: Buffer.from(schedule.encryption.key, 'base64')
+    }
+    await createBackup(join(schedule.folder, `gamvra-auto-backup-${timestamp(now)}.${BACKUP_EXTENSION}`), encryption)
+    await pruneAutomaticBackups()
+    schedule = { ...schedule, lastBackupAt: now.toISOString(), lastError: null }
+  } catch (error) {
+    // Tried again at the next check
+    console.error('[Backup]: Scheduled backup failed.', error)
+    schedule = { ...schedule, lastError: error.message }
+  }
+  await saveCollection(SCHEDULE_COLLECTION, schedule)
+}
+
+// Makes the scheduled backup if one is due; overlapping checks share one run
+function runDueBackup() {
+  if (scheduledRun || !schedule?.enabled || !schedule.folder || !isUnlocked()) return scheduledRun
+  const lastBackup = schedule.lastBackupAt ? new Date(schedule.lastBackupAt).getTime() : 0
+  if (Date.now() - lastBackup < BACKUP_FREQUENCIES[schedule.frequency]) return null
+  scheduledRun = runScheduledBackup()
+    .catch((error) => console.error('[Backup]: Could not save the backup schedule.', error))
+    .finally(() => {
+      scheduledRun = null
+    })
+  return scheduledRun
+}
+
+/**
+ * Changes the automatic backup schedule.
+ * @param {object} changes - Any of enabled, folder, frequency, keep; `password` sets a new
+ *   password for scheduled backups, null removes it.
+ * @returns {Promise<object>} The schedule as the renderer sees it.
+ */
+export async function updateSchedule(changes) {
+  if (!isUnlocked()) throw new Error('Unlock the app first.')
+  if (!schedule) loadSchedule()
+  const next = { ...schedule }
+  if (changes.frequency !== undefined) {
+    if (!BACKUP_FREQUENCIES[changes.frequency]) throw new Error(`Unknown backup frequency: ${changes.frequency}`)
+    next.frequency = changes.frequency
+  }
+  if (changes.keep !== undefined) {
+    if (!Number.isInteger(changes.keep) || changes.keep < 1 || changes.keep > MAX_KEEP) {
+      throw new Error(`Keep between 1 and ${MAX_KEEP} backups.`)
+    }
+    next.keep = changes.keep
+  }
+  if (changes.folder !== undefined) {
+    if (typeof changes.folder !== 'string' || !existsSync(changes.folder) || !statSync(changes.folder).isDirectory()) {
+      throw new Error('The backup folder does not exist.')
+    }
+    next.folder = changes.folder
+  }
+  if (changes.password !== undefined) {
+    const encryption = changes.password === null ? null : await passwordEncryption(changes.password)
+    next.encryption = encryption && { kdf: encryption.kdf, key: encryption.key.toString('base64') }
+  }
+  if (changes.enabled !== undefined) {
+    if (changes.enabled && !next.folder) throw new Error('Choose a folder for the backups first.')
+    next.enabled = !!changes.enabled
+  }
+
+  schedule = next
+  await saveCollection(SCHEDULE_COLLECTION, schedule)
+  runDueBackup()
+  return publicSchedule()
+}
+
+const parentWindow = (event) => BrowserWindow.fromWebContents(event.sender)
+
+/**
+ * Registers the backup IPC handlers and runs scheduled backups while the app is open. Call once,
+ * after the vault and storage have started.
+ */
+export function startBackups() {
+  ipcMain.handle('backup:create', async (event, password) => {
+    const encryption = password ? await passwordEncryption(password) : null
+    const { canceled, filePath } = await dialog.showSaveDialog(parentWindow(event), {
+      title: 'Save Backup',
+      defaultPath: join(app.getPath('documents'), `gamvra-backup-${timestamp(new Date())}.${BACKUP_EXTENSION}`),
+      filters: [{ name: 'GAMVRA Backup', extensions: [BACKUP_EXTENSION] }]
+    })
+    if (canceled || !filePath) return null
+    return createBackup(filePath, encryption)
+  })
+
+  ipcMain.handle('backup:choose-file', async (event) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow(event), {
+      title: 'Restore Backup',
+      properties: ['openFile'],
+      filters: [{ name: 'GAMVRA Backup', extensions: [BACKUP_EXTENSION] }]
+    })
+    if (canceled || filePaths.length === 0) return null
+    const { header } = await readBackupFile(filePaths[0])
+    restoreFile = filePaths[0]
+    return {
+      path: restoreFile,
+      createdAt: header.createdAt,
+      appVersion: header.appVersion,
+      encrypted: !!header.encryption,
+      ...header.contents
+    }
+  })
+
+  ipcMain.handle('backup:restore', (_, options) => {
+    if (!restoreFile) throw new Error('Choose a backup file first.')
+    return restoreBackup(restoreFile, options)
+  })
+
+  ipcMain.handle('backup:choose-folder', async (event) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow(event), {
+      title: 'Folder for Automatic Backups',
+      properties: ['openDirectory', 'createDirectory']
+    })
+    return canceled || filePaths.length === 0 ? null : filePaths[0]
+  })
+
+  ipcMain.handle('backup:schedule', () => {
+    if (!schedule && isUnlocked()) loadSchedule()
+    return publicSchedule()
+  })
+  ipcMain.handle('backup:update-schedule', (_, changes) => updateSchedule(changes))
+
+  // The schedule is in the encrypted database, so it is read once the vault is unlocked
+  onVaultChange((status) => {
+    if (status.locked) return
+    if (!schedule) loadSchedule()
+    runDueBackup()
+  })
+  if (isUnlocked()) loadSchedule()
+  startupTimer = setTimeout(runDueBackup, STARTUP_DELAY_MS)
+  scheduleTimer = setInterval(runDueBackup, SCHEDULE_CHECK_MS)
+}
+
+export function stopBackups() {
+  clearTimeout(startupTimer)
+  clearInterval(scheduleTimer)
+  startupTimer = null
+  scheduleTimer = null
+}
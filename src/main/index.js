@@ -1,14 +1,21 @@
-import { app, BrowserWindow, shell, dialog } from 'electron'
+import { app, BrowserWindow, shell, dialog, session } from 'electron'
 import { join } from 'path'
 import { electronApp, optimizer, is } from '@electron-toolkit/utils'
 import icon from '../../resources/icon.png?asset'
 import { spawn } from 'child_process' // Correctly import 'spawn'
 import path from 'path'
+import { startReminders, stopReminders } from './reminders'
+import { startStorage, flushStorage } from './storage'
+import { startVault, stopVault, onVaultChange } from './vault'
+import { startUploadVault, connectUploadServer, getUploadsToken, authorizeUploadRequests } from './uploads'
+import { startBackups, stopBackups } from './backup'
 
 // Global reference to the main window and the spawned process
 // to prevent them from being garbage collected.
 let mainWindow
 let gemmaServer
+// Set once pending database writes are done, so quitting can go ahead
+let storageFlushed = false
 
 /**
  * Starts the background gemma.js server process using spawn.
@@ -136,7 +143,8 @@ function startGemmaServer() {
     // Spawn the server process
     gemmaServer = spawn(nodeCommand, spawnArgs, {
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, NODE_ENV: 'production' }
+      // The server only serves uploads to requests carrying this token (see ./uploads)
+      env: { ...process.env, NODE_ENV: 'production', GAMVRA_UPLOADS_TOKEN: getUploadsToken() }
     })
   } catch (error) {
     console.error('[Gemma Loader]: CRITICAL - Failed to spawn gemma.js process.', error)
@@ -145,6 +153,13 @@ function startGemmaServer() {
     return
   }
 
+  // Uploads are encrypted with the vault key, which the server reads from its stdin
+  connectUploadServer(uploadsDir, (message) => {
+    if (gemmaServer && gemmaServer.stdin.writable) {
+      gemmaServer.stdin.write(`${JSON.stringify(message)}\n`)
+    }
+  })
+
   // Attach listeners to the spawned process's streams and events.
   // This is crucial for debugging and lifecycle management.
 
@@ -238,14 +253,45 @@ function createWindow() {
   }
 }
 
-app.whenReady().then(() => {
+// Brings the window back for reminder notifications and the tray, recreating it if it was closed
+function showMainWindow() {
+  if (!mainWindow) {
+    createWindow()
+    return
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore()
+  mainWindow.show()
+  mainWindow.focus()
+}
+
+app.whenReady().then(async () => {
   electronApp.setAppUserModelId('com.electron.gemma-app')
 
   app.on('browser-window-created', (_, window) => {
     optimizer.watchWindowShortcuts(window)
   })
 
+  // Patient data is read from the database before the window asks for it
+  try {
+    await startVault()
+    startStorage()
+    startUploadVault()
+    authorizeUploadRequests(session.defaultSession)
+    startBackups()
+  } catch (error) {
+    console.error('[Electron App]: Could not open the database.', error)
+    dialog.showErrorBox('Database Error', `Your saved data could not be opened.\n\n${error.message}`)
+    app.quit()
+    return
+  }
+
+  // The renderer shows the lock screen when the vault locks
+  onVaultChange((status) => {
+    mainWindow?.webContents.send('vault:changed', status)
+  })
+
   createWindow()
+  startReminders({ getMainWindow: () => mainWindow, showMainWindow, icon })
 
   app.on('activate', function () {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -261,7 +307,20 @@ app.on('window-all-closed', () => {
   }
 })
 
+// Let pending database writes finish before the app goes away
+app.on('before-quit', (event) => {
+  if (storageFlushed) return
+  event.preventDefault()
+  flushStorage().finally(() => {
+    storageFlushed = true
+    app.quit()
+  })
+})
+
 app.on('will-quit', () => {
+  stopReminders()
+  stopBackups()
+  stopVault()
   if (gemmaServer) {
     console.log('[Electron App]: App is quitting. Killing Gemma server process.')
     gemmaServer.kill()
@@ -0,0 +1,276 @@
+import { app, ipcMain, Notification, Tray, Menu, nativeImage, powerMonitor } from 'electron'
+import { existsSync, readFileSync, unlinkSync } from 'fs'
+import { join } from 'path'
+import { getOccurrences, toDateKey } from '../renderer/src/api/dosingSchedule.jsx'
+import { readCollection, saveCollection } from './storage'
+import { isUnlocked, onVaultChange } from './vault'
+
+// Medication reminders owned by the main process, so they fire while the window is minimized
+// or on another page. The renderer sends the prescriptions over IPC whenever they change; doses
+// taken or skipped from a reminder are queued here until the renderer records them. The state is
+// kept in the encrypted database, so it is read once the vault is unlocked; reminders already
+// loaded keep firing while it is locked.
+
+const CHECK_INTERVAL_MS = 30 * 1000
+const SNOOZE_MINUTES = 10
+// Doses older than this are not reminded after sleep or a restart
+const CATCH_UP_HOURS = 12
+// Doses missed by more than this while asleep are summed up in one notification
+const LATE_MINUTES = 60
+// How many due doses the tray menu lists
+const TRAY_DUE_LIMIT = 5
+
+const ACTIONS = ['taken', 'snoozed', 'skipped']
+
+let state = {
+  prescriptions: [],
+  // Occurrence id -> 'taken' | 'skipped' | 'notified'
+  handled: {},
+  // Occurrence id -> ISO time the snooze ends
+  snoozed: {},
+  // Events for recordMedicationEvent, waiting for the renderer
+  pendingEvents: [],
+  lastCheck: null
+}
+let stateLoaded = false
+let tray = null
+let timer = null
+let options = null
+// Shown notifications, kept referenced so their action handlers are not garbage collected
+const activeNotifications = new Map()
+
+// Where reminders were saved, unencrypted, before they moved into the database
+const legacyStorePath = () => join(app.getPath('userData'), 'reminders.json')
+
+function loadState() {
+  try {
+    const saved = readCollection('reminders')
+    if (saved) {
+      state = { ...state, ...saved }
+    } else if (existsSync(legacyStorePath())) {
+      state = { ...state, ...JSON.parse(readFileSync(legacyStorePath(), 'utf8')) }
+      saveCollection('reminders', state).then(() => unlinkSync(legacyStorePath()))
+    }
+  } catch (error) {
+    console.error('[Reminders]: Could not read saved reminders, starting fresh.', error)
+  }
+  stateLoaded = true
+}
+
+// Changes made while the vault is locked are saved when it unlocks
+function saveState() {
+  if (!stateLoaded || !isUnlocked()) return
+  saveCollection('reminders', state).catch((error) => {
+    console.error('[Reminders]: Could not save reminders.', error)
+  })
+}
+
+const dueAt = (occurrence) => new Date(`${occurrence.date}T${occurrence.time}:00`)
+const scheduledFor = (occurrence) => `${occurrence.date}T${occurrence.time}`
+
+// Whether the dose was already dealt with, here or in the app
+function isHandled(occurrence) {
+  const handled = state.handled[occurrence.id]
+  if (handled === 'taken' || handled === 'skipped') return true
+  return (occurrence.prescription.history || [])
+    .some((event) => event.scheduledFor === scheduledFor(occurrence))
+}
+
+// Doses due by now that are still waiting for the user, latest first
+function dueOccurrences(now = new Date()) {
+  const from = new Date(now.getTime() - CATCH_UP_HOURS * 60 * 60 * 1000)
+  return getOccurrences(state.prescriptions, from, now)
+    .filter((occurrence) => dueAt(occurrence) >= from && dueAt(occurrence) <= now)
+    .filter((occurrence) => !isHandled(occurrence))
+    .filter((occurrence) => !state.snoozed[occurrence.id] || new Date(state.snoozed[occurrence.id]) <= now)
+    .reverse()
+}
+
+function nextOccurrence(now = new Date()) {
+  const until = new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000)
+  return getOccurrences(state.prescriptions, now, until)
+    .find((occurrence) => dueAt(occurrence) > now && !isHandled(occurrence)) || null
+}
+
+/**
+ * Takes, snoozes or skips a dose from a notification or the tray.
+ * @param {object} occurrence - From getOccurrences.
+ * @param {'taken'|'snoozed'|'skipped'} action
+ */
+function respond(occurrence, action) {
+  activeNotifications.get(occurrence.id)?.close()
+  if (action === 'snoozed') {
+    state.snoozed[occurrence.id] = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000).toISOString()
+    state.handled[occurrence.id] = 'notified'
+  } else {
+    state.handled[occurrence.id] = action
+    delete state.snoozed[occurrence.id]
+    state.pendingEvents.push({
+      prescriptionId: occurrence.prescription.id,
+      type: action,
+      scheduledFor: scheduledFor(occurrence),
+      timestamp: new Date().toISOString()
+    })
+    options.getMainWindow()?.webContents.send('reminders:events')
+  }
+  saveState()
+  updateTray()
+}
+
+function notify(occurrence) {
+  if (!Notification.isSupported()) return
+  const { prescription, dose, time } = occurrence
+  const notification = new Notification({
+    title: `Time for ${prescription.name}`,
+    body: `${dose ? `${dose} · ` : ''}due at ${time}`,
+    icon: options.icon,
+    // Buttons are shown on macOS; elsewhere the same actions are in the tray menu
+    actions: [
+      { type: 'button', text: 'Take' },
+      { type: 'button', text: `Snooze ${SNOOZE_MINUTES} min` },
+      { type: 'button', text: 'Skip' }
+    ]
+  })
+  notification.on('action', (_, index) => respond(occurrence, ACTIONS[index]))
+  notification.on('click', () => options.showMainWindow())
+  notification.on('close', () => activeNotifications.delete(occurrence.id))
+  activeNotifications.set(occurrence.id, notification)
+  notification.show()
+}
+
+function notifyMissed(occurrences) {
+  if (!Notification.isSupported() || occurrences.length === 0) return
+  const names = [...new Set(occurrences.map((occurrence) => occurrence.prescription.name))]
+  const notification = new Notification({
+    title: `${occurrences.length} missed ${occurrences.length === 1 ? 'dose' : 'doses'}`,
+    body: `While you were away: ${names.join(', ')}. Open the tray menu to take or skip them.`,
+    icon: options.icon
+  })
+  notification.on('click', () => options.showMainWindow())
+  notification.show()
+}
+
+/**
+ * Notifies every dose that became due since the last check. After sleep or a restart the
+ * doses missed by more than LATE_MINUTES are summed up instead of notified one by one.
+ */
+function check() {
+  const now = new Date()
+  const late = new Date(now.getTime() - LATE_MINUTES * 60 * 1000)
+  const lastCheck = new Date(state.lastCheck)
+  // Due since the last check (which covers sleep and the time the app was closed), or back from a snooze
+  const fresh = dueOccurrences(now).filter((occurrence) => state.snoozed[occurrence.id]
+    || (dueAt(occurrence) > lastCheck && state.handled[occurrence.id] !== 'notified'))
+
+  const missed = fresh.filter((occurrence) => dueAt(occurrence) < late && !state.snoozed[occurrence.id])
+  fresh.filter((occurrence) => !missed.includes(occurrence)).forEach((occurrence) => {
+    delete state.snoozed[occurrence.id]
+    state.handled[occurrence.id] = 'notified'
+    notify(occurrence)
+  })
+  missed.forEach((occurrence) => {
+    state.handled[occurrence.id] = 'notified'
+  })
+  notifyMissed(missed)
+
+  // Forget doses too old to be reminded again
+  const cutoff = new Date(now.getTime() - 2 * CATCH_UP_HOURS * 60 * 60 * 1000)
+  Object.keys(state.handled).forEach((id) => {
+    // Occurrence ids end in ':<date>:<time>'
+    const [, date, time] = id.match(/:(\d{4}-\d{2}-\d{2}):(\d{2}:\d{2})$/) || []
+    if (date && new Date(`${date}T${time}:00`) < cutoff) {
+      delete state.handled[id]
+      delete state.snoozed[id]
+    }
+  })
+
+  state.lastCheck = now.toISOString()
+  saveState()
+  updateTray()
+}
+
+function updateTray() {
+  if (!tray) return
+  const next = nextOccurrence()
+  const due = dueOccurrences().slice(0, TRAY_DUE_LIMIT)
+  const nextLabel = next
+    ? `Next dose: ${next.prescription.name} at ${next.time}${next.date !== toDateKey(new Date()) ? ` (${next.date})` : ''}`
+    : 'No upcoming doses'
+
+  tray.setToolTip(due.length > 0 ? `${due.length} ${due.length === 1 ? 'dose' : 'doses'} due · ${nextLabel}` : nextLabel)
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: nextLabel, enabled: false },
+    ...(due.length > 0 ? [{ type: 'separator' }, { label: 'Due now', enabled: false }] : []),
+    ...due.map((occurrence) => ({
+      label: `${occurrence.prescription.name} · ${occurrence.time}`,
+      submenu: [
+        { label: 'Take', click: () => respond(occurrence, 'taken') },
+        { label: `Snooze ${SNOOZE_MINUTES} min`, click: () => respond(occurrence, 'snoozed') },
+        { label: 'Skip', click: () => respond(occurrence, 'skipped') }
+      ]
+    })),
+    { type: 'separator' },
+    { label: 'Open GAMVRA', click: () => options.showMainWindow() },
+    { label: 'Quit', click: () => app.quit() }
+  ]))
+}
+
+/**
+ * Starts the reminder scheduler, its tray icon and IPC handlers.
+ * @param {object} startOptions
+ * @param {Function} startOptions.getMainWindow - Returns the window to tell about new events, or null.
+ * @param {Function} startOptions.showMainWindow - Brings the app to the front.
+ * @param {string} startOptions.icon - Path of the app icon.
+ */
+export function startReminders(startOptions) {
+  options = startOptions
+  if (isUnlocked()) loadState()
+  // The first run starts from now rather than reminding of everything earlier today
+  if (!state.lastCheck) state.lastCheck = new Date().toISOString()
+
+  onVaultChange((status) => {
+    if (status.locked) return
+    if (stateLoaded) {
+      saveState()
+    } else {
+      loadState()
+      check()
+    }
+  })
+
+  ipcMain.on('reminders:sync', (_, prescriptions) => {
+    state.prescriptions = Array.isArray(prescriptions) ? prescriptions : []
+    saveState()
+    updateTray()
+  })
+  ipcMain.handle('reminders:drain', () => {
+    const events = state.pendingEvents
+    state.pendingEvents = []
+    saveState()
+    return events
+  })
+
+  try {
+    tray = new Tray(nativeImage.createFromPath(options.icon).resize({ width: 16, height: 16 }))
+    tray.on('click', () => options.showMainWindow())
+  } catch (error) {
+    console.error('[Reminders]: Tray icon is not available on this system.', error)
+  }
+
+  // Catch up on doses that came due while the computer was asleep or locked
+  powerMonitor.on('resume', check)
+  powerMonitor.on('unlock-screen', check)
+
+  check()
+  timer = setInterval(check, CHECK_INTERVAL_MS)
+  console.log('[Reminders]: Medication reminders started.')
+}
+
+export function stopReminders() {
+  clearInterval(timer)
+  timer = null
+  tray?.destroy()
+  tray = null
+  ipcMain.removeAllListeners('reminders:sync')
+  ipcMain.removeHandler('reminders:drain')
+}
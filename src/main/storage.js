@@ -0,0 +1,226 @@
+import { app, ipcMain } from 'electron'
+import { existsSync, readdirSync, readFileSync, renameSync, unlinkSync } from 'fs'
+import { copyFile, mkdir, readFile, rename, rm, unlink, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { sealBuffer, openBuffer, isUnlocked, registerVaultParticipant } from './vault'
+
+// Patient data store owned by the main process. Each collection the renderer keeps (records,
+// prescriptions, conversations, user data...) is one document, saved as its own AES-256-GCM
+// encrypted file under <userData>/database. The renderer always reads and writes a collection
+// as a whole, so a file per collection gives the same guarantees a table would without a native
+// database module. The key comes from the vault (vault.js).
+
+// Collection names become file names, so only simple ones are accepted
+const COLLECTION_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/
+
+// Copies of the database taken before saved data is upgraded; only the latest few are kept
+const MAX_SNAPSHOTS = 3
+const SNAPSHOT_LABEL = /^[a-z0-9-]{1,40}$/
+
+// Every write waits for the one before it, and for a key change in progress
+let writeChain = Promise.resolve()
+const saveListeners = []
+
+const databaseDir = () => join(app.getPath('userData'), 'database')
+const collectionPath = (name) => join(databaseDir(), `${name}.db`)
+const snapshotsDir = () => join(databaseDir(), 'snapshots')
+
+const encrypt = (value, key) => sealBuffer(Buffer.from(JSON.stringify(value), 'utf8'), key)
+const decrypt = (buffer, key) => JSON.parse(openBuffer(buffer, key).toString('utf8'))
+
+const collectionNames = () => readdirSync(databaseDir())
+  .filter((file) => file.endsWith('.db'))
+  .map((file) => file.slice(0, -'.db'.length))
+
+const snapshotFiles = () => (existsSync(snapshotsDir()) ? readdirSync(snapshotsDir()) : [])
+  .flatMap((snapshot) => readdirSync(join(snapshotsDir(), snapshot))
+    .filter((file) => file.endsWith('.db'))
+    .map((file) => join(snapshotsDir(), snapshot, file)))
+
+export const isCollectionName = (name) => typeof name === 'string' && COLLECTION_NAME.test(name)
+
+function assertCollection(name) {
+  if (!isCollectionName(name)) {
+    throw new Error(`Invalid collection name: ${name}`)
+  }
+}
+
+function enqueue(task) {
+  const run = writeChain.catch(() => {}).then(task)
+  writeChain = run
+  return run
+}
+
+// Finishes writes cut short by a crash or a key change: a complete .tmp file is the newest
+// version of its collection, a partial one is dropped
+function recoverPendingWrites() {
+  readdirSync(databaseDir())
+    .filter((file) => file.endsWith('.db.tmp'))
+    .forEach((file) => {
+      const tmpPath = join(databaseDir(), file)
+      try {
+        decrypt(readFileSync(tmpPath))
+        renameSync(tmpPath, tmpPath.slice(0, -'.tmp'.length))
+      } catch {
+        unlinkSync(tmpPath)
+      }
+    })
+}
+
+/**
+ * Reads one collection.
+ * @param {string} name - Collection name.
+ * @returns {*} Its value, or null if it was never saved.
+ */
+export function readCollection(name) {
+  assertCollection(name)
+  if (!existsSync(collectionPath(name))) return null
+  return decrypt(readFileSync(collectionPath(name)))
+}
+
+/**
+ * Reads every collection in the store.
+ * @returns {Object<string, *>} Collection name -> its value.
+ */
+export function readCollections() {
+  if (!isUnlocked()) throw new Error('The vault is locked.')
+  const collections = {}
+  collectionNames().forEach((name) => {
+    try {
+      collections[name] = readCollection(name)
+    } catch (error) {
+      // A file that cannot be decrypted is left untouched rather than overwritten
+      console.error(`[Storage]: Could not read collection "${name}".`, error)
+      throw new Error(`The saved ${name} could not be read.`)
+    }
+  })
+  return collections
+}
+
+/**
+ * Reads every collection after finishing writes a crash cut short. For the renderer's first
+ * load; while writes may be under way, use readCollections.
+ * @returns {Object<string, *>} Collection name -> its value.
+ */
+export function loadCollections() {
+  if (!isUnlocked()) throw new Error('The vault is locked.')
+  recoverPendingWrites()
+  return readCollections()
+}
+
+/**
+ * Saves a collection. The file is written next to the old one and renamed over it, so a crash
+ * mid-write leaves the previous version in place.
+ * @param {string} name - Collection name.
+ * @param {*} value - Any JSON value.
+ */
+export function saveCollection(name, value) {
+  assertCollection(name)
+  const path = collectionPath(name)
+  return enqueue(async () => {
+    await writeFile(`${path}.tmp`, encrypt(value), { mode: 0o600 })
+    await rename(`${path}.tmp`, path)
+    saveListeners.forEach((listener) => listener(name, value))
+  })
+}
+
+/**
+ * Calls back after a collection is saved (removed collections are saved as null).
+ * @param {Function} listener - (name, value) => void
+ */
+export function onCollectionSaved(listener) {
+  saveListeners.push(listener)
+}
+
+/**
+ * Deletes a collection. It is saved as null, which reads back as no data.
+ * @param {string} name - Collection name.
+ */
+export function removeCollection(name) {
+  return saveCollection(name, null)
+}
+
+// Re-encrypts every collection, and the snapshots, for a new vault key. Writes wait until the key
+// change is done.
+async function prepareRekey(oldKey, newKey) {
+  let release
+  const held = new Promise((resolve) => {
+    release = resolve
+  })
+  const previous = writeChain
+  writeChain = previous.catch(() => {}).then(() => held)
+  await previous.catch(() => {})
+
+  const paths = [...collectionNames().map(collectionPath), ...snapshotFiles()]
+  const dropCopies = () => Promise.all(paths.map((path) => unlink(`${path}.tmp`).catch(() => {})))
+  try {
+    for (const path of paths) {
+      const value = decrypt(await readFile(path), oldKey)
+      await writeFile(`${path}.tmp`, encrypt(value, newKey), { mode: 0o600 })
+    }
+  } catch (error) {
+    await dropCopies()
+    release()
+    throw error
+  }
+
+  return {
+    commit: async () => {
+      for (const path of paths) {
+        await rename(`${path}.tmp`, path)
+      }
+      release()
+    },
+    abort: async () => {
+      await dropCopies()
+      release()
+    }
+  }
+}
+
+/**
+ * Copies every collection, still encrypted, into database/snapshots/<time>-<label>. Runs between
+ * writes, so the copy is consistent. Older snapshots beyond the last few are deleted.
+ * @param {string} label - Why the snapshot was taken, e.g. 'before-schema-upgrade'.
+ * @returns {Promise<string>} The snapshot's folder.
+ */
+export function snapshotDatabase(label) {
+  if (typeof label !== 'string' || !SNAPSHOT_LABEL.test(label)) throw new Error(`Invalid snapshot label: ${label}`)
+  return enqueue(async () => {
+    const dir = join(snapshotsDir(), `${new Date().toISOString().replace(/[:.]/g, '-')}-${label}`)
+    await mkdir(dir, { recursive: true })
+    for (const name of collectionNames()) {
+      await copyFile(collectionPath(name), join(dir, `${name}.db`))
+    }
+    const stale = readdirSync(snapshotsDir()).sort().reverse().slice(MAX_SNAPSHOTS)
+    for (const snapshot of stale) {
+      await rm(join(snapshotsDir(), snapshot), { recursive: true, force: true })
+    }
+    console.log(`[Storage]: Snapshot saved to ${dir}`)
+    return dir
+  })
+}
+
+/**
+ * Registers the store's IPC handlers. The vault must be started first; while it is locked,
+ * reads and writes fail.
+ */
+export function startStorage() {
+  registerVaultParticipant({ prepareRekey, beforeLock: flushStorage })
+
+  ipcMain.handle('storage:load', () => loadCollections())
+  // The renderer sends JSON text, see setItem in src/renderer/src/api/storage.jsx
+  ipcMain.handle('storage:set', (_, name, json) => saveCollection(name, JSON.parse(json)))
+  ipcMain.handle('storage:remove', (_, name) => removeCollection(name))
+  ipcMain.handle('storage:snapshot', (_, label) => snapshotDatabase(label))
+  console.log(`[Storage]: Database at ${databaseDir()}`)
+}
+
+/**
+ * Waits for pending writes so nothing is lost when the app quits or locks.
+ */
+export function flushStorage() {
+  return writeChain.catch((error) => {
+    console.error('[Storage]: A write failed.', error)
+  })
+}
@@ -0,0 +1,231 @@
+import { randomBytes } from 'crypto'
+import { existsSync, readdirSync } from 'fs'
+import { readFile, rename, unlink, writeFile } from 'fs/promises'
+import { basename, join } from 'path'
+import {
+  ATTACHMENT_MAGIC, sealBuffer, openBuffer, isUnlocked, getDataKey, onVaultChange, registerVaultParticipant
+} from './vault'
+import { readCollections, onCollectionSaved } from './storage'
+
+// Images the backend server saves in its uploads folder are encrypted with the vault key too.
+// The server gets the key over its stdin whenever the vault unlocks, locks or changes key, and
+// this module re-encrypts the folder on key changes and encrypts files saved before the vault.
+//
+// The folder is also the attachment store (resources/utils/attachmentStore.js): saved data refers
+// to attachments by id, and the server deletes the ones nothing refers to. This module counts
+// the references in every collection and reports them whenever one is saved.
+//
+// The server serves uploads and attachments decrypted, so only to requests carrying this
+// session's token: it gets the token when it starts, and this module adds it to every request
+// the app's window makes to the server.
+
+const TMP_SUFFIX = '.vault-tmp'
+const UPLOADS_UNKNOWN = 'The uploads folder is not known until the backend server has started.'
+// Files of the attachment store: <content hash>[.ext] and <content hash>.thumb.webp
+const ATTACHMENT_FILE = /^([a-f0-9]{64})(\.thumb\.webp|\.[a-z0-9]{1,8})?$/
+const SERVER_URL = 'http://localhost:3010/'
+const UPLOADS_TOKEN_HEADER = 'X-Gamvra-Uploads-Token'
+const uploadsToken = randomBytes(32).toString('hex')
+
+let uploadsDir = null
+let sendToServer = null
+let currentKey = null
+// Collection name -> attachment ids it refers to; null until every collection has been read
+let references = null
+
+const uploadFiles = () => (uploadsDir && existsSync(uploadsDir)
+  ? readdirSync(uploadsDir).filter((file) => !file.endsWith(TMP_SUFFIX) && !file.startsWith('.'))
+  : [])
+
+const isSealed = (buffer) => buffer.subarray(0, ATTACHMENT_MAGIC.length).equals(ATTACHMENT_MAGIC)
+const seal = (buffer, key) => Buffer.concat([ATTACHMENT_MAGIC, sealBuffer(buffer, key)])
+const open = (buffer, key) => (isSealed(buffer) ? openBuffer(buffer.subarray(ATTACHMENT_MAGIC.length), key) : buffer)
+
+// null tells the server to refuse new uploads until it hears again
+function sendKey(key) {
+  currentKey = key
+  sendToServer?.({ type: 'vault', key: key ? key.toString('base64') : null })
+}
+
+// Any `attachmentId` string or `attachmentIds` array in a saved value, however deeply nested, is
+// a reference (e.g. record files, the analyzed image of a record, images of a chat message)
+function collectAttachmentIds(value, ids = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectAttachmentIds(item, ids))
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (/attachmentId$/i.test(key) && typeof item === 'string') ids.push(item)
+      else if (/attachmentIds$/i.test(key) && Array.isArray(item)) ids.push(...item.filter((id) => typeof id === 'string'))
+      else collectAttachmentIds(item, ids)
+    })
+  }
+  return ids
+}
+
+function sendReferences() {
+  if (!references) return
+  const counts = {}
+  for (const ids of references.values()) {
+    ids.forEach((id) => {
+      counts[id] = (counts[id] || 0) + 1
+    })
+  }
+  sendToServer?.({ type: 'attachments', references: counts })
+}
+
+// The server only deletes attachments once it knows about every reference, so nothing is sent
+// until all collections could be read
+function loadReferences() {
+  try {
+    references = new Map(Object.entries(readCollections()).map(([name, value]) => [name, collectAttachmentIds(value)]))
+    sendReferences()
+  } catch (error) {
+    console.error('[Uploads]: Could not count attachment references.', error)
+  }
+}
+
+// Writes a file's new content next to it; the returned function swaps it in
+async function stage(file, buffer) {
+  const path = join(uploadsDir, file)
+  await writeFile(`${path}${TMP_SUFFIX}`, buffer, { mode: 0o600 })
+  return () => rename(`${path}${TMP_SUFFIX}`, path)
+}
+
+// Encrypts uploads saved before the vault existed (or by a server run outside the app)
+async function sealPlainUploads() {
+  for (const file of uploadFiles()) {
+    const buffer = await readFile(join(uploadsDir, file))
+    if (isSealed(buffer) || !isUnlocked()) continue
+    const swap = await stage(file, seal(buffer))
+    await swap()
+  }
+}
+
+async function prepareRekey(oldKey, newKey) {
+  // The server must not save with the old key while the folder is being re-encrypted
+  sendKey(null)
+  const files = uploadFiles()
+  const swaps = []
+  const dropCopies = () => Promise.all(files.map((file) => unlink(join(uploadsDir, `${file}${TMP_SUFFIX}`)).catch(() => {})))
+  try {
+    for (const file of files) {
+      const buffer = await readFile(join(uploadsDir, file))
+      swaps.push(await stage(file, seal(open(buffer, oldKey), newKey)))
+    }
+  } catch (error) {
+    await dropCopies()
+    sendKey(oldKey)
+    throw error
+  }
+
+  return {
+    commit: async () => {
+      for (const swap of swaps) {
+        await swap()
+      }
+      sendKey(newKey)
+    },
+    abort: async () => {
+      await dropCopies()
+      sendKey(oldKey)
+    }
+  }
+}
+
+/**
+ * Keeps the uploads folder in step with the vault. Call once, after the vault has started.
+ */
+export function startUploadVault() {
+  registerVaultParticipant({ prepareRekey })
+  onVaultChange((status, key) => {
+    if (key === currentKey) return
+    sendKey(key)
+    if (!key) return
+    sealPlainUploads().catch((error) => console.error('[Uploads]: Could not encrypt old uploads.', error))
+    if (references) sendReferences()
+    else loadReferences()
+  })
+  onCollectionSaved((name, value) => {
+    if (!references) return
+    references.set(name, collectAttachmentIds(value))
+    sendReferences()
+  })
+}
+
+/**
+ * The token the backend server asks for before serving uploads; new every time the app starts.
+ * @returns {string}
+ */
+export const getUploadsToken = () => uploadsToken
+
+/**
+ * Adds the uploads token to every request the app makes to the backend server, images included.
+ * @param {Electron.Session} session - The session of the app's window.
+ */
+export function authorizeUploadRequests(session) {
+  session.webRequest.onBeforeSendHeaders((details, callback) => {
+    const { requestHeaders } = details
+    if (details.url.startsWith(SERVER_URL)) requestHeaders[UPLOADS_TOKEN_HEADER] = uploadsToken
+    callback({ requestHeaders })
+  })
+}
+
+/**
+ * Reads the uploads a backup should keep, decrypted: every attachment something refers to, with
+ * its thumbnail, and the files saved before the attachment store (older chats link to them).
+ * @returns {Promise<Array<{ name: string, buffer: Buffer }>>}
+ */
+export async function readUploadsForBackup() {
+  if (!uploadsDir) throw new Error(UPLOADS_UNKNOWN)
+  if (!references) loadReferences()
+  if (!references) throw new Error('The saved data could not be read.')
+  const referenced = new Set([...references.values()].flat())
+  const files = uploadFiles().filter((file) => {
+    const match = ATTACHMENT_FILE.exec(file)
+    return !match || referenced.has(match[1])
+  })
+
+  const uploads = []
+  for (const file of files) {
+    uploads.push({ name: file, buffer: open(await readFile(join(uploadsDir, file))) })
+  }
+  return uploads
+}
+
+/**
+ * Saves uploads from a backup, encrypted. Files that are already there are kept; attachments
+ * are named after their content, so they are the same file.
+ * @param {Array<{ name: string, buffer: Buffer }>} uploads
+ * @returns {Promise<number>} How many files were added.
+ */
+export async function writeRestoredUploads(uploads) {
+  if (!uploadsDir) throw new Error(UPLOADS_UNKNOWN)
+  let added = 0
+  for (const { name, buffer } of uploads) {
+    // Names come from the backup file; only plain file names are accepted
+    if (basename(name) !== name || name.startsWith('.') || name.endsWith(TMP_SUFFIX)) continue
+    if (existsSync(join(uploadsDir, name))) continue
+    const swap = await stage(name, seal(buffer))
+    await swap()
+    added++
+  }
+  // The server lists its attachments once at startup
+  if (added > 0) sendToServer?.({ type: 'reindex-attachments' })
+  return added
+}
+
+/**
+ * Connects a freshly started backend server: where it saves uploads and how to message it.
+ * @param {string} dir - The server's uploads folder.
+ * @param {Function} send - Sends one message object to the server.
+ */
+export function connectUploadServer(dir, send) {
+  uploadsDir = dir
+  sendToServer = send
+  sendKey(getDataKey())
+  if (isUnlocked()) {
+    sealPlainUploads().catch((error) => console.error('[Uploads]: Could not encrypt old uploads.', error))
+    if (references) sendReferences()
+    else loadReferences()
+  }
+}
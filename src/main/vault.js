@@ -0,0 +1,287 @@
+import { app, ipcMain, safeStorage, powerMonitor } from 'electron'
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto'
+import { existsSync, mkdirSync, readFileSync } from 'fs'
+import { rename, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { promisify } from 'util'
+
+// The vault holds the key every piece of saved patient data is encrypted with: the database
+// collections (storage.js), the reminder state and the uploaded images. The key itself is kept
+// either by the OS keychain ('device' mode, unlocked automatically) or wrapped with a key derived
+// from the user's passphrase ('passphrase' mode, unlocked on the lock screen and locked again
+// after inactivity).
+
+const scryptAsync = promisify(scrypt)
+
+const IV_BYTES = 12
+const TAG_BYTES = 16
+const KEY_BYTES = 32
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 }
+// scrypt needs 128 * N * r bytes; Node's default limit is exactly that, leave some room
+const SCRYPT_MAXMEM = 64 * 1024 * 1024
+export const MIN_PASSPHRASE_LENGTH = 8
+export const AUTO_LOCK_OPTIONS = [0, 5, 10, 15, 30, 60]
+const DEFAULT_AUTO_LOCK_MINUTES = 10
+const AUTO_LOCK_CHECK_MS = 30 * 1000
+
+// First bytes of every encrypted attachment file, so files saved before the vault are recognized
+export const ATTACHMENT_MAGIC = Buffer.from('GVLT1')
+
+let config = null
+let dataKey = null
+let lastActivity = Date.now()
+let autoLockTimer = null
+// { prepareRekey(oldKey, newKey) -> { commit, abort }, beforeLock() } from the modules that encrypt
+const participants = []
+const statusListeners = []
+
+const vaultDir = () => join(app.getPath('userData'), 'database')
+const keyPath = () => join(vaultDir(), 'key')
+
+/**
+ * Encrypts a buffer with AES-256-GCM. The result is iv | tag | ciphertext.
+ * @param {Buffer} buffer
+ * @param {Buffer} [key] - Defaults to the vault key.
+ */
+export function sealBuffer(buffer, key = dataKey) {
+  if (!key) throw new Error('The vault is locked.')
+  const iv = randomBytes(IV_BYTES)
+  const cipher = createCipheriv('aes-256-gcm', key, iv)
+  const body = Buffer.concat([cipher.update(buffer), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), body])
+}
+
+/**
+ * Decrypts a buffer made by sealBuffer. Throws if it was changed or the key is wrong.
+ * @param {Buffer} buffer
+ * @param {Buffer} [key] - Defaults to the vault key.
+ */
+export function openBuffer(buffer, key = dataKey) {
+  if (!key) throw new Error('The vault is locked.')
+  const iv = buffer.subarray(0, IV_BYTES)
+  const tag = buffer.subarray(IV_BYTES, IV_BYTES + TAG_BYTES)
+  const decipher = createDecipheriv('aes-256-gcm', key, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + TAG_BYTES)), decipher.final()])
+}
+
+export const isUnlocked = () => dataKey !== null
+
+// For handing the key to the backend server, which encrypts uploads itself
+export const getDataKey = () => dataKey
+
+/**
+ * Lets a module that encrypts files take part in key changes and locking.
+ * @param {object} participant
+ * @param {Function} participant.prepareRekey - (oldKey, newKey) => Promise of { commit, abort }.
+ *   Writes the re-encrypted copies next to the originals; commit swaps them in, abort drops them.
+ * @param {Function} [participant.beforeLock] - Finishes pending writes before the key is dropped.
+ */
+export function registerVaultParticipant(participant) {
+  participants.push(participant)
+}
+
+/**
+ * Calls back with the vault status and key (null while locked) whenever either changes.
+ * @param {Function} listener - (status, key) => void
+ */
+export function onVaultChange(listener) {
+  statusListeners.push(listener)
+}
+
+export function getVaultStatus() {
+  return {
+    mode: config.mode,
+    locked: !isUnlocked(),
+    keychainAvailable: safeStorage.isEncryptionAvailable(),
+    autoLockMinutes: config.autoLockMinutes
+  }
+}
+
+function notify() {
+  const status = getVaultStatus()
+  statusListeners.forEach((listener) => listener(status, dataKey))
+}
+
+/**
+ * Settings for deriving a key from a passphrase, with a fresh salt. Kept next to whatever the
+ * key encrypts, so the same passphrase derives the same key again.
+ */
+export function createPassphraseKdf() {
+  return { name: 'scrypt', salt: randomBytes(16).toString('base64'), ...SCRYPT }
+}
+
+/**
+ * Derives a 256-bit key from a passphrase.
+ * @param {string} passphrase
+ * @param {object} kdf - From createPassphraseKdf.
+ * @returns {Promise<Buffer>}
+ */
+export async function derivePassphraseKey(passphrase, kdf) {
+  return scryptAsync(passphrase.normalize('NFKC'), Buffer.from(kdf.salt, 'base64'), KEY_BYTES, {
+    N: kdf.N, r: kdf.r, p: kdf.p, maxmem: SCRYPT_MAXMEM
+  })
+}
+
+// The key file for a data key protected the way `mode` asks
+async function wrapKey(key, mode, passphrase) {
+  const autoLockMinutes = config?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES
+  if (mode === 'passphrase') {
+    const kdf = createPassphraseKdf()
+    const wrapped = sealBuffer(key, await derivePassphraseKey(passphrase, kdf))
+    return { mode, kdf, key: wrapped.toString('base64'), autoLockMinutes }
+  }
+  const encoded = key.toString('base64')
+  const canProtect = safeStorage.isEncryptionAvailable()
+  if (!canProtect) {
+    console.warn('[Vault]: OS keychain is not available; the data key is stored unprotected.')
+  }
+  return {
+    mode: 'device',
+    protected: canProtect,
+    key: canProtect ? safeStorage.encryptString(encoded).toString('base64') : encoded,
+    autoLockMinutes
+  }
+}
+
+async function writeConfig(nextConfig) {
+  await writeFile(`${keyPath()}.tmp`, JSON.stringify(nextConfig), { mode: 0o600 })
+  await rename(`${keyPath()}.tmp`, keyPath())
+  config = nextConfig
+}
+
+/**
+ * Unlocks a passphrase vault.
+ * @returns {Promise<boolean>} False if the passphrase is wrong.
+ */
+export async function unlockVault(passphrase) {
+  if (isUnlocked()) return true
+  if (config.mode !== 'passphrase' || typeof passphrase !== 'string') return false
+  try {
+    const wrappingKey = await derivePassphraseKey(passphrase, config.kdf)
+    dataKey = openBuffer(Buffer.from(config.key, 'base64'), wrappingKey)
+  } catch {
+    return false
+  }
+  lastActivity = Date.now()
+  notify()
+  return true
+}
+
+/**
+ * Drops the key after pending writes are done. Device vaults cannot be locked; they would
+ * unlock again without asking.
+ */
+export async function lockVault() {
+  if (!isUnlocked() || config.mode !== 'passphrase') return
+  await Promise.all(participants.map((participant) => participant.beforeLock?.()))
+  dataKey = null
+  console.log('[Vault]: Locked.')
+  notify()
+}
+
+/**
+ * Changes how the data key is protected: sets, changes or removes the passphrase. A new data
+ * key is made and everything is re-encrypted with it, so the old passphrase no longer opens
+ * anything. The re-encrypted files are written next to the old ones and only swapped in after
+ * the new key file is saved.
+ * @param {object} change
+ * @param {'device'|'passphrase'} change.mode
+ * @param {string} [change.currentPassphrase] - Required when a passphrase is set now.
+ * @param {string} [change.passphrase] - The new passphrase, for 'passphrase' mode.
+ */
+export async function changeVaultProtection({ mode, currentPassphrase, passphrase }) {
+  if (!isUnlocked()) throw new Error('Unlock the vault first.')
+  if (mode !== 'device' && mode !== 'passphrase') throw new Error(`Unknown vault mode: ${mode}`)
+  if (mode === 'passphrase' && (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH)) {
+    throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters.`)
+  }
+  if (config.mode === 'passphrase') {
+    try {
+      openBuffer(Buffer.from(config.key, 'base64'), await derivePassphraseKey(currentPassphrase || '', config.kdf))
+    } catch {
+      throw new Error('The current passphrase is wrong.')
+    }
+  }
+
+  const oldKey = dataKey
+  const newKey = randomBytes(KEY_BYTES)
+  const prepared = []
+  try {
+    for (const participant of participants) {
+      prepared.push(await participant.prepareRekey(oldKey, newKey))
+    }
+    await writeConfig(await wrapKey(newKey, mode, passphrase))
+  } catch (error) {
+    await Promise.all(prepared.map((step) => step.abort()))
+    throw error
+  }
+  dataKey = newKey
+  for (const step of prepared) {
+    await step.commit()
+  }
+  console.log(`[Vault]: Data re-encrypted; protected by ${mode === 'passphrase' ? 'a passphrase' : 'this device'}.`)
+  notify()
+  return getVaultStatus()
+}
+
+export async function setAutoLockMinutes(minutes) {
+  if (!AUTO_LOCK_OPTIONS.includes(minutes)) throw new Error(`Unsupported auto-lock time: ${minutes}`)
+  await writeConfig({ ...config, autoLockMinutes: minutes })
+  notify()
+  return getVaultStatus()
+}
+
+// Locks a passphrase vault once the app has seen no input for the configured time
+function checkAutoLock() {
+  const minutes = config.autoLockMinutes
+  if (minutes > 0 && Date.now() - lastActivity >= minutes * 60 * 1000) {
+    lockVault()
+  }
+}
+
+/**
+ * Reads the key file, creating a device-protected key the first time, and registers the
+ * vault's IPC handlers. Device vaults are unlocked right away.
+ */
+export async function startVault() {
+  mkdirSync(vaultDir(), { recursive: true })
+  if (existsSync(keyPath())) {
+    // Key files written before the vault have no mode and are device-protected
+    const stored = JSON.parse(readFileSync(keyPath(), 'utf8'))
+    config = { mode: 'device', autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES, ...stored }
+  } else {
+    const key = randomBytes(KEY_BYTES)
+    await writeConfig(await wrapKey(key, 'device'))
+  }
+
+  if (config.mode === 'device') {
+    const encoded = config.protected
+      ? safeStorage.decryptString(Buffer.from(config.key, 'base64'))
+      : config.key
+    dataKey = Buffer.from(encoded, 'base64')
+  }
+
+  ipcMain.handle('vault:status', () => getVaultStatus())
+  ipcMain.handle('vault:unlock', (_, passphrase) => unlockVault(passphrase))
+  ipcMain.handle('vault:lock', () => lockVault())
+  ipcMain.handle('vault:change-protection', (_, change) => changeVaultProtection(change))
+  ipcMain.handle('vault:auto-lock', (_, minutes) => setAutoLockMinutes(minutes))
+  ipcMain.on('vault:activity', () => {
+    lastActivity = Date.now()
+  })
+
+  // Leaving the computer counts as leaving the app, unless auto-lock is turned off
+  const lockWithComputer = () => {
+    if (config.autoLockMinutes > 0) lockVault()
+  }
+  powerMonitor.on('lock-screen', lockWithComputer)
+  powerMonitor.on('suspend', lockWithComputer)
+  autoLockTimer = setInterval(checkAutoLock, AUTO_LOCK_CHECK_MS)
+  console.log(`[Vault]: Opened in ${config.mode} mode${isUnlocked() ? '' : ', locked'}.`)
+}
+
+export function stopVault() {
+  clearInterval(autoLockTimer)
+  autoLockTimer = null
+}
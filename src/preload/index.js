@@ -1,8 +1,56 @@
-import { contextBridge } from 'electron'
+import { contextBridge, ipcRenderer } from 'electron'
 import { electronAPI } from '@electron-toolkit/preload'
 
 // Custom APIs for renderer
-const api = {}
+const api = {
+  // Patient data store in the main process; see src/main/storage.js
+  storage: {
+    load: () => ipcRenderer.invoke('storage:load'),
+    set: (name, json) => ipcRenderer.invoke('storage:set', name, json),
+    remove: (name) => ipcRenderer.invoke('storage:remove', name),
+    // Copies the database before saved data is upgraded
+    snapshot: (label) => ipcRenderer.invoke('storage:snapshot', label)
+  },
+  // Encryption key for all saved data; see src/main/vault.js
+  vault: {
+    status: () => ipcRenderer.invoke('vault:status'),
+    unlock: (passphrase) => ipcRenderer.invoke('vault:unlock', passphrase),
+    lock: () => ipcRenderer.invoke('vault:lock'),
+    changeProtection: (change) => ipcRenderer.invoke('vault:change-protection', change),
+    setAutoLockMinutes: (minutes) => ipcRenderer.invoke('vault:auto-lock', minutes),
+    // Tells the main process the user is still there, for auto-lock
+    reportActivity: () => ipcRenderer.send('vault:activity'),
+    // Calls back with the new status; returns the unsubscribe function
+    onChange: (callback) => {
+      const listener = (_, status) => callback(status)
+      ipcRenderer.on('vault:changed', listener)
+      return () => ipcRenderer.removeListener('vault:changed', listener)
+    }
+  },
+  // Backup files and scheduled backups; see src/main/backup.js
+  backup: {
+    create: (password) => ipcRenderer.invoke('backup:create', password),
+    // Asks for a backup file and returns what its header says, or null
+    chooseFile: () => ipcRenderer.invoke('backup:choose-file'),
+    // Restores the file last chosen
+    restore: (options) => ipcRenderer.invoke('backup:restore', options),
+    chooseFolder: () => ipcRenderer.invoke('backup:choose-folder'),
+    schedule: () => ipcRenderer.invoke('backup:schedule'),
+    updateSchedule: (changes) => ipcRenderer.invoke('backup:update-schedule', changes)
+  },
+  // Medication reminders run in the main process; see src/main/reminders.js
+  reminders: {
+    sync: (prescriptions) => ipcRenderer.send('reminders:sync', prescriptions),
+    // Doses taken or skipped from a reminder since the last call
+    drainEvents: () => ipcRenderer.invoke('reminders:drain'),
+    // Calls back when reminder events are waiting; returns the unsubscribe function
+    onEvents: (callback) => {
+      const listener = () => callback()
+      ipcRenderer.on('reminders:events', listener)
+      return () => ipcRenderer.removeListener('reminders:events', listener)
+    }
+  }
+}
 
 // Use `contextBridge` APIs to expose Electron APIs to
 // renderer only if context isolation is enabled, otherwise
@@ -1,10 +1,16 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { BrowserRouter, Routes, Route, useNavigate, useLocation } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
 import { useGemma } from './api/gemma'; // Import the hook
 import { loadUserData, useUserData } from './api/userDataManagement'; // Import user data management utilities
+import { openStorage, closeStorage } from './api/storage'; // Import the local database
+import { hasLegacyRecordFiles, migrateRecordAttachments } from './api/attachments';
+import { migrateStoredData } from './api/dataSchema';
+import { getVaultStatus, onVaultChange, watchActivity } from './api/vault'; // Import the encryption vault
 import LoadingModal from './components/LoadingModal'; // Import the LoadingModal component
 import Sidebar from './components/Sidebar'; // Import the Sidebar component
 import SplashScreen from './components/SplashScreen'; // Import the SplashScreen component
+import UnlockScreen from './components/UnlockScreen'; // Import the UnlockScreen component
 import OnboardingScreen from './components/OnboardingScreen'; // Import the OnboardingScreen component
 import NavigationWrapper from './components/NavigationWrapper'; // Import our navigation wrapper
 import { PatientRecordsProvider } from './components/PatientRecordsContext'; // Import the PatientRecordsProvider
@@ -47,11 +53,11 @@ const InitialNavigationHandler = ({ children }) => {
 };
 
 // Main App Content Component
-const AppContent = () => {
+const AppContent = ({ showSplashScreen = true }) => {
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [isLoading, setIsLoading] = useState(true);
   const [loadingStatus, setLoadingStatus] = useState('starting');
-  const [showSplash, setShowSplash] = useState(true);
+  const [showSplash, setShowSplash] = useState(showSplashScreen);
   const [showOnboarding, setShowOnboarding] = useState(false);
   const [initialLoad, setInitialLoad] = useState(true);
   
@@ -179,9 +185,93 @@ const AppContent = () => {
 };
 
 const MedicalAIApp = () => {
+  // Saved data has to be read from the local database before any page uses it, and the vault
+  // has to be unlocked before the database can be read
+  const [storageStatus, setStorageStatus] = useState('opening');
+  const [storageError, setStorageError] = useState(null);
+  const [hasUnlocked, setHasUnlocked] = useState(false);
+
+  const openData = useCallback(() => {
+    setStorageStatus('opening');
+    openStorage()
+      // Pages read saved data as soon as they mount, so it is upgraded first
+      .then(() => migrateStoredData())
+      .then(async () => {
+        // Records from before the attachment store still hold their files as data URLs. They are
+        // moved before any page loads the records; the server may still be starting, so this can
+        // take a while once. Records that could not be moved keep working with their data URLs.
+        if (hasLegacyRecordFiles()) {
+          setStorageStatus('upgrading');
+          await migrateRecordAttachments()
+            .catch(error => console.error('Could not move record files into the attachment store:', error));
+        }
+        setStorageStatus('ready');
+      })
+      .catch(error => {
+        console.error('Could not open the local database:', error);
+        setStorageError(error.message);
+        setStorageStatus('error');
+      });
+  }, []);
+
+  useEffect(() => {
+    getVaultStatus()
+      .then(status => (status.locked ? setStorageStatus('locked') : openData()))
+      .catch(error => {
+        console.error('Could not reach the vault:', error);
+        setStorageError(error.message);
+        setStorageStatus('error');
+      });
+  }, [openData]);
+
+  // Back to the lock screen whenever the vault locks, e.g. after inactivity
+  useEffect(() => onVaultChange(status => {
+    if (status.locked) {
+      closeStorage();
+      setStorageStatus('locked');
+    }
+  }), []);
+
+  // Any input while the app is open restarts the auto-lock timer
+  useEffect(() => (storageStatus === 'ready' ? watchActivity() : undefined), [storageStatus]);
+
+  const handleUnlocked = () => {
+    setHasUnlocked(true);
+    openData();
+  };
+
+  if (storageStatus === 'opening') return null;
+
+  if (storageStatus === 'upgrading') {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-100 font-sans">
+        <div className="max-w-md p-6 bg-white rounded-xl shadow text-center">
+          <Loader2 className="w-6 h-6 mx-auto mb-3 text-teal-600 animate-spin" />
+          <h1 className="text-lg font-semibold text-gray-900">Updating your saved records</h1>
+          <p className="mt-2 text-sm text-gray-600">Files attached to older records are being moved to the new storage. This only happens once.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (storageStatus === 'locked') return <UnlockScreen onUnlocked={handleUnlocked} />;
+
+  if (storageStatus === 'error') {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-100 font-sans">
+        <div className="max-w-md p-6 bg-white rounded-xl shadow text-center">
+          <h1 className="text-lg font-semibold text-gray-900">Your saved data could not be opened</h1>
+          <p className="mt-2 text-sm text-gray-600">{storageError}</p>
+          <p className="mt-2 text-sm text-gray-600">Nothing has been changed. Restart the app to try again.</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <BrowserRouter>
-      <AppContent />
+      {/* The lock screen already took the place of the splash screen */}
+      <AppContent showSplashScreen={!hasUnlocked} />
     </BrowserRouter>
   );
 };
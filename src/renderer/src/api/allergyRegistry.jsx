@@ -0,0 +1,213 @@
+// The user's allergies and medical conditions, kept in userData as `allergyRegistry`, and the
+// checks that flag a medication the user is allergic to or should avoid with a condition.
+import { matchDrugName, CONFIDENT_MATCH } from './drugDictionary';
+import { resolvePrescriptionDrug } from './drugInteractions';
+import { loadUserData } from './userDataManagement';
+
+export const ALLERGY = 'allergy';
+export const CONDITION = 'condition';
+
+export const REGISTRY_SEVERITIES = ['mild', 'moderate', 'severe'];
+
+// Classes whose members are close enough that an allergy to one is treated as an allergy to all
+const ALLERGY_CLASSES = [
+  'penicillin', 'cephalosporin', 'macrolide', 'fluoroquinolone', 'tetracycline',
+  'sulfonamide', 'nsaid', 'opioid', 'ace-inhibitor'
+];
+
+// What people write for an allergy to a whole class
+const CLASS_ALLERGEN_NAMES = {
+  penicillin: ['penicillin', 'penicillins', 'pcn', 'beta lactam', 'beta lactams'],
+  cephalosporin: ['cephalosporin', 'cephalosporins'],
+  macrolide: ['macrolide', 'macrolides'],
+  fluoroquinolone: ['fluoroquinolone', 'fluoroquinolones', 'quinolone', 'quinolones'],
+  tetracycline: ['tetracycline', 'tetracyclines'],
+  sulfonamide: ['sulfa', 'sulpha', 'sulfa drugs', 'sulfonamide', 'sulfonamides'],
+  nsaid: ['nsaid', 'nsaids', 'anti inflammatory', 'anti inflammatories', 'anti inflammatory drugs'],
+  opioid: ['opioid', 'opioids', 'opiate', 'opiates', 'narcotics'],
+  'ace-inhibitor': ['ace inhibitor', 'ace inhibitors']
+};
+
+const CLASS_LABELS = {
+  penicillin: 'penicillins',
+  cephalosporin: 'cephalosporins',
+  macrolide: 'macrolide antibiotics',
+  fluoroquinolone: 'fluoroquinolone antibiotics',
+  tetracycline: 'tetracyclines',
+  sulfonamide: 'sulfa drugs',
+  nsaid: 'anti-inflammatory painkillers (NSAIDs)',
+  opioid: 'opioids',
+  'ace-inhibitor': 'ACE inhibitors'
+};
+
+// Classes that occasionally react with an allergy to another class
+const CROSS_REACTIONS = {
+  penicillin: ['cephalosporin'],
+  cephalosporin: ['penicillin']
+};
+
+// Medications to avoid with common conditions; `drugs` lists drug ids or `class:<name>` as in drugInteractions
+export const CONTRAINDICATIONS = [
+  { names: ['asthma'], drugs: ['class:beta-blocker'], severity: 'major', effect: 'Beta-blockers can tighten the airways and bring on an asthma attack.' },
+  { names: ['asthma'], drugs: ['class:nsaid'], severity: 'moderate', effect: 'Anti-inflammatory painkillers can set off asthma in some people.' },
+  { names: ['kidney disease', 'kidney failure', 'renal failure', 'renal disease', 'ckd'], drugs: ['class:nsaid'], severity: 'major', effect: 'Anti-inflammatory painkillers can further harm the kidneys.' },
+  { names: ['kidney disease', 'kidney failure', 'renal failure', 'renal disease', 'ckd'], drugs: ['metformin', 'nitrofurantoin', 'lithium'], severity: 'moderate', effect: 'Cleared by the kidneys; the dose may need lowering or another medicine may suit better.' },
+  { names: ['liver disease', 'cirrhosis', 'hepatitis', 'liver failure'], drugs: ['methotrexate'], severity: 'contraindicated', effect: 'Methotrexate can cause serious liver damage.' },
+  { names: ['liver disease', 'cirrhosis', 'hepatitis', 'liver failure'], drugs: ['acetaminophen', 'hydrocodone-acetaminophen', 'valproate'], severity: 'moderate', effect: 'Harder on a weakened liver; the daily dose may need to be limited.' },
+  { names: ['stomach ulcer', 'peptic ulcer', 'ulcer', 'gastrointestinal bleeding', 'gi bleed', 'stomach bleeding'], drugs: ['class:nsaid'], severity: 'major', effect: 'Anti-inflammatory painkillers can cause an ulcer to bleed.' },
+  { names: ['stomach ulcer', 'peptic ulcer', 'ulcer', 'gastrointestinal bleeding', 'gi bleed', 'stomach bleeding'], drugs: ['class:anticoagulant', 'class:antiplatelet', 'class:corticosteroid'], severity: 'moderate', effect: 'Raises the risk of bleeding from the stomach.' },
+  { names: ['bleeding disorder', 'hemophilia', 'haemophilia', 'von willebrand'], drugs: ['class:anticoagulant', 'class:antiplatelet', 'class:nsaid'], severity: 'major', effect: 'Makes bleeding more likely and harder to stop.' },
+  { names: ['heart failure'], drugs: ['class:nsaid'], severity: 'major', effect: 'Anti-inflammatory painkillers make the body hold on to fluid and can worsen heart failure.' },
+  { names: ['heart failure'], drugs: ['diltiazem', 'verapamil'], severity: 'major', effect: 'Can weaken the heart muscle further.' },
+  { names: ['pregnancy', 'pregnant'], drugs: ['class:ace-inhibitor', 'class:arb', 'warfarin', 'methotrexate', 'valproate'], severity: 'contraindicated', effect: 'Can harm the unborn baby.' },
+  { names: ['pregnancy', 'pregnant'], drugs: ['class:statin', 'class:tetracycline', 'lithium', 'carbamazepine', 'phenytoin'], severity: 'major', effect: 'Not usually taken during pregnancy; check with your doctor.' },
+  { names: ['epilepsy', 'seizures', 'seizure disorder'], drugs: ['tramadol', 'bupropion'], severity: 'major', effect: 'Lowers the seizure threshold.' },
+  { names: ['myasthenia gravis'], drugs: ['class:fluoroquinolone', 'class:macrolide'], severity: 'major', effect: 'Can make muscle weakness worse, including the breathing muscles.' },
+  { names: ['long qt', 'qt prolongation', 'long qt syndrome'], drugs: ['class:macrolide', 'class:fluoroquinolone', 'class:antipsychotic', 'citalopram', 'escitalopram', 'ondansetron', 'amiodarone', 'hydroxychloroquine'], severity: 'major', effect: 'Can prolong the QT interval further and cause a dangerous heart rhythm.' },
+  { names: ['g6pd deficiency', 'g6pd'], drugs: ['nitrofurantoin', 'class:sulfonamide', 'hydroxychloroquine'], severity: 'major', effect: 'Can break down red blood cells (hemolysis).' },
+  { names: ['glaucoma'], drugs: ['class:tricyclic-antidepressant', 'diphenhydramine'], severity: 'moderate', effect: 'Can raise eye pressure in angle-closure glaucoma.' },
+  { names: ['gout'], drugs: ['class:thiazide-diuretic', 'furosemide'], severity: 'moderate', effect: 'Diuretics raise uric acid and can trigger gout attacks.' },
+  { names: ['diabetes'], drugs: ['class:corticosteroid'], severity: 'moderate', effect: 'Steroids raise blood sugar.' },
+  { names: ['enlarged prostate', 'bph', 'prostatic hyperplasia'], drugs: ['diphenhydramine', 'class:tricyclic-antidepressant'], severity: 'moderate', effect: 'Can make it harder to pass urine.' }
+];
+
+const normalize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Whole-word search so "ulcer" does not match inside other words
+const mentions = (text, name) => ` ${text} `.includes(` ${name} `);
+
+const KIND_ORDER = ['allergy', 'cross-reactivity', 'condition'];
+
+const matchesDrugList = (drug, list) => list.some(entry => (entry.startsWith('class:')
+  ? drug.classes.includes(entry.slice(6))
+  : drug.id === entry));
+
+/**
+ * What an allergy entry covers in the drug dictionary: a named class ("penicillin", "sulfa"),
+ * or a drug together with the allergy classes it belongs to.
+ * @param {string} substance
+ * @returns {{ drug: object|null, classes: string[] }|null} Null for substances the dictionary
+ *   does not know (foods, latex...), which are kept but cannot be checked.
+ */
+export const resolveAllergen = (substance) => {
+  const text = normalize(substance);
+  if (!text) return null;
+
+  const namedClass = Object.keys(CLASS_ALLERGEN_NAMES)
+    .find(drugClass => CLASS_ALLERGEN_NAMES[drugClass].includes(text));
+  if (namedClass) return { drug: null, classes: [namedClass] };
+
+  const [best] = matchDrugName(substance, '', { limit: 1 });
+  if (!best || best.score < CONFIDENT_MATCH) return null;
+  return { drug: best.drug, classes: best.drug.classes.filter(drugClass => ALLERGY_CLASSES.includes(drugClass)) };
+};
+
+// "penicillins", "Ibuprofen and other anti-inflammatory painkillers (NSAIDs)": what a registry entry is checked against, for the editor
+export const describeAllergen = (substance) => {
+  const allergen = resolveAllergen(substance);
+  if (!allergen) return null;
+  const classLabels = allergen.classes.map(drugClass => CLASS_LABELS[drugClass]);
+  if (!allergen.drug) return classLabels.join(', ');
+  return classLabels.length > 0
+    ? `${allergen.drug.name} and other ${classLabels.join(', ')}`
+    : allergen.drug.name;
+};
+
+// Contraindication rules that apply to a condition entry
+const conditionRules = (substance) => {
+  const text = normalize(substance);
+  return text ? CONTRAINDICATIONS.filter(rule => rule.names.some(name => mentions(text, name))) : [];
+};
+
+export const isRecognizedCondition = (substance) => conditionRules(substance).length > 0;
+
+/**
+ * Checks a medication against the allergy and condition registry.
+ * @param {object} prescription - Needs `name`, and `drugId`/`dosage` when known.
+ * @param {object[]} registry - Entries `{ id, type, substance, reaction, severity }`.
+ * @returns {{ id: string, kind: 'allergy'|'cross-reactivity'|'condition', entry: object,
+ *   drug: object, severity: string, message: string, blocking: boolean }[]}
+ *   Allergies first. `blocking` ones need the user's explicit go-ahead before saving.
+ */
+export const checkAllergies = (prescription, registry = []) => {
+  const drug = resolvePrescriptionDrug(prescription);
+  if (!drug || registry.length === 0) return [];
+
+  const warnings = [];
+  registry.forEach(entry => {
+    if (entry.type === CONDITION) {
+      const rule = conditionRules(entry.substance).find(candidate => matchesDrugList(drug, candidate.drugs));
+      if (!rule) return;
+      warnings.push({
+        id: `${entry.id}:condition`,
+        kind: 'condition',
+        entry,
+        drug,
+        severity: rule.severity,
+        message: `${entry.substance}: ${rule.effect}`,
+        blocking: rule.severity === 'contraindicated'
+      });
+      return;
+    }
+
+    const allergen = resolveAllergen(entry.substance);
+    if (!allergen) return;
+    const reaction = entry.reaction ? ` (${entry.reaction})` : '';
+    const sharedClass = allergen.classes.find(drugClass => drug.classes.includes(drugClass));
+    if ((allergen.drug && allergen.drug.id === drug.id) || sharedClass) {
+      warnings.push({
+        id: `${entry.id}:allergy`,
+        kind: 'allergy',
+        entry,
+        drug,
+        severity: entry.severity || 'severe',
+        message: allergen.drug?.id === drug.id
+          ? `You are allergic to ${entry.substance}${reaction}.`
+          : `${drug.name} is one of the ${CLASS_LABELS[sharedClass]}, and you are allergic to ${entry.substance}${reaction}.`,
+        blocking: true
+      });
+      return;
+    }
+
+    const crossClass = allergen.classes
+      .flatMap(drugClass => CROSS_REACTIONS[drugClass] || [])
+      .find(drugClass => drug.classes.includes(drugClass));
+    if (crossClass) {
+      warnings.push({
+        id: `${entry.id}:cross-reactivity`,
+        kind: 'cross-reactivity',
+        entry,
+        drug,
+        severity: entry.severity || 'moderate',
+        message: `${drug.name} is one of the ${CLASS_LABELS[crossClass]}, which occasionally cause reactions in people allergic to ${entry.substance}${reaction}.`,
+        blocking: true
+      });
+    }
+  });
+
+  return warnings.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+};
+
+// A new empty registry entry
+export const createRegistryEntry = (type = ALLERGY) => ({
+  id: `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  type,
+  substance: '',
+  reaction: '',
+  severity: type === ALLERGY ? 'moderate' : ''
+});
+
+// The registry as saved in userData
+export const loadAllergyRegistry = () => loadUserData('userData')?.allergyRegistry || [];
+
+// "Penicillin allergy (hives, severe)" / "Asthma" for prompts and summaries
+export const describeRegistryEntry = ({ type, substance, reaction, severity }) => {
+  const details = [reaction, severity].filter(Boolean).join(', ');
+  const label = type === ALLERGY ? `${substance} allergy` : substance;
+  return details ? `${label} (${details})` : label;
+};
@@ -0,0 +1,135 @@
+import { getItem, setItem } from './storage';
+
+// Files attached to records and conversations live in the server's attachment store
+// (resources/utils/attachmentStore.js), once per distinct content. Saved data keeps only their
+// ids, under `attachmentId` or `attachmentIds`: the main process counts those references and the
+// server deletes files nothing refers to any more (src/main/uploads.js).
+
+const API_URL = 'http://localhost:3010';
+const ATTACHMENT_URL = /^http:\/\/localhost:3010\/attachments\/([a-f0-9]{64})$/;
+
+// Records saved before the store kept their files as data URLs; the server may still be starting
+const MIGRATION_ATTEMPTS = 10;
+const MIGRATION_RETRY_MS = 6 * 1000;
+
+export const attachmentUrl = (id) => `${API_URL}/attachments/${id}`;
+
+// Small WebP preview of an image attachment
+export const thumbnailUrl = (id) => `${API_URL}/attachments/${id}/thumbnail`;
+
+/**
+ * @returns {string|null} The id of an attachment URL returned by the server, or null.
+ */
+export const attachmentIdFromUrl = (url) => ATTACHMENT_URL.exec(url || '')?.[1] || null;
+
+/**
+ * Stores files in the attachment store. A file stored before is found again, not copied.
+ * @param {Array<File|Blob>} files
+ * @returns {Promise<Array<{ id: string, url: string, thumbnailUrl: string }>>} In the order given.
+ */
+export const storeAttachments = async (files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('file', file, file.name));
+  const response = await fetch(`${API_URL}/attachments`, { method: 'POST', body: formData });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Failed to store the files (${response.status})`);
+  }
+  return result.attachments;
+};
+
+/**
+ * Where to show a record file: its attachment, or the data URL older records kept.
+ * @param {object} file - A record file.
+ * @param {object} [options]
+ * @param {boolean} [options.thumbnail] - The small preview of an image instead.
+ */
+export const recordFileUrl = (file, { thumbnail = false } = {}) => {
+  if (!file.attachmentId) return file.url || null;
+  return thumbnail ? thumbnailUrl(file.attachmentId) : attachmentUrl(file.attachmentId);
+};
+
+/**
+ * The image a record was analyzed from, if any.
+ */
+export const recordImageUrl = (record) => (
+  record.returnedAttachmentId ? attachmentUrl(record.returnedAttachmentId) : record.returnedImageUrl || null
+);
+
+/**
+ * What a chat message keeps of the image URLs the server returned: their attachment ids, or the
+ * URLs themselves when one of them is not in the store.
+ * @param {string[]} imageUrls
+ * @returns {{ attachmentIds: string[] }|{ imageUrls: string[] }}
+ */
+export const toImageReferences = (imageUrls) => {
+  const attachmentIds = imageUrls.map(attachmentIdFromUrl);
+  return attachmentIds.every(Boolean) ? { attachmentIds } : { imageUrls };
+};
+
+/**
+ * Image URLs of a chat message, whichever way it was saved.
+ * @returns {string[]}
+ */
+export const messageImageUrls = (message) => {
+  if (message.attachmentIds?.length) return message.attachmentIds.map(attachmentUrl);
+  if (message.imageUrls?.length) return message.imageUrls;
+  return message.imageUrl ? [message.imageUrl] : [];
+};
+
+const dataUrlToFile = (dataUrl, name) => {
+  const [header, data] = dataUrl.split(',');
+  const type = header.slice('data:'.length).split(';')[0] || 'application/octet-stream';
+  const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+  return new File([Uint8Array.from(binary, char => char.charCodeAt(0))], name, { type });
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const legacyRecordFiles = () => (getItem('medicalRecords') || [])
+  .flatMap(record => record.files || [])
+  .filter(file => !file.attachmentId && file.url?.startsWith('data:'));
+
+/**
+ * Whether some records still keep their files as data URLs, from before the attachment store.
+ */
+export const hasLegacyRecordFiles = () => legacyRecordFiles().length > 0;
+
+/**
+ * Moves the files of records saved before the attachment store into it, replacing their data
+ * URLs with attachment ids. Safe to run on every start; it does nothing once all are moved.
+ * Run it before any page reads the records: a page holding the old records would save the data
+ * URLs back.
+ * @returns {Promise<number>} How many files were moved.
+ */
+export const migrateRecordAttachments = async () => {
+  const legacyFiles = legacyRecordFiles();
+  if (legacyFiles.length === 0) return 0;
+
+  const idsByUrl = new Map();
+  for (const file of legacyFiles) {
+    if (idsByUrl.has(file.url)) continue;
+    for (let attempt = 1; !idsByUrl.has(file.url); attempt++) {
+      try {
+        const [stored] = await storeAttachments([dataUrlToFile(file.url, file.name || 'attachment')]);
+        idsByUrl.set(file.url, stored.id);
+      } catch (error) {
+        if (attempt >= MIGRATION_ATTEMPTS) throw error;
+        await wait(MIGRATION_RETRY_MS);
+      }
+    }
+  }
+
+  // Only the moved files are replaced, whatever else the records hold
+  const records = (getItem('medicalRecords') || []).map(record => ({
+    ...record,
+    files: (record.files || []).map(file => {
+      if (!idsByUrl.has(file.url)) return file;
+      const { url, ...rest } = file;
+      return { ...rest, attachmentId: idsByUrl.get(url) };
+    })
+  }));
+  await setItem('medicalRecords', records);
+  console.log(`📎 Moved ${idsByUrl.size} record file(s) into the attachment store`);
+  return idsByUrl.size;
+};
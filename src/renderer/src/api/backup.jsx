@@ -0,0 +1,66 @@
+import { mainProcessMessage } from './vault';
+
+// Backups are made and restored by the main process (src/main/backup.js): one file with every
+// collection of saved data and the uploads they refer to, optionally protected by a password.
+
+export const BACKUP_FREQUENCY_OPTIONS = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'weekly', label: 'Every week' }
+];
+
+const backupApi = () => {
+  const api = window.api?.backup;
+  if (!api) throw new Error('Backups are not available.');
+  return api;
+};
+
+// Errors thrown in the main process reach here wrapped; callers show the message as it is
+const call = async (method, ...args) => {
+  try {
+    return await backupApi()[method](...args);
+  } catch (error) {
+    throw new Error(mainProcessMessage(error));
+  }
+};
+
+/**
+ * Asks where to save and writes a backup there.
+ * @param {string} [password] - Protects the backup; without one it is not encrypted.
+ * @returns {Promise<{ path: string, createdAt: string, collections: number, files: number }|null>}
+ *   Null when the user cancelled.
+ */
+export const createBackup = (password) => call('create', password || null);
+
+/**
+ * Asks for a backup file to restore.
+ * @returns {Promise<{ path: string, createdAt: string, appVersion: string, encrypted: boolean, collections: number, files: number }|null>}
+ *   What the file says about itself, or null when the user cancelled.
+ */
+export const chooseBackupFile = () => call('chooseFile');
+
+/**
+ * Restores the backup file chosen last. The app should reload afterwards.
+ * @param {object} options
+ * @param {string} [options.password]
+ * @param {'merge'|'replace'} options.mode - Add to the data here, or replace it.
+ * @returns {Promise<{ createdAt: string, collections: number, files: number }>}
+ */
+export const restoreBackup = (options) => call('restore', options);
+
+/**
+ * @returns {Promise<string|null>} The folder the user chose, or null.
+ */
+export const chooseBackupFolder = () => call('chooseFolder');
+
+/**
+ * @returns {Promise<{ enabled: boolean, folder: string|null, frequency: string, keep: number, encrypted: boolean, lastBackupAt: string|null, lastError: string|null }>}
+ */
+export const getBackupSchedule = () => call('schedule');
+
+/**
+ * Changes the automatic backups.
+ * @param {object} changes - Any of enabled, folder, frequency, keep; `password` protects the
+ *   scheduled backups, null stops protecting them.
+ * @returns {Promise<object>} The new schedule.
+ */
+export const updateBackupSchedule = (changes) => call('updateSchedule', changes);
@@ -1,38 +1,36 @@
 import { useState, useEffect, useCallback } from 'react';
+import { getItem, setItem } from './storage';
+import { messageImageUrls, toImageReferences } from './attachments';
 
 /**
  * Custom hook to manage conversation persistence and history.
- * Handles saving, loading, updating, and deleting conversations from localStorage.
+ * Handles saving, loading, updating, and deleting conversations in the local database.
  */
 export const useConversationHandler = () => {
   const [conversations, setConversations] = useState([]);
   const [currentConversationId, setCurrentConversationId] = useState(null);
 
-  // Load conversations from localStorage on mount
+  // Load conversations from the database on mount
   useEffect(() => {
     loadConversations();
   }, []);
 
-  // Load all conversations from localStorage
+  // Load all conversations from the database
   const loadConversations = useCallback(() => {
     try {
-      const saved = localStorage.getItem('medigemma_conversations');
+      const saved = getItem('conversations');
       if (saved) {
-        const parsed = JSON.parse(saved);
-        setConversations(parsed);
+        setConversations(saved);
       }
     } catch (error) {
       console.error('Error loading conversations:', error);
     }
   }, []);
 
-  // Save conversations to localStorage
+  // Save conversations to the database
   const saveConversationsToStorage = useCallback((conversationList) => {
-    try {
-      localStorage.setItem('medigemma_conversations', JSON.stringify(conversationList));
-    } catch (error) {
-      console.error('Error saving conversations:', error);
-    }
+    setItem('conversations', conversationList)
+      .catch(error => console.error('Error saving conversations:', error));
   }, []);
 
   // Create a new conversation
@@ -77,6 +75,17 @@ export const useConversationHandler = () => {
     });
   }, [saveConversationsToStorage]);
 
+  // Save the rolling summary of earlier turns the server returned for a conversation
+  const saveConversationSummary = useCallback((conversationId, contextSummary) => {
+    setConversations(prevConversations => {
+      const updatedConversations = prevConversations.map(conv =>
+        conv.id === conversationId ? { ...conv, contextSummary } : conv
+      );
+      saveConversationsToStorage(updatedConversations);
+      return updatedConversations;
+    });
+  }, [saveConversationsToStorage]);
+
   // Load a specific conversation
   const loadConversation = useCallback((conversationId) => {
     const conversation = conversations.find(conv => conv.id === conversationId);
@@ -136,7 +145,7 @@ export const useConversationHandler = () => {
         timestamp: m.timestamp,
         hasFiles: !!(m.files?.length > 0),
         hasAudio: !!m.audioRecording,
-        ...(m.imageUrl && { imageUrl: m.imageUrl })
+        ...(messageImageUrls(m).length > 0 && { imageUrls: messageImageUrls(m) })
       }))
     };
 
@@ -160,7 +169,10 @@ export const useConversationHandler = () => {
       const importedConversation = {
         id: Date.now().toString(),
         title: `${conversationData.title || 'Imported Conversation'} (Imported)`,
-        messages: conversationData.messages || [],
+        // Images that are still in the attachment store are referred to by id again
+        messages: (conversationData.messages || []).map(({ imageUrls, ...message }) => (
+          imageUrls?.length ? { ...message, ...toImageReferences(imageUrls) } : message
+        )),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         model: conversationData.model || 'core-radiology-4b'
@@ -220,7 +232,7 @@ export const useConversationHandler = () => {
       let conversation = conversations.find(conv => conv.id === currentConversationId);
       
       if (!conversation) {
-        // If conversation doesn't exist in localStorage yet, create it
+        // If conversation doesn't exist in the database yet, create it
         conversation = {
           id: currentConversationId,
           title: `New Conversation ${new Date().toLocaleDateString()}`,
@@ -268,6 +280,7 @@ export const useConversationHandler = () => {
     currentConversationId,
     createNewConversation,
     saveConversation,
+    saveConversationSummary,
     loadConversation,
     updateConversationTitle,
     deleteConversation,
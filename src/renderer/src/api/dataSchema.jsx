@@ -0,0 +1,203 @@
+import { getItem, setItem, snapshotStorage } from './storage';
+import { toImageReferences } from './attachments';
+
+// Every collection of saved data has a schema version, kept in the `schemaVersions` collection.
+// At startup, before any page reads the data, migrateStoredData upgrades collections saved by
+// older versions one step at a time and checks every entry. Entries that cannot be read are moved
+// to the `quarantine` collection instead of breaking the page that shows them.
+//
+// Data saved before versions were recorded counts as version 0. A migration must give the same
+// result when run again on data it already upgraded: a merged backup can bring older entries in,
+// and then the whole collection is migrated again (src/main/backup.js).
+
+export const SCHEMA_VERSIONS_KEY = 'schemaVersions';
+export const QUARANTINE_KEY = 'quarantine';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasId = (entry) => typeof entry.id === 'string' || typeof entry.id === 'number';
+const stringOr = (value, fallback) => (typeof value === 'string' ? value : fallback);
+const arrayOr = (value, fallback = []) => (Array.isArray(value) ? value : fallback);
+
+// What a collection can be checked against. `list` collections are checked entry by entry;
+// `migrations[n]` upgrades one entry (or the whole value) from version n - 1 to n, and `validate`
+// says what is wrong with it afterwards, or null.
+const SCHEMAS = {
+  medicalRecords: {
+    version: 1,
+    list: true,
+    migrations: {
+      // Records from the first versions could miss their category or title. Notes are text, or
+      // a list once calendar notes were added to the record (pages/calendar.jsx)
+      1: (record) => ({
+        ...record,
+        title: stringOr(record.title, 'Medical Record'),
+        category: stringOr(record.category, '') || 'General',
+        notes: typeof record.notes === 'string' || Array.isArray(record.notes) ? record.notes : '',
+        files: arrayOr(record.files).filter(isObject)
+      })
+    },
+    validate: (record) => {
+      if (!hasId(record)) return 'The record has no id.';
+      return null;
+    }
+  },
+  prescriptions: {
+    version: 1,
+    list: true,
+    migrations: {
+      1: (prescription) => ({
+        ...prescription,
+        status: stringOr(prescription.status, 'active'),
+        history: arrayOr(prescription.history).filter(isObject)
+      })
+    },
+    validate: (prescription) => {
+      if (!hasId(prescription)) return 'The prescription has no id.';
+      if (typeof prescription.name !== 'string' || !prescription.name.trim()) return 'The prescription has no medication name.';
+      return null;
+    }
+  },
+  conversations: {
+    version: 1,
+    list: true,
+    migrations: {
+      // Messages kept a single `imageUrl` before a reply could show several images
+      1: (conversation) => ({
+        ...conversation,
+        title: stringOr(conversation.title, 'Untitled Conversation'),
+        messages: arrayOr(conversation.messages).filter(isObject).map(({ imageUrl, ...message }) => ({
+          ...message,
+          content: stringOr(message.content, ''),
+          ...(imageUrl && !message.attachmentIds && !message.imageUrls && toImageReferences([imageUrl]))
+        }))
+      })
+    },
+    validate: (conversation) => {
+      if (!hasId(conversation)) return 'The conversation has no id.';
+      return null;
+    }
+  },
+  userData: {
+    version: 1,
+    migrations: {
+      1: (userData) => ({ ...userData, allergyRegistry: arrayOr(userData.allergyRegistry).filter(isObject) })
+    },
+    validate: () => null
+  },
+  healthScoreData: {
+    version: 1,
+    migrations: {},
+    validate: () => null
+  },
+  generationSettings: {
+    version: 1,
+    migrations: {
+      1: (settings) => ({
+        ...settings,
+        defaults: isObject(settings.defaults) ? settings.defaults : {},
+        overrides: isObject(settings.overrides) ? settings.overrides : {}
+      })
+    },
+    validate: () => null
+  }
+};
+
+// Upgrades one entry; what is wrong with it is returned instead of thrown
+const upgradeEntry = (schema, entry, fromVersion) => {
+  try {
+    if (!isObject(entry)) return { problem: 'The entry is not an object.' };
+    let upgraded = entry;
+    for (let version = fromVersion + 1; version <= schema.version; version++) {
+      upgraded = schema.migrations[version]?.(upgraded) ?? upgraded;
+    }
+    const problem = schema.validate(upgraded);
+    return problem ? { problem } : { entry: upgraded };
+  } catch (error) {
+    return { problem: error.message };
+  }
+};
+
+// The collection at the current version, and the entries that could not be kept
+const upgradeCollection = (schema, value, fromVersion) => {
+  if (!schema.list) {
+    const { entry, problem } = upgradeEntry(schema, value, fromVersion);
+    return problem ? { value: null, rejected: [{ entry: value, problem }] } : { value: entry, rejected: [] };
+  }
+  if (!Array.isArray(value)) {
+    return { value: [], rejected: [{ entry: value, problem: 'The collection is not a list.' }] };
+  }
+  const upgraded = [];
+  const rejected = [];
+  value.forEach(item => {
+    const { entry, problem } = upgradeEntry(schema, item, fromVersion);
+    if (problem) rejected.push({ entry: item, problem });
+    else upgraded.push(entry);
+  });
+  return { value: upgraded, rejected };
+};
+
+/**
+ * Upgrades saved data to the current schema and sets aside entries that cannot be read. The
+ * database is copied first whenever something is upgraded. Call once storage is open and before
+ * anything reads from it.
+ * @returns {Promise<{ upgraded: string[], quarantined: number }>} The collections upgraded, and how
+ *   many entries were set aside.
+ */
+export const migrateStoredData = async () => {
+  const versions = getItem(SCHEMA_VERSIONS_KEY) || {};
+  const nextVersions = { ...versions };
+  const upgraded = [];
+  const quarantined = [];
+  let snapshotTaken = false;
+
+  for (const [name, schema] of Object.entries(SCHEMAS)) {
+    const fromVersion = versions[name] || 0;
+    const value = getItem(name);
+    if (fromVersion > schema.version) {
+      // Saved by a newer version of the app; left exactly as it is
+      console.warn(`⚠️ ${name} was saved with schema version ${fromVersion}; this version of the app knows ${schema.version}`);
+      continue;
+    }
+    nextVersions[name] = schema.version;
+    if (value === null) continue;
+
+    const result = upgradeCollection(schema, value, fromVersion);
+    if (fromVersion === schema.version && result.rejected.length === 0) continue;
+
+    if (!snapshotTaken) {
+      await snapshotStorage('before-schema-upgrade');
+      snapshotTaken = true;
+    }
+    await setItem(name, result.value);
+    if (fromVersion < schema.version) upgraded.push(name);
+    quarantined.push(...result.rejected.map(({ entry, problem }) => ({
+      collection: name,
+      schemaVersion: fromVersion,
+      problem,
+      entry,
+      quarantinedAt: new Date().toISOString()
+    })));
+  }
+
+  if (quarantined.length > 0) {
+    console.warn(`⚠️ Set aside ${quarantined.length} saved entr${quarantined.length === 1 ? 'y' : 'ies'} that could not be read`);
+    await setItem(QUARANTINE_KEY, [...(getItem(QUARANTINE_KEY) || []), ...quarantined]);
+  }
+  if (JSON.stringify(nextVersions) !== JSON.stringify(versions)) {
+    await setItem(SCHEMA_VERSIONS_KEY, nextVersions);
+  }
+  if (upgraded.length > 0) console.log(`🗂️ Upgraded saved ${upgraded.join(', ')} to the current schema`);
+  return { upgraded, quarantined: quarantined.length };
+};
+
+/**
+ * Entries set aside because they could not be read, oldest first.
+ * @returns {Array<{ collection: string, schemaVersion: number, problem: string, entry: *, quarantinedAt: string }>}
+ */
+export const getQuarantinedEntries = () => getItem(QUARANTINE_KEY) || [];
+
+/**
+ * Deletes the entries set aside.
+ * @returns {Promise<void>}
+ */
+export const clearQuarantine = () => setItem(QUARANTINE_KEY, []);
@@ -0,0 +1,351 @@
+// Dosing schedules of prescriptions and the doses they produce on each day. A prescription keeps
+// its schedule in `schedule`; the times of day come from `timeSlots` except for every-N-hours
+// schedules, which work them out from the first dose. Older prescriptions only have a
+// `frequency` string and are read as daily, weekday or weekend schedules.
+
+export const SCHEDULE_TYPES = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'weekdays', label: 'Specific days of the week' },
+  { value: 'interval', label: 'Every few hours' },
+  { value: 'cycle', label: 'Cycle (days on / days off)' },
+  { value: 'taper', label: 'Tapering dose' },
+  { value: 'as-needed', label: 'As needed' }
+];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Defaults for a newly picked schedule type
+export const SCHEDULE_DEFAULTS = {
+  daily: { type: 'daily' },
+  weekdays: { type: 'weekdays', weekdays: [1, 2, 3, 4, 5] },
+  interval: { type: 'interval', everyHours: 8, firstDose: '06:00' },
+  cycle: { type: 'cycle', daysOn: 21, daysOff: 7 },
+  taper: { type: 'taper', steps: [{ dose: '', days: 7 }, { dose: '', days: 7 }] },
+  'as-needed': { type: 'as-needed', maxDailyDoses: 3, minHoursBetween: 4 }
+};
+
+// Schedules counted from the start date cannot do without one
+const ANCHORED_TYPES = ['interval', 'cycle', 'taper'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A date as YYYY-MM-DD in local time, the format of `startDate` and `endDate`.
+ * @param {Date|string} date - A Date, or a key that is returned as is.
+ */
+export const toDateKey = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Whole days since 1970-01-01 for a date key, free of time zones and daylight saving
+const dayNumber = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+const keyFromDayNumber = (number) => new Date(number * DAY_MS).toISOString().slice(0, 10);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const fromMinutes = (total) => {
+  const minutes = ((total % 1440) + 1440) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * The schedule of a prescription, read from the older `frequency` field when it has none.
+ * @returns {object} One of the SCHEDULE_DEFAULTS shapes.
+ */
+export const getSchedule = (prescription) => {
+  if (prescription.schedule?.type) return prescription.schedule;
+  if (prescription.frequency === 'weekdays') return SCHEDULE_DEFAULTS.weekdays;
+  if (prescription.frequency === 'weekends') return { type: 'weekdays', weekdays: [0, 6] };
+  return SCHEDULE_DEFAULTS.daily;
+};
+
+// First day counted by cycles, tapers and intervals
+const anchorKey = (prescription) => prescription.startDate
+  || (prescription.createdAt && toDateKey(new Date(prescription.createdAt)))
+  || null;
+
+/**
+ * Last day of the schedule: the end date, or the last day of a taper when that comes first.
+ * @returns {string|null} A date key, or null when it runs on.
+ */
+export const scheduleEndDate = (prescription) => {
+  const schedule = getSchedule(prescription);
+  const anchor = anchorKey(prescription);
+  if (schedule.type !== 'taper' || !anchor) return prescription.endDate || null;
+  const totalDays = schedule.steps.reduce((sum, step) => sum + (Number(step.days) || 0), 0);
+  const taperEnd = keyFromDayNumber(dayNumber(anchor) + Math.max(totalDays, 1) - 1);
+  return prescription.endDate && prescription.endDate < taperEnd ? prescription.endDate : taperEnd;
+};
+
+/**
+ * Times of day a prescription is usually taken, for grouping by time of day. Every-N-hours
+ * schedules give the times of one day counted from the first dose; as-needed ones have none.
+ * @returns {string[]} Sorted "HH:MM" times.
+ */
+export const scheduleTimes = (prescription) => {
+  const schedule = getSchedule(prescription);
+  if (schedule.type === 'as-needed') return [];
+  if (schedule.type === 'interval') {
+    const step = Math.max(1, Number(schedule.everyHours) || 24) * 60;
+    const first = toMinutes(schedule.firstDose || '00:00');
+    const times = [];
+    for (let minutes = first; minutes < first + 1440; minutes += step) times.push(fromMinutes(minutes));
+    return [...new Set(times)].sort();
+  }
+  return [...(prescription.timeSlots || [])].sort();
+};
+
+// Whether a day lies within the start and end dates (and the end of a taper)
+const withinDates = (prescription, key) => {
+  const end = scheduleEndDate(prescription);
+  return !(prescription.startDate && key < prescription.startDate) && !(end && key > end);
+};
+
+/**
+ * Scheduled doses of one prescription on one day.
+ * @param {object} prescription
+ * @param {Date|string} date - A Date or date key.
+ * @returns {{ id: string, prescription: object, date: string, time: string, dose: string }[]}
+ *   Sorted by time; empty on days off and for as-needed prescriptions.
+ */
+export const occurrencesOn = (prescription, date) => {
+  const key = toDateKey(date);
+  if ((prescription.status || 'active') !== 'active' || !withinDates(prescription, key)) return [];
+
+  const schedule = getSchedule(prescription);
+  const anchor = anchorKey(prescription);
+  const day = dayNumber(key);
+  const sinceStart = anchor ? day - dayNumber(anchor) : null;
+  let times = prescription.timeSlots || [];
+  let dose = prescription.dosage || '';
+
+  switch (schedule.type) {
+    case 'weekdays':
+      if (!(schedule.weekdays || []).includes(new Date(day * DAY_MS).getUTCDay())) return [];
+      break;
+    case 'cycle': {
+      const length = (Number(schedule.daysOn) || 0) + (Number(schedule.daysOff) || 0);
+      if (sinceStart === null || sinceStart < 0 || length === 0 || sinceStart % length >= Number(schedule.daysOn)) return [];
+      break;
+    }
+    case 'taper': {
+      if (sinceStart === null || sinceStart < 0) return [];
+      let remaining = sinceStart;
+      const step = schedule.steps.find(candidate => {
+        if (remaining < Number(candidate.days)) return true;
+        remaining -= Number(candidate.days) || 0;
+        return false;
+      });
+      if (!step) return [];
+      dose = step.dose || dose;
+      break;
+    }
+    case 'interval': {
+      if (sinceStart === null || sinceStart < 0) return [];
+      // Doses run on from the first one without restarting at midnight, so 36-hour intervals work too
+      const step = Math.max(1, Number(schedule.everyHours) || 24) * 60;
+      const dayStart = sinceStart * 1440;
+      const first = toMinutes(schedule.firstDose || '00:00');
+      const firstIndex = Math.max(0, Math.ceil((dayStart - first) / step));
+      times = [];
+      for (let minutes = first + firstIndex * step; minutes < dayStart + 1440; minutes += step) {
+        times.push(fromMinutes(minutes));
+      }
+      break;
+    }
+    case 'as-needed':
+      return [];
+    default:
+      break;
+  }
+
+  return [...new Set(times)].sort().map(time => ({
+    id: `${prescription.id}:${key}:${time}`,
+    prescription,
+    date: key,
+    time,
+    dose
+  }));
+};
+
+/**
+ * Whether the prescription is taken at all on a day, including as-needed ones within their dates.
+ * Stopped prescriptions (`status` other than active) are never scheduled.
+ */
+export const isScheduledOn = (prescription, date) => {
+  const key = toDateKey(date);
+  if ((prescription.status || 'active') !== 'active' || !withinDates(prescription, key)) return false;
+  return getSchedule(prescription).type === 'as-needed' || occurrencesOn(prescription, key).length > 0;
+};
+
+/**
+ * Scheduled doses of several prescriptions over a range of days, for day views and calendars.
+ * @param {object[]} prescriptions
+ * @param {Date|string} from - First day.
+ * @param {Date|string} [to] - Last day, inclusive; defaults to `from`.
+ * @returns {object[]} Occurrences (see occurrencesOn) sorted by date and time.
+ */
+export const getOccurrences = (prescriptions, from, to = from) => {
+  const first = dayNumber(toDateKey(from));
+  const last = dayNumber(toDateKey(to));
+  const occurrences = [];
+  for (let day = first; day <= last; day++) {
+    const key = keyFromDayNumber(day);
+    prescriptions.forEach(prescription => occurrences.push(...occurrencesOn(prescription, key)));
+  }
+  return occurrences.sort((a, b) => a.date.localeCompare(b.date)
+    || a.time.localeCompare(b.time)
+    || (a.prescription.name || '').localeCompare(b.prescription.name || ''));
+};
+
+/**
+ * How much of an as-needed prescription has been taken today, from its `taken` history events.
+ * @returns {{ taken: number, remaining: number|null, nextAllowedAt: Date|null, canTake: boolean }}
+ *   `remaining` is null without a daily maximum.
+ */
+export const asNeededUsage = (prescription, now = new Date()) => {
+  const schedule = getSchedule(prescription);
+  const today = toDateKey(now);
+  const takenTimes = (prescription.history || [])
+    .filter(event => event.type === 'taken' && toDateKey(new Date(event.timestamp)) === today)
+    .map(event => new Date(event.timestamp))
+    .sort((a, b) => a - b);
+
+  const max = Number(schedule.maxDailyDoses) || null;
+  const remaining = max ? Math.max(0, max - takenTimes.length) : null;
+  const last = takenTimes[takenTimes.length - 1];
+  const gap = Number(schedule.minHoursBetween) || 0;
+  const nextAllowedAt = last && gap ? new Date(last.getTime() + gap * 60 * 60 * 1000) : null;
+
+  return {
+    taken: takenTimes.length,
+    remaining,
+    nextAllowedAt: nextAllowedAt && nextAllowedAt > now ? nextAllowedAt : null,
+    canTake: remaining !== 0 && !(nextAllowedAt && nextAllowedAt > now)
+  };
+};
+
+const days = (count) => `${count} ${Number(count) === 1 ? 'day' : 'days'}`;
+
+/**
+ * The schedule in a few words, e.g. "Every 8 hours from 06:00" or "21 days on, 7 days off".
+ */
+export const describeSchedule = (prescription) => {
+  const schedule = getSchedule(prescription);
+  const times = scheduleTimes(prescription);
+  const at = times.length > 0 ? ` at ${times.join(', ')}` : '';
+
+  switch (schedule.type) {
+    case 'weekdays': {
+      const weekdays = [...(schedule.weekdays || [])].sort();
+      if (weekdays.join() === '1,2,3,4,5') return `Weekdays${at}`;
+      if (weekdays.join() === '0,6') return `Weekends${at}`;
+      return `${weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}${at}`;
+    }
+    case 'interval':
+      return `Every ${schedule.everyHours} hours from ${schedule.firstDose}`;
+    case 'cycle':
+      return `${days(schedule.daysOn)} on, ${days(schedule.daysOff)} off${at}`;
+    case 'taper':
+      return `Tapering: ${schedule.steps
+        .map(step => `${step.dose || prescription.dosage} for ${days(step.days)}`)
+        .join(', then ')}`;
+    case 'as-needed': {
+      const limits = [
+        schedule.maxDailyDoses && `up to ${schedule.maxDailyDoses} a day`,
+        schedule.minHoursBetween && `at least ${schedule.minHoursBetween} hours apart`
+      ].filter(Boolean);
+      return `As needed${limits.length > 0 ? `, ${limits.join(', ')}` : ''}`;
+    }
+    default:
+      return `Every day${at}`;
+  }
+};
+
+/**
+ * What is missing or wrong in a prescription's schedule before it can be saved.
+ * @returns {string|null} A message for the user, or null when it is complete.
+ */
+export const validateSchedule = (prescription) => {
+  const schedule = getSchedule(prescription);
+  if (ANCHORED_TYPES.includes(schedule.type) && !prescription.startDate) {
+    return 'This schedule is counted from the start date. Please set a start date.';
+  }
+  switch (schedule.type) {
+    case 'weekdays':
+      if (!schedule.weekdays?.length) return 'Please pick at least one day of the week.';
+      break;
+    case 'interval':
+      if (!(Number(schedule.everyHours) >= 1) || !schedule.firstDose) return 'Please set how many hours apart the doses are and the time of the first one.';
+      return null;
+    case 'cycle':
+      if (!(Number(schedule.daysOn) >= 1) || !(Number(schedule.daysOff) >= 0)) return 'Please set the number of days on and off.';
+      break;
+    case 'taper':
+      if (!schedule.steps?.length || schedule.steps.some(step => !(Number(step.days) >= 1) || !step.dose?.trim())) {
+        return 'Every tapering step needs a dose and a number of days.';
+      }
+      break;
+    case 'as-needed':
+      if (schedule.maxDailyDoses && !(Number(schedule.maxDailyDoses) >= 1)) return 'The maximum doses per day must be at least 1.';
+      return null;
+    default:
+      break;
+  }
+  return prescription.timeSlots?.length ? null : 'Please select at least one time slot.';
+};
+
+/**
+ * Fills the fields derived from the schedule before a prescription is saved: `frequency` for
+ * older readers, the computed times of every-N-hours schedules, and the end of a taper.
+ */
+export const applyScheduleDefaults = (prescription) => {
+  const schedule = getSchedule(prescription);
+  return {
+    ...prescription,
+    schedule,
+    frequency: schedule.type,
+    timeSlots: schedule.type === 'interval' || schedule.type === 'as-needed'
+      ? scheduleTimes(prescription)
+      : prescription.timeSlots || [],
+    // A taper ends with its last step, whatever end date an earlier version of it had
+    endDate: schedule.type === 'taper' ? scheduleEndDate({ ...prescription, endDate: null }) : prescription.endDate
+  };
+};
+
+// Day names on labels, Sunday first as in Date#getDay
+const WEEKDAY_PATTERNS = [
+  /\bsun(?:day)?\b/, /\bmon(?:day)?\b/, /\btue(?:s|sday)?\b/, /\bwed(?:nesday)?\b/,
+  /\bthu(?:r|rs|rsday)?\b/, /\bfri(?:day)?\b/, /\bsat(?:urday)?\b/
+];
+
+/**
+ * Guesses a schedule from a frequency read on a label ("every 6 hours", "as needed", "Mon/Wed/Fri").
+ * @returns {object|null} Null when the text reads as an ordinary daily schedule.
+ */
+export const scheduleFromFrequency = (text) => {
+  const frequency = (text || '').toLowerCase();
+  if (/\b(as needed|when needed|if needed|prn|as required)\b/.test(frequency)) {
+    const max = frequency.match(/(?:max(?:imum)?|up to|no more than)\D{0,12}(\d+)/);
+    return { ...SCHEDULE_DEFAULTS['as-needed'], maxDailyDoses: max ? Number(max[1]) : SCHEDULE_DEFAULTS['as-needed'].maxDailyDoses };
+  }
+  const interval = frequency.match(/every\s+(\d+)\s*(?:-\s*\d+\s*)?(?:h\b|hrs?\b|hours?\b)/) || frequency.match(/\bq\s?(\d+)\s?h\b/);
+  if (interval) return { ...SCHEDULE_DEFAULTS.interval, everyHours: Number(interval[1]) };
+  if (/every other day|alternate days/.test(frequency)) return { type: 'cycle', daysOn: 1, daysOff: 1 };
+  const weekdays = WEEKDAY_PATTERNS
+    .map((pattern, index) => (pattern.test(frequency) ? index : null))
+    .filter(index => index !== null);
+  if (weekdays.length > 0) return { type: 'weekdays', weekdays };
+  if (/\b(weekly|once a week)\b/.test(frequency)) return { type: 'weekdays', weekdays: [new Date().getDay()] };
+  return null;
+};
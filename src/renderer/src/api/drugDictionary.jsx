@@ -0,0 +1,297 @@
+// Offline drug vocabulary: generic names (with their international aliases), common brand names,
+// usual strengths and dose forms. `id` is what prescriptions store as `drugId`; `classes` groups
+// related drugs for features such as interaction and allergy checks.
+export const DRUGS = [
+  // Anti-infectives
+  { id: 'amoxicillin', name: 'Amoxicillin', brands: ['Amoxil', 'Clamoxyl'], classes: ['penicillin'], strengths: ['250 mg', '500 mg', '875 mg', '1000 mg'], forms: ['capsule', 'tablet', 'oral suspension'] },
+  { id: 'amoxicillin-clavulanate', name: 'Amoxicillin/Clavulanate', aliases: ['Co-amoxiclav', 'Amoxicillin Clavulanic Acid'], brands: ['Augmentin'], classes: ['penicillin'], strengths: ['500/125 mg', '875/125 mg'], forms: ['tablet', 'oral suspension'] },
+  { id: 'penicillin-v', name: 'Penicillin V', aliases: ['Phenoxymethylpenicillin', 'Penicillin VK'], brands: ['Veetids'], classes: ['penicillin'], strengths: ['250 mg', '500 mg'], forms: ['tablet', 'oral solution'] },
+  { id: 'cephalexin', name: 'Cephalexin', aliases: ['Cefalexin'], brands: ['Keflex'], classes: ['cephalosporin'], strengths: ['250 mg', '500 mg'], forms: ['capsule', 'oral suspension'] },
+  { id: 'cefuroxime', name: 'Cefuroxime', brands: ['Ceftin', 'Zinnat'], classes: ['cephalosporin'], strengths: ['250 mg', '500 mg'], forms: ['tablet'] },
+  { id: 'cefdinir', name: 'Cefdinir', brands: ['Omnicef'], classes: ['cephalosporin'], strengths: ['300 mg'], forms: ['capsule', 'oral suspension'] },
+  { id: 'azithromycin', name: 'Azithromycin', brands: ['Zithromax', 'Z-Pak'], classes: ['macrolide'], strengths: ['250 mg', '500 mg'], forms: ['tablet', 'oral suspension'] },
+  { id: 'clarithromycin', name: 'Clarithromycin', brands: ['Biaxin', 'Klacid'], classes: ['macrolide'], strengths: ['250 mg', '500 mg'], forms: ['tablet'] },
+  { id: 'erythromycin', name: 'Erythromycin', brands: ['Ery-Tab', 'Erythrocin'], classes: ['macrolide'], strengths: ['250 mg', '333 mg', '500 mg'], forms: ['tablet'] },
+  { id: 'ciprofloxacin', name: 'Ciprofloxacin', brands: ['Cipro', 'Ciproxin'], classes: ['fluoroquinolone'], strengths: ['250 mg', '500 mg', '750 mg'], forms: ['tablet'] },
+  { id: 'levofloxacin', name: 'Levofloxacin', brands: ['Levaquin', 'Tavanic'], classes: ['fluoroquinolone'], strengths: ['250 mg', '500 mg', '750 mg'], forms: ['tablet'] },
+  { id: 'doxycycline', name: 'Doxycycline', brands: ['Vibramycin', 'Doryx'], classes: ['tetracycline'], strengths: ['50 mg', '100 mg'], forms: ['capsule', 'tablet'] },
+  { id: 'sulfamethoxazole-trimethoprim', name: 'Sulfamethoxazole/Trimethoprim', aliases: ['Co-trimoxazole', 'SMX-TMP'], brands: ['Bactrim', 'Septra'], classes: ['sulfonamide'], strengths: ['400/80 mg', '800/160 mg'], forms: ['tablet', 'oral suspension'] },
+  { id: 'metronidazole', name: 'Metronidazole', brands: ['Flagyl'], classes: ['nitroimidazole'], strengths: ['250 mg', '500 mg'], forms: ['tablet'] },
+  { id: 'nitrofurantoin', name: 'Nitrofurantoin', brands: ['Macrobid', 'Macrodantin'], classes: ['nitrofuran'], strengths: ['50 mg', '100 mg'], forms: ['capsule'] },
+  { id: 'fluconazole', name: 'Fluconazole', brands: ['Diflucan'], classes: ['azole-antifungal'], strengths: ['50 mg', '100 mg', '150 mg', '200 mg'], forms: ['tablet'] },
+  { id: 'acyclovir', name: 'Acyclovir', aliases: ['Aciclovir'], brands: ['Zovirax'], classes: ['antiviral'], strengths: ['400 mg', '800 mg'], forms: ['tablet', 'cream'] },
+  { id: 'valacyclovir', name: 'Valacyclovir', aliases: ['Valaciclovir'], brands: ['Valtrex'], classes: ['antiviral'], strengths: ['500 mg', '1000 mg'], forms: ['tablet'] },
+  { id: 'oseltamivir', name: 'Oseltamivir', brands: ['Tamiflu'], classes: ['antiviral'], strengths: ['30 mg', '45 mg', '75 mg'], forms: ['capsule'] },
+  { id: 'hydroxychloroquine', name: 'Hydroxychloroquine', brands: ['Plaquenil'], classes: ['antimalarial'], strengths: ['200 mg'], forms: ['tablet'] },
+
+  // Pain and inflammation
+  { id: 'acetaminophen', name: 'Acetaminophen', aliases: ['Paracetamol'], brands: ['Tylenol', 'Panadol', 'Doliprane', 'Dafalgan', 'Efferalgan'], classes: ['analgesic'], strengths: ['325 mg', '500 mg', '650 mg', '1000 mg'], forms: ['tablet', 'capsule', 'oral solution', 'suppository'] },
+  { id: 'ibuprofen', name: 'Ibuprofen', brands: ['Advil', 'Motrin', 'Nurofen'], classes: ['nsaid'], strengths: ['200 mg', '400 mg', '600 mg', '800 mg'], forms: ['tablet', 'capsule', 'oral suspension'] },
+  { id: 'naproxen', name: 'Naproxen', brands: ['Aleve', 'Naprosyn'], classes: ['nsaid'], strengths: ['220 mg', '250 mg', '375 mg', '500 mg'], forms: ['tablet'] },
+  { id: 'diclofenac', name: 'Diclofenac', brands: ['Voltaren', 'Cataflam'], classes: ['nsaid'], strengths: ['25 mg', '50 mg', '75 mg'], forms: ['tablet', 'gel'] },
+  { id: 'celecoxib', name: 'Celecoxib', brands: ['Celebrex'], classes: ['nsaid'], strengths: ['100 mg', '200 mg'], forms: ['capsule'] },
+  { id: 'meloxicam', name: 'Meloxicam', brands: ['Mobic'], classes: ['nsaid'], strengths: ['7.5 mg', '15 mg'], forms: ['tablet'] },
+  { id: 'aspirin', name: 'Aspirin', aliases: ['Acetylsalicylic Acid', 'ASA'], brands: ['Bayer', 'Ecotrin', 'Aspegic', 'Kardegic'], classes: ['nsaid', 'antiplatelet'], strengths: ['81 mg', '100 mg', '325 mg', '500 mg'], forms: ['tablet', 'chewable tablet'] },
+  { id: 'tramadol', name: 'Tramadol', brands: ['Ultram', 'Contramal'], classes: ['opioid'], strengths: ['50 mg', '100 mg'], forms: ['tablet', 'capsule'] },
+  { id: 'codeine', name: 'Codeine', classes: ['opioid'], strengths: ['15 mg', '30 mg', '60 mg'], forms: ['tablet'] },
+  { id: 'oxycodone', name: 'Oxycodone', brands: ['OxyContin', 'Roxicodone'], classes: ['opioid'], strengths: ['5 mg', '10 mg', '20 mg'], forms: ['tablet'] },
+  { id: 'hydrocodone-acetaminophen', name: 'Hydrocodone/Acetaminophen', brands: ['Vicodin', 'Norco'], classes: ['opioid', 'analgesic'], strengths: ['5/325 mg', '10/325 mg'], forms: ['tablet'] },
+  { id: 'morphine', name: 'Morphine', brands: ['MS Contin'], classes: ['opioid'], strengths: ['15 mg', '30 mg', '60 mg'], forms: ['tablet', 'oral solution'] },
+  { id: 'sumatriptan', name: 'Sumatriptan', brands: ['Imitrex', 'Imigran'], classes: ['triptan'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet', 'nasal spray'] },
+  { id: 'allopurinol', name: 'Allopurinol', brands: ['Zyloprim', 'Zyloric'], classes: ['xanthine-oxidase-inhibitor'], strengths: ['100 mg', '300 mg'], forms: ['tablet'] },
+  { id: 'colchicine', name: 'Colchicine', brands: ['Colcrys'], classes: ['antigout'], strengths: ['0.5 mg', '0.6 mg'], forms: ['tablet'] },
+  { id: 'methotrexate', name: 'Methotrexate', brands: ['Trexall'], classes: ['antimetabolite'], strengths: ['2.5 mg'], forms: ['tablet', 'injection'] },
+
+  // Heart and blood pressure
+  { id: 'atorvastatin', name: 'Atorvastatin', brands: ['Lipitor', 'Tahor'], classes: ['statin'], strengths: ['10 mg', '20 mg', '40 mg', '80 mg'], forms: ['tablet'] },
+  { id: 'simvastatin', name: 'Simvastatin', brands: ['Zocor'], classes: ['statin'], strengths: ['10 mg', '20 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'rosuvastatin', name: 'Rosuvastatin', brands: ['Crestor'], classes: ['statin'], strengths: ['5 mg', '10 mg', '20 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'pravastatin', name: 'Pravastatin', brands: ['Pravachol'], classes: ['statin'], strengths: ['10 mg', '20 mg', '40 mg', '80 mg'], forms: ['tablet'] },
+  { id: 'lisinopril', name: 'Lisinopril', brands: ['Prinivil', 'Zestril'], classes: ['ace-inhibitor'], strengths: ['2.5 mg', '5 mg', '10 mg', '20 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'enalapril', name: 'Enalapril', brands: ['Vasotec', 'Renitec'], classes: ['ace-inhibitor'], strengths: ['2.5 mg', '5 mg', '10 mg', '20 mg'], forms: ['tablet'] },
+  { id: 'ramipril', name: 'Ramipril', brands: ['Altace', 'Triatec'], classes: ['ace-inhibitor'], strengths: ['1.25 mg', '2.5 mg', '5 mg', '10 mg'], forms: ['capsule', 'tablet'] },
+  { id: 'losartan', name: 'Losartan', brands: ['Cozaar'], classes: ['arb'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet'] },
+  { id: 'valsartan', name: 'Valsartan', brands: ['Diovan'], classes: ['arb'], strengths: ['40 mg', '80 mg', '160 mg', '320 mg'], forms: ['tablet'] },
+  { id: 'irbesartan', name: 'Irbesartan', brands: ['Avapro', 'Aprovel'], classes: ['arb'], strengths: ['75 mg', '150 mg', '300 mg'], forms: ['tablet'] },
+  { id: 'metoprolol', name: 'Metoprolol', brands: ['Lopressor', 'Toprol-XL', 'Seloken'], classes: ['beta-blocker'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet', 'extended-release tablet'] },
+  { id: 'atenolol', name: 'Atenolol', brands: ['Tenormin'], classes: ['beta-blocker'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet'] },
+  { id: 'bisoprolol', name: 'Bisoprolol', brands: ['Zebeta', 'Concor'], classes: ['beta-blocker'], strengths: ['2.5 mg', '5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'propranolol', name: 'Propranolol', brands: ['Inderal'], classes: ['beta-blocker'], strengths: ['10 mg', '20 mg', '40 mg', '80 mg'], forms: ['tablet'] },
+  { id: 'carvedilol', name: 'Carvedilol', brands: ['Coreg'], classes: ['beta-blocker'], strengths: ['3.125 mg', '6.25 mg', '12.5 mg', '25 mg'], forms: ['tablet'] },
+  { id: 'amlodipine', name: 'Amlodipine', brands: ['Norvasc', 'Amlor'], classes: ['calcium-channel-blocker'], strengths: ['2.5 mg', '5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'diltiazem', name: 'Diltiazem', brands: ['Cardizem', 'Tildiem'], classes: ['calcium-channel-blocker'], strengths: ['30 mg', '60 mg', '120 mg', '180 mg', '240 mg'], forms: ['tablet', 'extended-release capsule'] },
+  { id: 'verapamil', name: 'Verapamil', brands: ['Calan', 'Isoptin'], classes: ['calcium-channel-blocker'], strengths: ['40 mg', '80 mg', '120 mg', '240 mg'], forms: ['tablet'] },
+  { id: 'nifedipine', name: 'Nifedipine', brands: ['Procardia', 'Adalat'], classes: ['calcium-channel-blocker'], strengths: ['10 mg', '30 mg', '60 mg'], forms: ['capsule', 'extended-release tablet'] },
+  { id: 'hydrochlorothiazide', name: 'Hydrochlorothiazide', aliases: ['HCTZ'], brands: ['Microzide', 'Esidrex'], classes: ['thiazide-diuretic'], strengths: ['12.5 mg', '25 mg', '50 mg'], forms: ['tablet', 'capsule'] },
+  { id: 'furosemide', name: 'Furosemide', aliases: ['Frusemide'], brands: ['Lasix'], classes: ['loop-diuretic'], strengths: ['20 mg', '40 mg', '80 mg'], forms: ['tablet'] },
+  { id: 'spironolactone', name: 'Spironolactone', brands: ['Aldactone'], classes: ['potassium-sparing-diuretic'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet'] },
+  { id: 'warfarin', name: 'Warfarin', brands: ['Coumadin', 'Jantoven'], classes: ['anticoagulant'], strengths: ['1 mg', '2 mg', '2.5 mg', '3 mg', '4 mg', '5 mg', '6 mg', '7.5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'apixaban', name: 'Apixaban', brands: ['Eliquis'], classes: ['anticoagulant'], strengths: ['2.5 mg', '5 mg'], forms: ['tablet'] },
+  { id: 'rivaroxaban', name: 'Rivaroxaban', brands: ['Xarelto'], classes: ['anticoagulant'], strengths: ['10 mg', '15 mg', '20 mg'], forms: ['tablet'] },
+  { id: 'dabigatran', name: 'Dabigatran', brands: ['Pradaxa'], classes: ['anticoagulant'], strengths: ['75 mg', '110 mg', '150 mg'], forms: ['capsule'] },
+  { id: 'clopidogrel', name: 'Clopidogrel', brands: ['Plavix'], classes: ['antiplatelet'], strengths: ['75 mg'], forms: ['tablet'] },
+  { id: 'digoxin', name: 'Digoxin', brands: ['Lanoxin'], classes: ['cardiac-glycoside'], strengths: ['0.125 mg', '0.25 mg'], forms: ['tablet'] },
+  { id: 'amiodarone', name: 'Amiodarone', brands: ['Cordarone', 'Pacerone'], classes: ['antiarrhythmic'], strengths: ['100 mg', '200 mg', '400 mg'], forms: ['tablet'] },
+  { id: 'nitroglycerin', name: 'Nitroglycerin', aliases: ['Glyceryl Trinitrate'], brands: ['Nitrostat'], classes: ['nitrate'], strengths: ['0.3 mg', '0.4 mg', '0.6 mg'], forms: ['sublingual tablet', 'spray'] },
+  { id: 'isosorbide-mononitrate', name: 'Isosorbide Mononitrate', brands: ['Imdur', 'Monoket'], classes: ['nitrate'], strengths: ['30 mg', '60 mg', '120 mg'], forms: ['extended-release tablet'] },
+
+  // Diabetes and hormones
+  { id: 'metformin', name: 'Metformin', brands: ['Glucophage'], classes: ['biguanide'], strengths: ['500 mg', '850 mg', '1000 mg'], forms: ['tablet', 'extended-release tablet'] },
+  { id: 'glipizide', name: 'Glipizide', brands: ['Glucotrol'], classes: ['sulfonylurea'], strengths: ['5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'glimepiride', name: 'Glimepiride', brands: ['Amaryl'], classes: ['sulfonylurea'], strengths: ['1 mg', '2 mg', '4 mg'], forms: ['tablet'] },
+  { id: 'gliclazide', name: 'Gliclazide', brands: ['Diamicron'], classes: ['sulfonylurea'], strengths: ['30 mg', '60 mg', '80 mg'], forms: ['tablet'] },
+  { id: 'sitagliptin', name: 'Sitagliptin', brands: ['Januvia'], classes: ['dpp4-inhibitor'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet'] },
+  { id: 'empagliflozin', name: 'Empagliflozin', brands: ['Jardiance'], classes: ['sglt2-inhibitor'], strengths: ['10 mg', '25 mg'], forms: ['tablet'] },
+  { id: 'dapagliflozin', name: 'Dapagliflozin', brands: ['Farxiga', 'Forxiga'], classes: ['sglt2-inhibitor'], strengths: ['5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'insulin-glargine', name: 'Insulin Glargine', brands: ['Lantus', 'Basaglar', 'Toujeo'], classes: ['insulin'], strengths: ['100 units/mL', '300 units/mL'], forms: ['injection'] },
+  { id: 'insulin-lispro', name: 'Insulin Lispro', brands: ['Humalog', 'Admelog'], classes: ['insulin'], strengths: ['100 units/mL'], forms: ['injection'] },
+  { id: 'levothyroxine', name: 'Levothyroxine', brands: ['Synthroid', 'Levoxyl', 'Euthyrox', 'Levothyrox'], classes: ['thyroid-hormone'], strengths: ['25 mcg', '50 mcg', '75 mcg', '88 mcg', '100 mcg', '112 mcg', '125 mcg', '150 mcg'], forms: ['tablet'] },
+  { id: 'prednisone', name: 'Prednisone', brands: ['Deltasone'], classes: ['corticosteroid'], strengths: ['1 mg', '5 mg', '10 mg', '20 mg', '50 mg'], forms: ['tablet'] },
+  { id: 'prednisolone', name: 'Prednisolone', brands: ['Orapred', 'Solupred'], classes: ['corticosteroid'], strengths: ['5 mg', '20 mg'], forms: ['tablet', 'oral solution'] },
+  { id: 'methylprednisolone', name: 'Methylprednisolone', brands: ['Medrol'], classes: ['corticosteroid'], strengths: ['4 mg', '8 mg', '16 mg', '32 mg'], forms: ['tablet'] },
+  { id: 'dexamethasone', name: 'Dexamethasone', brands: ['Decadron'], classes: ['corticosteroid'], strengths: ['0.5 mg', '0.75 mg', '1 mg', '2 mg', '4 mg', '6 mg'], forms: ['tablet'] },
+  { id: 'alendronate', name: 'Alendronate', aliases: ['Alendronic Acid'], brands: ['Fosamax'], classes: ['bisphosphonate'], strengths: ['10 mg', '70 mg'], forms: ['tablet'] },
+
+  // Mental health and nervous system
+  { id: 'sertraline', name: 'Sertraline', brands: ['Zoloft'], classes: ['ssri'], strengths: ['25 mg', '50 mg', '100 mg'], forms: ['tablet'] },
+  { id: 'fluoxetine', name: 'Fluoxetine', brands: ['Prozac'], classes: ['ssri'], strengths: ['10 mg', '20 mg', '40 mg'], forms: ['capsule', 'tablet'] },
+  { id: 'citalopram', name: 'Citalopram', brands: ['Celexa', 'Cipramil'], classes: ['ssri'], strengths: ['10 mg', '20 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'escitalopram', name: 'Escitalopram', brands: ['Lexapro', 'Cipralex'], classes: ['ssri'], strengths: ['5 mg', '10 mg', '20 mg'], forms: ['tablet'] },
+  { id: 'paroxetine', name: 'Paroxetine', brands: ['Paxil', 'Seroxat', 'Deroxat'], classes: ['ssri'], strengths: ['10 mg', '20 mg', '30 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'venlafaxine', name: 'Venlafaxine', brands: ['Effexor'], classes: ['snri'], strengths: ['37.5 mg', '75 mg', '150 mg'], forms: ['extended-release capsule', 'tablet'] },
+  { id: 'duloxetine', name: 'Duloxetine', brands: ['Cymbalta'], classes: ['snri'], strengths: ['20 mg', '30 mg', '60 mg'], forms: ['capsule'] },
+  { id: 'bupropion', name: 'Bupropion', brands: ['Wellbutrin', 'Zyban'], classes: ['antidepressant'], strengths: ['75 mg', '100 mg', '150 mg', '300 mg'], forms: ['tablet', 'extended-release tablet'] },
+  { id: 'mirtazapine', name: 'Mirtazapine', brands: ['Remeron'], classes: ['antidepressant'], strengths: ['15 mg', '30 mg', '45 mg'], forms: ['tablet'] },
+  { id: 'trazodone', name: 'Trazodone', brands: ['Desyrel'], classes: ['antidepressant'], strengths: ['50 mg', '100 mg', '150 mg'], forms: ['tablet'] },
+  { id: 'amitriptyline', name: 'Amitriptyline', brands: ['Elavil'], classes: ['tricyclic-antidepressant'], strengths: ['10 mg', '25 mg', '50 mg'], forms: ['tablet'] },
+  { id: 'phenelzine', name: 'Phenelzine', brands: ['Nardil'], classes: ['maoi'], strengths: ['15 mg'], forms: ['tablet'] },
+  { id: 'alprazolam', name: 'Alprazolam', brands: ['Xanax'], classes: ['benzodiazepine'], strengths: ['0.25 mg', '0.5 mg', '1 mg', '2 mg'], forms: ['tablet'] },
+  { id: 'lorazepam', name: 'Lorazepam', brands: ['Ativan'], classes: ['benzodiazepine'], strengths: ['0.5 mg', '1 mg', '2 mg'], forms: ['tablet'] },
+  { id: 'diazepam', name: 'Diazepam', brands: ['Valium'], classes: ['benzodiazepine'], strengths: ['2 mg', '5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'clonazepam', name: 'Clonazepam', brands: ['Klonopin', 'Rivotril'], classes: ['benzodiazepine'], strengths: ['0.5 mg', '1 mg', '2 mg'], forms: ['tablet'] },
+  { id: 'zolpidem', name: 'Zolpidem', brands: ['Ambien', 'Stilnox'], classes: ['hypnotic'], strengths: ['5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'quetiapine', name: 'Quetiapine', brands: ['Seroquel'], classes: ['antipsychotic'], strengths: ['25 mg', '50 mg', '100 mg', '200 mg', '300 mg'], forms: ['tablet'] },
+  { id: 'olanzapine', name: 'Olanzapine', brands: ['Zyprexa'], classes: ['antipsychotic'], strengths: ['2.5 mg', '5 mg', '10 mg', '15 mg', '20 mg'], forms: ['tablet'] },
+  { id: 'risperidone', name: 'Risperidone', brands: ['Risperdal'], classes: ['antipsychotic'], strengths: ['0.5 mg', '1 mg', '2 mg', '3 mg', '4 mg'], forms: ['tablet'] },
+  { id: 'haloperidol', name: 'Haloperidol', brands: ['Haldol'], classes: ['antipsychotic'], strengths: ['0.5 mg', '1 mg', '2 mg', '5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'lithium', name: 'Lithium Carbonate', aliases: ['Lithium'], brands: ['Lithobid'], classes: ['mood-stabilizer'], strengths: ['300 mg', '450 mg'], forms: ['capsule', 'extended-release tablet'] },
+  { id: 'gabapentin', name: 'Gabapentin', brands: ['Neurontin'], classes: ['anticonvulsant'], strengths: ['100 mg', '300 mg', '400 mg', '600 mg', '800 mg'], forms: ['capsule', 'tablet'] },
+  { id: 'pregabalin', name: 'Pregabalin', brands: ['Lyrica'], classes: ['anticonvulsant'], strengths: ['25 mg', '50 mg', '75 mg', '150 mg', '300 mg'], forms: ['capsule'] },
+  { id: 'levetiracetam', name: 'Levetiracetam', brands: ['Keppra'], classes: ['anticonvulsant'], strengths: ['250 mg', '500 mg', '750 mg', '1000 mg'], forms: ['tablet'] },
+  { id: 'lamotrigine', name: 'Lamotrigine', brands: ['Lamictal'], classes: ['anticonvulsant'], strengths: ['25 mg', '100 mg', '150 mg', '200 mg'], forms: ['tablet'] },
+  { id: 'carbamazepine', name: 'Carbamazepine', brands: ['Tegretol'], classes: ['anticonvulsant'], strengths: ['100 mg', '200 mg', '400 mg'], forms: ['tablet'] },
+  { id: 'phenytoin', name: 'Phenytoin', brands: ['Dilantin'], classes: ['anticonvulsant'], strengths: ['30 mg', '100 mg'], forms: ['capsule'] },
+  { id: 'valproate', name: 'Valproate', aliases: ['Valproic Acid', 'Divalproex'], brands: ['Depakote', 'Depakine'], classes: ['anticonvulsant', 'mood-stabilizer'], strengths: ['250 mg', '500 mg'], forms: ['tablet'] },
+  { id: 'methylphenidate', name: 'Methylphenidate', brands: ['Ritalin', 'Concerta'], classes: ['stimulant'], strengths: ['5 mg', '10 mg', '18 mg', '20 mg', '27 mg', '36 mg', '54 mg'], forms: ['tablet', 'extended-release tablet'] },
+
+  // Stomach, allergy and airways
+  { id: 'omeprazole', name: 'Omeprazole', brands: ['Prilosec', 'Losec', 'Mopral'], classes: ['ppi'], strengths: ['10 mg', '20 mg', '40 mg'], forms: ['capsule'] },
+  { id: 'esomeprazole', name: 'Esomeprazole', brands: ['Nexium', 'Inexium'], classes: ['ppi'], strengths: ['20 mg', '40 mg'], forms: ['capsule', 'tablet'] },
+  { id: 'pantoprazole', name: 'Pantoprazole', brands: ['Protonix', 'Inipomp'], classes: ['ppi'], strengths: ['20 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'lansoprazole', name: 'Lansoprazole', brands: ['Prevacid'], classes: ['ppi'], strengths: ['15 mg', '30 mg'], forms: ['capsule'] },
+  { id: 'famotidine', name: 'Famotidine', brands: ['Pepcid'], classes: ['h2-blocker'], strengths: ['10 mg', '20 mg', '40 mg'], forms: ['tablet'] },
+  { id: 'ondansetron', name: 'Ondansetron', brands: ['Zofran'], classes: ['antiemetic'], strengths: ['4 mg', '8 mg'], forms: ['tablet', 'orally disintegrating tablet'] },
+  { id: 'metoclopramide', name: 'Metoclopramide', brands: ['Reglan', 'Primperan'], classes: ['antiemetic'], strengths: ['5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'cetirizine', name: 'Cetirizine', brands: ['Zyrtec'], classes: ['antihistamine'], strengths: ['5 mg', '10 mg'], forms: ['tablet'] },
+  { id: 'loratadine', name: 'Loratadine', brands: ['Claritin', 'Clarityn'], classes: ['antihistamine'], strengths: ['10 mg'], forms: ['tablet'] },
+  { id: 'fexofenadine', name: 'Fexofenadine', brands: ['Allegra', 'Telfast'], classes: ['antihistamine'], strengths: ['60 mg', '120 mg', '180 mg'], forms: ['tablet'] },
+  { id: 'diphenhydramine', name: 'Diphenhydramine', brands: ['Benadryl'], classes: ['antihistamine'], strengths: ['25 mg', '50 mg'], forms: ['capsule', 'tablet'] },
+  { id: 'albuterol', name: 'Albuterol', aliases: ['Salbutamol'], brands: ['Ventolin', 'ProAir'], classes: ['bronchodilator'], strengths: ['90 mcg', '100 mcg'], forms: ['inhaler'] },
+  { id: 'fluticasone', name: 'Fluticasone', brands: ['Flovent', 'Flonase', 'Flixotide'], classes: ['corticosteroid'], strengths: ['50 mcg', '110 mcg', '250 mcg'], forms: ['inhaler', 'nasal spray'] },
+  { id: 'montelukast', name: 'Montelukast', brands: ['Singulair'], classes: ['leukotriene-antagonist'], strengths: ['4 mg', '5 mg', '10 mg'], forms: ['tablet', 'chewable tablet'] },
+  { id: 'tiotropium', name: 'Tiotropium', brands: ['Spiriva'], classes: ['bronchodilator'], strengths: ['18 mcg', '2.5 mcg'], forms: ['inhaler'] },
+
+  // Urology
+  { id: 'tamsulosin', name: 'Tamsulosin', brands: ['Flomax', 'Omnic'], classes: ['alpha-blocker'], strengths: ['0.4 mg'], forms: ['capsule'] },
+  { id: 'sildenafil', name: 'Sildenafil', brands: ['Viagra', 'Revatio'], classes: ['pde5-inhibitor'], strengths: ['20 mg', '25 mg', '50 mg', '100 mg'], forms: ['tablet'] },
+  { id: 'tadalafil', name: 'Tadalafil', brands: ['Cialis'], classes: ['pde5-inhibitor'], strengths: ['2.5 mg', '5 mg', '10 mg', '20 mg'], forms: ['tablet'] },
+
+  // Vitamins, minerals and supplements
+  { id: 'cholecalciferol', name: 'Vitamin D3', aliases: ['Cholecalciferol', 'Vitamin D'], classes: ['vitamin'], strengths: ['400 IU', '1000 IU', '2000 IU', '50000 IU'], forms: ['tablet', 'capsule', 'oral solution'] },
+  { id: 'ascorbic-acid', name: 'Vitamin C', aliases: ['Ascorbic Acid'], classes: ['vitamin'], strengths: ['250 mg', '500 mg', '1000 mg'], forms: ['tablet', 'chewable tablet'] },
+  { id: 'cyanocobalamin', name: 'Vitamin B12', aliases: ['Cyanocobalamin'], classes: ['vitamin'], strengths: ['500 mcg', '1000 mcg'], forms: ['tablet', 'injection'] },
+  { id: 'folic-acid', name: 'Folic Acid', aliases: ['Folate'], classes: ['vitamin'], strengths: ['0.4 mg', '1 mg', '5 mg'], forms: ['tablet'] },
+  { id: 'ferrous-sulfate', name: 'Ferrous Sulfate', aliases: ['Iron'], brands: ['Feosol'], classes: ['mineral'], strengths: ['325 mg'], forms: ['tablet'] },
+  { id: 'calcium-carbonate', name: 'Calcium Carbonate', aliases: ['Calcium'], brands: ['Tums', 'Os-Cal'], classes: ['mineral', 'antacid'], strengths: ['500 mg', '600 mg', '750 mg'], forms: ['tablet', 'chewable tablet'] },
+  { id: 'potassium-chloride', name: 'Potassium Chloride', brands: ['Klor-Con', 'K-Dur'], classes: ['mineral'], strengths: ['8 mEq', '10 mEq', '20 mEq'], forms: ['extended-release tablet'] },
+  { id: 'magnesium-oxide', name: 'Magnesium Oxide', aliases: ['Magnesium'], brands: ['Mag-Ox'], classes: ['mineral'], strengths: ['400 mg'], forms: ['tablet'] },
+  { id: 'st-johns-wort', name: "St. John's Wort", aliases: ['Hypericum'], classes: ['herbal'], strengths: ['300 mg'], forms: ['capsule', 'tablet'] }
+];
+
+// A candidate scoring at least this is taken as the scanned drug (still marked AI-suggested)
+export const CONFIDENT_MATCH = 0.9;
+// Below this a name is not offered as a candidate at all
+const MIN_MATCH = 0.7;
+
+const DRUGS_BY_ID = new Map(DRUGS.map(drug => [drug.id, drug]));
+
+export const findDrug = (id) => (id && DRUGS_BY_ID.get(id)) || null;
+
+// OCR misreads of letters as digits inside words ("Amoxici11in", "L0sartan")
+const OCR_LOOKALIKES = { 0: 'o', 1: 'l', 5: 's', 8: 'b' };
+
+// Lowercase words without accents or punctuation; digits inside words are read as the letters they resemble
+const normalizeWords = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .map(word => (/[a-z]/.test(word) ? word.replace(/[0158]/g, digit => OCR_LOOKALIKES[digit]) : word));
+
+// Every name a drug is known by, normalized once
+const NAME_INDEX = DRUGS.flatMap(drug => [
+  ...[drug.name, ...(drug.aliases || [])].map(name => ({ drug, name, isBrand: false })),
+  ...(drug.brands || []).map(name => ({ drug, name, isBrand: true }))
+]).map(entry => ({ ...entry, words: normalizeWords(entry.name) }));
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+// Best similarity between a dictionary name and any run of words in the scanned text of
+// about the same length, so extra words on the label ("Extra Strength", "Film-coated") do not count against it
+const bestWindowScore = (nameWords, words) => {
+  const target = nameWords.join('');
+  let best = 0;
+  for (let size = Math.max(1, nameWords.length - 1); size <= nameWords.length + 1; size++) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const candidate = words.slice(start, start + size).join('');
+      if (candidate.length < 3) continue;
+      best = Math.max(best, similarity(target, candidate));
+    }
+  }
+  return best;
+};
+
+const STRENGTH_PATTERN = /(\d+(?:[.,]\d+)?(?:\s*\/\s*\d+(?:[.,]\d+)?)?)\s*(mg|mcg|µg|ug|g|ml|iu|ui|units?|meq|%)(?![a-z])/i;
+
+const UNIT_NAMES = { µg: 'mcg', ug: 'mcg', ui: 'IU', iu: 'IU', unit: 'units', units: 'units', meq: 'mEq', ml: 'mL' };
+
+/**
+ * Reads a strength such as "500mg", "0,5 mg" or "875/125 mg" from label text.
+ * @returns {string|null} In the dictionary's format, e.g. "500 mg" (grams are given in mg).
+ */
+export const parseStrength = (text) => {
+  const match = (text || '').match(STRENGTH_PATTERN);
+  if (!match) return null;
+  const amount = match[1].replace(/\s+/g, '').replace(/,/g, '.');
+  const unit = match[2].toLowerCase();
+  // Labels print "1 g" where the dictionary lists "1000 mg"
+  if (unit === 'g' && !amount.includes('/')) return `${Number(amount) * 1000} mg`;
+  return `${amount} ${UNIT_NAMES[unit] || unit}`;
+};
+
+// Dose forms as written on labels, in several languages, mapped to the dictionary's forms
+const FORM_WORDS = [
+  ['extended-release tablet', /\b(?:er|xr|xl|sr|cr|la)\b.*\b(?:tab|tablet)s?\b|\bextended[- ]release\b/],
+  ['chewable tablet', /\bchewable\b|\bcroquer\b|\bmasticables?\b/],
+  ['sublingual tablet', /\bsublingual\b/],
+  ['oral suspension', /\bsuspensi[oó]n\b|\bsusp\b/],
+  ['oral solution', /\bsolution\b|\bsoluci[oó]n\b|\bsyrup\b|\bsirop\b|\bjarabe\b/],
+  ['injection', /\binj(?:ection)?\b|\binjectable\b|\binyectable\b|\bvial\b/],
+  ['inhaler', /\binhaler\b|\binhal/],
+  ['nasal spray', /\bnasal\b/],
+  ['capsule', /\bcaps?(?:ule)?s?\b|\bg[eé]lules?\b|\bc[aá]psulas?\b/],
+  ['tablet', /\btabs?\b|\btablets?\b|\bcomprim[eé]s?\b|\bcomprimidos?\b|\btabletas?\b/],
+  ['cream', /\bcream\b|\bcr[eè]me\b|\bcrema\b/],
+  ['gel', /\bgel\b/],
+  ['suppository', /\bsuppositor/]
+];
+
+export const parseDoseForm = (text) => {
+  const lower = (text || '').toLowerCase();
+  return FORM_WORDS.find(([, pattern]) => pattern.test(lower))?.[0] || null;
+};
+
+/**
+ * Fuzzy-matches a scanned medication name against the dictionary.
+ * @param {string} name - The name as read from the label; may include strength and form.
+ * @param {string} [dosage] - The dosage as read, used for the strength when the name has none.
+ * @param {object} [options]
+ * @param {number} [options.limit=3]
+ * @returns {{ drug: object, matchedName: string, isBrand: boolean, score: number,
+ *   strength: string|null, strengthKnown: boolean, form: string|null }[]}
+ *   Best first, one per drug; `strengthKnown` tells whether the drug comes in the scanned strength.
+ */
+export const matchDrugName = (name, dosage = '', { limit = 3 } = {}) => {
+  const words = normalizeWords(name || '');
+  if (words.length === 0) return [];
+
+  const bestByDrug = new Map();
+  NAME_INDEX.forEach(entry => {
+    const score = bestWindowScore(entry.words, words);
+    if (score < MIN_MATCH) return;
+    const best = bestByDrug.get(entry.drug.id);
+    if (!best || score > best.score) {
+      bestByDrug.set(entry.drug.id, { drug: entry.drug, matchedName: entry.name, isBrand: entry.isBrand, score });
+    }
+  });
+
+  const strength = parseStrength(name) || parseStrength(dosage);
+  const form = parseDoseForm(`${name} ${dosage}`);
+  return [...bestByDrug.values()]
+    .sort((a, b) => b.score - a.score || a.drug.name.localeCompare(b.drug.name))
+    .slice(0, limit)
+    .map(candidate => ({
+      ...candidate,
+      score: Number(candidate.score.toFixed(2)),
+      strength,
+      strengthKnown: Boolean(strength && candidate.drug.strengths.includes(strength)),
+      form
+    }));
+};
@@ -0,0 +1,125 @@
+import { CONFIDENT_MATCH, findDrug, matchDrugName } from './drugDictionary';
+
+// Most severe first
+export const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// Known interactions between drugs of the dictionary. Each side lists drug ids or
+// `class:<name>` for every drug of a class; the rule applies to any pair taken one from each side.
+export const INTERACTIONS = [
+  // Bleeding
+  { between: [['class:anticoagulant'], ['class:nsaid', 'class:antiplatelet']], severity: 'major', effect: 'Higher risk of serious bleeding.', advice: 'Avoid unless a doctor prescribed both; watch for bruising, black stools or blood in urine.' },
+  { between: [['class:anticoagulant'], ['class:anticoagulant']], severity: 'major', effect: 'Two anticoagulants together greatly increase the risk of bleeding.', advice: 'Usually only one anticoagulant is taken at a time; check with your doctor.' },
+  { between: [['warfarin'], ['fluconazole', 'metronidazole', 'sulfamethoxazole-trimethoprim', 'amiodarone', 'ciprofloxacin', 'levofloxacin', 'clarithromycin', 'erythromycin']], severity: 'major', effect: 'Raises the effect of warfarin (higher INR) and the risk of bleeding.', advice: 'Your INR may need checking more often while taking both.' },
+  { between: [['class:ssri', 'class:snri'], ['class:nsaid', 'class:antiplatelet', 'class:anticoagulant']], severity: 'moderate', effect: 'Higher risk of bleeding, especially in the stomach.', advice: 'Report unusual bleeding; a stomach-protecting medicine may be advised.' },
+  { between: [['class:nsaid'], ['class:nsaid']], severity: 'moderate', effect: 'Two anti-inflammatories add up the risk of stomach bleeding and kidney harm.', advice: 'Take only one anti-inflammatory painkiller unless told otherwise.' },
+  { between: [['clopidogrel'], ['omeprazole', 'esomeprazole']], severity: 'moderate', effect: 'May make clopidogrel less effective.', advice: 'Ask whether another stomach medicine such as pantoprazole would suit.' },
+  { between: [['st-johns-wort'], ['class:anticoagulant']], severity: 'major', effect: "St. John's wort can make the anticoagulant less effective.", advice: "Do not start or stop St. John's wort without asking your doctor." },
+
+  // Serotonin syndrome
+  { between: [['class:maoi'], ['class:ssri', 'class:snri', 'class:triptan', 'class:tricyclic-antidepressant', 'tramadol', 'bupropion', 'mirtazapine', 'trazodone', 'st-johns-wort']], severity: 'contraindicated', effect: 'Risk of serotonin syndrome or dangerously high blood pressure.', advice: 'Do not take together; MAO inhibitors need a washout period before switching.' },
+  { between: [['class:ssri', 'class:snri'], ['tramadol']], severity: 'major', effect: 'Risk of serotonin syndrome and seizures.', advice: 'Watch for agitation, fever, shaking or fast heartbeat and seek help if they occur.' },
+  { between: [['class:ssri', 'class:snri'], ['st-johns-wort']], severity: 'major', effect: 'Risk of serotonin syndrome.', advice: "Avoid St. John's wort while on antidepressants." },
+  { between: [['class:ssri', 'class:snri'], ['class:triptan']], severity: 'moderate', effect: 'Small risk of serotonin syndrome.', advice: 'Usually fine together; seek help for agitation, fever or shaking.' },
+
+  // Breathing and sedation
+  { between: [['class:opioid'], ['class:benzodiazepine', 'class:hypnotic', 'gabapentin', 'pregabalin']], severity: 'major', effect: 'Together they can slow or stop breathing and cause heavy sedation.', advice: 'Avoid alcohol and do not take more than prescribed; ask about naloxone.' },
+  { between: [['class:benzodiazepine'], ['class:hypnotic']], severity: 'moderate', effect: 'Added drowsiness and risk of falls.', advice: 'Do not drive until you know how the combination affects you.' },
+
+  // Statins and muscle damage
+  { between: [['simvastatin'], ['clarithromycin', 'erythromycin']], severity: 'contraindicated', effect: 'Large rise in simvastatin levels with a risk of muscle breakdown.', advice: 'Simvastatin is usually paused during the antibiotic course.' },
+  { between: [['simvastatin'], ['amiodarone', 'diltiazem', 'verapamil']], severity: 'major', effect: 'Higher simvastatin levels and risk of muscle damage.', advice: 'The simvastatin dose is usually kept low; report muscle pain or weakness.' },
+  { between: [['atorvastatin'], ['clarithromycin']], severity: 'major', effect: 'Higher atorvastatin levels and risk of muscle damage.', advice: 'Report unexplained muscle pain or dark urine.' },
+
+  // Potassium and kidneys
+  { between: [['class:ace-inhibitor', 'class:arb'], ['class:potassium-sparing-diuretic', 'potassium-chloride']], severity: 'major', effect: 'Risk of high potassium levels, which can affect the heart.', advice: 'Potassium levels should be checked with blood tests.' },
+  { between: [['class:ace-inhibitor'], ['class:arb']], severity: 'major', effect: 'Blocking the same system twice raises the risk of low blood pressure, high potassium and kidney problems.', advice: 'These are rarely combined; check with your doctor.' },
+  { between: [['sulfamethoxazole-trimethoprim'], ['class:ace-inhibitor', 'class:arb', 'class:potassium-sparing-diuretic']], severity: 'moderate', effect: 'Trimethoprim can raise potassium levels.', advice: 'A potassium blood test may be advised.' },
+  { between: [['class:ace-inhibitor', 'class:arb'], ['class:nsaid']], severity: 'moderate', effect: 'Anti-inflammatories weaken the blood pressure effect and can harm the kidneys.', advice: 'Prefer acetaminophen for pain; drink enough fluids.' },
+
+  // Heart rhythm and blood pressure
+  { between: [['class:pde5-inhibitor'], ['class:nitrate']], severity: 'contraindicated', effect: 'Can cause a sudden, dangerous drop in blood pressure.', advice: 'Never take together.' },
+  { between: [['class:pde5-inhibitor'], ['class:alpha-blocker']], severity: 'moderate', effect: 'Dizziness and low blood pressure.', advice: 'Start with a low dose and stand up slowly.' },
+  { between: [['class:beta-blocker'], ['diltiazem', 'verapamil']], severity: 'major', effect: 'Very slow heart rate or heart block.', advice: 'Report dizziness, fainting or a pulse below 50.' },
+  { between: [['digoxin'], ['amiodarone', 'verapamil', 'clarithromycin']], severity: 'major', effect: 'Raises digoxin levels and the risk of toxicity.', advice: 'The digoxin dose is often lowered; report nausea or vision changes.' },
+
+  // Other toxicity
+  { between: [['methotrexate'], ['sulfamethoxazole-trimethoprim']], severity: 'major', effect: 'Risk of severe bone marrow suppression.', advice: 'Usually avoided; tell your doctor you take methotrexate.' },
+  { between: [['methotrexate'], ['class:nsaid']], severity: 'moderate', effect: 'Anti-inflammatories can raise methotrexate levels.', advice: 'Usually fine with low weekly doses; follow your blood test schedule.' },
+  { between: [['lithium'], ['class:ace-inhibitor', 'class:arb', 'class:thiazide-diuretic', 'class:nsaid']], severity: 'major', effect: 'Raises lithium levels and the risk of lithium toxicity.', advice: 'Lithium levels should be checked more often.' },
+  { between: [['colchicine'], ['clarithromycin', 'erythromycin', 'verapamil', 'diltiazem']], severity: 'major', effect: 'Raises colchicine levels and the risk of toxicity.', advice: 'The colchicine dose may need lowering or pausing.' },
+  { between: [['carbamazepine'], ['clarithromycin', 'erythromycin']], severity: 'major', effect: 'Raises carbamazepine levels (dizziness, double vision).', advice: 'Another antibiotic is usually chosen.' },
+  { between: [['metoclopramide'], ['class:antipsychotic']], severity: 'major', effect: 'Higher risk of movement disorders.', advice: 'Report stiffness, tremor or restlessness.' },
+  { between: [['class:sulfonylurea'], ['fluconazole', 'clarithromycin']], severity: 'moderate', effect: 'Higher risk of low blood sugar.', advice: 'Check your blood sugar more often.' },
+
+  // Absorption
+  { between: [['class:fluoroquinolone', 'class:tetracycline'], ['class:mineral', 'class:antacid']], severity: 'moderate', effect: 'Calcium, iron and magnesium stop the antibiotic from being absorbed.', advice: 'Take the antibiotic 2 hours before or 6 hours after these.' },
+  { between: [['levothyroxine'], ['calcium-carbonate', 'ferrous-sulfate', 'magnesium-oxide']], severity: 'moderate', effect: 'Less levothyroxine is absorbed.', advice: 'Take levothyroxine 4 hours apart from these.' },
+  { between: [['class:fluoroquinolone'], ['class:corticosteroid']], severity: 'moderate', effect: 'Higher risk of tendon damage or rupture.', advice: 'Stop and seek advice at any tendon pain, especially in the heel.' }
+];
+
+const SEVERITY_RANK = Object.fromEntries(SEVERITIES.map((severity, index) => [severity, index]));
+
+const matchesSide = (drug, side) => side.some(entry => (entry.startsWith('class:')
+  ? drug.classes.includes(entry.slice(6))
+  : drug.id === entry));
+
+// Most severe rule for a pair of drugs, or null
+const findRule = (drugA, drugB) => INTERACTIONS
+  .filter(({ between: [left, right] }) => (matchesSide(drugA, left) && matchesSide(drugB, right))
+    || (matchesSide(drugB, left) && matchesSide(drugA, right)))
+  .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity])[0] || null;
+
+/**
+ * The dictionary drug of a prescription: its `drugId`, or for older prescriptions a confident
+ * match of its name.
+ */
+export const resolvePrescriptionDrug = (prescription) => findDrug(prescription.drugId)
+  || (() => {
+    const [best] = matchDrugName(prescription.name, prescription.dosage, { limit: 1 });
+    return best && best.score >= CONFIDENT_MATCH ? best.drug : null;
+  })();
+
+// Prescriptions being taken now: not stopped and not past their end date
+export const isActivePrescription = (prescription, today = new Date().toISOString().split('T')[0]) => (
+  (prescription.status || 'active') === 'active' && !(prescription.endDate && prescription.endDate < today)
+);
+
+/**
+ * Checks every pair of prescriptions against the interaction knowledge base.
+ * @param {object[]} prescriptions - Usually the active ones (see isActivePrescription).
+ * @returns {{ id: string, severity: string, effect: string, advice: string,
+ *   prescriptions: object[], drugs: object[] }[]} Most severe first.
+ */
+export const checkInteractions = (prescriptions) => {
+  const resolved = prescriptions
+    .map(prescription => ({ prescription, drug: resolvePrescriptionDrug(prescription) }))
+    .filter(({ drug }) => drug);
+
+  const interactions = [];
+  resolved.forEach((first, i) => {
+    resolved.slice(i + 1).forEach(second => {
+      // The same drug prescribed twice is a duplicate, not an interaction
+      if (first.drug.id === second.drug.id) return;
+      const rule = findRule(first.drug, second.drug);
+      if (!rule) return;
+      interactions.push({
+        id: `${first.prescription.id}:${second.prescription.id}`,
+        severity: rule.severity,
+        effect: rule.effect,
+        advice: rule.advice,
+        prescriptions: [first.prescription, second.prescription],
+        drugs: [first.drug, second.drug]
+      });
+    });
+  });
+
+  return interactions.sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+};
+
+// Interactions a prescription has with the others in the list
+export const interactionsFor = (interactions, prescriptionId) => interactions
+  .filter(interaction => interaction.prescriptions.some(prescription => prescription.id === prescriptionId));
+
+// "Warfarin + Ibuprofen (major): Higher risk of serious bleeding." for prompts and notices
+export const describeInteraction = ({ prescriptions, severity, effect }) =>
+  `${prescriptions.map(prescription => prescription.name).join(' + ')} (${severity}): ${effect}`;
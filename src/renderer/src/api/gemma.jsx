@@ -1,8 +1,115 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getGenerationParams, appendGenerationParams } from './generationSettings';
+import { readGenerationStream, subscribeToGenerationEvents, GenerationStreamError } from './generationStream';
+import { MEDICATION_SCHEMA, RECORD_ANALYSIS_SCHEMA } from './responseSchemas';
+import { messageImageUrls, toImageReferences } from './attachments';
 
 // The URL for the backend AI server
 const API_URL = 'http://localhost:3010';
 
+// localStorage key of the chat generation that is still running ({ jobId, assistantMessageId }),
+// so the chat page can reattach to it after a reload or navigating away
+const ACTIVE_GENERATION_KEY = 'medigemma_active_generation';
+
+export const getActiveGeneration = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_GENERATION_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * OCR languages installed with the server, for language selectors.
+ * @returns {Promise<{ languages: Array<{ code: string, label: string, direction: string }>, autoDetect: boolean, default: string }>}
+ */
+export const fetchOcrLanguages = async () => {
+  const response = await fetch(`${API_URL}/ocr/languages`);
+  if (!response.ok) {
+    throw new Error(`Failed to load OCR languages (${response.status})`);
+  }
+  return response.json();
+};
+
+const setActiveGeneration = (activeGeneration) => {
+  if (activeGeneration) {
+    localStorage.setItem(ACTIVE_GENERATION_KEY, JSON.stringify(activeGeneration));
+  } else {
+    localStorage.removeItem(ACTIVE_GENERATION_KEY);
+  }
+};
+
+// The server sends the validation errors when a structured answer has to be generated again
+const logSchemaRetry = (event) => {
+  if (event.validationErrors) {
+    console.warn(`🔁 Answer did not match the schema, attempt ${event.attempt}:`, event.validationErrors);
+  }
+};
+
+// The server decodes audio with a WAV reader, so other audio formats can't be attached
+const isWavFile = (fileObj) => /^audio\/(x-)?wav/.test(fileObj.file?.type || '');
+
+const isPdfAttachment = (fileObj) => fileObj.type === 'pdf' || fileObj.file?.type === 'application/pdf';
+
+/**
+ * Appends a turn's attachments: every image and WAV audio file in `files` (in order),
+ * then the audio recording, plus an `order` field so the server keeps that order in the prompt.
+ * PDFs go in the `document` field; the server reads their text ahead of the message.
+ * @returns {number} How many files were attached.
+ */
+const appendAttachments = (formData, files = [], audioRecording = null) => {
+  const order = [];
+  let documents = 0;
+  files.forEach(fileObj => {
+    if (isPdfAttachment(fileObj)) {
+      formData.append('document', fileObj.file, fileObj.name);
+      documents++;
+    } else if (fileObj.type?.startsWith('image')) {
+      formData.append('image', fileObj.file, fileObj.name);
+      order.push('image');
+    } else if (fileObj.type === 'audio' && isWavFile(fileObj)) {
+      formData.append('audio', fileObj.file, fileObj.name);
+      order.push('audio');
+    } else {
+      console.warn(`⚠️ Skipping unsupported attachment: ${fileObj.name}`);
+    }
+  });
+  if (audioRecording) {
+    formData.append('audio', audioRecording.file, audioRecording.name);
+    order.push('audio');
+  }
+  if (order.length > 1) {
+    formData.append('order', JSON.stringify(order));
+  }
+  return order.length + documents;
+};
+
+/**
+ * Conversation history in the shape /generate expects. System messages are UI notices only.
+ * User turns carry the server URLs of their images (saved on the assistant reply, as attachment
+ * ids) so the server can show them to the model again.
+ */
+const toConversationHistory = (messages) => {
+  const history = messages.filter(msg => msg.role !== 'system');
+  return history.map((msg, index) => {
+    const reply = history[index + 1];
+    const imageUrls = msg.role === 'user' && reply?.role === 'assistant' ? messageImageUrls(reply) : [];
+    return {
+      role: msg.role,
+      content: msg.content,
+      timestamp: msg.timestamp,
+      // Include file names but not the actual file objects for history
+      ...(msg.files && msg.files.length > 0 && {
+        files: msg.files.map(f => ({ name: f.name, type: f.type }))
+      }),
+      ...(msg.audioRecording && {
+        audioRecording: { name: msg.audioRecording.name }
+      }),
+      ...(imageUrls.length > 0 && { imageUrls })
+    };
+  });
+};
+
 /**
  * Custom hook to manage interaction with the Gemma AI backend.
  * Handles conversation state, file uploads, and streaming responses.
@@ -16,6 +123,17 @@ export const useGemma = () => {
   const [modelStatus, setModelStatus] = useState('loading');
   // State for initial message to display to the user
   const [initMessage, setInitMessage] = useState('Welcome to MediGemma AI. How can I assist you with your medical data today?');
+  // The in-flight chat generation ({ jobId, controller }) so it can be cancelled
+  const activeGenerationRef = useRef(null);
+  // False once the chat page unmounts; a running job is then left for the next mount to reattach to
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
 
   // Memoized boolean to easily check if the model is ready
   const isModelReady = modelStatus === 'ready';
@@ -54,12 +172,99 @@ export const useGemma = () => {
     setMessages([]);
   }, []);
 
+  /**
+   * Streams a queued chat job into the assistant message with the given id.
+   * The server replays the whole job, so this also works for reattaching after a reload.
+   * @param {string} jobId - Server job ID from POST /generate/jobs.
+   * @param {number} assistantMessageId - The placeholder message to fill in.
+   * @param {AbortController} controller - Aborting closes the stream (cancel() falls back to this).
+   * @param {Function} [onContextSummary] - Called when the server summarized older turns.
+   */
+  const followGeneration = useCallback(async (jobId, assistantMessageId, controller, onContextSummary) => {
+    const updateAssistantMessage = (update) => {
+      setMessages((prevMessages) =>
+        prevMessages.map((msg) =>
+          msg.id === assistantMessageId ? { ...msg, ...update(msg) } : msg
+        )
+      );
+    };
+
+    activeGenerationRef.current = { jobId, controller };
+    setActiveGeneration({ jobId, assistantMessageId });
+    setIsLoading(true);
+
+    try {
+      await subscribeToGenerationEvents(API_URL, jobId, {
+        onMetadata: (metadata) => {
+          if (metadata.context?.summaryUpdated) {
+            onContextSummary?.(metadata.context.summary);
+          }
+          updateAssistantMessage((msg) => ({
+            // How the conversation was fitted into the model's context window
+            ...(metadata.context && { context: metadata.context }),
+            // Show where the request stands while other generations are running
+            ...(typeof metadata.queuePosition === 'number' && { queuePosition: metadata.queuePosition }),
+            // Saved conversations keep the images as attachment ids
+            ...(metadata.imageUrls && toImageReferences(metadata.imageUrls)),
+            // Show processing status, but don't overwrite existing content
+            ...(metadata.message && { content: msg.content || metadata.message }),
+          }));
+        },
+        onChunk: (chunk, text) => {
+          // Replaces the "Processing..." placeholder with the actual content
+          updateAssistantMessage(() => ({ content: text }));
+        },
+        onUsage: (usage) => {
+          updateAssistantMessage(() => ({ usage }));
+        },
+        onComplete: (complete) => {
+          const cancelled = complete.finishReason === 'cancelled';
+          updateAssistantMessage(() => ({
+            content: complete.fullResponse || (cancelled ? '_Generation stopped._' : ''),
+            complete: true,
+            cancelled,
+            finishReason: complete.finishReason,
+            ...(complete.imageUrls && toImageReferences(complete.imageUrls)),
+          }));
+        },
+      }, { signal: controller.signal });
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopped before the server could cancel the job; keep whatever was streamed so far
+        updateAssistantMessage((msg) => ({ content: msg.content || '_Generation stopped._', complete: true, cancelled: true }));
+        return;
+      }
+      console.error('Error generating response:', error);
+      const expired = error instanceof GenerationStreamError && error.status === 404;
+      updateAssistantMessage((msg) => ({
+        content: expired
+          ? `${msg.content ? `${msg.content}\n\n` : ''}_This response is no longer available on the server._`
+          : `Error: Could not get response from the server. ${error.message}`,
+        complete: true,
+      }));
+    } finally {
+      if (activeGenerationRef.current?.controller === controller) {
+        activeGenerationRef.current = null;
+      }
+      // Leave the pointer in place if the page went away mid-stream, so it can reattach later
+      if (isMountedRef.current) {
+        setActiveGeneration(null);
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
   /**
    * Main function to send user input to the backend and handle the response.
    * @param {object} inputData - The data from the input component.
    * @param {string} inputData.text - The user's text input.
    * @param {Array} inputData.files - An array of uploaded file objects.
    * @param {object} inputData.audioRecording - The recorded audio blob object.
+   * @param {string} [inputData.systemPrompt] - Instructions and context sent as the system prompt.
+   * @param {object} [inputData.contextSummary] - Rolling summary of earlier turns ({ text, messageCount }).
+   * @param {Function} [inputData.onContextSummary] - Called with a new rolling summary to persist.
+   * @param {object} [inputData.generationParams] - Overrides for the user's chat generation settings.
    */
   const generateResponse = useCallback(async (inputData) => {
     // Prevent sending empty requests
@@ -87,30 +292,15 @@ export const useGemma = () => {
     // Use FormData to send text, files, and conversation history in a single request
     const formData = new FormData();
     formData.append('text', inputData.text || '');
+    appendGenerationParams(formData, getGenerationParams('chat', inputData.generationParams));
 
-    // Send the full conversation history (including the new user message)
-    const conversationHistory = [...messages, userMessage].map(msg => ({
-      role: msg.role,
-      content: msg.content,
-      timestamp: msg.timestamp,
-      // Include file names but not the actual file objects for history
-      ...(msg.files && msg.files.length > 0 && { 
-        files: msg.files.map(f => ({ name: f.name, type: f.type })) 
-      }),
-      ...(msg.audioRecording && { 
-        audioRecording: { name: msg.audioRecording.name } 
-      })
-    }));
+    // Send the earlier conversation; the new message goes in 'text' and the files
+    const conversationHistory = toConversationHistory(messages);
     
-    // Add system prompt if provided
+    // Add system prompt (e.g. patient memory) if provided; the server folds it into the first user turn
     if (inputData.systemPrompt) {
-      console.log('💬 Adding system prompt to conversation');
-      // Add the system message at the beginning of the conversation
-      conversationHistory.unshift({
-        role: 'system',
-        content: inputData.systemPrompt,
-        timestamp: new Date().toISOString()
-      });
+      console.log('💬 Adding system prompt to request');
+      formData.append('system', inputData.systemPrompt);
     }
     
     if (conversationHistory.length > 0) {
@@ -118,23 +308,18 @@ export const useGemma = () => {
       formData.append('conversation', JSON.stringify(conversationHistory));
     }
 
-    // Append image files (server expects 'image' field)
-    if (inputData.files && inputData.files.length > 0) {
-      inputData.files.forEach(fileObj => {
-        // Assuming your server can handle multiple files under the same field name
-        if (fileObj.type?.startsWith('image')) {
-          formData.append('image', fileObj.file, fileObj.name);
-        }
-      });
+    // Earlier turns the server already summarized, so it doesn't redo the work every turn
+    if (inputData.contextSummary) {
+      formData.append('summary', JSON.stringify(inputData.contextSummary));
     }
 
-    // Append audio file (server expects 'audio' field)
-    if (inputData.audioRecording) {
-      formData.append('audio', inputData.audioRecording.file, inputData.audioRecording.name);
-    }
+    // Append images and audio ('image' / 'audio' fields, several of each)
+    appendAttachments(formData, inputData.files, inputData.audioRecording);
 
     // Add a placeholder for the assistant's response
     const assistantMessageId = Date.now();
+    const controller = new AbortController();
+    activeGenerationRef.current = { jobId: null, controller };
     setMessages((prevMessages) => [
       ...prevMessages,
       {
@@ -146,154 +331,86 @@ export const useGemma = () => {
       },
     ]);
 
+    let jobId;
     try {
-      const response = await fetch(`${API_URL}/generate`, {
+      // Queue the job, then follow its events; the job survives a reload of this page
+      const response = await fetch(`${API_URL}/generate/jobs`, {
         method: 'POST',
         body: formData, // FormData sets the 'Content-Type' to 'multipart/form-data' automatically
+        signal: controller.signal,
       });
-
+      const data = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        throw new GenerationStreamError(data.error || `Server error: ${response.status} ${response.statusText}`, { status: response.status });
       }
-
-      // Handle the streaming response from the server
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let streamDone = false;
-      let imageUrl = null;
-      let buffer = '';
-
-      while (!streamDone) {
-        const { value, done } = await reader.read();
-        if (done) {
-          streamDone = true;
-          // Process any remaining buffer content
-          if (buffer.trim()) {
-            processBuffer(buffer);
-          }
-          // Mark the message as complete
-          setMessages(prev => prev.map(m => 
-            m.id === assistantMessageId 
-              ? { ...m, complete: true, ...(imageUrl && { imageUrl }) } 
-              : m
-          ));
-        } else {
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
-          
-          // Process complete lines from the buffer
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || ''; // Keep the last potentially incomplete line in the buffer
-          
-          for (const line of lines) {
-            if (!line.trim()) continue;
-            processLine(line);
-          }
-        }
-      }
-
-      // Helper function to process a single line of response
-      function processLine(line) {
-        try {
-          const parsed = JSON.parse(line);
-          console.log('📥 Received JSON message:', parsed);
-          
-          if (parsed.type === 'metadata') {
-            // Handle metadata (like image URL)
-            if (parsed.imageUrl) {
-              imageUrl = parsed.imageUrl;
-            }
-            if (parsed.message) {
-              // Update message with processing status, but don't overwrite existing content
-              setMessages((prevMessages) =>
-                prevMessages.map((msg) =>
-                  msg.id === assistantMessageId
-                    ? { 
-                        ...msg, 
-                        content: msg.content || parsed.message,
-                        ...(imageUrl && { imageUrl })
-                      }
-                    : msg
-                )
-              );
-            }
-          } else if (parsed.type === 'chunk') {
-            // Handle text chunks - replace "Processing..." with actual content
-            setMessages((prevMessages) =>
-              prevMessages.map((msg) =>
-                msg.id === assistantMessageId
-                  ? { 
-                      ...msg, 
-                      content: (msg.content && msg.content.includes('Processing...')) 
-                        ? parsed.data 
-                        : (msg.content || '') + parsed.data,
-                      ...(imageUrl && { imageUrl })
-                    }
-                  : msg
-              )
-            );
-          } else if (parsed.type === 'complete') {
-            // Handle completion with final response
-            if (parsed.fullResponse) {
-              setMessages((prevMessages) =>
-                prevMessages.map((msg) =>
-                  msg.id === assistantMessageId
-                    ? { 
-                        ...msg, 
-                        content: parsed.fullResponse,
-                        complete: true,
-                        ...(parsed.imageUrl && { imageUrl: parsed.imageUrl })
-                      }
-                    : msg
-                )
-              );
-            }
-            if (parsed.imageUrl && !imageUrl) {
-              imageUrl = parsed.imageUrl;
-            }
-          }
-        } catch (parseError) {
-          // If it's not JSON, treat it as plain text (fallback for older responses)
-          // Only append if we haven't started JSON parsing for this message
-          if (line.trim() && !line.includes('{"type":')) {
-            setMessages((prevMessages) =>
-              prevMessages.map((msg) =>
-                msg.id === assistantMessageId
-                  ? { ...msg, content: (msg.content || '') + line }
-                  : msg
-              )
-            );
-          }
-        }
-      }
-
-      // Helper function to process the buffer (same logic as processLine)
-      function processBuffer(bufferContent) {
-        const lines = bufferContent.split('\n').filter(line => line.trim());
-        for (const line of lines) {
-          processLine(line);
-        }
-      }
-
+      jobId = data.jobId;
     } catch (error) {
-      console.error('Error generating response:', error);
-      // Update the assistant's message with an error
+      const cancelled = error.name === 'AbortError';
+      if (!cancelled) console.error('Error generating response:', error);
       setMessages((prevMessages) =>
         prevMessages.map((msg) =>
           msg.id === assistantMessageId
-            ? { ...msg, content: `Error: Could not get response from the server. ${error.message}`, complete: true }
+            ? cancelled
+              ? { ...msg, content: '_Generation stopped._', complete: true, cancelled: true }
+              : { ...msg, content: `Error: Could not get response from the server. ${error.message}`, complete: true }
             : msg
         )
       );
-    } finally {
+      activeGenerationRef.current = null;
       setIsLoading(false);
+      return;
     }
-  }, [messages, isModelReady]);
+
+    // Saved with the conversation so an unfinished answer can be picked up again
+    setMessages((prevMessages) =>
+      prevMessages.map((msg) => (msg.id === assistantMessageId ? { ...msg, jobId } : msg))
+    );
+    await followGeneration(jobId, assistantMessageId, controller, inputData.onContextSummary);
+  }, [messages, isModelReady, followGeneration]);
+
+  /**
+   * Stops the in-flight generateResponse call (wired to the chat Stop button).
+   * Once the server has assigned a job ID the job is cancelled with DELETE /generate/:id,
+   * so the stream still ends with a 'complete' event carrying the partial answer.
+   * Before that, the request is aborted; the job it may already have queued has no subscriber,
+   * and the server cancels such a job after a short grace period (resources/utils/jobStreams.js).
+   */
+  const cancel = useCallback(async () => {
+    const activeGeneration = activeGenerationRef.current;
+    if (!activeGeneration) return;
+
+    if (activeGeneration.jobId) {
+      try {
+        const response = await fetch(`${API_URL}/generate/${activeGeneration.jobId}`, { method: 'DELETE' });
+        if (response.ok) return;
+      } catch (error) {
+        console.error('Failed to cancel generation job:', error);
+      }
+    }
+    activeGeneration.controller.abort();
+  }, []);
+
+  /**
+   * Reattaches to an unfinished assistant message whose job may still be running on the server
+   * (e.g. after the app was reloaded mid-answer). The answer is replayed from the start.
+   * @param {object} assistantMessage - A message with `id`, `jobId` and `complete: false`.
+   */
+  const resumeGeneration = useCallback(async (assistantMessage) => {
+    if (!assistantMessage?.jobId || activeGenerationRef.current) return;
+    await followGeneration(assistantMessage.jobId, assistantMessage.id, new AbortController());
+  }, [followGeneration]);
 
   /**
    * NEW: Function to process prescription images using OCR + LLM
-   * @param {File} imageFile - The prescription image file
+   * @param {File|File[]} imageFile - The image file, or several pages of one document (PDFs are read page by page)
    * @param {string} prompt - The user's prompt/question about the prescription
+   * @param {object} [generationParams] - Overrides for the user's extraction generation settings
+   * @param {object} [options]
+   * @param {string} [options.language] - OCR language code(s) such as 'fra' or 'ara+eng'; 'auto' detects the script
+   * @param {object[]} [options.pages] - `pages` of an earlier result with corrected text; OCR is skipped
+   *   and only the Gemma step runs again (pass null as `imageFile`)
+   * @param {object} [options.schema] - JSON Schema the answer must match (see responseSchemas.jsx);
+   *   the parsed answer is returned as `data`
    * @returns {Promise<object>} - The processed prescription data
    */
   const generateOCRResponse = useCallback(async (imageFile, 
@@ -310,8 +427,9 @@ export const useGemma = () => {
               "dosage": "Dosage information"
             }
           }
-        `) => {
-    if (!imageFile || !(imageFile instanceof File)) {
+        `, generationParams = {}, { language = 'auto', pages = null, schema = null } = {}) => {
+    const imageFiles = pages ? [] : Array.isArray(imageFile) ? imageFile : [imageFile];
+    if (pages ? pages.length === 0 : imageFiles.length === 0 || !imageFiles.every(file => file instanceof File)) {
       throw new Error('Invalid image file provided');
     }
 
@@ -322,97 +440,40 @@ export const useGemma = () => {
     setIsLoading(true);
 
     try {
-      console.log('🔍 Processing prescription image with OCR endpoint:', imageFile.name);
+      console.log(pages
+        ? `✏️ Re-running analysis on corrected text of ${pages.length} page(s)`
+        : `🔍 Processing image(s) with OCR endpoint: ${imageFiles.map(file => file.name).join(', ')}`);
       
-      // Create FormData for the OCR endpoint
+      // Create FormData for the OCR endpoint; each image is a page, in order, and PDFs are read page by page
       const formData = new FormData();
-      formData.append('image', imageFile);
+      imageFiles.forEach(file => formData.append(file.type === 'application/pdf' ? 'document' : 'image', file));
+      if (pages) {
+        formData.append('pages', JSON.stringify(pages));
+      }
       formData.append('prompt', prompt);
+      formData.append('lang', language);
+      if (schema) {
+        formData.append('schema', JSON.stringify(schema));
+      }
+      appendGenerationParams(formData, getGenerationParams('extraction', generationParams));
 
       const response = await fetch(`${API_URL}/ocrgenerate`, {
         method: 'POST',
         body: formData,
       });
 
-      if (!response.ok) {
-        throw new Error(`OCR Server error: ${response.status} ${response.statusText}`);
-      }
-
       // Handle the streaming response from the OCR endpoint
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullResponse = '';
-      let extractedText = '';
-      let imageUrl = null;
-      let buffer = '';
-
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) {
-          // Process any remaining buffer content
-          if (buffer.trim()) {
-            processOCRBuffer(buffer);
+      const { text: fullResponse, metadata, usage, complete } = await readGenerationStream(response, {
+        onMetadata: (event) => {
+          if (typeof event.extractedTextLength === 'number') {
+            console.log(`📝 OCR extracted ${event.extractedTextLength} characters`);
           }
-          break;
-        }
-
-        const chunk = decoder.decode(value, { stream: true });
-        buffer += chunk;
-        
-        // Process complete lines from the buffer
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep the last potentially incomplete line in the buffer
-        
-        for (const line of lines) {
-          if (!line.trim()) continue;
-          processOCRLine(line);
-        }
-      }
-
-      // Helper function to process OCR response lines
-      function processOCRLine(line) {
-        try {
-          const parsed = JSON.parse(line);
-          console.log('📥 Received OCR JSON message:', parsed);
-          
-          if (parsed.type === 'metadata') {
-            if (parsed.imageUrl) {
-              imageUrl = parsed.imageUrl;
-            }
-            if (parsed.extractedText) {
-              extractedText = parsed.extractedText;
-            }
-            console.log(`📝 OCR extracted ${parsed.extractedTextLength || 0} characters`);
-          } else if (parsed.type === 'chunk') {
-            fullResponse += parsed.data;
-          } else if (parsed.type === 'complete') {
-            if (parsed.fullResponse && !fullResponse) {
-              fullResponse = parsed.fullResponse;
-            }
-            if (parsed.extractedText && !extractedText) {
-              extractedText = parsed.extractedText;
-            }
-            if (parsed.imageUrl && !imageUrl) {
-              imageUrl = parsed.imageUrl;
-            }
-          } else if (parsed.type === 'error') {
-            throw new Error(parsed.error || 'OCR processing failed');
-          }
-        } catch (parseError) {
-          // If it's not JSON, treat it as plain text (fallback)
-          if (line.trim() && !line.includes('{"type":')) {
-            fullResponse += line;
-          }
-        }
-      }
-
-      // Helper function to process the buffer
-      function processOCRBuffer(bufferContent) {
-        const lines = bufferContent.split('\n').filter(line => line.trim());
-        for (const line of lines) {
-          processOCRLine(line);
-        }
-      }
+          logSchemaRetry(event);
+        },
+      });
+      const extractedText = metadata.extractedText || '';
+      const imageUrl = metadata.imageUrl || null;
+      const imageUrls = metadata.imageUrls || (imageUrl ? [imageUrl] : []);
 
       console.log('✅ OCR processing complete');
       console.log(`📝 Extracted text: ${extractedText.length} characters`);
@@ -423,8 +484,17 @@ export const useGemma = () => {
         success: true,
         extractedText,
         llmResponse: fullResponse,
+        // The schema-valid answer, when a schema was sent
+        data: complete?.data ?? null,
         imageUrl,
-        originalFilename: imageFile.name
+        imageUrls,
+        pages: metadata.pages || [],
+        // Deskewed, binarized copies of the photos that OCR actually read
+        preprocessedImageUrl: metadata.preprocessedImageUrl || null,
+        preprocessedImageUrls: metadata.preprocessedImageUrls || [],
+        direction: metadata.direction || 'ltr',
+        usage,
+        originalFilename: imageFiles[0]?.name || pages[0].name
       };
 
     } catch (error) {
@@ -435,51 +505,17 @@ export const useGemma = () => {
     }
   }, [isModelReady]);
 
-  // Helper function to extract values from text using various patterns
-  const extractValue = (text, field) => {
-    const patterns = [
-      new RegExp(`"${field}"\\s*:\\s*"([^"]*)"`, 'i'),
-      new RegExp(`${field}\\s*:\\s*"([^"]*)"`, 'i'),
-      new RegExp(`${field}\\s*:\\s*([^\\n,}]*)`, 'i'),
-    ];
-    
-    for (const pattern of patterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        return match[1].trim();
-      }
-    }
-    return null;
-  };
-
-  // Helper function to validate and clean the response
- const validateAndCleanResponse = (response) => {
-    // **** FIX: Add a check to handle the health score format FIRST ****
-    if (response && typeof response.score === 'number' && typeof response.opinion === 'string') {
-      // If it's a valid health score object, return it immediately.
-      return response;
-    }
-
-    const allowedCategories = ['General', 'Radiology', 'Blood Work', 'Cardiology', 'Dermatology', 'Endocrinology', 'Neurology', 'Physical Therapy', 'Prescription', 'Other'];
-    
-    // If the response has medication field, return it as is for prescription processing
-    if (response.medication) {
-      return response;
-    }
-    
-    // Fallback for general medical records
-    return {
-      title: typeof response.title === 'string' ? response.title.trim() : 'Medical Record Analysis',
-      category: allowedCategories.includes(response.category) ? response.category : 'General',
-      notes: typeof response.notes === 'string' ? response.notes.trim() : 'AI-generated medical document analysis',
-      analysis: typeof response.analysis === 'string' ? response.analysis.trim() : 'Unable to generate detailed analysis from the provided document.',
-      ...(response.imageUrl && { imageUrl: response.imageUrl })
-    };
-  };
-
-
-  // Updated generateStructuredResponse function to handle server's JSON response format
-  const generateStructuredResponse = useCallback(async (inputData) => {
+  /**
+   * Asks Gemma for JSON matching a JSON Schema (POST /generate/structured). The server validates
+   * the answer and retries with the validation errors, so the result always matches the schema.
+   * @param {File|Blob|object} inputData - A prescription photo, or `{ text, files, audioRecording, ocrLanguage }`.
+   * @param {object} [options]
+   * @param {string} [options.feature] - Which generation settings apply ('extraction' or 'healthScore').
+   * @param {object} [options.generationParams] - Overrides for those settings.
+   * @param {object} [options.schema] - Defaults to MEDICATION_SCHEMA for a photo and RECORD_ANALYSIS_SCHEMA otherwise.
+   * @returns {Promise<object>} The answer, plus `imageUrl`/`imageUrls` when images were sent.
+   */
+  const generateStructuredResponse = useCallback(async (inputData, { feature = 'extraction', generationParams, schema } = {}) => {
     console.log('🔥 generateStructuredResponse called with:', inputData);
     
     if (!isModelReady) {
@@ -494,24 +530,16 @@ export const useGemma = () => {
       
       // Create FormData for multipart upload
       const formData = new FormData();
+      appendGenerationParams(formData, getGenerationParams(feature, generationParams));
+      formData.append('schema', JSON.stringify(schema || (isPrescriptionScan ? MEDICATION_SCHEMA : RECORD_ANALYSIS_SCHEMA)));
       
       if (isPrescriptionScan) {
         console.log('📋 Processing prescription scan file:', inputData.name || 'unnamed file', inputData.type, inputData.size, 'bytes');
         
         // Add prescription-specific prompt
         const prescriptionPrompt = `
-          Analyze this medication image and extract ONLY the following information in JSON format:
-          - medication name
-          - dosage
-          
+          Analyze this medication image and extract ONLY the medication name and dosage.
           Return a JSON object with a "medication" field containing ONLY these attributes.
-          Example format:
-          {
-            "medication": {
-              "name": "Medication name",
-              "dosage": "Dosage information"
-            }
-          }
         `;
         
         formData.append('text', prescriptionPrompt);
@@ -524,18 +552,7 @@ export const useGemma = () => {
         formData.append('text', inputData.text || '');
 
         // Send the conversation history
-        const conversationHistory = messages.map(msg => ({
-          role: msg.role,
-          content: msg.content,
-          timestamp: msg.timestamp,
-          // Include file names but not the actual file objects for history
-          ...(msg.files && msg.files.length > 0 && { 
-            files: msg.files.map(f => ({ name: f.name, type: f.type })) 
-          }),
-          ...(msg.audioRecording && { 
-            audioRecording: { name: msg.audioRecording.name } 
-          })
-        }));
+        const conversationHistory = toConversationHistory(messages);
         
         if (conversationHistory.length > 0) {
           console.log(`📜 Sending conversation history with ${conversationHistory.length} messages to structured response`);
@@ -543,159 +560,39 @@ export const useGemma = () => {
         
         formData.append('conversation', JSON.stringify(conversationHistory));
 
-        // Add files if they exist - using the SAME logic as generateResponse
-        if (inputData.files && inputData.files.length > 0) {
-          console.log(`📎 Adding ${inputData.files.length} files to FormData...`);
-          
-          // Process all files like in generateResponse
-          inputData.files.forEach(fileObj => {
-            if (fileObj.type.startsWith('image')) {
-              formData.append('image', fileObj.file, fileObj.name);
-              console.log(`📄 Added image file: ${fileObj.name}`);
-            }
-          });
-          
-          if (inputData.files.length > 1) {
-            console.warn(`⚠️ Multiple files detected, server will process all image files`);
-          }
-        }
-
-        // Add audio recording if it exists - using the SAME logic as generateResponse
-        if (inputData.audioRecording) {
-          formData.append('audio', inputData.audioRecording.file, inputData.audioRecording.name);
-          console.log(`🎵 Added audio recording: ${inputData.audioRecording.name}`);
+        // Add files and audio recording - using the SAME logic as generateResponse
+        const attached = appendAttachments(formData, inputData.files, inputData.audioRecording);
+        console.log(`📎 Added ${attached} file(s) to FormData`);
+        // Language for any scanned PDF pages among the files
+        if (inputData.ocrLanguage) {
+          formData.append('lang', inputData.ocrLanguage);
         }
       }
 
-      console.log('📤 Sending request to /generate endpoint...');
-      const response = await fetch(`${API_URL}/generate`, {
+      console.log('📤 Sending request to /generate/structured endpoint...');
+      const response = await fetch(`${API_URL}/generate/structured`, {
         method: 'POST',
         body: formData,
       });
 
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status} ${response.statusText}`);
+      const { metadata, usage, complete } = await readGenerationStream(response, { onMetadata: logSchemaRetry });
+      if (!complete?.data) {
+        throw new Error('The AI did not return a structured answer.');
       }
-
-      // Handle the structured response from server (JSON chunks + metadata)
-      let fullResponse = '';
-      let imageUrl = null;
-      let hasUploadedImage = false;
-      
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        
-        // Check if this is a JSON response with metadata
-        const lines = chunk.split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          try {
-            const parsed = JSON.parse(line);
-            
-            if (parsed.type === 'metadata') {
-              console.log('📸 Received image metadata:', parsed);
-              imageUrl = parsed.imageUrl;
-              hasUploadedImage = true;
-            } else if (parsed.type === 'chunk') {
-              fullResponse += parsed.data;
-            } else if (parsed.type === 'complete') {
-              console.log('✅ Received completion metadata');
-              if (parsed.imageUrl && !imageUrl) {
-                imageUrl = parsed.imageUrl;
-                hasUploadedImage = true;
-              }
-              if (parsed.fullResponse && !fullResponse) {
-                fullResponse = parsed.fullResponse;
-              }
-            }
-          } catch (parseError) {
-            // If it's not JSON, it's probably plain text response
-            if (!hasUploadedImage) {
-              fullResponse += chunk;
-            }
-          }
-        }
+      if (usage) {
+        console.log(`📊 ${usage.completionTokens} tokens in ${usage.generationMs}ms (${complete.attempts} attempt(s))`);
       }
 
-      console.log('📥 Full response received:', fullResponse);
-      console.log('🖼️ Image URL received:', imageUrl);
-
-      // Clean the response before parsing
-      let cleanedResponse = fullResponse.trim();
-      
-      // Remove common markdown formatting that might interfere
-      cleanedResponse = cleanedResponse.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
-      cleanedResponse = cleanedResponse.replace(/^```\s*/i, '').replace(/\s*```$/i, '');
-      
-      // Try multiple JSON extraction strategies
-      let jsonResponse = null;
-      
-      // Strategy 1: Direct JSON parse
-      try {
-        jsonResponse = JSON.parse(cleanedResponse);
-        console.log('✅ Strategy 1 - Direct parse successful:', jsonResponse);
-      } catch (parseError) {
-        console.log('⚠️ Strategy 1 failed, trying Strategy 2...');
-        
-        // Strategy 2: Extract JSON from curly braces
-        const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            jsonResponse = JSON.parse(jsonMatch[0]);
-            console.log('✅ Strategy 2 - Extracted JSON successful:', jsonResponse);
-          } catch (extractError) {
-            console.log('⚠️ Strategy 2 failed, trying Strategy 3...');
-            
-            // Strategy 3: Find the largest valid JSON object
-            const braceMatches = cleanedResponse.match(/\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}/g);
-            if (braceMatches) {
-              for (const match of braceMatches.reverse()) { // Try largest first
-                try {
-                  jsonResponse = JSON.parse(match);
-                  console.log('✅ Strategy 3 - Found valid JSON:', jsonResponse);
-                  break;
-                } catch (e) {
-                  continue;
-                }
-              }
-            }
-          }
-        }
-      }
-      
-      // If all JSON parsing strategies failed, create a structured response from the text
-      if (!jsonResponse) {
-        console.log('⚠️ All JSON strategies failed, creating structured response from text...');
-        
-        // Try to extract key information from the text response
-        const lines = cleanedResponse.split('\n').filter(line => line.trim());
-        
-        jsonResponse = {
-          title: extractValue(cleanedResponse, 'title') || 'AI Generated Analysis',
-          category: extractValue(cleanedResponse, 'category') || 'General',
-          notes: extractValue(cleanedResponse, 'notes') || 'AI analysis completed',
-          analysis: cleanedResponse.length > 100 ? cleanedResponse : 'Detailed analysis was not provided in the expected format.'
-        };
-      }
-      
-      // Validate and clean the final response
-      const validatedResponse = validateAndCleanResponse(jsonResponse);
-      
+      const result = { ...complete.data };
       // Add the image URL to the response if we received one
-      if (imageUrl) {
-        validatedResponse.imageUrl = imageUrl;
-        console.log('🖼️ Added image URL to response:', imageUrl);
+      if (metadata.imageUrl) {
+        result.imageUrl = metadata.imageUrl;
+        result.imageUrls = metadata.imageUrls || [metadata.imageUrl];
+        console.log('🖼️ Added image URL to response:', metadata.imageUrl);
       }
       
-      console.log('✅ Final validated response:', validatedResponse);
-      
-      return validatedResponse;
+      console.log('✅ Structured response:', result);
+      return result;
       
     } catch (error) {
       console.error('❌ Error in generateStructuredResponse:', error);
@@ -703,7 +600,7 @@ export const useGemma = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [isModelReady, messages, extractValue, validateAndCleanResponse]);
+  }, [isModelReady, messages]);
 
   // Return the state and functions to be used by the UI components
   return {
@@ -713,6 +610,8 @@ export const useGemma = () => {
     isModelReady,
     modelStatus,
     generateResponse,
+    cancel, // Stop the in-flight generateResponse call
+    resumeGeneration, // Reattach to an unfinished answer after a reload
     generateStructuredResponse,
     generateOCRResponse, // NEW: Expose the OCR function
     clearConversation,
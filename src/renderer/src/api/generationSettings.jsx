@@ -0,0 +1,69 @@
+import { loadUserData } from './userDataManagement';
+
+// Collection in the local database holding the user's generation defaults and per-feature overrides
+export const GENERATION_SETTINGS_KEY = 'generationSettings';
+
+// Mirrors GENERATION_LIMITS in resources/utils/generationOptions.js; the server clamps anything outside these
+export const GENERATION_PARAMS = [
+  { name: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.05, hint: '0 = deterministic (greedy) output' },
+  { name: 'top_p', label: 'Top P', min: 0.01, max: 1, step: 0.01, hint: 'Nucleus sampling cutoff' },
+  { name: 'top_k', label: 'Top K', min: 0, max: 200, step: 1, hint: 'Sample from the K most likely tokens' },
+  { name: 'repetition_penalty', label: 'Repetition Penalty', min: 1, max: 2, step: 0.05, hint: '1 = no penalty' },
+  { name: 'max_new_tokens', label: 'Max New Tokens', min: 1, max: 32000, step: 1, hint: 'Upper bound on response length' }
+];
+
+// The features that can override the defaults
+export const GENERATION_FEATURES = [
+  { id: 'chat', label: 'Chat' },
+  { id: 'extraction', label: 'Structured Extraction' },
+  { id: 'healthScore', label: 'Health Score' }
+];
+
+export const DEFAULT_GENERATION_SETTINGS = {
+  defaults: {
+    temperature: 0,
+    top_p: 1,
+    top_k: 50,
+    repetition_penalty: 1,
+    max_new_tokens: 32000,
+    stop: []
+  },
+  // Only the fields set here replace the defaults for that feature
+  overrides: {
+    chat: {},
+    extraction: {},
+    healthScore: {}
+  }
+};
+
+/**
+ * Resolves the generation parameters for a feature: stored defaults, then the feature's overrides.
+ * @param {string} feature - One of the GENERATION_FEATURES ids.
+ * @param {object} [callOverrides] - Parameters for a single call, applied last.
+ * @returns {object} The parameters to send with the request.
+ */
+export const getGenerationParams = (feature, callOverrides = {}) => {
+  const stored = loadUserData(GENERATION_SETTINGS_KEY) || {};
+  return {
+    ...DEFAULT_GENERATION_SETTINGS.defaults,
+    ...stored.defaults,
+    ...stored.overrides?.[feature],
+    ...callOverrides
+  };
+};
+
+/**
+ * Adds generation parameters to a request body as form fields.
+ * @param {FormData} formData
+ * @param {object} params - Output of getGenerationParams.
+ */
+export const appendGenerationParams = (formData, params) => {
+  GENERATION_PARAMS.forEach(({ name }) => {
+    if (params[name] !== undefined && params[name] !== '') {
+      formData.append(name, String(params[name]));
+    }
+  });
+  if (params.stop?.length > 0) {
+    formData.append('stop', JSON.stringify(params.stop));
+  }
+};
@@ -0,0 +1,180 @@
+// Version of the NDJSON event protocol this client understands (see resources/utils/eventStream.js)
+export const STREAM_PROTOCOL_VERSION = 1;
+
+/**
+ * Error raised when the server reports an `error` event or rejects the request.
+ * `metadata` holds what arrived before the error (e.g. the OCR text of /ocrgenerate).
+ */
+export class GenerationStreamError extends Error {
+  constructor(message, { status = null, jobId = null, metadata = {} } = {}) {
+    super(message);
+    this.name = 'GenerationStreamError';
+    this.status = status;
+    this.jobId = jobId;
+    this.metadata = metadata;
+  }
+}
+
+// Applies one protocol event to `result` and calls the matching handler.
+// Shared by the NDJSON reader and the SSE subscriber so both parse events the same way.
+const createEventDispatcher = (result, handlers, { status = null } = {}) => (event) => {
+  const { onMetadata, onChunk, onUsage, onComplete } = handlers;
+
+  if (event.v !== undefined && event.v > STREAM_PROTOCOL_VERSION) {
+    console.warn(`Stream protocol v${event.v} is newer than supported v${STREAM_PROTOCOL_VERSION}`);
+  }
+
+  switch (event.type) {
+    case 'metadata':
+      result.metadata = { ...result.metadata, ...event };
+      onMetadata?.(event);
+      break;
+    case 'chunk':
+      result.text += event.data;
+      onChunk?.(event.data, result.text);
+      break;
+    case 'usage':
+      result.usage = event;
+      onUsage?.(event);
+      break;
+    case 'complete':
+      result.complete = event;
+      // The server's copy is authoritative (e.g. trimmed at a stop sequence)
+      if (typeof event.fullResponse === 'string') {
+        result.text = event.fullResponse;
+      }
+      onComplete?.(event);
+      break;
+    case 'error':
+      throw new GenerationStreamError(event.error || 'Generation failed', {
+        status,
+        jobId: event.jobId || result.metadata.jobId || null,
+        metadata: result.metadata
+      });
+    default:
+      console.warn('Ignoring unknown stream event:', event);
+  }
+};
+
+/**
+ * Reads a generation response and dispatches its events.
+ * Shared by every useGemma function so they all parse the stream the same way.
+ * @param {Response} response - A fetch response from a generation endpoint.
+ * @param {object} [handlers]
+ * @param {Function} [handlers.onMetadata] - Called with each metadata event.
+ * @param {Function} [handlers.onChunk] - Called with (text, fullTextSoFar) for each chunk.
+ * @param {Function} [handlers.onUsage] - Called with the usage event.
+ * @param {Function} [handlers.onComplete] - Called with the complete event.
+ * @returns {Promise<{ text: string, metadata: object, usage: object|null, complete: object|null }>}
+ *   `metadata` merges every metadata event; `text` is the final response text.
+ * @throws {GenerationStreamError} On an error event or a non-2xx response.
+ */
+export const readGenerationStream = async (response, handlers = {}) => {
+  const result = { text: '', metadata: {}, usage: null, complete: null };
+  const handleEvent = createEventDispatcher(result, handlers, { status: response.status });
+
+  const parseLine = (line) => {
+    if (!line.trim()) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      console.warn('Ignoring malformed stream line:', line);
+      return;
+    }
+    handleEvent(event);
+  };
+
+  if (!response.body) {
+    throw new GenerationStreamError(`Server error: ${response.status} ${response.statusText}`, { status: response.status });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      // Process complete lines and keep the last, possibly partial, one in the buffer
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      lines.forEach(parseLine);
+    }
+    buffer += decoder.decode();
+    parseLine(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+
+  if (!response.ok) {
+    // Rejected before streaming started but without an error event
+    throw new GenerationStreamError(`Server error: ${response.status} ${response.statusText}`, { status: response.status });
+  }
+
+  return result;
+};
+
+/**
+ * Follows a queued generation job over Server-Sent Events (GET /generate/:id/events).
+ * Works for jobs started in an earlier session too: the server replays every event after
+ * `lastEventId`, and EventSource resumes from the last seen event if the connection drops.
+ * @param {string} baseUrl - Server address, e.g. http://localhost:3000.
+ * @param {string} jobId
+ * @param {object} [handlers] - Same handlers as readGenerationStream.
+ * @param {object} [options]
+ * @param {number} [options.lastEventId] - Only replay events after this one.
+ * @param {AbortSignal} [options.signal] - Closes the connection; the job keeps running.
+ * @returns {Promise<{ text: string, metadata: object, usage: object|null, complete: object|null }>}
+ * @throws {GenerationStreamError} On an error event, or with status 404 if the job is unknown or expired.
+ */
+export const subscribeToGenerationEvents = (baseUrl, jobId, handlers = {}, { lastEventId = 0, signal } = {}) =>
+  new Promise((resolve, reject) => {
+    const result = { text: '', metadata: {}, usage: null, complete: null };
+    const handleEvent = createEventDispatcher(result, handlers);
+    const query = lastEventId ? `?lastEventId=${lastEventId}` : '';
+    const source = new EventSource(`${baseUrl}/generate/${encodeURIComponent(jobId)}/events${query}`);
+    let received = false;
+
+    const finish = (error) => {
+      source.close();
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const onAbort = () => finish(new DOMException('Generation stream closed', 'AbortError'));
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort);
+
+    source.onmessage = (message) => {
+      received = true;
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        console.warn('Ignoring malformed stream event:', message.data);
+        return;
+      }
+      try {
+        handleEvent(event);
+        if (event.type === 'complete') finish();
+      } catch (error) {
+        finish(error);
+      }
+    };
+
+    source.onerror = () => {
+      // EventSource retries on its own after a dropped connection; it only gives up
+      // (CLOSED) when the server answers with an error status, e.g. 404 for an expired job
+      if (source.readyState === EventSource.CLOSED) {
+        finish(new GenerationStreamError(
+          received ? 'Lost connection to the generation stream' : 'Generation job not found (it may have expired)',
+          { status: received ? null : 404, jobId }
+        ));
+      }
+    };
+  });
@@ -0,0 +1,184 @@
+// Structured lab results: the AI returns one row per analyte as it appears on the report;
+// these helpers type the values, convert them to one unit per analyte and flag out-of-range results.
+
+const factor = (multiplier) => (value) => value * multiplier;
+
+// Known analytes. `unit` is the unit results are stored in; `from` converts other units into it.
+// Factors are the usual clinical conversion factors (e.g. glucose 1 mmol/L = 18.016 mg/dL).
+// Cell counts reported in G/L (giga per litre) arrive as 'g/L' once the unit is normalized.
+export const LAB_ANALYTES = [
+  { key: 'glucose', name: 'Glucose', aliases: ['glucose', 'blood sugar', 'fasting glucose', 'glycemia', 'glycémie', 'glucosa', 'fbs'], unit: 'mg/dL', from: { 'mmol/L': factor(18.016), 'g/L': factor(100) } },
+  { key: 'hba1c', name: 'HbA1c', aliases: ['hba1c', 'a1c', 'hemoglobin a1c', 'glycated hemoglobin', 'glycosylated hemoglobin', 'hémoglobine glyquée'], unit: '%', from: { 'mmol/mol': (value) => value * 0.09148 + 2.152 } },
+  { key: 'total_cholesterol', name: 'Total cholesterol', aliases: ['cholesterol', 'total cholesterol', 'cholestérol total', 'colesterol total'], unit: 'mg/dL', from: { 'mmol/L': factor(38.67), 'g/L': factor(100) } },
+  { key: 'hdl', name: 'HDL cholesterol', aliases: ['hdl', 'hdl cholesterol', 'hdl-c', 'cholestérol hdl'], unit: 'mg/dL', from: { 'mmol/L': factor(38.67), 'g/L': factor(100) } },
+  { key: 'ldl', name: 'LDL cholesterol', aliases: ['ldl', 'ldl cholesterol', 'ldl-c', 'cholestérol ldl'], unit: 'mg/dL', from: { 'mmol/L': factor(38.67), 'g/L': factor(100) } },
+  { key: 'triglycerides', name: 'Triglycerides', aliases: ['triglycerides', 'triglycérides', 'trigliceridos', 'tg'], unit: 'mg/dL', from: { 'mmol/L': factor(88.57), 'g/L': factor(100) } },
+  { key: 'creatinine', name: 'Creatinine', aliases: ['creatinine', 'créatinine', 'creatinina', 'serum creatinine'], unit: 'mg/dL', from: { 'µmol/L': factor(1 / 88.42), 'mg/L': factor(0.1) } },
+  { key: 'urea', name: 'Urea', aliases: ['urea', 'urée', 'blood urea'], unit: 'mg/dL', from: { 'mmol/L': factor(6.006), 'g/L': factor(100) } },
+  { key: 'bun', name: 'Blood urea nitrogen', aliases: ['bun', 'blood urea nitrogen', 'urea nitrogen'], unit: 'mg/dL', from: { 'mmol/L': factor(2.801) } },
+  { key: 'uric_acid', name: 'Uric acid', aliases: ['uric acid', 'acide urique', 'urate'], unit: 'mg/dL', from: { 'µmol/L': factor(1 / 59.48), 'mg/L': factor(0.1) } },
+  { key: 'sodium', name: 'Sodium', aliases: ['sodium', 'na', 'na+', 'natremia', 'natrémie'], unit: 'mmol/L', from: { 'mEq/L': factor(1) } },
+  { key: 'potassium', name: 'Potassium', aliases: ['potassium', 'k', 'k+', 'kaliemia', 'kaliémie'], unit: 'mmol/L', from: { 'mEq/L': factor(1) } },
+  { key: 'chloride', name: 'Chloride', aliases: ['chloride', 'cl', 'cl-', 'chlore'], unit: 'mmol/L', from: { 'mEq/L': factor(1) } },
+  { key: 'bicarbonate', name: 'Bicarbonate', aliases: ['bicarbonate', 'hco3', 'co2', 'total co2'], unit: 'mmol/L', from: { 'mEq/L': factor(1) } },
+  { key: 'calcium', name: 'Calcium', aliases: ['calcium', 'ca', 'calcémie', 'calcio'], unit: 'mg/dL', from: { 'mmol/L': factor(4.008), 'mg/L': factor(0.1) } },
+  { key: 'hemoglobin', name: 'Hemoglobin', aliases: ['hemoglobin', 'haemoglobin', 'hb', 'hgb', 'hémoglobine', 'hemoglobina'], unit: 'g/dL', from: { 'g/L': factor(0.1), 'mmol/L': factor(1.611) } },
+  { key: 'hematocrit', name: 'Hematocrit', aliases: ['hematocrit', 'haematocrit', 'hct', 'hématocrite', 'hematocrito'], unit: '%', from: { 'L/L': factor(100) } },
+  { key: 'wbc', name: 'White blood cells', aliases: ['wbc', 'white blood cells', 'white blood cell count', 'leukocytes', 'leucocytes', 'leucocitos', 'globules blancs'], unit: '10³/µL', from: { '10⁹/L': factor(1), 'g/L': factor(1), '/µL': factor(0.001) } },
+  { key: 'rbc', name: 'Red blood cells', aliases: ['rbc', 'red blood cells', 'red blood cell count', 'erythrocytes', 'érythrocytes', 'hématies', 'globules rouges', 'eritrocitos'], unit: '10⁶/µL', from: { '10¹²/L': factor(1), 'T/L': factor(1) } },
+  { key: 'platelets', name: 'Platelets', aliases: ['platelets', 'platelet count', 'plt', 'plaquettes', 'plaquetas', 'thrombocytes'], unit: '10³/µL', from: { '10⁹/L': factor(1), 'g/L': factor(1), '/µL': factor(0.001) } },
+  { key: 'alt', name: 'ALT', aliases: ['alt', 'sgpt', 'alat', 'alanine aminotransferase', 'tgp'], unit: 'U/L', from: { 'IU/L': factor(1), 'µkat/L': factor(60) } },
+  { key: 'ast', name: 'AST', aliases: ['ast', 'sgot', 'asat', 'aspartate aminotransferase', 'tgo'], unit: 'U/L', from: { 'IU/L': factor(1), 'µkat/L': factor(60) } },
+  { key: 'alp', name: 'Alkaline phosphatase', aliases: ['alp', 'alkaline phosphatase', 'phosphatase alcaline', 'pal'], unit: 'U/L', from: { 'IU/L': factor(1), 'µkat/L': factor(60) } },
+  { key: 'ggt', name: 'GGT', aliases: ['ggt', 'gamma gt', 'gamma-gt', 'gamma glutamyl transferase'], unit: 'U/L', from: { 'IU/L': factor(1), 'µkat/L': factor(60) } },
+  { key: 'bilirubin', name: 'Total bilirubin', aliases: ['bilirubin', 'total bilirubin', 'bilirubine totale', 'bilirubina total'], unit: 'mg/dL', from: { 'µmol/L': factor(1 / 17.1), 'mg/L': factor(0.1) } },
+  { key: 'albumin', name: 'Albumin', aliases: ['albumin', 'albumine', 'albumina'], unit: 'g/dL', from: { 'g/L': factor(0.1) } },
+  { key: 'tsh', name: 'TSH', aliases: ['tsh', 'thyroid stimulating hormone', 'thyrotropin'], unit: 'mIU/L', from: { 'µIU/mL': factor(1) } },
+  { key: 'vitamin_d', name: 'Vitamin D (25-OH)', aliases: ['vitamin d', '25-oh vitamin d', '25(oh)d', '25-hydroxyvitamin d', 'vitamine d'], unit: 'ng/mL', from: { 'nmol/L': factor(1 / 2.496), 'µg/L': factor(1) } },
+  { key: 'ferritin', name: 'Ferritin', aliases: ['ferritin', 'ferritine', 'ferritina'], unit: 'ng/mL', from: { 'µg/L': factor(1) } },
+  { key: 'crp', name: 'C-reactive protein', aliases: ['crp', 'c-reactive protein', 'c reactive protein', 'protéine c réactive', 'pcr'], unit: 'mg/L', from: { 'mg/dL': factor(10) } }
+];
+
+// Spellings of units seen on reports, keyed by a lower-case form without spaces
+const UNIT_SPELLINGS = {
+  'mg/dl': 'mg/dL', 'mmol/l': 'mmol/L', 'mmol/mol': 'mmol/mol', 'µmol/l': 'µmol/L', 'umol/l': 'µmol/L',
+  'g/dl': 'g/dL', 'g/l': 'g/L', 'mg/l': 'mg/L', 'meq/l': 'mEq/L', 'u/l': 'U/L', 'iu/l': 'IU/L', 'ui/l': 'IU/L',
+  'µkat/l': 'µkat/L', 'ukat/l': 'µkat/L', 'ng/ml': 'ng/mL', 'nmol/l': 'nmol/L', 'µg/l': 'µg/L', 'ug/l': 'µg/L',
+  'miu/l': 'mIU/L', 'mui/l': 'mIU/L', 'µiu/ml': 'µIU/mL', 'uiu/ml': 'µIU/mL', 'µui/ml': 'µIU/mL', '%': '%', 'l/l': 'L/L',
+  '10^3/µl': '10³/µL', '10³/µl': '10³/µL', 'x10^3/µl': '10³/µL', 'k/µl': '10³/µL', 'thou/µl': '10³/µL', '10e3/µl': '10³/µL',
+  '10^6/µl': '10⁶/µL', '10⁶/µl': '10⁶/µL', 'x10^6/µl': '10⁶/µL', 'm/µl': '10⁶/µL', 'mil/µl': '10⁶/µL', '10e6/µl': '10⁶/µL',
+  '10^9/l': '10⁹/L', '10⁹/l': '10⁹/L', 'x10^9/l': '10⁹/L', '10e9/l': '10⁹/L',
+  '10^12/l': '10¹²/L', '10¹²/l': '10¹²/L', 'x10^12/l': '10¹²/L', '10e12/l': '10¹²/L', 't/l': 'T/L',
+  '/µl': '/µL', 'cells/µl': '/µL', '/mm3': '/µL', '/mm³': '/µL'
+};
+
+/**
+ * Canonical spelling of a unit ('mg/dl' -> 'mg/dL', 'x10^9/L' -> '10⁹/L'); unknown units are returned trimmed.
+ */
+export const normalizeUnit = (unit) => {
+  if (typeof unit !== 'string') return '';
+  const compact = unit.trim().replace(/\s+/g, '').replace(/[uμ]l$/i, 'µl').replace(/μ/g, 'µ').toLowerCase();
+  return UNIT_SPELLINGS[compact] || UNIT_SPELLINGS[compact.replace(/^[x×*]/, 'x')] || unit.trim();
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/[\s_]+/g, ' ').replace(/[.:]+$/, '').trim();
+
+export const findAnalyte = (testName) => {
+  if (typeof testName !== 'string' || !testName.trim()) return null;
+  const name = normalizeName(testName);
+  return LAB_ANALYTES.find(analyte => analyte.aliases.includes(name))
+    // "Glucose (fasting)", "Serum sodium": match on a whole alias word
+    || LAB_ANALYTES.find(analyte => analyte.aliases.some(alias => alias.length > 3 && new RegExp(`\\b${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(name)))
+    || null;
+};
+
+// '5,6' (decimal comma), '12 000', '<0.5'
+const parseNumber = (text) => {
+  const cleaned = String(text).trim().replace(/(\d)\s+(?=\d{3}\b)/g, '$1').replace(/(\d),(\d)/g, '$1.$2');
+  const match = cleaned.match(/^([<>≤≥]=?)?\s*(-?\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  return { qualifier: match[1] ? match[1].replace('≤', '<=').replace('≥', '>=') : null, value: parseFloat(match[2]) };
+};
+
+/**
+ * Parses a reference range such as '70-100', '3.5 – 5.0', '< 200', '>40' or '0,5 à 1,2'.
+ * @returns {{ low: number|null, high: number|null, text: string }}
+ */
+export const parseReferenceRange = (text) => {
+  const range = { low: null, high: null, text: typeof text === 'string' ? text.trim() : '' };
+  if (!range.text) return range;
+  const cleaned = range.text.replace(/(\d),(\d)/g, '$1.$2');
+
+  const between = cleaned.match(/(-?\d+(?:\.\d+)?)\s*(?:-|–|—|to|à|a)\s*(-?\d+(?:\.\d+)?)/i);
+  if (between) {
+    return { ...range, low: parseFloat(between[1]), high: parseFloat(between[2]) };
+  }
+  const bound = cleaned.match(/([<>≤≥])=?\s*(-?\d+(?:\.\d+)?)/);
+  if (bound) {
+    const value = parseFloat(bound[2]);
+    return ['<', '≤'].includes(bound[1]) ? { ...range, high: value } : { ...range, low: value };
+  }
+  return range;
+};
+
+const FLAG_SPELLINGS = {
+  high: ['h', 'hi', 'high', '↑', '+', 'elevated', 'haut', 'élevé', 'alto'],
+  low: ['l', 'lo', 'low', '↓', '-', 'decreased', 'bas', 'bajo'],
+  abnormal: ['a', 'abn', 'abnormal', '*', 'anormal', 'critical'],
+  normal: ['n', 'normal', 'ok', 'within range', 'wnl']
+};
+
+const normalizeFlag = (flag) => {
+  if (typeof flag !== 'string') return null;
+  const value = flag.trim().toLowerCase();
+  if (!value) return null;
+  return Object.keys(FLAG_SPELLINGS).find(key => FLAG_SPELLINGS[key].includes(value))
+    || (value.startsWith('h') ? 'high' : value.startsWith('l') ? 'low' : null);
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Turns the AI's lab rows into typed observations.
+ * Values of known analytes are converted to the analyte's unit (the range too, assuming it uses the
+ * row's unit); the flag is computed from the range when both are numeric, otherwise taken from the report.
+ * @param {Array<{ test: string, value: string|number, unit?: string, referenceRange?: string, flag?: string }>} rows
+ * @returns {Array<{ test: string, analyte: string|null, value: number|null, valueText: string, qualifier: string|null,
+ *   unit: string, referenceRange: { low: number|null, high: number|null, text: string },
+ *   flag: 'low'|'high'|'abnormal'|'normal'|null, original?: { value: number, unit: string } }>}
+ */
+export const normalizeLabResults = (rows) => {
+  if (!Array.isArray(rows)) return [];
+
+  return rows
+    .filter(row => row && typeof row === 'object' && String(row.test ?? row.name ?? '').trim())
+    .map(row => {
+      const rawName = String(row.test ?? row.name).trim();
+      const analyte = findAnalyte(rawName);
+      const valueText = row.value === undefined || row.value === null ? '' : String(row.value).trim();
+      const parsed = parseNumber(valueText);
+      const rowUnit = normalizeUnit(row.unit);
+      const range = parseReferenceRange(typeof row.referenceRange === 'string' ? row.referenceRange : row.range);
+
+      let value = parsed?.value ?? null;
+      let unit = rowUnit;
+      let referenceRange = range;
+      let original;
+      const convert = analyte && rowUnit !== analyte.unit ? analyte.from[rowUnit] : null;
+      if (convert) {
+        if (value !== null) {
+          original = { value, unit: rowUnit };
+          value = round(convert(value));
+        }
+        referenceRange = {
+          ...range,
+          low: range.low === null ? null : round(convert(range.low)),
+          high: range.high === null ? null : round(convert(range.high))
+        };
+        unit = analyte.unit;
+      } else if (analyte && !rowUnit) {
+        unit = analyte.unit;
+      }
+
+      let flag = normalizeFlag(row.flag);
+      if (value !== null && (referenceRange.low !== null || referenceRange.high !== null)) {
+        if (referenceRange.low !== null && value < referenceRange.low) flag = 'low';
+        else if (referenceRange.high !== null && value > referenceRange.high) flag = 'high';
+        else if (parsed.qualifier === null) flag = 'normal';
+      }
+
+      return {
+        test: analyte?.name || rawName,
+        analyte: analyte?.key || null,
+        value,
+        valueText,
+        qualifier: parsed?.qualifier || null,
+        unit,
+        referenceRange,
+        flag,
+        ...(original && { original })
+      };
+    });
+};
+
+export const isOutOfRange = (observation) => ['low', 'high', 'abnormal'].includes(observation.flag);
@@ -0,0 +1,177 @@
+// Lab values over time: collects each analyte's results from every record, in the analyte's unit,
+// and finds the points where a value moved out of (or back into) its reference range.
+import { LAB_ANALYTES, normalizeLabResults } from './labResults.jsx';
+
+// Typical adult ranges, in each analyte's unit; used when none of the reports printed one
+const TYPICAL_RANGES = {
+  glucose: { low: 70, high: 99 },
+  hba1c: { low: null, high: 5.7 },
+  total_cholesterol: { low: null, high: 200 },
+  hdl: { low: 40, high: null },
+  ldl: { low: null, high: 100 },
+  triglycerides: { low: null, high: 150 },
+  creatinine: { low: 0.6, high: 1.3 },
+  urea: { low: 15, high: 45 },
+  bun: { low: 7, high: 20 },
+  uric_acid: { low: 3.5, high: 7.2 },
+  sodium: { low: 135, high: 145 },
+  potassium: { low: 3.5, high: 5.1 },
+  chloride: { low: 98, high: 107 },
+  bicarbonate: { low: 22, high: 29 },
+  calcium: { low: 8.6, high: 10.3 },
+  hemoglobin: { low: 12, high: 17.5 },
+  hematocrit: { low: 36, high: 50 },
+  wbc: { low: 4, high: 11 },
+  rbc: { low: 4.2, high: 5.9 },
+  platelets: { low: 150, high: 400 },
+  alt: { low: null, high: 40 },
+  ast: { low: null, high: 40 },
+  alp: { low: 40, high: 130 },
+  ggt: { low: null, high: 60 },
+  bilirubin: { low: 0.1, high: 1.2 },
+  albumin: { low: 3.5, high: 5 },
+  tsh: { low: 0.4, high: 4 },
+  vitamin_d: { low: 30, high: 100 },
+  ferritin: { low: 30, high: 300 },
+  crp: { low: null, high: 5 }
+};
+
+const hasBounds = (range) => Boolean(range) && (range.low !== null || range.high !== null);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Aliases of one or two letters ('k', 'na', 'hb') match too much free text; longer aliases are tried first
+const TEXT_PATTERNS = LAB_ANALYTES.map(analyte => new RegExp(
+  `(?<![\\p{L}\\d])(${analyte.aliases.filter(alias => alias.length > 2).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\d])` +
+  '[^\\d\\n]{0,25}?(\\d+(?:[.,]\\d+)?)\\s*(%|[a-zµμ]+/[a-zµμ]+|(?:x\\s?)?10\\^?\\d+/[a-zµμ]+)?',
+  'giu'
+));
+
+/**
+ * Finds analyte values mentioned in free text ("HbA1c was 7.2%", "LDL: 130 mg/dL").
+ * Only the first mention of each analyte is used.
+ * @returns {object[]} Observations as returned by `normalizeLabResults`.
+ */
+export const extractObservationsFromText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return [];
+  const mentions = TEXT_PATTERNS.map(pattern => [...text.matchAll(pattern)].map(match => ({
+    match,
+    start: match.index,
+    end: match.index + match[1].length
+  })));
+  // "cholesterol" inside "LDL cholesterol" is not a total cholesterol result
+  const isInsideOtherName = (mention, index) => mentions.some((others, otherIndex) => otherIndex !== index &&
+    others.some(other => other.end - other.start > mention.end - mention.start && other.start <= mention.start && other.end >= mention.end));
+
+  const rows = mentions
+    .map((analyteMentions, index) => analyteMentions.find(mention => !isInsideOtherName(mention, index)))
+    .filter(Boolean)
+    .map(({ match }) => ({ test: match[1], value: match[2], unit: match[3] || '' }));
+  return normalizeLabResults(rows);
+};
+
+// The day a record's results belong to ('YYYY-MM-DD'): the document date, else the day it was added
+export const recordDay = (record) => {
+  if (/^\d{4}-\d{2}-\d{2}/.test(record.fileDate || '')) return record.fileDate.slice(0, 10);
+  const date = new Date(record.fileDate || record.createdDate);
+  if (isNaN(date)) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+export const recordObservations = (record) => (record.labResults?.length
+  ? record.labResults
+  : extractObservationsFromText([record.analysis, record.notes].filter(text => typeof text === 'string').join('\n')));
+
+const pointFlag = (point, trendRange) => {
+  const range = hasBounds(point.referenceRange) ? point.referenceRange : trendRange;
+  if (!hasBounds(range)) return point.reportedFlag;
+  if (range.low !== null && point.value < range.low) return 'low';
+  if (range.high !== null && point.value > range.high) return 'high';
+  return 'normal';
+};
+
+/**
+ * Groups the numeric results of known analytes across records, oldest first.
+ * Results whose unit couldn't be converted to the analyte's unit are left out rather than mixed in.
+ * @param {object[]} records - `medicalRecords`.
+ * @returns {Array<{ analyte: string, test: string, unit: string,
+ *   referenceRange: { low: number|null, high: number|null, text: string, typical?: boolean },
+ *   points: Array<{ day: string, value: number, flag: string|null, recordId: string, recordTitle: string }> }>}
+ */
+export const buildLabTrends = (records) => {
+  const trends = new Map();
+
+  (records || []).forEach(record => {
+    const day = recordDay(record);
+    if (!day) return;
+
+    recordObservations(record).forEach(observation => {
+      const analyte = LAB_ANALYTES.find(item => item.key === observation.analyte);
+      if (!analyte || observation.value === null || (observation.unit && observation.unit !== analyte.unit)) return;
+
+      if (!trends.has(analyte.key)) {
+        trends.set(analyte.key, { analyte: analyte.key, test: analyte.name, unit: analyte.unit, points: [] });
+      }
+      const trend = trends.get(analyte.key);
+      // A record that repeats an analyte keeps its first result
+      if (trend.points.some(point => point.recordId === record.id)) return;
+      trend.points.push({
+        day,
+        value: observation.value,
+        referenceRange: observation.referenceRange,
+        reportedFlag: observation.flag,
+        recordId: record.id,
+        recordTitle: record.title || 'Untitled Record'
+      });
+    });
+  });
+
+  return [...trends.values()]
+    .map(trend => {
+      const points = trend.points.sort((a, b) => a.day.localeCompare(b.day));
+      const printed = [...points].reverse().find(point => hasBounds(point.referenceRange))?.referenceRange;
+      const typical = TYPICAL_RANGES[trend.analyte];
+      const referenceRange = printed || (typical ? { ...typical, text: '', typical: true } : { low: null, high: null, text: '' });
+      return {
+        ...trend,
+        referenceRange,
+        points: points.map(point => ({ ...point, flag: pointFlag(point, referenceRange) }))
+      };
+    })
+    .sort((a, b) => b.points.length - a.points.length || a.test.localeCompare(b.test));
+};
+
+const isOutside = (flag) => ['low', 'high', 'abnormal'].includes(flag);
+
+const describeCrossing = (trend, from, to) => {
+  const change = `${from.value} → ${to.value} ${trend.unit}`;
+  if (to.flag === 'high') return `${trend.test} rose above the reference range (${change})`;
+  if (to.flag === 'low') return `${trend.test} fell below the reference range (${change})`;
+  if (to.flag === 'abnormal') return `${trend.test} became abnormal (${change})`;
+  return `${trend.test} is back within the reference range (${change})`;
+};
+
+/**
+ * Consecutive results of an analyte where the value left, or came back into, its reference range.
+ * @returns {Array<{ id: string, analyte: string, test: string, day: string, flag: string,
+ *   previousFlag: string, outOfRange: boolean, message: string, recordId: string, recordTitle: string }>} Newest first.
+ */
+export const findRangeCrossings = (trends) => trends
+  .flatMap(trend => trend.points.slice(1)
+    .map((point, index) => ({ from: trend.points[index], to: point }))
+    .filter(({ from, to }) => from.flag && to.flag && from.flag !== to.flag && (isOutside(from.flag) || isOutside(to.flag)))
+    .map(({ from, to }) => ({
+      id: `${trend.analyte}-${to.recordId}`,
+      analyte: trend.analyte,
+      test: trend.test,
+      day: to.day,
+      flag: to.flag,
+      previousFlag: from.flag,
+      outOfRange: isOutside(to.flag),
+      message: describeCrossing(trend, from, to),
+      recordId: to.recordId,
+      recordTitle: to.recordTitle
+    })))
+  .sort((a, b) => b.day.localeCompare(a.day));
+
+export const getLabAlerts = (records) => findRangeCrossings(buildLabTrends(records));
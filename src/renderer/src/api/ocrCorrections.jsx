@@ -0,0 +1,37 @@
+// Words Tesseract is less sure of than this (0-100) are highlighted for review
+export const LOW_CONFIDENCE = 60;
+
+// Pages of an OCR result that have word boxes to show (photos; not PDF text)
+export const hasWordBoxes = (page) => Boolean(page.ocrImage?.url && page.lines?.length);
+
+export const countUncertainWords = (page) => (page.lines || [])
+  .reduce((count, line) => count + line.words.filter(word => !word.corrected && word.confidence < LOW_CONFIDENCE).length, 0);
+
+/**
+ * Replaces one word of an OCR page and rebuilds the page text from its lines.
+ * Returns new page objects; the originals are left untouched.
+ * @param {object[]} pages - `pages` from an OCR result.
+ * @param {{ pageIndex: number, lineIndex: number, wordIndex: number }} position
+ * @param {string} text - The corrected word; empty removes it.
+ * @returns {object[]}
+ */
+export const correctOcrWord = (pages, { pageIndex, lineIndex, wordIndex }, text) => pages.map((page, index) => {
+  if (index !== pageIndex) return page;
+
+  const lines = page.lines.map((line, i) => {
+    if (i !== lineIndex) return line;
+    const words = line.words.map((word, j) => j === wordIndex
+      ? { ...word, text: text.trim(), originalText: word.originalText ?? word.text, corrected: true }
+      : word);
+    return { ...line, words, text: words.map(word => word.text).filter(Boolean).join(' ') };
+  });
+
+  return {
+    ...page,
+    lines,
+    text: lines.map(line => line.text).filter(Boolean).join('\n')
+  };
+});
+
+export const hasCorrections = (pages) => (pages || []).some(page => (page.lines || [])
+  .some(line => line.words.some(word => word.corrected && word.text !== word.originalText)));
@@ -0,0 +1,40 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Pages previewed per PDF; the server still reads the whole document when analyzing
+export const MAX_PDF_THUMBNAILS = 6;
+
+export const isPdfFile = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+
+/**
+ * Renders small JPEG previews of the first pages of a PDF.
+ * @param {File|Blob} file
+ * @param {object} [options]
+ * @param {number} [options.maxPages] - How many pages to render.
+ * @param {number} [options.width] - Thumbnail width in pixels.
+ * @returns {Promise<{ pageCount: number, thumbnails: string[] }>} Thumbnails as data URLs.
+ */
+export const renderPdfThumbnails = async (file, { maxPages = MAX_PDF_THUMBNAILS, width = 120 } = {}) => {
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const thumbnails = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, maxPages); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      thumbnails.push(canvas.toDataURL('image/jpeg', 0.7));
+      page.cleanup();
+    }
+    return { pageCount: pdf.numPages, thumbnails };
+  } finally {
+    await pdf.destroy();
+  }
+};
@@ -1,4 +1,20 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { MEDICATION_SCHEMA } from './responseSchemas';
+import { PrescriptionScanError } from './prescriptionScan';
+import { matchDrugName } from './drugDictionary';
+import { checkInteractions, isActivePrescription } from './drugInteractions';
+import { applyScheduleDefaults, scheduleTimes } from './dosingSchedule';
+import { getItem, setItem } from './storage';
+
+// What the desktop reminders in the main process need: the schedules, and the doses already
+// taken or skipped in the app so they are not reminded again
+const toReminderPrescriptions = (prescriptions) => {
+  const since = Date.now() - 2 * 24 * 60 * 60 * 1000;
+  return prescriptions.map(({ history = [], ...prescription }) => ({
+    ...prescription,
+    history: history.filter(event => event.scheduledFor && new Date(event.timestamp).getTime() >= since)
+  }));
+};
 
 /**
  * Custom hook for managing prescriptions data
@@ -12,12 +28,12 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
   const [error, setError] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   
-  // Load prescriptions from localStorage on hook initialization
+  // Load prescriptions from the database on hook initialization
   useEffect(() => {
     try {
-      const savedPrescriptions = localStorage.getItem('prescriptions');
+      const savedPrescriptions = getItem('prescriptions');
       if (savedPrescriptions) {
-        setPrescriptions(JSON.parse(savedPrescriptions));
+        setPrescriptions(savedPrescriptions);
       }
       setLoading(false);
     } catch (err) {
@@ -27,22 +43,38 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
     }
   }, []);
   
-  // Save prescriptions to localStorage whenever they change
+  // Save prescriptions to the database whenever they change
   useEffect(() => {
     if (!loading) {
-      try {
-        localStorage.setItem('prescriptions', JSON.stringify(prescriptions));
-      } catch (err) {
+      setItem('prescriptions', prescriptions).catch(err => {
         console.error('Error saving prescriptions:', err);
         setError('Failed to save prescriptions data');
-      }
+      });
+      window.api?.reminders?.sync(toReminderPrescriptions(prescriptions));
     }
   }, [prescriptions, loading]);
   
+  // Interactions between the prescriptions being taken now; checked again on every add or update
+  const interactions = useMemo(
+    () => checkInteractions(prescriptions.filter(prescription => isActivePrescription(prescription))),
+    [prescriptions]
+  );
+
+  /**
+   * Interactions a prescription would have with the other active ones, before it is saved.
+   * @param {object} prescription - A new prescription, or an edited one (same `id`).
+   */
+  const checkPrescriptionInteractions = useCallback((prescription) => {
+    const candidate = { ...prescription, id: prescription.id || 'new' };
+    const others = prescriptions.filter(other => other.id !== candidate.id && isActivePrescription(other));
+    return checkInteractions([candidate, ...others])
+      .filter(interaction => interaction.prescriptions[0] === candidate);
+  }, [prescriptions]);
+  
   // Add a new prescription
   const addPrescription = useCallback((prescription) => {
     const newPrescription = {
-      ...prescription,
+      ...applyScheduleDefaults(prescription),
       id: Date.now().toString(),
       createdAt: new Date().toISOString(),
       status: 'active',
@@ -59,8 +91,7 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
       prev.map(prescription => 
         prescription.id === id 
           ? { 
-              ...prescription, 
-              ...updatedData, 
+              ...applyScheduleDefaults({ ...prescription, ...updatedData }), 
               updatedAt: new Date().toISOString() 
             } 
           : prescription
@@ -84,7 +115,7 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
             ...prescription.history,
             {
               ...event,
-              timestamp: new Date().toISOString()
+              timestamp: event.timestamp || new Date().toISOString()
             }
           ];
           
@@ -100,10 +131,25 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
     );
   }, []);
   
+  // Doses taken or skipped from a desktop reminder, queued by the main process until a page
+  // with the prescriptions is open
+  useEffect(() => {
+    const reminders = window.api?.reminders;
+    if (loading || !reminders) return undefined;
+
+    const applyReminderEvents = async () => {
+      const events = await reminders.drainEvents();
+      events.forEach(({ prescriptionId, ...event }) => recordMedicationEvent(prescriptionId, event));
+    };
+
+    applyReminderEvents();
+    return reminders.onEvents(applyReminderEvents);
+  }, [loading, recordMedicationEvent]);
+  
   // Get prescriptions by time slot
   const getPrescriptionsByTimeSlot = useCallback((timeSlot) => {
     return prescriptions.filter(prescription => 
-      prescription.timeSlots && prescription.timeSlots.includes(timeSlot)
+      scheduleTimes(prescription).includes(timeSlot)
     );
   }, [prescriptions]);
   
@@ -118,17 +164,18 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
     );
   }, [prescriptions]);
   
-  // Function to process an uploaded prescription image with the LLM
+  /**
+   * Reads a medication label photo with the LLM and looks the name up in the drug dictionary.
+   * @returns {Promise<{ medication: object, drugCandidates: object[] }>} A MEDICATION_SCHEMA answer
+   *   with the best dictionary matches for the scanned name (see matchDrugName).
+   * @throws {PrescriptionScanError} If no medication could be read; nothing is made up in its place.
+   */
   const scanPrescriptionImage = async (imageFile) => {
     console.log('🔍 Scanning prescription image:', imageFile);
     
-    if (!imageFile || !(imageFile instanceof File || imageFile instanceof Blob)) {
-      throw new Error('Invalid image data - expected File or Blob object');
-    }
-    
-    // Verify the file type is an image
-    if (!imageFile.type.startsWith('image/')) {
-      throw new Error(`Invalid file type: ${imageFile.type}. Expected an image file.`);
+    // Verify the file is an image
+    if (!(imageFile instanceof File || imageFile instanceof Blob) || !imageFile.type.startsWith('image/')) {
+      throw new PrescriptionScanError('invalid-image');
     }
     
     console.log('📄 Image file details:', {
@@ -137,98 +184,24 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
       size: `${(imageFile.size / 1024).toFixed(2)} KB`
     });
     
-    // Log that we're about to call the Gemma API
-    console.log('🧠 Calling Gemma API with image file');
+    // Check if the generateStructuredResponse function is available
+    if (!generateStructuredResponse || typeof generateStructuredResponse !== 'function') {
+      console.error('Gemma API function is not available or not a function');
+      throw new PrescriptionScanError('unavailable');
+    }
     
     try {
-      // Check if the generateStructuredResponse function is available
-      if (!generateStructuredResponse || typeof generateStructuredResponse !== 'function') {
-        console.error('Gemma API function is not available or not a function');
-        throw new Error('AI image processing is not available at the moment. Please try again later or enter details manually.');
-      }
-      
       // Call the Gemma API through generateStructuredResponse
-      const response = await generateStructuredResponse(imageFile);
+      console.log('🧠 Calling Gemma API with image file');
+      const response = await generateStructuredResponse(imageFile, { schema: MEDICATION_SCHEMA });
       console.log('Received response from Gemma API:', response);
-      
-      // Validate the response format
-      if (!response || typeof response !== 'object') {
-        console.error('Invalid response from Gemma API:', response);
-        throw new Error('Invalid response format from the AI model');
-      }
-      
-      // Check if the response contains medication information
-      if (!response.medication) {
-        // Try to extract medication information from other parts of the response
-        if (response.title && response.notes) {
-          console.warn('Response missing medication field, attempting to extract from notes');
-          const mockMedication = {
-            name: response.title || "Unknown Medication",
-            dosage: "",
-            recommendedFrequency: "daily",
-            instructions: response.notes || response.analysis || "",
-            startDate: new Date().toISOString().split('T')[0],
-            prescriber: ""
-          };
-          
-          return { medication: mockMedication };
-        } else {
-          console.error('Response missing medication field and cannot extract from notes');
-          throw new Error('The AI model did not return medication information');
-        }
-      }
-      
-      return response;
+      const { name, dosage } = response.medication;
+      return { ...response, drugCandidates: matchDrugName(name, dosage) };
     } catch (apiError) {
       console.error('Error calling Gemma API:', apiError);
-      
-      // As a fallback, create a mock response for testing
-      console.warn('Using mock data as fallback due to error:', apiError.message);
-      
-      // Extract basic information from the file name if possible
-      let medicationName = "Unknown Medication";
-      let dosage = "";
-      
-      // Try to extract some information from the file name
-      if (imageFile.name) {
-        const fileName = imageFile.name.toLowerCase();
-        
-        // Check for common medication words in filename
-        if (fileName.includes('vitamin')) {
-          medicationName = "Vitamin Supplement";
-          if (fileName.includes('c')) {
-            medicationName = "Vitamin C";
-            dosage = "500mg";
-          } else if (fileName.includes('d')) {
-            medicationName = "Vitamin D";
-            dosage = "1000 IU";
-          } else if (fileName.includes('b')) {
-            medicationName = "Vitamin B Complex";
-          }
-        } else if (fileName.includes('aspirin')) {
-          medicationName = "Aspirin";
-          dosage = "81mg";
-        } else if (fileName.includes('ibuprofen')) {
-          medicationName = "Ibuprofen";
-          dosage = "200mg";
-        }
-      }
-      
-      // Always provide a fallback response for testing
-      const mockResponse = {
-        medication: {
-          name: medicationName,
-          dosage: dosage || "Unknown dosage",
-          recommendedFrequency: "daily",
-          instructions: "Please enter medication instructions manually.",
-          startDate: new Date().toISOString().split('T')[0],
-          prescriber: ""
-        }
-      };
-      
-      return mockResponse;
+      throw PrescriptionScanError.from(apiError);
     }
-  };  // Add closing brace for scanPrescriptionImage function
+  };
   
   // Calculate adherence rate for a prescription
   const calculateAdherence = useCallback((id) => {
@@ -256,6 +229,8 @@ export const usePrescriptionManagement = (generateStructuredResponse, isLoadingG
     searchPrescriptions,
     calculateAdherence,
     scanPrescriptionImage,
+    interactions,
+    checkPrescriptionInteractions,
     isAnalyzing,
     setIsAnalyzing
   };
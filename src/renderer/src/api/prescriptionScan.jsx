@@ -0,0 +1,157 @@
+// Scanning a medication label: what went wrong when it fails, and which prescription
+// fields came from the AI rather than from the user.
+import { CONFIDENT_MATCH } from './drugDictionary';
+import { scheduleFromFrequency } from './dosingSchedule';
+
+export const AI_SUGGESTED = 'ai-suggested';
+export const USER_CONFIRMED = 'user-confirmed';
+
+const SCAN_ERROR_MESSAGES = {
+  unavailable: 'The AI service is not currently available.',
+  'not-ready': 'The AI model is still loading. Try again in a few moments.',
+  network: 'Could not reach the AI server. Check that it is running and try again.',
+  'no-text': 'No text could be read from the photo. Try a clearer, well-lit photo.',
+  'no-medication': 'The AI could not find a medication name and dosage on the label.',
+  'invalid-image': 'Please use a PNG or JPG photo of the label.',
+  failed: 'The label could not be analyzed.'
+};
+
+/**
+ * Thrown when scanning a label does not produce a medication. Nothing is filled in for
+ * the user in that case; `ocr` keeps whatever text was read so it can still be shown.
+ */
+export class PrescriptionScanError extends Error {
+  constructor(reason, { ocr = null, cause = null } = {}) {
+    super(SCAN_ERROR_MESSAGES[reason] || SCAN_ERROR_MESSAGES.failed);
+    this.name = 'PrescriptionScanError';
+    this.reason = reason;
+    this.ocr = ocr;
+    this.cause = cause;
+  }
+
+  /**
+   * Wraps an error from the OCR or AI step, keeping the OCR text the server sent before it failed.
+   * @param {Error} error
+   * @returns {PrescriptionScanError}
+   */
+  static from(error) {
+    if (error instanceof PrescriptionScanError) return error;
+
+    const message = error?.message || '';
+    const metadata = error?.metadata || {};
+    const ocr = metadata.pages
+      ? { extractedText: metadata.extractedText || '', pages: metadata.pages, preprocessedImageUrl: metadata.preprocessedImageUrl || null }
+      : null;
+
+    let reason = 'failed';
+    if (message.includes('model is not ready')) {
+      reason = 'not-ready';
+    } else if (error instanceof TypeError || message.includes('NetworkError')) {
+      // fetch rejects with a TypeError when the server cannot be reached
+      reason = 'network';
+    } else if (ocr && !ocr.extractedText.trim()) {
+      reason = 'no-text';
+    } else if (message.includes('did not match the schema')) {
+      reason = 'no-medication';
+    }
+    return new PrescriptionScanError(reason, { ocr, cause: error });
+  }
+}
+
+// Suggests dose times from a free-text frequency such as "twice daily" or "2 раза в день"
+const suggestTimeSlots = (recommendedFrequency) => {
+  const frequency = recommendedFrequency.toLowerCase();
+
+  // Check for numbers and common patterns in various languages
+  if (frequency.includes('1') ||
+      frequency.includes('once') ||
+      frequency.includes('daily') ||
+      frequency.includes('день') ||
+      frequency.includes('раз в день') && !frequency.includes('2') && !frequency.includes('3') && !frequency.includes('4')) {
+    return ['09:00']; // Morning - once a day
+  } else if (frequency.includes('2') ||
+            frequency.includes('twice') ||
+            frequency.includes('two times') ||
+            frequency.includes('два раза') ||
+            frequency.includes('дважды') ||
+            frequency.includes('1-2')) {
+    return ['09:00', '18:00']; // Morning and evening - twice a day
+  } else if (frequency.includes('3') ||
+            frequency.includes('three times') ||
+            frequency.includes('три раза')) {
+    return ['09:00', '13:00', '18:00']; // Morning, noon, evening - three times a day
+  } else if (frequency.includes('4') ||
+            frequency.includes('four times') ||
+            frequency.includes('четыре раза')) {
+    return ['09:00', '13:00', '18:00', '22:00']; // Four times throughout the day
+  }
+  // Default to once a day if we can't determine the frequency
+  return ['09:00'];
+};
+
+/**
+ * Fills a prescription form from a scanned medication. Every field taken from the scan is
+ * marked AI_SUGGESTED in `provenance` until the user edits or confirms it; fields the scan
+ * did not provide keep their value and provenance.
+ * @param {object} prescription - The form state.
+ * @param {object} medication - `medication` of a MEDICATION_SCHEMA answer.
+ * @param {object[]} [drugCandidates] - matchDrugName results for the scanned name; a confident
+ *   best match becomes the suggested `drugId`.
+ * @returns {object} The new form state.
+ */
+export const applyScannedMedication = (prescription, medication, drugCandidates = []) => {
+  const suggested = {
+    name: medication.name,
+    dosage: medication.dosage,
+    frequency: medication.recommendedFrequency,
+    // Only set when the label asks for more than daily doses (every 6 hours, as needed...)
+    schedule: scheduleFromFrequency(medication.recommendedFrequency) || undefined,
+    startDate: medication.startDate,
+    prescriber: medication.prescriber,
+    // Instructions only fill empty notes, so nothing the user wrote is replaced
+    notes: prescription.notes ? undefined : medication.instructions,
+    drugId: drugCandidates[0]?.score >= CONFIDENT_MATCH ? drugCandidates[0].drug.id : undefined
+  };
+  if (medication.recommendedFrequency) {
+    suggested.timeSlots = suggestTimeSlots(medication.recommendedFrequency);
+  } else if (medication.dosage && medication.dosage.toLowerCase().includes('capsule per day')) {
+    // If dosage mentions "capsule per day", suggest a morning time slot
+    suggested.timeSlots = ['09:00'];
+  }
+
+  const next = {
+    ...prescription,
+    frequency: prescription.frequency || 'daily',
+    // Get today's date in YYYY-MM-DD format for default start date
+    startDate: prescription.startDate || new Date().toISOString().split('T')[0],
+    provenance: { ...prescription.provenance }
+  };
+  Object.entries(suggested).forEach(([field, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    next[field] = value;
+    next.provenance[field] = AI_SUGGESTED;
+  });
+  // A new name without a confident dictionary match must not keep the previous drug
+  if (suggested.name && !suggested.drugId) {
+    next.drugId = null;
+    delete next.provenance.drugId;
+  }
+  return next;
+};
+
+/**
+ * Sets a field as entered by the user, marking it USER_CONFIRMED if the AI had suggested it.
+ * Without `value` the current value is kept and only confirmed.
+ */
+export const confirmPrescriptionField = (prescription, field, value = prescription[field]) => ({
+  ...prescription,
+  [field]: value,
+  ...(prescription.provenance?.[field] && {
+    provenance: { ...prescription.provenance, [field]: USER_CONFIRMED }
+  })
+});
+
+// Fields of a saved prescription that still hold an unconfirmed AI suggestion
+export const unconfirmedFields = (prescription) => Object.entries(prescription.provenance || {})
+  .filter(([, source]) => source === AI_SUGGESTED)
+  .map(([field]) => field);
@@ -1,6 +1,12 @@
 import React from 'react';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { usePatientRecords } from '../components/PatientRecordsContext';
+import { isPdfFile, renderPdfThumbnails } from './pdfThumbnails.jsx';
+import { correctOcrWord } from './ocrCorrections.jsx';
+import { normalizeLabResults } from './labResults.jsx';
+import { RECORD_ANALYSIS_SCHEMA, RECORD_CATEGORIES } from './responseSchemas.jsx';
+import { getItem, setItem } from './storage.jsx';
+import { storeAttachments, attachmentIdFromUrl, recordImageUrl } from './attachments.jsx';
 
 // Helper function to format file size
 const formatFileSize = (bytes) => {
@@ -9,21 +15,19 @@ const formatFileSize = (bytes) => {
   return (bytes / 1048576).toFixed(1) + ' MB';
 };
 
-// Helper function to extract field values from text when JSON parsing fails
-const extractFieldFromText = (text, field) => {
-  const patterns = [
-    new RegExp(`"${field}"\\s*:\\s*"([^"]*)"`, 'i'),
-    new RegExp(`${field}\\s*:\\s*"([^"]*)"`, 'i'),
-    new RegExp(`${field}\\s*:\\s*([^\\n,}]*)`, 'i'),
-  ];
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim();
-    }
-  }
-  return null;
+// What a record keeps of a file: its attachment id, or the data URL of records saved before the attachment store
+const toSavedFile = (f) => ({
+  id: f.id,
+  name: f.name,
+  type: f.type,
+  size: f.size,
+  ...(f.attachmentId ? { attachmentId: f.attachmentId } : { url: f.url })
+});
+
+// The analyzed image is saved by attachment id; other URLs (from older versions) as they are
+const toReturnedImageFields = (url) => {
+  const attachmentId = attachmentIdFromUrl(url);
+  return { returnedAttachmentId: attachmentId || undefined, returnedImageUrl: attachmentId ? undefined : url };
 };
 
 export const useRecordManagement = (generateStructuredResponse, isLoading, 
@@ -36,23 +40,34 @@ export const useRecordManagement = (generateStructuredResponse, isLoading,
     notes: '',
     files: [],
     fileDate: '',
+    labResults: [],
   });
   const [analysis, setAnalysis] = useState('');
   const [returnedImageUrl, setReturnedImageUrl] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisProgress, setAnalysisProgress] = useState(0);
+  // Pages of the last OCR analysis and its prompt, so corrected text can be analyzed again
+  const [ocrReview, setOcrReview] = useState(null);
   const { addPatientRecord, deletePatientRecord, updatePatientRecord } = usePatientRecords();
   
   useEffect(() => {
     try {
-      const savedRecords = localStorage.getItem('medicalRecords');
+      const savedRecords = getItem('medicalRecords');
       if (savedRecords) {
-        setMedicalRecords(JSON.parse(savedRecords));
+        setMedicalRecords(savedRecords);
       }
     } catch (error) {
       console.error('Error loading saved records:', error);
     }
   }, []);
+
+  // Saves the records to the database in the background; the list on screen is already updated
+  const persistRecords = (updatedRecords, failureMessage) => {
+    setItem('medicalRecords', updatedRecords).catch(error => {
+      console.error('Error saving records:', error);
+      alert(failureMessage);
+    });
+  };
   
   // Update the progress based on the mode
   useEffect(() => {
@@ -61,26 +76,44 @@ export const useRecordManagement = (generateStructuredResponse, isLoading,
     }
   }, [isLoadingGemma, gemmaProgress]);
 
-  // Centralized function to process files into Base64 and add to state
+  const updateFile = (fileId, changes) => {
+    setNewRecord(prev => ({
+      ...prev,
+      files: prev.files.map(f => f.id === fileId ? { ...f, ...changes } : f)
+    }));
+  };
+
+  // Lists the files right away and stores them in the attachment store; the record keeps only their ids
   const addFilesToState = (files) => {
     files.forEach(file => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const fileData = {
-          file, // Keep original file object for AI processing
-          id: Math.random().toString(36).substr(2, 9),
-          name: file.name,
-          type: file.type.split('/')[0] || 'file',
-          size: formatFileSize(file.size),
-          url: e.target.result, // Use Base64 Data URL for persistence
-        };
-        
-        setNewRecord(prev => ({
-          ...prev,
-          files: [...prev.files, fileData]
-        }));
+      const fileData = {
+        file, // Keep original file object for AI processing
+        id: Math.random().toString(36).substr(2, 9),
+        name: file.name,
+        type: isPdfFile(file) ? 'pdf' : file.type.split('/')[0] || 'file',
+        size: formatFileSize(file.size),
+        isStoring: true,
       };
-      reader.readAsDataURL(file);
+
+      setNewRecord(prev => ({
+        ...prev,
+        files: [...prev.files, fileData]
+      }));
+
+      storeAttachments([file])
+        .then(([stored]) => updateFile(fileData.id, { attachmentId: stored.id, isStoring: false }))
+        .catch(error => {
+          console.error(`❌ Could not store ${file.name}:`, error);
+          removeFile(fileData.id);
+          alert(`${file.name} could not be added: ${error.message}`);
+        });
+
+      // Page previews arrive after the file is listed; a PDF that fails to render still gets analyzed
+      if (fileData.type === 'pdf') {
+        renderPdfThumbnails(file)
+          .then(({ pageCount, thumbnails }) => updateFile(fileData.id, { pageCount, thumbnails }))
+          .catch(error => console.warn(`⚠️ Could not render page previews for ${file.name}:`, error));
+      }
     });
   };
 
@@ -91,7 +124,52 @@ export const useRecordManagement = (generateStructuredResponse, isLoading,
     }));
   };
 
-  const analyzeAndPopulate = async (mode = 'ocr') => {
+  // Fills the form from the AI's structured answer
+  const applyAnalysis = (structuredData, mode) => {
+    console.log('📝 Updating form fields with:');
+    console.log('- Title:', structuredData.title);
+    console.log('- Category:', structuredData.category);
+    console.log('- Notes:', structuredData.notes);
+    
+    setNewRecord(prev => ({
+      ...prev,
+      title: structuredData.title || '',
+      category: structuredData.category || '',
+      notes: structuredData.notes || '',
+      labResults: normalizeLabResults(structuredData.labResults),
+    }));
+    
+    setAnalysis(structuredData.analysis || `No detailed ${mode} analysis was provided by the AI.`);
+    
+    if (structuredData.imageUrl) {
+      setReturnedImageUrl(structuredData.imageUrl);
+      console.log('🖼️ Received and set image URL from AI:', structuredData.imageUrl);
+    }
+  };
+
+  const correctOcrText = (position, text) => {
+    setOcrReview(prev => prev && { ...prev, pages: correctOcrWord(prev.pages, position, text) });
+  };
+
+  // Runs only the Gemma step again, on the OCR text as corrected by the user
+  const rerunOcrAnalysis = async () => {
+    if (!ocrReview || !generateOCRResponse) return;
+    setIsAnalyzing(true);
+    setAnalysisProgress(0);
+    try {
+      const ocrResponse = await generateOCRResponse(null, ocrReview.prompt, {}, { pages: ocrReview.pages, schema: RECORD_ANALYSIS_SCHEMA });
+      applyAnalysis(processOCRResponse(ocrResponse), 'ocr');
+      setAnalysisProgress(100);
+    } catch (error) {
+      console.error('❌ Re-analysis with corrected text failed:', error);
+      alert(`Analysis failed: ${error.message}`);
+      setAnalysisProgress(0);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const analyzeAndPopulate = async (mode = 'ocr', ocrLanguage = 'auto') => {
     console.log(`🔍 Starting analysis with ${mode.toUpperCase()} mode...`);
     console.log('Files to analyze:', newRecord.files);
     
@@ -101,38 +179,57 @@ export const useRecordManagement = (generateStructuredResponse, isLoading,
       return;
     }
     
-    if (newRecord.files.length > 1) {
-      const proceed = confirm(`Note: The AI can currently analyze one file at a time. Only the first file (${newRecord.files[0].name}) will be analyzed. Do you want to continue?`);
+    // Both modes read images and PDFs (the server OCRs scanned pages); vision analysis also listens to WAV audio notes
+    const isSupported = (fileData) => fileData.type === 'image' || fileData.type === 'pdf' ||
+      (mode !== 'ocr' && fileData.type === 'audio' && /^audio\/(x-)?wav/.test(fileData.file?.type || ''));
+    const filesToAnalyze = newRecord.files.filter(fileData => fileData.file && isSupported(fileData));
+    const skippedFiles = newRecord.files.filter(fileData => !filesToAnalyze.includes(fileData));
+
+    if (filesToAnalyze.length === 0) {
+      alert(`None of the attached files can be analyzed in ${mode.toUpperCase()} mode. Please attach images or PDFs.`);
+      return;
+    }
+
+    if (skippedFiles.length > 0) {
+      const proceed = confirm(`These files can't be analyzed and will be skipped: ${skippedFiles.map(f => f.name).join(', ')}. Do you want to continue?`);
       if (!proceed) return;
     }
+
+    // All files are analyzed together as one record (e.g. pages of a lab report, before/after scans)
+    const multiFileNote = filesToAnalyze.length > 1
+      ? `The ${filesToAnalyze.length} attached files belong to the same medical record (for example several pages or views). Analyze them together and describe the record as a whole, pointing out differences between them where relevant.\n\n`
+      : '';
     
     setIsAnalyzing(true);
     setAnalysis('');
     setReturnedImageUrl('');
+    setOcrReview(null);
     setAnalysisProgress(0);
     console.log(`✅ Analysis state set to true (${mode} mode)`);
 
     try {
-      const fileToAnalyze = newRecord.files[0].file;
       let structuredData;
       
       if (mode === 'ocr' && generateOCRResponse) {
         console.log('🚀 Using generateOCRResponse for OCR analysis...');
         
-        const prompt = `Analyze this medical document and extract ALL relevant information.
+        const prompt = `${multiFileNote}Analyze this medical document and extract ALL relevant information.
         Return a JSON object with the following structure:
         {
           "title": "A descriptive title for the medical record",
           "category": "Choose from: General, Radiology, Blood Work, Cardiology, Dermatology, Prescription, etc.",
           "notes": "A brief summary of the document",
-          "analysis": "A detailed interpretation of the medical document"
+          "analysis": "A detailed interpretation of the medical document",
+          "labResults": [{ "test": "Test name as printed", "value": "Result as printed", "unit": "Unit as printed", "referenceRange": "Reference range as printed", "flag": "H, L or empty, as printed" }]
         }
         
         Focus on extracting text information and interpreting medical values, results, or instructions.
+        For lab reports such as blood work, list every test result in labResults; for other documents return an empty array.
         Return ONLY the JSON object without any additional text or formatting.`;
         
-        const ocrResponse = await generateOCRResponse(fileToAnalyze, prompt);
+        const ocrResponse = await generateOCRResponse(filesToAnalyze.map(fileData => fileData.file), prompt, {}, { language: ocrLanguage, schema: RECORD_ANALYSIS_SCHEMA });
         console.log('📊 Received OCR response:', ocrResponse);
+        setOcrReview({ pages: ocrResponse.pages, prompt });
         
         structuredData = processOCRResponse(ocrResponse);
 
@@ -159,6 +256,8 @@ CRITICAL INSTRUCTIONS:
 
 - ANALYSIS GUIDELINES: Focus on extracting and interpreting text information from the document. Identify key measurements, values, and what they typically represent.
 
+- LAB RESULTS: For lab reports such as blood work, put every test result in labResults, one object per test, copied as printed. For any other document, labResults is an empty array.
+
 
 
 Required JSON Schema:
@@ -171,7 +270,9 @@ Required JSON Schema:
 
 "notes": "A brief 1-2 sentence summary of the document's purpose or key findings based on text extraction",
 
-"analysis": "A detailed factual interpretation of the text extracted from the document. Focus on numeric values, measurements, test results, prescriptions, and clinical observations found in the document text."
+"analysis": "A detailed factual interpretation of the text extracted from the document. Focus on numeric values, measurements, test results, prescriptions, and clinical observations found in the document text.",
+
+"labResults": [{"test": "Test name as printed", "value": "Result as printed", "unit": "Unit as printed", "referenceRange": "Reference range as printed", "flag": "H, L or empty, as printed"}]
 
 }
 
@@ -219,39 +320,22 @@ Return the JSON object now:`;
 
 
 
-        const promptFiles = [{
-          file: fileToAnalyze,
-          name: newRecord.files[0].name,
-          type: fileToAnalyze.type
-        }];
+        const promptFiles = filesToAnalyze.map(fileData => ({
+          file: fileData.file,
+          name: fileData.name,
+          type: fileData.type
+        }));
         
-        const inputData = { text: prompt, files: promptFiles, mode: mode };
+        const inputData = { text: multiFileNote + prompt, files: promptFiles, mode: mode, ocrLanguage };
         console.log('Input data:', inputData);
         
-        const response = await generateStructuredResponse(inputData);
+        const response = await generateStructuredResponse(inputData, { schema: RECORD_ANALYSIS_SCHEMA });
         console.log('📊 Received structured response:', response);
         
         structuredData = processStructuredResponse(response);
       }
       
-      console.log('📝 Updating form fields with:');
-      console.log('- Title:', structuredData.title);
-      console.log('- Category:', structuredData.category);
-      console.log('- Notes:', structuredData.notes);
-      
-      setNewRecord(prev => ({
-        ...prev,
-        title: structuredData.title || '',
-        category: structuredData.category || '',
-        notes: structuredData.notes || '',
-      }));
-      
-      setAnalysis(structuredData.analysis || `No detailed ${mode} analysis was provided by the AI.`);
-      
-      if (structuredData.imageUrl) {
-        setReturnedImageUrl(structuredData.imageUrl);
-        console.log('🖼️ Received and set image URL from AI:', structuredData.imageUrl);
-      }
+      applyAnalysis(structuredData, mode);
       
       console.log(`✅ Analysis with ${mode.toUpperCase()} completed successfully`);
       setAnalysisProgress(100);
@@ -267,93 +351,18 @@ Return the JSON object now:`;
     }
   };
 
-  // Helper function to process OCR response from Gemma
+  // The OCR endpoint returns the schema-valid answer as `data`, next to the OCR details
   const processOCRResponse = (response) => {
-    let structuredResult = {};
-    // **FIX**: Capture imageUrl at the beginning
-    const potentialImageUrl = response.imageUrl || null;
-
-    try {
-      if (response && typeof response === 'object') {
-        if (response.llmResponse) {
-          const jsonString = response.llmResponse.replace(/```json\n|\n```/g, '');
-          try {
-            structuredResult = validateResponseData(JSON.parse(jsonString));
-          } catch (parseError) {
-            console.error('❌ Failed to parse JSON from llmResponse:', parseError);
-            structuredResult = {
-              title: extractFieldFromText(response.llmResponse, 'title') || 'Medical Document Analysis',
-              category: extractFieldFromText(response.llmResponse, 'category') || 'General',
-              notes: extractFieldFromText(response.llmResponse, 'notes') || 'AI-generated OCR analysis',
-              analysis: response.llmResponse || response.extractedText || 'Unable to generate detailed analysis'
-            };
-          }
-        } else {
-          structuredResult = validateResponseData(response);
-        }
-      } else if (typeof response === 'string') {
-        let cleanResponse = response.trim().replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
-        const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) cleanResponse = jsonMatch[0];
-        try {
-            structuredResult = validateResponseData(JSON.parse(cleanResponse));
-        } catch (e) {
-            structuredResult = { analysis: response }; // Fallback
-        }
-      }
-    } catch (error) {
-        console.error('❌ Error processing OCR response:', error);
-        structuredResult = { analysis: 'Error processing OCR response.' };
-    }
-    
-    // **FIX**: Add the captured imageUrl back to the final object
-    if (potentialImageUrl) {
-      structuredResult.imageUrl = potentialImageUrl;
+    const structuredResult = validateResponseData(response.data);
+    if (response.imageUrl) {
+      structuredResult.imageUrl = response.imageUrl;
     }
-    
     return structuredResult;
   };
 
-  // Helper function to process structured response from general API
-  const processStructuredResponse = (response) => {
-    let structuredResult = {};
-    // **FIX**: Capture imageUrl at the beginning
-    const potentialImageUrl = response.imageUrl || null;
-
-    try {
-      if (response && typeof response === 'object') {
-        structuredResult = validateResponseData(response);
-      } else if (typeof response === 'string') {
-        let cleanResponse = response.trim().replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
-        const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) cleanResponse = jsonMatch[0];
-        try {
-          structuredResult = validateResponseData(JSON.parse(cleanResponse));
-        } catch (parseError) {
-          console.error('❌ Failed to parse string response as JSON:', parseError);
-          structuredResult = {
-            title: extractFieldFromText(response, 'title') || 'Medical Image Analysis',
-            category: extractFieldFromText(response, 'category') || 'General',
-            notes: extractFieldFromText(response, 'notes') || 'AI-generated vision analysis',
-            analysis: response
-          };
-        }
-      }
-    } catch (error) {
-        console.error('❌ Error processing response:', error);
-        structuredResult = { analysis: 'Error processing response.' };
-    }
-
-    // **FIX**: Add the captured imageUrl back to the final object
-    if (potentialImageUrl) {
-      structuredResult.imageUrl = potentialImageUrl;
-    }
-    
-    return structuredResult;
-  };
+  // The structured endpoint returns the schema-valid answer itself, with imageUrl added
+  const processStructuredResponse = (response) => validateResponseData(response);
 
-  // (The rest of your code: validateResponseData, saveRecord, etc. remains the same)
-  // ...
   const validateResponseData = (data) => {
     // Validate and set defaults for missing fields
     const requiredFields = ['title', 'category', 'notes', 'analysis'];
@@ -372,18 +381,10 @@ Return the JSON object now:`;
     }
     
     // If all fields are present, validate category
-    const allowedCategories = [
-      'General', 'Radiology', 'Blood Work', 'Cardiology', 'Dermatology', 
-      'Skin Imaging', 'Mole & Lesion Analysis', 'Wound Assessment', 'Rash & Skin Condition',
-      'Body Part Examination', 'Joint & Limb Analysis', 'Posture Assessment',
-      'X-Ray Analysis', 'MRI/CT Scan', 'Ultrasound Imaging',
-      'Endocrinology', 'Neurology', 'Physical Therapy', 'Prescription', 'Other'
-    ];
-    
     // Create a new object to avoid mutating the input
     const validatedData = { ...data };
     
-    if (!allowedCategories.includes(validatedData.category)) {
+    if (!RECORD_CATEGORIES.includes(validatedData.category)) {
       console.warn('⚠️ Invalid category received:', validatedData.category);
       validatedData.category = 'General';
     }
@@ -392,9 +393,10 @@ Return the JSON object now:`;
   };
 
   const resetAndCloseModal = () => {
-    setNewRecord({ title: '', category: '', notes: '', files: [], fileDate: '' });
+    setNewRecord({ title: '', category: '', notes: '', files: [], fileDate: '', labResults: [] });
     setAnalysis('');
     setReturnedImageUrl('');
+    setOcrReview(null);
     setAnalysisProgress(0);
     return false; // Return false to allow the component to handle the modal state
   };
@@ -412,6 +414,10 @@ Return the JSON object now:`;
       alert('Please upload at least one file.');
       return false;
     }
+    if (newRecord.files.some(f => f.isStoring)) {
+      alert('Please wait until all files are saved.');
+      return false;
+    }
     if (!analysis) {
       alert('Please analyze the files before saving.');
       return false;
@@ -431,36 +437,24 @@ Return the JSON object now:`;
       fileDate: newRecord.fileDate, // Save the new record date
       title: newRecord.title,
       notes: newRecord.notes || "",
-      files: newRecord.files.map(f => ({
-        id: f.id,
-        name: f.name,
-        type: f.type,
-        size: f.size,
-        url: f.url
-      })),
+      files: newRecord.files.map(toSavedFile),
       analysis: analysis,
-      ...(returnedImageUrl && { returnedImageUrl: returnedImageUrl })
+      labResults: newRecord.labResults || [],
+      ...(returnedImageUrl && toReturnedImageFields(returnedImageUrl))
     };
     
     const updatedRecords = [record, ...medicalRecords];
     setMedicalRecords(updatedRecords);
+    persistRecords(updatedRecords, 'Error saving record. It could not be written to the local database.');
     
-    try {
-      localStorage.setItem('medicalRecords', JSON.stringify(updatedRecords));
-      
-      // Also add to PatientRecordsContext
-      addPatientRecord({
-        id: record.id,
-        type: record.category.toLowerCase().replace(/\s+/g, '_') || 'general',
-        title: record.title,
-        date: record.fileDate || record.createdDate,
-        content: record.analysis || record.notes || '',
-      });
-    } catch (e) {
-      console.error('Error saving to localStorage:', e);
-      alert('Error saving record. The file(s) might be too large for local storage.');
-      return false;
-    }
+    // Also add to PatientRecordsContext
+    addPatientRecord({
+      id: record.id,
+      type: record.category.toLowerCase().replace(/\s+/g, '_') || 'general',
+      title: record.title,
+      date: record.fileDate || record.createdDate,
+      content: record.analysis || record.notes || '',
+    });
     
     return true; // Return true to indicate successful save
   };
@@ -482,24 +476,20 @@ Return the JSON object now:`;
   const toggleExpand = (recordId) => {
     setExpandedRecords(prev => ({ ...prev, [recordId]: !prev[recordId] }));
   };
+
+  const expandRecord = useCallback((recordId) => {
+    setExpandedRecords(prev => ({ ...prev, [recordId]: true }));
+  }, []);
   
   // Delete a record
   const deleteRecord = (recordId) => {
     if (window.confirm("Are you sure you want to delete this record? This action cannot be undone.")) {
       const updatedRecords = medicalRecords.filter(record => record.id !== recordId);
       setMedicalRecords(updatedRecords);
+      persistRecords(updatedRecords, 'Error deleting record.');
       
-      // Also update localStorage
-      try {
-        localStorage.setItem('medicalRecords', JSON.stringify(updatedRecords));
-        
-        // Also update PatientRecordsContext
-        deletePatientRecord(recordId);
-      } catch (e) {
-        console.error('Error saving to localStorage:', e);
-        alert('Error deleting record.');
-        return false;
-      }
+      // Also update PatientRecordsContext
+      deletePatientRecord(recordId);
       
       return true;
     }
@@ -519,6 +509,7 @@ Return the JSON object now:`;
       notes: recordToEdit.notes || '',
       files: recordToEdit.files || [],
       fileDate: recordToEdit.fileDate || '',
+      labResults: recordToEdit.labResults || [],
     });
     
     // Set analysis if available
@@ -527,8 +518,8 @@ Return the JSON object now:`;
     }
     
     // Set returned image URL if available
-    if (recordToEdit.returnedImageUrl) {
-      setReturnedImageUrl(recordToEdit.returnedImageUrl);
+    if (recordImageUrl(recordToEdit)) {
+      setReturnedImageUrl(recordImageUrl(recordToEdit));
     }
     
     return recordToEdit;
@@ -555,6 +546,10 @@ Return the JSON object now:`;
       alert('Please upload at least one file.');
       return false;
     }
+    if (newRecord.files.some(f => f.isStoring)) {
+      alert('Please wait until all files are saved.');
+      return false;
+    }
     
     if (!analysis) {
       alert('Please analyze the files before saving.');
@@ -580,39 +575,26 @@ Return the JSON object now:`;
       fileDate: newRecord.fileDate,
       title: newRecord.title,
       notes: newRecord.notes || "",
-      files: newRecord.files.map(f => ({
-        id: f.id,
-        name: f.name,
-        type: f.type,
-        size: f.size,
-        url: f.url
-      })),
+      files: newRecord.files.map(toSavedFile),
       analysis: analysis,
-      ...(returnedImageUrl && { returnedImageUrl: returnedImageUrl })
+      labResults: newRecord.labResults || [],
+      ...(returnedImageUrl && toReturnedImageFields(returnedImageUrl))
     };
     
     // Update the records array
     const updatedRecords = [...medicalRecords];
     updatedRecords[recordIndex] = updatedRecord;
     setMedicalRecords(updatedRecords);
+    persistRecords(updatedRecords, 'Error updating record. It could not be written to the local database.');
     
-    // Update localStorage
-    try {
-      localStorage.setItem('medicalRecords', JSON.stringify(updatedRecords));
-      
-      // Update PatientRecordsContext
-      updatePatientRecord({
-        id: updatedRecord.id,
-        type: updatedRecord.category.toLowerCase().replace(/\s+/g, '_') || 'general',
-        title: updatedRecord.title,
-        date: updatedRecord.fileDate || updatedRecord.createdDate,
-        content: updatedRecord.analysis || updatedRecord.notes || '',
-      });
-    } catch (e) {
-      console.error('Error saving to localStorage:', e);
-      alert('Error updating record. The file(s) might be too large for local storage.');
-      return false;
-    }
+    // Update PatientRecordsContext
+    updatePatientRecord({
+      id: updatedRecord.id,
+      type: updatedRecord.category.toLowerCase().replace(/\s+/g, '_') || 'general',
+      title: updatedRecord.title,
+      date: updatedRecord.fileDate || updatedRecord.createdDate,
+      content: updatedRecord.analysis || updatedRecord.notes || '',
+    });
     
     return true;
   };
@@ -632,10 +614,14 @@ Return the JSON object now:`;
     addFilesToState,
     removeFile,
     analyzeAndPopulate,
+    ocrReview,
+    correctOcrText,
+    rerunOcrAnalysis,
     resetAndCloseModal,
     saveRecord,
     getFilteredRecords,
     toggleExpand,
+    expandRecord,
     deleteRecord,
     prepareRecordForEdit,
     updateRecord,
@@ -646,5 +632,6 @@ Return the JSON object now:`;
 export const getFileIcon = (type, { ImageIcon, FileAudio, FileText }) => {
   if (type.startsWith('image')) return <ImageIcon className="w-8 h-8 text-blue-500" />;
   if (type.startsWith('audio')) return <FileAudio className="w-8 h-8 text-purple-500" />;
+  if (type === 'pdf') return <FileText className="w-8 h-8 text-red-500" />;
   return <FileText className="w-8 h-8 text-gray-500" />;
 };
\ No newline at end of file
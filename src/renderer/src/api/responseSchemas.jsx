@@ -0,0 +1,64 @@
+// JSON Schemas of the structured answers the app asks Gemma for. The server only returns
+// answers that match them (see resources/utils/jsonSchema.js for the supported keywords).
+
+export const RECORD_CATEGORIES = [
+  'General', 'Radiology', 'Blood Work', 'Cardiology', 'Dermatology',
+  'Skin Imaging', 'Mole & Lesion Analysis', 'Wound Assessment', 'Rash & Skin Condition',
+  'Body Part Examination', 'Joint & Limb Analysis', 'Posture Assessment',
+  'X-Ray Analysis', 'MRI/CT Scan', 'Ultrasound Imaging',
+  'Endocrinology', 'Neurology', 'Physical Therapy', 'Prescription', 'Other'
+];
+
+// Record analysis (OCR and vision modes); lab rows are typed afterwards by labResults.jsx
+export const RECORD_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['title', 'category', 'notes', 'analysis'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    category: { type: 'string', enum: RECORD_CATEGORIES },
+    notes: { type: 'string' },
+    analysis: { type: 'string', minLength: 1 },
+    labResults: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['test', 'value'],
+        properties: {
+          test: { type: 'string', minLength: 1 },
+          value: { type: ['string', 'number'] },
+          unit: { type: 'string' },
+          referenceRange: { type: 'string' },
+          flag: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Prescription scanning
+export const MEDICATION_SCHEMA = {
+  type: 'object',
+  required: ['medication'],
+  properties: {
+    medication: {
+      type: 'object',
+      required: ['name', 'dosage'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        dosage: { type: 'string' },
+        recommendedFrequency: { type: 'string' },
+        instructions: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Home page health score
+export const HEALTH_SCORE_SCHEMA = {
+  type: 'object',
+  required: ['score', 'opinion'],
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    opinion: { type: 'string', minLength: 1 }
+  }
+};
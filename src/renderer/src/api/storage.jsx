@@ -0,0 +1,102 @@
+// Patient data lives in the main process database (src/main/storage.js), not in localStorage.
+// Every collection is read once at startup and kept here, so reads stay synchronous; writes
+// update the copy here and are saved in the background.
+
+// Collections and the localStorage keys they were kept under before the database
+export const COLLECTIONS = {
+  userData: 'userData',
+  medicalRecords: 'medicalRecords',
+  prescriptions: 'prescriptions',
+  conversations: 'medigemma_conversations',
+  healthScoreData: 'healthScoreData',
+  generationSettings: 'generationSettings'
+};
+
+let cache = {};
+let openPromise = null;
+
+const storageApi = () => {
+  const api = window.api?.storage;
+  if (!api) throw new Error('The local database is not available.');
+  return api;
+};
+
+// Moves data saved by earlier versions out of localStorage; a key is only removed once the
+// database has its copy
+const migrateFromLocalStorage = async () => {
+  for (const [name, legacyKey] of Object.entries(COLLECTIONS)) {
+    const legacy = localStorage.getItem(legacyKey);
+    if (legacy === null) continue;
+    if (cache[name] == null) {
+      try {
+        cache[name] = JSON.parse(legacy);
+      } catch (error) {
+        console.error(`Skipping unreadable ${legacyKey} in localStorage:`, error);
+        continue;
+      }
+      await storageApi().set(name, legacy);
+      console.log(`📦 Moved ${legacyKey} from localStorage to the local database`);
+    }
+    localStorage.removeItem(legacyKey);
+  }
+};
+
+/**
+ * Reads the database. Nothing else in this module works before it has resolved; it is safe to
+ * call more than once.
+ * @returns {Promise<void>}
+ */
+export const openStorage = () => {
+  if (!openPromise) {
+    openPromise = (async () => {
+      cache = await storageApi().load();
+      await migrateFromLocalStorage();
+    })();
+    openPromise.catch(() => { openPromise = null; });
+  }
+  return openPromise;
+};
+
+/**
+ * @param {string} name - Collection name, see COLLECTIONS.
+ * @returns {*} The saved value, or null if there is none.
+ */
+export const getItem = (name) => cache[name] ?? null;
+
+/**
+ * Saves a collection.
+ * @param {string} name - Collection name, see COLLECTIONS.
+ * @param {*} value - Any JSON value.
+ * @returns {Promise<void>} Resolves once the database has it.
+ */
+export const setItem = (name, value) => {
+  cache[name] = value;
+  // Sent as JSON text, so values serialize exactly as they did in localStorage
+  return storageApi().set(name, JSON.stringify(value));
+};
+
+/**
+ * Deletes a collection.
+ * @param {string} name - Collection name, see COLLECTIONS.
+ * @returns {Promise<void>}
+ */
+export const removeItem = (name) => {
+  delete cache[name];
+  return storageApi().remove(name);
+};
+
+/**
+ * Copies the whole database, encrypted, before saved data is changed in bulk.
+ * @param {string} label - Lowercase words joined by dashes, e.g. 'before-schema-upgrade'.
+ * @returns {Promise<string>} Where the copy is.
+ */
+export const snapshotStorage = (label) => storageApi().snapshot(label);
+
+/**
+ * Forgets everything read from the database, e.g. when the vault locks; openStorage reads it
+ * again.
+ */
+export const closeStorage = () => {
+  cache = {};
+  openPromise = null;
+};
@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
+import { getItem, setItem, removeItem } from './storage';
 
 /**
- * Hook to manage user data with local storage persistence
- * @param {string} storageKey - The key to use for localStorage
+ * Hook to manage user data saved in the local database
+ * @param {string} storageKey - The collection to keep it in
  * @param {Object} defaultValue - Default value if no data exists in storage
  * @returns {Array} [userData, setUserData, resetUserData, isLoading]
  */
@@ -10,13 +11,13 @@ export const useUserData = (storageKey = 'userData', defaultValue = {}) => {
   const [userData, setUserData] = useState(defaultValue);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Load user data from localStorage on mount
+  // Load user data from the database on mount
   useEffect(() => {
     const loadUserData = () => {
       try {
-        const storedData = localStorage.getItem(storageKey);
+        const storedData = getItem(storageKey);
         if (storedData) {
-          setUserData(JSON.parse(storedData));
+          setUserData(storedData);
         }
       } catch (error) {
         console.error('Error loading user data:', error);
@@ -28,30 +29,30 @@ export const useUserData = (storageKey = 'userData', defaultValue = {}) => {
     loadUserData();
   }, [storageKey]);
 
-  // Update localStorage whenever userData changes
+  // Save to the database whenever userData changes
   useEffect(() => {
     if (!isLoading) {
-      localStorage.setItem(storageKey, JSON.stringify(userData));
+      setItem(storageKey, userData).catch(error => console.error('Error saving user data:', error));
     }
   }, [userData, storageKey, isLoading]);
 
   // Function to reset user data to default
   const resetUserData = () => {
     setUserData(defaultValue);
-    localStorage.removeItem(storageKey);
+    removeItem(storageKey).catch(error => console.error('Error removing user data:', error));
   };
 
   return [userData, setUserData, resetUserData, isLoading];
 };
 
 /**
- * Save user data to localStorage
+ * Save user data to the database
  * @param {string} key - Storage key
  * @param {Object} data - Data to save
  */
 export const saveUserData = (key = 'userData', data = {}) => {
   try {
-    localStorage.setItem(key, JSON.stringify(data));
+    setItem(key, data).catch(error => console.error('Error saving user data:', error));
     return true;
   } catch (error) {
     console.error('Error saving user data:', error);
@@ -60,14 +61,13 @@ export const saveUserData = (key = 'userData', data = {}) => {
 };
 
 /**
- * Load user data from localStorage
+ * Load user data from the database
  * @param {string} key - Storage key
  * @returns {Object|null} User data or null if not found
  */
 export const loadUserData = (key = 'userData') => {
   try {
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : null;
+    return getItem(key);
   } catch (error) {
     console.error('Error loading user data:', error);
     return null;
@@ -93,12 +93,12 @@ export const updateUserData = (key = 'userData', updates = {}) => {
 };
 
 /**
- * Remove user data from localStorage
+ * Remove user data from the database
  * @param {string} key - Storage key
  */
 export const removeUserData = (key = 'userData') => {
   try {
-    localStorage.removeItem(key);
+    removeItem(key).catch(error => console.error('Error removing user data:', error));
     return true;
   } catch (error) {
     console.error('Error removing user data:', error);
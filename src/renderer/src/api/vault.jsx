@@ -0,0 +1,88 @@
+// The vault holds the key all saved data is encrypted with (src/main/vault.js). In 'device' mode
+// the OS keychain keeps the key and the app opens by itself; in 'passphrase' mode the user
+// unlocks it and it locks again after a stretch of inactivity.
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Minutes without input before a passphrase vault locks; 0 turns auto-lock off
+export const AUTO_LOCK_OPTIONS = [
+  { value: 5, label: '5 minutes' },
+  { value: 10, label: '10 minutes' },
+  { value: 15, label: '15 minutes' },
+  { value: 30, label: '30 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 0, label: 'Never' }
+];
+
+// Activity is reported at most this often; the main process only needs minute precision
+const ACTIVITY_REPORT_INTERVAL_MS = 15 * 1000;
+
+const vaultApi = () => {
+  const api = window.api?.vault;
+  if (!api) throw new Error('The vault is not available.');
+  return api;
+};
+
+// Electron wraps errors thrown in the main process; keep only the message the user should see
+export const mainProcessMessage = (error) => error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+
+/**
+ * @returns {Promise<{ mode: 'device'|'passphrase', locked: boolean, keychainAvailable: boolean, autoLockMinutes: number }>}
+ */
+export const getVaultStatus = () => vaultApi().status();
+
+/**
+ * @returns {Promise<boolean>} False if the passphrase is wrong.
+ */
+export const unlockVault = (passphrase) => vaultApi().unlock(passphrase);
+
+export const lockVault = () => vaultApi().lock();
+
+/**
+ * Sets, changes or removes the passphrase; all saved data is re-encrypted.
+ * @param {object} change - { mode: 'device'|'passphrase', currentPassphrase?, passphrase? }
+ * @returns {Promise<object>} The new vault status.
+ */
+export const changeVaultProtection = async (change) => {
+  try {
+    return await vaultApi().changeProtection(change);
+  } catch (error) {
+    throw new Error(mainProcessMessage(error));
+  }
+};
+
+export const setAutoLockMinutes = (minutes) => vaultApi().setAutoLockMinutes(minutes);
+
+/**
+ * Calls back with the new status whenever the vault locks, unlocks or changes.
+ * @returns {Function} Unsubscribes.
+ */
+export const onVaultChange = (callback) => vaultApi().onChange(callback);
+
+/**
+ * Reports user input to the main process, so the auto-lock timer restarts.
+ * @returns {Function} Stops listening.
+ */
+export const watchActivity = () => {
+  let lastReport = 0;
+  const report = () => {
+    if (Date.now() - lastReport < ACTIVITY_REPORT_INTERVAL_MS) return;
+    lastReport = Date.now();
+    vaultApi().reportActivity();
+  };
+  const events = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+  events.forEach(event => window.addEventListener(event, report, { passive: true }));
+  return () => events.forEach(event => window.removeEventListener(event, report));
+};
+
+/**
+ * Checks a new passphrase and its confirmation.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+export const validatePassphrase = (passphrase, confirmation) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+  }
+  if (passphrase !== confirmation) return 'The passphrases do not match.';
+  return null;
+};
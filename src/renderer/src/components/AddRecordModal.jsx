@@ -1,5 +1,9 @@
 import React, { useRef } from 'react';
 import { FileText, ImageIcon, FileAudio, X, Upload, Save, Loader, Bot, Eye, Camera, Scan, BrainCircuit } from 'lucide-react';
+import OcrLanguageSelect from './OcrLanguageSelect';
+import OcrReviewPanel from './OcrReviewPanel';
+import LabResultsTable from './LabResultsTable';
+import { recordFileUrl } from '../api/attachments';
 
 /*
   NOTE: To enable the custom scrollbar styles (like `scrollbar-thin`), 
@@ -58,7 +62,12 @@ const AddRecordModal = ({
   removeFile,
   getFileIcon,
   analysisMode,
-  setAnalysisMode
+  setAnalysisMode,
+  ocrLanguage,
+  setOcrLanguage,
+  ocrPages = [],
+  onCorrectOcrWord,
+  onRerunOcrAnalysis
 }) => {
   const fileInputRef = useRef(null);
 
@@ -112,7 +121,7 @@ const AddRecordModal = ({
                       <p className="text-sm text-gray-600 font-medium">Click to upload</p>
                       <p className="text-xs text-gray-500">or drag & drop</p>
                     </div>
-                    <input ref={fileInputRef} type="file" multiple onChange={handleFileUpload} className="hidden" />
+                    <input ref={fileInputRef} type="file" multiple accept="image/*,audio/*,.pdf,application/pdf" onChange={handleFileUpload} className="hidden" />
                   </div>
                   <button type="button" onClick={onStartWebcam} className="sm:w-36 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:bg-gray-50 cursor-pointer transition-colors group">
                     <Camera className="w-10 h-10 text-gray-400 group-hover:text-gray-600 transition-colors mb-3" />
@@ -196,22 +205,48 @@ const AddRecordModal = ({
                         </span>
                       </p>
                     )}
+                    {/* Vision mode only reads text from scanned PDF pages */}
+                    {(analysisMode === 'ocr' || newRecord.files.some(file => file.type === 'pdf')) && (
+                      <OcrLanguageSelect
+                        value={ocrLanguage}
+                        onChange={setOcrLanguage}
+                        disabled={isAnalyzing || isLoading}
+                        className="mt-2"
+                      />
+                    )}
                   </div>
                   
                   <div className="space-y-2 max-h-48 overflow-y-auto pr-2 scrollbar-thin scrollbar-thumb-gray-200">
                     {newRecord.files.map((file) => (
                       <div key={file.id} className="flex items-center justify-between p-2 bg-gray-50 border rounded-lg hover:bg-gray-100">
                         <div className="flex items-center min-w-0">
-                          {file.type.startsWith('image') ? (
-                            <img src={file.url} alt={file.name} className="flex-shrink-0 w-10 h-10 rounded object-cover mr-3 border" />
+                          {file.type.startsWith('image') && recordFileUrl(file) ? (
+                            <img src={recordFileUrl(file, { thumbnail: true })} alt={file.name} className="flex-shrink-0 w-10 h-10 rounded object-cover mr-3 border" />
                           ) : (
                             <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center bg-gray-200 rounded mr-3">
-                              {getFileIcon(file.type)}
+                              {file.isStoring ? <Loader className="w-5 h-5 animate-spin text-gray-500" /> : getFileIcon(file.type)}
                             </div>
                           )}
-                          <div className="truncate">
+                          <div className="min-w-0">
                             <span className="text-sm font-medium text-gray-700 block truncate">{file.name}</span>
-                            <span className="text-xs text-gray-500">{file.size}</span>
+                            <span className="text-xs text-gray-500">
+                              {file.size}{file.pageCount ? ` · ${file.pageCount} ${file.pageCount === 1 ? 'page' : 'pages'}` : ''}
+                            </span>
+                            {file.thumbnails?.length > 0 && (
+                              <div className="flex gap-1 mt-1 overflow-x-auto">
+                                {file.thumbnails.map((thumbnail, index) => (
+                                  <img
+                                    key={index}
+                                    src={thumbnail}
+                                    alt={`${file.name} page ${index + 1}`}
+                                    className="flex-shrink-0 h-14 rounded border bg-white"
+                                  />
+                                ))}
+                                {file.pageCount > file.thumbnails.length && (
+                                  <span className="self-center text-xs text-gray-500 px-1">+{file.pageCount - file.thumbnails.length}</span>
+                                )}
+                              </div>
+                            )}
                           </div>
                         </div>
                         <button onClick={() => removeFile(file.id)} className="ml-4 flex-shrink-0 p-1 hover:bg-red-100 rounded-full" title="Remove file">
@@ -223,6 +258,15 @@ const AddRecordModal = ({
                 </div>
               )}
               
+              {ocrPages.length > 0 && (
+                <OcrReviewPanel
+                  pages={ocrPages}
+                  onCorrectWord={onCorrectOcrWord}
+                  onRerun={onRerunOcrAnalysis}
+                  isRunning={isAnalyzing || isLoading}
+                />
+              )}
+              
               {returnedImageUrl && (
                 <div className="bg-green-50 rounded-lg border border-green-200 p-4">
                   <div className="flex items-center justify-between mb-3">
@@ -264,6 +308,7 @@ const AddRecordModal = ({
                       <input 
                         type="text" 
                         value={newRecord.title} 
+                        dir="auto"
                         onChange={(e) => setNewRecord({...newRecord, title: e.target.value})} 
                         className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900" 
                         placeholder="e.g., Annual Check-up Results" 
@@ -314,14 +359,16 @@ const AddRecordModal = ({
                     <label className="block text-sm font-medium text-gray-700 mb-1">Notes / Summary</label>
                     <textarea 
                       value={newRecord.notes} 
+                      dir="auto"
                       onChange={(e) => setNewRecord({...newRecord, notes: e.target.value})} 
                       className="w-full p-3 border border-gray-300 rounded-lg h-24 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors resize-none bg-white text-gray-900"
                       placeholder="Brief summary or additional notes..."
                     ></textarea>
                   </div>
+                  {!isAnalyzing && <LabResultsTable results={newRecord.labResults} />}
                   <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Detailed AI Analysis</label>
-                      <div className="p-4 bg-gradient-to-br from-teal-50 to-cyan-50 rounded-lg text-sm text-gray-700 whitespace-pre-line border border-teal-100 min-h-[120px] shadow-sm">
+                      <div dir="auto" className="p-4 bg-gradient-to-br from-teal-50 to-cyan-50 rounded-lg text-sm text-gray-700 whitespace-pre-line border border-teal-100 min-h-[120px] shadow-sm">
                           {isAnalyzing ? (
                             <div className="flex items-center space-x-2">
                               <Loader className="w-4 h-4 animate-spin text-teal-600" />
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { Plus, Trash2, ShieldAlert, HeartPulse } from 'lucide-react';
+import {
+  ALLERGY, CONDITION, REGISTRY_SEVERITIES,
+  createRegistryEntry, describeAllergen, isRecognizedCondition
+} from '../api/allergyRegistry';
+
+const SEVERITY_CLASSES = {
+  mild: 'bg-gray-100 text-gray-700',
+  moderate: 'bg-amber-100 text-amber-800',
+  severe: 'bg-red-100 text-red-700'
+};
+
+const inputClass = 'block w-full p-2 text-sm text-gray-900 border border-gray-300 rounded-lg bg-white focus:ring-teal-500 focus:border-teal-500';
+
+// What new prescriptions will be checked against for an entry, or that it cannot be checked
+const CoverageHint = ({ entry }) => {
+  if (!entry.substance.trim()) return null;
+  if (entry.type === ALLERGY) {
+    const covered = describeAllergen(entry.substance);
+    return covered
+      ? <p className="text-xs text-teal-700">New medications are checked against {covered}.</p>
+      : <p className="text-xs text-gray-500">Not a medication we recognize; it is saved but new medications are not checked against it.</p>;
+  }
+  return isRecognizedCondition(entry.substance)
+    ? <p className="text-xs text-teal-700">New medications to avoid with this condition are flagged.</p>
+    : <p className="text-xs text-gray-500">Saved for your AI conversations; no medication checks are known for it.</p>;
+};
+
+/**
+ * Lists and edits the allergy and condition registry. Changes go to `onChange` with the whole
+ * new list; the parent decides when to save it.
+ */
+const AllergyRegistryEditor = ({ entries = [], onChange }) => {
+  const [draft, setDraft] = useState(() => createRegistryEntry(ALLERGY));
+
+  const setDraftField = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleTypeChange = (type) => {
+    setDraft(prev => ({ ...createRegistryEntry(type), substance: prev.substance, reaction: prev.reaction }));
+  };
+
+  const handleAdd = () => {
+    if (!draft.substance.trim()) return;
+    onChange([...entries, { ...draft, substance: draft.substance.trim(), reaction: draft.reaction.trim() }]);
+    setDraft(createRegistryEntry(draft.type));
+  };
+
+  // Enter adds the entry instead of submitting the surrounding form
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAdd();
+    }
+  };
+
+  const handleRemove = (id) => {
+    onChange(entries.filter(entry => entry.id !== id));
+  };
+
+  return (
+    <div className="space-y-3">
+      {entries.length > 0 ? (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex items-start p-3">
+              {entry.type === ALLERGY
+                ? <ShieldAlert className="w-4 h-4 mt-0.5 mr-2 flex-shrink-0 text-red-500" />
+                : <HeartPulse className="w-4 h-4 mt-0.5 mr-2 flex-shrink-0 text-teal-600" />}
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2 text-sm font-medium text-gray-800">
+                  {entry.substance}
+                  <span className="text-xs font-normal text-gray-500">{entry.type === ALLERGY ? 'Allergy' : 'Condition'}</span>
+                  {entry.severity && (
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${SEVERITY_CLASSES[entry.severity]}`}>
+                      {entry.severity}
+                    </span>
+                  )}
+                </div>
+                {entry.reaction && <p className="text-sm text-gray-600">{entry.reaction}</p>}
+                <CoverageHint entry={entry} />
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(entry.id)}
+                className="ml-2 p-1 text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No allergies or conditions recorded.</p>
+      )}
+
+      <div className="p-3 border border-dashed border-gray-300 rounded-lg space-y-2">
+        <div className="flex space-x-2">
+          {[[ALLERGY, 'Allergy'], [CONDITION, 'Condition']].map(([type, label]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => handleTypeChange(type)}
+              className={`px-3 py-1 rounded-full text-xs font-medium border ${draft.type === type ? 'bg-teal-600 text-white border-teal-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="text"
+          value={draft.substance}
+          onChange={(e) => setDraftField('substance', e.target.value)}
+          onKeyDown={handleKeyDown}
+          className={inputClass}
+          placeholder={draft.type === ALLERGY ? 'Substance, e.g. Penicillin, Sulfa, Ibuprofen' : 'Condition, e.g. Asthma, Kidney disease'}
+        />
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={draft.reaction}
+            onChange={(e) => setDraftField('reaction', e.target.value)}
+            onKeyDown={handleKeyDown}
+            className={inputClass}
+            placeholder={draft.type === ALLERGY ? 'Reaction, e.g. hives' : 'Notes (optional)'}
+          />
+          <select
+            value={draft.severity}
+            onChange={(e) => setDraftField('severity', e.target.value)}
+            className={`${inputClass} w-32`}
+          >
+            {draft.type === CONDITION && <option value="">Severity</option>}
+            {REGISTRY_SEVERITIES.map(severity => (
+              <option key={severity} value={severity}>{severity.charAt(0).toUpperCase() + severity.slice(1)}</option>
+            ))}
+          </select>
+        </div>
+        <CoverageHint entry={draft} />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!draft.substance.trim()}
+          className="flex items-center px-3 py-1.5 text-sm bg-teal-50 text-teal-700 border border-teal-200 rounded-lg hover:bg-teal-100 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add {draft.type === ALLERGY ? 'Allergy' : 'Condition'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AllergyRegistryEditor;
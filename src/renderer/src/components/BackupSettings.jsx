@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import { Archive, FolderOpen, Loader2, RotateCcw } from 'lucide-react';
+import {
+  BACKUP_FREQUENCY_OPTIONS,
+  createBackup,
+  chooseBackupFile,
+  restoreBackup,
+  chooseBackupFolder,
+  getBackupSchedule,
+  updateBackupSchedule
+} from '../api/backup';
+import { validatePassphrase } from '../api/vault';
+
+const inputClass = 'block w-full p-3 text-sm text-gray-900 border border-gray-300 rounded-lg bg-white focus:ring-teal-500 focus:border-teal-500';
+const primaryButton = 'flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition disabled:opacity-60';
+const secondaryButton = 'flex items-center px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-60';
+
+const KEEP_OPTIONS = [3, 7, 14, 30];
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : 'never');
+
+// Validates an optional password: empty means none
+const passwordError = (password, confirmation) => (
+  password || confirmation ? validatePassphrase(password, confirmation) : null
+);
+
+/**
+ * Settings section for backups: save everything to one file, restore such a file, and make
+ * backups to a folder automatically.
+ */
+const BackupSettings = () => {
+  // 'create' | 'restore' | 'password' (for scheduled backups) while a form is open
+  const [action, setAction] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [backupFile, setBackupFile] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [schedule, setSchedule] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    getBackupSchedule()
+      .then(setSchedule)
+      .catch(err => console.error('Could not read the backup schedule:', err));
+  }, []);
+
+  const openForm = (nextAction) => {
+    setAction(nextAction);
+    setPassword('');
+    setConfirmation('');
+    setError('');
+    setMessage('');
+  };
+
+  const closeForm = () => {
+    setAction(null);
+    setBackupFile(null);
+    setPassword('');
+    setConfirmation('');
+  };
+
+  // Runs one backup task, showing its error if it fails
+  const run = async (task) => {
+    setIsWorking(true);
+    setError('');
+    try {
+      await task();
+    } catch (err) {
+      console.error('Backup error:', err);
+      setError(err.message);
+    }
+    setIsWorking(false);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const invalid = passwordError(password, confirmation);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    run(async () => {
+      const backup = await createBackup(password);
+      if (!backup) return;
+      closeForm();
+      setMessage(`Backup saved to ${backup.path}.`);
+    });
+  };
+
+  const handleChooseFile = () => {
+    setMessage('');
+    run(async () => {
+      const file = await chooseBackupFile();
+      if (!file) return;
+      openForm('restore');
+      setBackupFile(file);
+      setRestoreMode('merge');
+    });
+  };
+
+  const handleRestore = (e) => {
+    e.preventDefault();
+    if (restoreMode === 'replace' && !window.confirm(
+      'Replace all records, prescriptions, conversations and settings on this computer with the backup? Anything not in the backup will be lost.'
+    )) {
+      return;
+    }
+    run(async () => {
+      await restoreBackup({ password, mode: restoreMode });
+      // Every page reads its data again from the restored database
+      window.location.reload();
+    });
+  };
+
+  const changeSchedule = (changes) => run(async () => {
+    setSchedule(await updateBackupSchedule(changes));
+  });
+
+  const handleChooseFolder = () => run(async () => {
+    const folder = await chooseBackupFolder();
+    if (folder) setSchedule(await updateBackupSchedule({ folder }));
+  });
+
+  const handleSchedulePassword = (e) => {
+    e.preventDefault();
+    const invalid = validatePassphrase(password, confirmation);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    run(async () => {
+      setSchedule(await updateBackupSchedule({ password }));
+      closeForm();
+    });
+  };
+
+  const passwordFields = (placeholder) => (
+    <>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className={inputClass}
+        placeholder={placeholder}
+        autoFocus
+      />
+      <input
+        type="password"
+        value={confirmation}
+        onChange={(e) => setConfirmation(e.target.value)}
+        className={inputClass}
+        placeholder="Repeat the password"
+      />
+    </>
+  );
+
+  const formButtons = (label, workingLabel) => (
+    <div className="flex space-x-2">
+      <button type="submit" disabled={isWorking} className={primaryButton}>
+        {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+        {isWorking ? workingLabel : label}
+      </button>
+      <button type="button" onClick={closeForm} disabled={isWorking} className={secondaryButton}>
+        Cancel
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="max-w-md">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">Backups</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        A backup is one file with your profile, records and their files, prescriptions, conversations and calendar notes.
+      </p>
+
+      {action === 'create' && (
+        <form onSubmit={handleCreate} className="space-y-3 mb-4">
+          <p className="text-sm text-gray-700">
+            Protect the backup with a password, or leave it empty to save it unencrypted.
+          </p>
+          {passwordFields('Backup password (optional)')}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {formButtons('Save Backup', 'Saving the backup...')}
+        </form>
+      )}
+
+      {action === 'restore' && backupFile && (
+        <form onSubmit={handleRestore} className="space-y-3 mb-4">
+          <div className="p-3 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <p className="font-medium break-all">{backupFile.path}</p>
+            <p>Made {formatDate(backupFile.createdAt)} with version {backupFile.appVersion}</p>
+            <p>{backupFile.collections} kinds of data, {backupFile.files} files</p>
+          </div>
+          {backupFile.encrypted && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+              placeholder="Backup password"
+              autoFocus
+            />
+          )}
+          <div className="space-y-2 text-sm text-gray-700">
+            <label className="flex items-start">
+              <input
+                type="radio"
+                name="restore-mode"
+                value="merge"
+                checked={restoreMode === 'merge'}
+                onChange={() => setRestoreMode('merge')}
+                className="mt-1 mr-2"
+              />
+              <span>Merge: add what is only in the backup and keep everything here</span>
+            </label>
+            <label className="flex items-start">
+              <input
+                type="radio"
+                name="restore-mode"
+                value="replace"
+                checked={restoreMode === 'replace'}
+                onChange={() => setRestoreMode('replace')}
+                className="mt-1 mr-2"
+              />
+              <span>Replace: make this computer match the backup</span>
+            </label>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {formButtons('Restore Backup', 'Restoring...')}
+        </form>
+      )}
+
+      {action === 'password' && (
+        <form onSubmit={handleSchedulePassword} className="space-y-3 mb-4">
+          <p className="text-sm text-gray-700">Automatic backups will be protected by this password.</p>
+          {passwordFields('Password for automatic backups')}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {formButtons('Set Password', 'Saving...')}
+        </form>
+      )}
+
+      {!action && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button type="button" onClick={() => openForm('create')} disabled={isWorking} className={primaryButton}>
+            <Archive className="w-4 h-4 mr-2" />
+            Make a Backup
+          </button>
+          <button type="button" onClick={handleChooseFile} disabled={isWorking} className={secondaryButton}>
+            <RotateCcw className="w-4 h-4 mr-2" />
+            Restore a Backup
+          </button>
+        </div>
+      )}
+
+      {!action && error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+      {message && <p className="mb-4 text-sm text-green-700 break-all">{message}</p>}
+
+      {schedule && (
+        <div className="space-y-3">
+          <h4 className="text-sm font-medium text-gray-700">Automatic backups</h4>
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-700 break-all mr-2">{schedule.folder || 'No folder chosen'}</span>
+            <button type="button" onClick={handleChooseFolder} disabled={isWorking} className={secondaryButton}>
+              <FolderOpen className="w-4 h-4 mr-2" />
+              Choose Folder
+            </button>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={schedule.enabled}
+              disabled={!schedule.folder || isWorking}
+              onChange={(e) => changeSchedule({ enabled: e.target.checked })}
+              className="mr-2"
+            />
+            Back up automatically
+          </label>
+          {schedule.enabled && (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={schedule.frequency}
+                  onChange={(e) => changeSchedule({ frequency: e.target.value })}
+                  className={inputClass}
+                >
+                  {BACKUP_FREQUENCY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={schedule.keep}
+                  onChange={(e) => changeSchedule({ keep: Number(e.target.value) })}
+                  className={inputClass}
+                >
+                  {KEEP_OPTIONS.map(keep => (
+                    <option key={keep} value={keep}>Keep the last {keep}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex items-center justify-between text-sm text-gray-700">
+                <span>{schedule.encrypted ? 'Protected by a password' : 'Not password-protected'}</span>
+                {schedule.encrypted ? (
+                  <button type="button" onClick={() => changeSchedule({ password: null })} disabled={isWorking} className={secondaryButton}>
+                    Remove Password
+                  </button>
+                ) : (
+                  <button type="button" onClick={() => openForm('password')} disabled={isWorking || !!action} className={secondaryButton}>
+                    Set Password
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">
+                Last backup: {formatDate(schedule.lastBackupAt)}
+                {schedule.lastError && <span className="block text-red-600">The last attempt failed: {schedule.lastError}</span>}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupSettings;
@@ -1,5 +1,7 @@
 import React, { useRef } from 'react';
 import { FileText, ImageIcon, FileAudio, X, Upload, Save, Loader, Bot, Eye, Camera } from 'lucide-react';
+import LabResultsTable from './LabResultsTable';
+import { recordFileUrl } from '../api/attachments';
 
 const EditRecordModal = ({
   showModal,
@@ -106,11 +108,11 @@ const EditRecordModal = ({
                     {recordToEdit.files.map((file) => (
                       <div key={file.id} className="flex items-center justify-between p-2 bg-gray-50 border rounded-lg hover:bg-gray-100">
                         <div className="flex items-center min-w-0">
-                          {file.type.startsWith('image') ? (
-                            <img src={file.url} alt={file.name} className="flex-shrink-0 w-10 h-10 rounded object-cover mr-3 border" />
+                          {file.type.startsWith('image') && recordFileUrl(file) ? (
+                            <img src={recordFileUrl(file, { thumbnail: true })} alt={file.name} className="flex-shrink-0 w-10 h-10 rounded object-cover mr-3 border" />
                           ) : (
                             <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center bg-gray-200 rounded mr-3">
-                              {getFileIcon(file.type)}
+                              {file.isStoring ? <Loader className="w-5 h-5 animate-spin text-gray-500" /> : getFileIcon(file.type)}
                             </div>
                           )}
                           <div className="truncate">
@@ -221,6 +223,7 @@ const EditRecordModal = ({
                       placeholder="Brief summary or additional notes..."
                     ></textarea>
                   </div>
+                  {!isAnalyzing && <LabResultsTable results={recordToEdit.labResults} />}
                   <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Detailed AI Analysis</label>
                       <div className="p-4 bg-gradient-to-br from-teal-50 to-cyan-50 rounded-lg text-sm text-gray-700 whitespace-pre-line border border-teal-100 min-h-[120px] shadow-sm">
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import { Save, RotateCcw } from 'lucide-react';
+import { useUserData } from '../api/userDataManagement';
+import {
+  GENERATION_SETTINGS_KEY,
+  GENERATION_PARAMS,
+  GENERATION_FEATURES,
+  DEFAULT_GENERATION_SETTINGS
+} from '../api/generationSettings';
+
+// Stop sequences are edited one per line; blank lines are dropped on save
+const stopToText = (stop) => (stop || []).join('\n');
+const textToStop = (text) => text.split('\n').slice(0, 4);
+
+const normalizeStop = (values) => {
+  const { stop, ...rest } = values;
+  const sequences = (stop || []).filter(line => line.length > 0);
+  return sequences.length > 0 ? { ...rest, stop: sequences } : rest;
+};
+
+/**
+ * Settings section for AI generation parameters.
+ * "Defaults" apply everywhere; each feature tab only stores the fields the user fills in.
+ */
+const GenerationSettings = () => {
+  const [settings, setSettings, , isLoading] = useUserData(GENERATION_SETTINGS_KEY, DEFAULT_GENERATION_SETTINGS);
+  const [activeTab, setActiveTab] = useState('defaults');
+  const [draft, setDraft] = useState(DEFAULT_GENERATION_SETTINGS);
+  const [showSaved, setShowSaved] = useState(false);
+
+  useEffect(() => {
+    if (!isLoading && settings) {
+      setDraft({
+        defaults: { ...DEFAULT_GENERATION_SETTINGS.defaults, ...settings.defaults },
+        overrides: { ...DEFAULT_GENERATION_SETTINGS.overrides, ...settings.overrides }
+      });
+    }
+  }, [settings, isLoading]);
+
+  const isDefaultsTab = activeTab === 'defaults';
+  const values = isDefaultsTab ? draft.defaults : draft.overrides[activeTab] || {};
+
+  const updateField = (name, value) => {
+    setDraft(prev => {
+      if (isDefaultsTab) {
+        return { ...prev, defaults: { ...prev.defaults, [name]: value } };
+      }
+      const featureOverrides = { ...prev.overrides[activeTab] };
+      // An empty override field means "use the default"
+      if (value === '' || (Array.isArray(value) && value.length === 0)) {
+        delete featureOverrides[name];
+      } else {
+        featureOverrides[name] = value;
+      }
+      return { ...prev, overrides: { ...prev.overrides, [activeTab]: featureOverrides } };
+    });
+  };
+
+  const handleNumberChange = (param, rawValue) => {
+    if (rawValue === '') {
+      updateField(param.name, isDefaultsTab ? DEFAULT_GENERATION_SETTINGS.defaults[param.name] : '');
+      return;
+    }
+    const value = Math.min(param.max, Math.max(param.min, Number(rawValue)));
+    updateField(param.name, param.step === 1 ? Math.round(value) : value);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const normalized = {
+      defaults: { stop: [], ...normalizeStop(draft.defaults) },
+      overrides: Object.fromEntries(
+        Object.entries(draft.overrides).map(([feature, values]) => [feature, normalizeStop(values)])
+      )
+    };
+    setDraft(normalized);
+    setSettings(normalized);
+    setShowSaved(true);
+    setTimeout(() => setShowSaved(false), 3000);
+  };
+
+  const handleResetTab = () => {
+    setDraft(prev => (isDefaultsTab
+      ? { ...prev, defaults: { ...DEFAULT_GENERATION_SETTINGS.defaults } }
+      : { ...prev, overrides: { ...prev.overrides, [activeTab]: {} } }));
+  };
+
+  const tabs = [{ id: 'defaults', label: 'Defaults' }, ...GENERATION_FEATURES];
+
+  return (
+    <form onSubmit={handleSave} className="max-w-md">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">AI Generation</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Defaults apply to every AI request. Feature tabs override only the fields you fill in.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {tabs.map(tab => (
+          <button
+            key={tab.id}
+            type="button"
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm transition ${
+              activeTab === tab.id
+                ? 'bg-teal-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {GENERATION_PARAMS.map(param => (
+        <div key={param.name} className="mb-4">
+          <label htmlFor={`gen-${param.name}`} className="block text-sm font-medium text-gray-700 mb-2">
+            {param.label} <span className="text-gray-500 text-xs">({param.min}–{param.max})</span>
+          </label>
+          <input
+            type="number"
+            id={`gen-${param.name}`}
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            value={values[param.name] ?? ''}
+            placeholder={isDefaultsTab ? '' : `Default: ${draft.defaults[param.name]}`}
+            onChange={(e) => handleNumberChange(param, e.target.value)}
+            className="block w-full p-3 text-sm text-gray-900 border border-gray-300 rounded-lg bg-white focus:ring-teal-500 focus:border-teal-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">{param.hint}</p>
+        </div>
+      ))}
+
+      <div className="mb-6">
+        <label htmlFor="gen-stop" className="block text-sm font-medium text-gray-700 mb-2">
+          Stop Sequences <span className="text-gray-500 text-xs">(one per line, up to 4)</span>
+        </label>
+        <textarea
+          id="gen-stop"
+          rows="2"
+          value={stopToText(values.stop)}
+          placeholder={isDefaultsTab ? '' : 'Default stop sequences'}
+          onChange={(e) => updateField('stop', textToStop(e.target.value))}
+          className="block w-full p-3 text-sm text-gray-900 border border-gray-300 rounded-lg bg-white focus:ring-teal-500 focus:border-teal-500"
+        />
+      </div>
+
+      <div className="flex items-center space-x-3">
+        <button
+          type="submit"
+          className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition"
+        >
+          <Save className="w-5 h-5 mr-2" />
+          <span>Save Generation Settings</span>
+        </button>
+        <button
+          type="button"
+          onClick={handleResetTab}
+          className="flex items-center px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition"
+        >
+          <RotateCcw className="w-4 h-4 mr-2" />
+          <span>Reset</span>
+        </button>
+      </div>
+
+      {showSaved && (
+        <p className="mt-3 text-sm text-green-700">Generation settings saved.</p>
+      )}
+    </form>
+  );
+};
+
+export default GenerationSettings;
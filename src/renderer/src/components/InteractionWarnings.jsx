@@ -0,0 +1,53 @@
+import { AlertTriangle, ShieldAlert } from 'lucide-react';
+
+const SEVERITY_CLASSES = {
+  contraindicated: 'bg-red-600 text-white',
+  major: 'bg-red-100 text-red-700',
+  moderate: 'bg-amber-100 text-amber-800',
+  minor: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * Interacting pairs among the active prescriptions, most severe first.
+ * Renders nothing when there are none.
+ */
+const InteractionWarnings = ({ interactions, limit, title = 'Interaction Warnings', className = '' }) => {
+  if (!interactions?.length) return null;
+  const shown = limit ? interactions.slice(0, limit) : interactions;
+
+  return (
+    <div className={`bg-white rounded-lg border border-red-200 shadow-sm ${className}`}>
+      <div className="p-3 border-b border-red-100 flex items-center justify-between">
+        <h3 className="font-medium text-gray-800 flex items-center">
+          <ShieldAlert className="w-4 h-4 text-red-500 mr-2" />
+          {title}
+        </h3>
+        {shown.length < interactions.length && (
+          <span className="text-xs text-gray-500">{shown.length} of {interactions.length}</span>
+        )}
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {shown.map(interaction => (
+          <li key={interaction.id} className="flex items-start p-3">
+            <AlertTriangle className={`w-4 h-4 mt-0.5 mr-2 flex-shrink-0 ${interaction.severity === 'moderate' || interaction.severity === 'minor' ? 'text-amber-500' : 'text-red-500'}`} />
+            <span className="flex-1">
+              <span className="flex flex-wrap items-center gap-2 text-sm font-medium text-gray-800">
+                {interaction.prescriptions.map(prescription => prescription.name).join(' + ')}
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${SEVERITY_CLASSES[interaction.severity]}`}>
+                  {interaction.severity}
+                </span>
+              </span>
+              <span className="block text-sm text-gray-700 mt-0.5">{interaction.effect}</span>
+              <span className="block text-xs text-gray-500 mt-0.5">{interaction.advice}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="px-3 pb-3 text-xs text-gray-400">
+        Based on a built-in list of common interactions. Ask your doctor or pharmacist before changing any medication.
+      </p>
+    </div>
+  );
+};
+
+export default InteractionWarnings;
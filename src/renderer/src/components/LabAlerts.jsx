@@ -0,0 +1,48 @@
+import { AlertTriangle, CheckCircle, ChevronRight } from 'lucide-react';
+
+const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Lab values that crossed their reference range between two records, newest first.
+ * Renders nothing when there are none.
+ */
+const LabAlerts = ({ alerts, onOpenRecord, limit, title = 'Lab Alerts', className = '' }) => {
+  if (!alerts?.length) return null;
+  const shown = limit ? alerts.slice(0, limit) : alerts;
+
+  return (
+    <div className={`bg-white rounded-lg border border-gray-200 shadow-sm ${className}`}>
+      <div className="p-3 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="font-medium text-gray-800 flex items-center">
+          <AlertTriangle className="w-4 h-4 text-amber-500 mr-2" />
+          {title}
+        </h3>
+        {shown.length < alerts.length && (
+          <span className="text-xs text-gray-500">{shown.length} of {alerts.length}</span>
+        )}
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {shown.map(alert => (
+          <li key={alert.id}>
+            <button
+              type="button"
+              onClick={() => onOpenRecord(alert.recordId)}
+              className="w-full flex items-start p-3 text-left hover:bg-gray-50 transition"
+            >
+              {alert.outOfRange
+                ? <AlertTriangle className={`w-4 h-4 mt-0.5 mr-2 flex-shrink-0 ${alert.flag === 'low' ? 'text-amber-500' : 'text-red-500'}`} />
+                : <CheckCircle className="w-4 h-4 mt-0.5 mr-2 flex-shrink-0 text-green-500" />}
+              <span className="flex-1">
+                <span className="block text-sm text-gray-800">{alert.message}</span>
+                <span className="block text-xs text-gray-500">{formatDay(alert.day)} · {alert.recordTitle}</span>
+              </span>
+              <ChevronRight className="w-4 h-4 text-gray-400 mt-0.5" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LabAlerts;
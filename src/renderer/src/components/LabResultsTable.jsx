@@ -0,0 +1,86 @@
+import { FlaskConical } from 'lucide-react';
+import { isOutOfRange } from '../api/labResults';
+
+const FLAG_LABELS = { high: 'High', low: 'Low', abnormal: 'Abnormal', normal: 'Normal' };
+
+const rowClasses = (observation) => {
+  if (observation.flag === 'high' || observation.flag === 'abnormal') return 'bg-red-50 text-red-800';
+  if (observation.flag === 'low') return 'bg-amber-50 text-amber-800';
+  return 'text-gray-800';
+};
+
+const badgeClasses = (flag) => {
+  if (flag === 'high' || flag === 'abnormal') return 'bg-red-100 text-red-700';
+  if (flag === 'low') return 'bg-amber-100 text-amber-700';
+  return 'bg-green-100 text-green-700';
+};
+
+const formatRange = ({ low, high, text }) => {
+  if (low !== null && high !== null) return `${low} – ${high}`;
+  if (high !== null) return `< ${high}`;
+  if (low !== null) return `> ${low}`;
+  return text || '—';
+};
+
+/**
+ * Lab results of a record, one row per test. Values are shown in the unit they were
+ * normalized to; out-of-range rows are highlighted.
+ */
+const LabResultsTable = ({ results, className = '' }) => {
+  if (!results?.length) return null;
+
+  const outOfRangeCount = results.filter(isOutOfRange).length;
+
+  return (
+    <div className={className}>
+      <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+        <FlaskConical className="w-4 h-4 mr-2 text-teal-600" />
+        Lab Results
+        {outOfRangeCount > 0 && (
+          <span className="ml-2 text-xs font-normal text-red-600">
+            {outOfRangeCount} out of range
+          </span>
+        )}
+      </h4>
+      <div className="overflow-x-auto bg-white rounded-md border border-gray-200">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Test</th>
+              <th className="px-3 py-2 text-right font-medium">Result</th>
+              <th className="px-3 py-2 text-left font-medium">Unit</th>
+              <th className="px-3 py-2 text-left font-medium">Reference</th>
+              <th className="px-3 py-2 text-left font-medium">Flag</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {results.map((observation, index) => (
+              <tr key={`${observation.test}-${index}`} className={rowClasses(observation)}>
+                <td className="px-3 py-2" dir="auto">{observation.test}</td>
+                <td
+                  className={`px-3 py-2 text-right tabular-nums ${isOutOfRange(observation) ? 'font-semibold' : ''}`}
+                  title={observation.original ? `Reported as ${observation.original.value} ${observation.original.unit}` : undefined}
+                >
+                  {observation.value === null
+                    ? observation.valueText
+                    : `${observation.qualifier || ''}${observation.value}`}
+                </td>
+                <td className="px-3 py-2 text-gray-500">{observation.unit}</td>
+                <td className="px-3 py-2 text-gray-500">{formatRange(observation.referenceRange)}</td>
+                <td className="px-3 py-2">
+                  {observation.flag && (
+                    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${badgeClasses(observation.flag)}`}>
+                      {FLAG_LABELS[observation.flag]}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LabResultsTable;
@@ -0,0 +1,104 @@
+const WIDTH = 560;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 44 };
+
+const POINT_COLOURS = {
+  high: '#dc2626',
+  abnormal: '#dc2626',
+  low: '#d97706',
+  normal: '#0d9488'
+};
+
+const dayTime = (day) => Date.parse(`${day}T00:00:00Z`);
+
+const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const formatValue = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * One analyte over time. The reference range is drawn as a band behind the line;
+ * clicking a point calls `onSelectPoint` with it.
+ */
+const LabTrendChart = ({ trend, onSelectPoint }) => {
+  const { points, referenceRange } = trend;
+  const values = points.map(point => point.value);
+  const bounds = [referenceRange.low, referenceRange.high].filter(value => value !== null);
+
+  let minValue = Math.min(...values, ...bounds);
+  let maxValue = Math.max(...values, ...bounds);
+  const margin = (maxValue - minValue) * 0.1 || Math.abs(maxValue) * 0.1 || 1;
+  minValue = Math.max(0, minValue - margin);
+  maxValue += margin;
+
+  const firstTime = dayTime(points[0].day);
+  const lastTime = dayTime(points[points.length - 1].day);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (day) => (lastTime === firstTime
+    ? PADDING.left + plotWidth / 2
+    : PADDING.left + ((dayTime(day) - firstTime) / (lastTime - firstTime)) * plotWidth);
+  const y = (value) => PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const bandTop = y(referenceRange.high !== null ? referenceRange.high : maxValue);
+  const bandBottom = y(referenceRange.low !== null ? referenceRange.low : minValue);
+  const ticks = [minValue, (minValue + maxValue) / 2, maxValue];
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={`${trend.test} over time`}>
+      {bounds.length > 0 && (
+        <rect
+          x={PADDING.left}
+          y={bandTop}
+          width={plotWidth}
+          height={Math.max(0, bandBottom - bandTop)}
+          fill="#ccfbf1"
+          opacity="0.7"
+        >
+          <title>{`Reference range${referenceRange.typical ? ' (typical)' : ''}`}</title>
+        </rect>
+      )}
+
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" strokeDasharray="3 3" />
+          <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{formatValue(tick)}</text>
+        </g>
+      ))}
+
+      <text x={PADDING.left} y={HEIGHT - 8} fontSize="10" fill="#6b7280">{formatDay(points[0].day)}</text>
+      {lastTime !== firstTime && (
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" fontSize="10" fill="#6b7280">
+          {formatDay(points[points.length - 1].day)}
+        </text>
+      )}
+
+      {points.length > 1 && (
+        <polyline
+          points={points.map(point => `${x(point.day)},${y(point.value)}`).join(' ')}
+          fill="none"
+          stroke="#0f766e"
+          strokeWidth="2"
+        />
+      )}
+
+      {points.map(point => (
+        <circle
+          key={point.recordId}
+          cx={x(point.day)}
+          cy={y(point.value)}
+          r="5"
+          fill={POINT_COLOURS[point.flag] || '#6b7280'}
+          stroke="#fff"
+          strokeWidth="2"
+          className="cursor-pointer"
+          onClick={() => onSelectPoint?.(point)}
+        >
+          <title>{`${formatValue(point.value)} ${trend.unit} on ${point.day}: ${point.recordTitle}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default LabTrendChart;
@@ -0,0 +1,78 @@
+import { useMemo } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { buildLabTrends, findRangeCrossings } from '../api/labTrends';
+import LabTrendChart from './LabTrendChart';
+import LabAlerts from './LabAlerts';
+
+const FLAG_CLASSES = {
+  high: 'bg-red-100 text-red-700',
+  abnormal: 'bg-red-100 text-red-700',
+  low: 'bg-amber-100 text-amber-700',
+  normal: 'bg-green-100 text-green-700'
+};
+
+const formatRange = ({ low, high, typical }) => {
+  const range = low !== null && high !== null ? `${low} – ${high}`
+    : high !== null ? `< ${high}`
+      : low !== null ? `> ${low}` : null;
+  return range && `Reference ${range}${typical ? ' (typical)' : ''}`;
+};
+
+/**
+ * Charts every analyte found in the records over time, with the range crossings above.
+ * `onOpenRecord` receives the id of the record behind a clicked point or alert.
+ */
+const LabTrendsView = ({ records, onOpenRecord }) => {
+  const trends = useMemo(() => buildLabTrends(records), [records]);
+  const alerts = useMemo(() => findRangeCrossings(trends), [trends]);
+
+  if (trends.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-16 border-2 border-dashed border-gray-300 rounded-lg">
+        <TrendingUp className="w-16 h-16 text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium text-gray-600 mb-2">No Lab Values Yet</h3>
+        <p className="text-gray-500 text-center max-w-md">
+          Analyze lab reports such as blood work and their results will be charted here over time.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <LabAlerts alerts={alerts} onOpenRecord={onOpenRecord} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {trends.map(trend => {
+          const latest = trend.points[trend.points.length - 1];
+          return (
+            <div key={trend.analyte} className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <h3 className="font-medium text-gray-800">{trend.test}</h3>
+                  <p className="text-xs text-gray-500">
+                    {trend.points.length} {trend.points.length === 1 ? 'result' : 'results'}
+                    {formatRange(trend.referenceRange) && ` · ${formatRange(trend.referenceRange)}`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="text-lg font-semibold text-gray-800 tabular-nums">
+                    {latest.value} <span className="text-xs font-normal text-gray-500">{trend.unit}</span>
+                  </p>
+                  {latest.flag && (
+                    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium capitalize ${FLAG_CLASSES[latest.flag]}`}>
+                      {latest.flag}
+                    </span>
+                  )}
+                </div>
+              </div>
+              <LabTrendChart trend={trend} onSelectPoint={point => onOpenRecord(point.recordId)} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LabTrendsView;
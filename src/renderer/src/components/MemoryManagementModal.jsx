@@ -12,6 +12,8 @@ import {
   Calendar,
   FileImage
 } from 'lucide-react';
+import { loadUserData } from '../api/userDataManagement';
+import { recordFileUrl } from '../api/attachments';
 
 /**
  * Modal component for managing patient medical records
@@ -62,11 +64,10 @@ const MemoryManagementModal = ({ isOpen, onClose, patientRecords, selectedRecord
         console.error('Error parsing patient info:', err);
       }
     } else {
-      // Try to load from localStorage if available
+      // Try to load from the saved user data if available
       try {
-        const userData = localStorage.getItem('userData');
-        if (userData) {
-          const parsed = JSON.parse(userData);
+        const parsed = loadUserData('userData');
+        if (parsed) {
           setUserInfo({
             name: parsed.name || '',
             age: parsed.age || '',
@@ -135,7 +136,7 @@ const MemoryManagementModal = ({ isOpen, onClose, patientRecords, selectedRecord
   const getRecordImage = (record) => {
     if (record.files && Array.isArray(record.files)) {
       const imageFile = record.files.find(file => file.type === 'image' || (file.url && file.url.startsWith('data:image')));
-      return imageFile?.url || null;
+      return imageFile ? recordFileUrl(imageFile, { thumbnail: true }) : null;
     }
     
     // Check for returnedImageUrl field which some records might have
@@ -4,9 +4,12 @@ import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { messageImageUrls } from '../api/attachments';
 
 export const MessageBubble = ({ message }) => {
-  const { role, content, imageUrl, isNotification } = message;
+  const { role, content, isNotification, queuePosition, context } = message;
+  // Attachment ids, or the image URLs older messages kept
+  const images = messageImageUrls(message);
 
   const isUser = role === 'user';
   const isSystemNotification = role === 'system' && isNotification;
@@ -82,10 +85,30 @@ export const MessageBubble = ({ message }) => {
           {isUser ? <User className="w-5 h-5 text-primary-700" /> : <BotMessageSquare className="w-5 h-5 text-white" />}
         </div>
         <div className={bubbleClasses}>
+          {isAssistant && queuePosition > 0 && (
+            <p className="text-xs text-primary-500 mb-2">
+              Waiting for the AI model — {queuePosition === 1 ? 'next in line' : `position ${queuePosition} in queue`}
+            </p>
+          )}
+          {isAssistant && context && (context.summarizedMessages > 0 || context.droppedMessages > 0 || context.systemTruncated) && (
+            <p className="text-xs text-gray-500 mb-2">
+              {context.droppedMessages > 0
+                ? `${context.droppedMessages} earlier messages were left out to fit the AI model's memory.`
+                : 'Earlier messages were summarized to fit the AI model\'s memory.'}
+              {context.systemTruncated && ' Patient records were shortened.'}
+            </p>
+          )}
           {renderContent()}
-          {imageUrl && (
-            <div className="mt-3">
-              <img src={imageUrl} alt="Uploaded medical image" className="max-h-64 rounded-lg border border-primary-200" />
+          {images.length > 0 && (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {images.map((url, index) => (
+                <img
+                  key={url}
+                  src={url}
+                  alt={images.length > 1 ? `Uploaded medical image ${index + 1}` : 'Uploaded medical image'}
+                  className={`${images.length > 1 ? 'max-h-40' : 'max-h-64'} rounded-lg border border-primary-200`}
+                />
+              ))}
             </div>
           )}
         </div>
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { Languages } from 'lucide-react';
+import { fetchOcrLanguages } from '../api/gemma';
+
+// Shown until the server answers, and if it can't
+const FALLBACK_LANGUAGES = [{ code: 'eng', label: 'English', direction: 'ltr' }];
+
+/**
+ * Picks the language OCR reads documents in. Only languages installed with the server are listed;
+ * "Auto-detect" finds the script of each page first.
+ */
+const OcrLanguageSelect = ({ value, onChange, disabled = false, className = '' }) => {
+  const [languages, setLanguages] = useState(FALLBACK_LANGUAGES);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchOcrLanguages()
+      .then(result => {
+        if (!cancelled && result.languages?.length) setLanguages(result.languages);
+      })
+      .catch(error => console.warn('⚠️ Could not load OCR languages:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <label className={`flex items-center text-xs text-gray-600 ${className}`}>
+      <Languages className="w-3 h-3 mr-1 text-teal-600" />
+      <span className="mr-1">Text language:</span>
+      <select
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        disabled={disabled}
+        className="text-xs border border-gray-300 rounded px-1 py-0.5 bg-white text-gray-800 focus:ring-1 focus:ring-teal-500"
+      >
+        <option value="auto">Auto-detect</option>
+        {languages.map(language => (
+          <option key={language.code} value={language.code}>
+            {language.label}{language.direction === 'rtl' ? ' (right to left)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default OcrLanguageSelect;
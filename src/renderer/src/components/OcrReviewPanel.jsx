@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { ScanText, RefreshCw, Loader, Check } from 'lucide-react';
+import { LOW_CONFIDENCE, countUncertainWords, hasCorrections, hasWordBoxes } from '../api/ocrCorrections';
+
+const boxStyle = (bbox, { width, height }) => ({
+  left: `${(bbox.x0 / width) * 100}%`,
+  top: `${(bbox.y0 / height) * 100}%`,
+  width: `${((bbox.x1 - bbox.x0) / width) * 100}%`,
+  height: `${((bbox.y1 - bbox.y0) / height) * 100}%`
+});
+
+const boxClasses = (word, isSelected) => {
+  if (isSelected) return 'border-2 border-teal-600 bg-teal-300/30';
+  if (word.corrected) return 'border border-teal-500 bg-teal-200/20';
+  if (word.confidence < LOW_CONFIDENCE) return 'border border-red-500 bg-red-300/30 hover:bg-red-300/50';
+  return 'border border-green-500/50 hover:bg-green-200/30';
+};
+
+/**
+ * Shows the word boxes OCR found on each photographed page, coloured by confidence.
+ * Clicking a word opens an editor; once something is corrected, the analysis can be
+ * run again on the corrected text.
+ */
+const OcrReviewPanel = ({ pages, onCorrectWord, onRerun, isRunning = false }) => {
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [showAllBoxes, setShowAllBoxes] = useState(false);
+
+  const reviewablePages = pages.map((page, pageIndex) => ({ page, pageIndex })).filter(({ page }) => hasWordBoxes(page));
+  if (reviewablePages.length === 0) return null;
+
+  const uncertainCount = reviewablePages.reduce((count, { page }) => count + countUncertainWords(page), 0);
+  const selectedWord = selected && pages[selected.pageIndex]?.lines[selected.lineIndex]?.words[selected.wordIndex];
+
+  const selectWord = (position, word) => {
+    setSelected(position);
+    setDraft(word.text);
+  };
+
+  const saveCorrection = (text = draft) => {
+    onCorrectWord(selected, text);
+    setSelected(null);
+  };
+
+  return (
+    <div className="bg-white/80 backdrop-blur-sm rounded-lg border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-2 gap-2">
+        <h3 className="text-sm font-semibold text-gray-700 flex items-center">
+          <ScanText className="w-4 h-4 mr-2 text-teal-600" />
+          Text found by OCR
+        </h3>
+        <label className="flex items-center text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={showAllBoxes}
+            onChange={e => setShowAllBoxes(e.target.checked)}
+            className="mr-1"
+          />
+          Show all words
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        {uncertainCount > 0
+          ? `${uncertainCount} word${uncertainCount === 1 ? ' was' : 's were'} hard to read (red). Click a word to correct it.`
+          : 'Click any word to correct it.'}
+      </p>
+
+      <div className="space-y-3">
+        {reviewablePages.map(({ page, pageIndex }) => (
+          <div key={pageIndex}>
+            {reviewablePages.length > 1 && (
+              <p className="text-xs font-medium text-gray-600 mb-1">{page.name}</p>
+            )}
+            <div className="relative w-full border rounded-lg overflow-hidden bg-white">
+              <img src={page.ocrImage.url} alt={`OCR of ${page.name}`} className="block w-full h-auto" />
+              {page.lines.map((line, lineIndex) => line.words.map((word, wordIndex) => {
+                const isSelected = selected?.pageIndex === pageIndex && selected.lineIndex === lineIndex && selected.wordIndex === wordIndex;
+                if (!showAllBoxes && !isSelected && !word.corrected && word.confidence >= LOW_CONFIDENCE) return null;
+                return (
+                  <button
+                    key={`${lineIndex}-${wordIndex}`}
+                    type="button"
+                    title={`${word.text} (${Math.round(word.confidence)}% sure)`}
+                    onClick={() => selectWord({ pageIndex, lineIndex, wordIndex }, word)}
+                    className={`absolute rounded-sm transition-colors ${boxClasses(word, isSelected)}`}
+                    style={boxStyle(word.bbox, page.ocrImage)}
+                  />
+                );
+              }))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selectedWord && (
+        <div className="mt-3 p-3 bg-gray-50 border rounded-lg">
+          <p className="text-xs text-gray-600 mb-2">
+            Read as <span className="font-mono font-medium text-gray-800">{selectedWord.originalText ?? selectedWord.text}</span>
+            {' '}({Math.round(selectedWord.confidence)}% sure)
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={draft}
+              dir="auto"
+              autoFocus
+              onChange={e => setDraft(e.target.value)}
+              onKeyDown={e => {
+                if (e.key === 'Enter') saveCorrection();
+                if (e.key === 'Escape') setSelected(null);
+              }}
+              className="flex-1 p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-teal-500 bg-white text-gray-900"
+            />
+            <button
+              type="button"
+              onClick={() => saveCorrection()}
+              className="flex items-center px-3 py-1.5 bg-teal-600 text-white text-sm rounded-md hover:bg-teal-700"
+            >
+              <Check className="w-4 h-4 mr-1" />
+              Save
+            </button>
+          </div>
+          {selectedWord.alternatives?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2 text-xs">
+              <span className="text-gray-500">Other readings:</span>
+              {selectedWord.alternatives.map(alternative => (
+                <button
+                  key={alternative}
+                  type="button"
+                  onClick={() => saveCorrection(alternative)}
+                  className="px-2 py-0.5 bg-white border rounded hover:bg-teal-50 font-mono"
+                >
+                  {alternative}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {hasCorrections(pages) && (
+        <button
+          type="button"
+          onClick={onRerun}
+          disabled={isRunning}
+          className="mt-3 flex items-center space-x-2 px-3 py-1.5 bg-teal-600 text-white text-sm rounded-md hover:bg-teal-700 disabled:opacity-50 transition-colors shadow-sm"
+        >
+          {isRunning ? <Loader className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          <span>{isRunning ? 'Analyzing...' : 'Analyze again with corrected text'}</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default OcrReviewPanel;
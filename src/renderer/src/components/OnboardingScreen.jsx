@@ -1,15 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { HeartPulse, ChevronRight, CheckCircle } from 'lucide-react';
+import { HeartPulse, ChevronRight, CheckCircle, Loader2 } from 'lucide-react';
 import { saveUserData, loadUserData } from '../api/userDataManagement';
+import { changeVaultProtection, getVaultStatus, validatePassphrase } from '../api/vault';
+import AllergyRegistryEditor from './AllergyRegistryEditor';
+
+const STEP_COUNT = 5;
+
+const PROTECTION_OPTIONS = [
+  {
+    value: 'device',
+    label: 'Keep it locked to this computer',
+    description: "Your data is encrypted with a key kept in this computer's keychain. The app opens without asking."
+  },
+  {
+    value: 'passphrase',
+    label: 'Protect it with a passphrase',
+    description: 'The app asks for your passphrase when it starts and after you have been away. It cannot be recovered if you forget it.'
+  }
+];
 
 const OnboardingScreen = ({ onComplete }) => {
   const [step, setStep] = useState(1);
   const [formData, setFormData] = useState({
     name: '',
     age: '',
-    sex: ''
+    sex: '',
+    allergyRegistry: []
   });
   const [errors, setErrors] = useState({});
+  // How saved data is protected; the passphrase never goes into formData, which is saved
+  const [vaultStatus, setVaultStatus] = useState(null);
+  const [protection, setProtection] = useState({ mode: 'device', passphrase: '', confirmation: '' });
+  const [isProtecting, setIsProtecting] = useState(false);
   
   // Load any existing data when component mounts
   useEffect(() => {
@@ -20,8 +42,14 @@ const OnboardingScreen = ({ onComplete }) => {
         ...existingData
       }));
     }
+    getVaultStatus()
+      .then(setVaultStatus)
+      .catch(error => console.error('Could not read the vault status:', error));
   }, []);
 
+  // A passphrase set before (e.g. when the profile was deleted in Settings) is kept
+  const hasPassphrase = vaultStatus?.mode === 'passphrase';
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     const newFormData = {
@@ -64,6 +92,12 @@ const OnboardingScreen = ({ onComplete }) => {
           newErrors.sex = 'Please select an option';
         }
         break;
+      case 5:
+        if (!hasPassphrase && protection.mode === 'passphrase') {
+          const passphraseError = validatePassphrase(protection.passphrase, protection.confirmation);
+          if (passphraseError) newErrors.passphrase = passphraseError;
+        }
+        break;
       default:
         break;
     }
@@ -72,19 +106,32 @@ const OnboardingScreen = ({ onComplete }) => {
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleNextStep = () => {
-    if (validateStep()) {
-      // Save current data after each step validation
-      saveUserData('userData', formData);
-      
-      if (step < 3) {
-        setStep(step + 1);
-      } else {
-        // Save final data and complete onboarding
-        saveUserData('userData', formData);
-        onComplete(formData);
+  const handleNextStep = async () => {
+    if (isProtecting || !validateStep()) return;
+    // Save current data after each step validation
+    saveUserData('userData', formData);
+    
+    if (step < STEP_COUNT) {
+      setStep(step + 1);
+      return;
+    }
+
+    // Everything saved so far is re-encrypted under the passphrase before the app opens
+    if (!hasPassphrase && protection.mode === 'passphrase') {
+      setIsProtecting(true);
+      try {
+        await changeVaultProtection({ mode: 'passphrase', passphrase: protection.passphrase });
+      } catch (error) {
+        console.error('Error setting the passphrase:', error);
+        setErrors({ passphrase: error.message });
+        setIsProtecting(false);
+        return;
       }
     }
+
+    // Save final data and complete onboarding
+    saveUserData('userData', formData);
+    onComplete(formData);
   };
 
   const renderStep = () => {
@@ -142,7 +189,7 @@ const OnboardingScreen = ({ onComplete }) => {
       case 3:
         return (
           <div className="space-y-6">
-            <h2 className="text-3xl font-bold text-gray-800">One Last Question</h2>
+            <h2 className="text-3xl font-bold text-gray-800">About You</h2>
             <p className="text-gray-600">Please select your sex (for medical purposes)</p>
             <div className="space-y-3">
               <label className="block text-sm font-medium text-gray-700">Sex</label>
@@ -177,6 +224,79 @@ const OnboardingScreen = ({ onComplete }) => {
             </div>
           </div>
         );
+      case 4:
+        return (
+          <div className="space-y-6">
+            <h2 className="text-3xl font-bold text-gray-800">Allergies and Conditions</h2>
+            <p className="text-gray-600">
+              Do you have any allergies or medical conditions? New medications will be checked against them.
+              You can skip this and add them later in Settings.
+            </p>
+            <AllergyRegistryEditor
+              entries={formData.allergyRegistry}
+              onChange={(allergyRegistry) => handleInputChange({ target: { name: 'allergyRegistry', value: allergyRegistry } })}
+            />
+          </div>
+        );
+      case 5:
+        return (
+          <div className="space-y-6">
+            <h2 className="text-3xl font-bold text-gray-800">Protect Your Data</h2>
+            {hasPassphrase ? (
+              <p className="text-gray-600">
+                Your data is already protected by your passphrase. You can change it in Settings.
+              </p>
+            ) : (
+              <>
+                <p className="text-gray-600">
+                  Everything you save in GAMVA is encrypted on this computer. Choose how it is unlocked.
+                  You can change this later in Settings.
+                </p>
+                <div className="space-y-2">
+                  {PROTECTION_OPTIONS.map((option) => (
+                    <div
+                      key={option.value}
+                      onClick={() => setProtection(prev => ({ ...prev, mode: option.value }))}
+                      className={`p-4 rounded-lg cursor-pointer transition-all ${protection.mode === option.value ? 'border-2' : 'border'}`}
+                      style={{
+                        borderColor: protection.mode === option.value ? 'var(--color-primary-600)' : 'var(--color-background-300)',
+                        backgroundColor: protection.mode === option.value ? 'var(--color-primary-50, #f0fdfa)' : ''
+                      }}
+                    >
+                      <p className="font-medium text-gray-800">{option.label}</p>
+                      <p className="text-sm text-gray-600">{option.description}</p>
+                    </div>
+                  ))}
+                </div>
+                {protection.mode === 'device' && vaultStatus && !vaultStatus.keychainAvailable && (
+                  <p className="text-sm" style={{ color: 'var(--color-accent-600)' }}>
+                    No keychain was found on this computer, so the key is only stored in the folder the app keeps its data in. A passphrase is safer.
+                  </p>
+                )}
+                {protection.mode === 'passphrase' && (
+                  <div className="space-y-2">
+                    <input
+                      type="password"
+                      value={protection.passphrase}
+                      onChange={(e) => setProtection(prev => ({ ...prev, passphrase: e.target.value }))}
+                      placeholder="Passphrase"
+                      className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-primary-500 focus:border-transparent text-gray-800"
+                      autoFocus
+                    />
+                    <input
+                      type="password"
+                      value={protection.confirmation}
+                      onChange={(e) => setProtection(prev => ({ ...prev, confirmation: e.target.value }))}
+                      placeholder="Repeat the passphrase"
+                      className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-primary-500 focus:border-transparent text-gray-800"
+                    />
+                  </div>
+                )}
+                {errors.passphrase && <p className="text-sm" style={{ color: 'var(--color-accent-600)' }}>{errors.passphrase}</p>}
+              </>
+            )}
+          </div>
+        );
       default:
         return null;
     }
@@ -191,7 +311,7 @@ const OnboardingScreen = ({ onComplete }) => {
           <h1 className="text-xl font-bold">GAMVA Setup</h1>
         </div>
         <div className="flex items-center mt-4 w-full max-w-md mx-auto">
-          {[1, 2, 3].map((stepNumber) => (
+          {Array.from({ length: STEP_COUNT }, (_, index) => index + 1).map((stepNumber) => (
             <React.Fragment key={stepNumber}>
               <div 
                 className={`rounded-full flex items-center justify-center w-10 h-10 text-sm font-semibold transition-all ${
@@ -203,7 +323,7 @@ const OnboardingScreen = ({ onComplete }) => {
               >
                 {step > stepNumber ? <CheckCircle className="w-5 h-5" /> : stepNumber}
               </div>
-              {stepNumber < 3 && (
+              {stepNumber < STEP_COUNT && (
                 <div 
                   className={`h-1 flex-1 mx-2 transition-all ${step > stepNumber ? '' : 'bg-gray-200'}`}
                   style={{ backgroundColor: step > stepNumber ? 'var(--color-primary-600)' : '' }}
@@ -232,7 +352,11 @@ const OnboardingScreen = ({ onComplete }) => {
                 }
               }}
             >
-              {step === 3 ? (
+              {isProtecting ? (
+                <>
+                  <Loader2 className="w-5 h-5 mr-2 animate-spin" /> Encrypting your data...
+                </>
+              ) : step === STEP_COUNT ? (
                 'Complete Setup'
               ) : (
                 <>
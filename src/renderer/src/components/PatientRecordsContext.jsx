@@ -1,4 +1,8 @@
 import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { checkInteractions, describeInteraction, isActivePrescription } from '../api/drugInteractions';
+import { checkAllergies, describeRegistryEntry, loadAllergyRegistry, ALLERGY } from '../api/allergyRegistry';
+import { getItem } from '../api/storage';
+import { recordImageUrl } from '../api/attachments';
 
 // Initialize with empty records array
 const initialPatientRecords = [];
@@ -15,21 +19,20 @@ export const PatientRecordsProvider = ({ children }) => {
   const [selectedRecords, setSelectedRecords] = useState([]);
   const [isMemoryModalOpen, setIsMemoryModalOpen] = useState(false);
   
-  // Load medical records from localStorage
+  // Load medical records from the database
   useEffect(() => {
     try {
-      const savedRecords = localStorage.getItem('medicalRecords');
-      if (savedRecords) {
-        const records = JSON.parse(savedRecords);
+      const records = getItem('medicalRecords');
+      if (records) {
         // Transform the records to match the format expected by the memory manager
         const transformedRecords = records.map(record => ({
           id: record.id,
-          type: record.category.toLowerCase().replace(/\s+/g, '_') || 'general',
+          type: (record.category || '').toLowerCase().replace(/\s+/g, '_') || 'general',
           title: record.title || 'Medical Record',
           date: record.fileDate || record.createdDate || new Date().toISOString().split('T')[0],
           content: record.analysis || record.notes || '',
           files: record.files || [],
-          returnedImageUrl: record.returnedImageUrl || null,
+          returnedImageUrl: recordImageUrl(record),
           analysis: record.analysis || '',
           notes: record.notes || '',
         }));
@@ -54,9 +57,28 @@ export const PatientRecordsProvider = ({ children }) => {
     });
   }, []);
   
-  // Create system message from selected records
+  // Prescriptions being taken now
+  const loadActivePrescriptions = useCallback(() => {
+    try {
+      const prescriptions = getItem('prescriptions') || [];
+      return prescriptions.filter(prescription => isActivePrescription(prescription));
+    } catch (error) {
+      console.error('Error loading prescriptions:', error);
+      return [];
+    }
+  }, []);
+
+  // Interactions between them
+  const loadActiveInteractions = useCallback(
+    () => checkInteractions(loadActivePrescriptions()),
+    [loadActivePrescriptions]
+  );
+
+  // Create system message from selected records and the active medication interactions
   const createSystemMessage = useCallback(() => {
-    if (selectedRecords.length === 0) return null;
+    const interactions = loadActiveInteractions();
+    const registry = loadAllergyRegistry();
+    if (selectedRecords.length === 0 && interactions.length === 0 && registry.length === 0) return null;
     
     // Get the selected record objects
     const records = patientRecords.filter(record => selectedRecords.includes(record.id));
@@ -80,11 +102,10 @@ export const PatientRecordsProvider = ({ children }) => {
         console.error('Error parsing patient info:', err);
       }
     } else {
-      // Try to load from localStorage if available
+      // Try to load from the saved user data if available
       try {
-        const userData = localStorage.getItem('userData');
-        if (userData) {
-          const parsed = JSON.parse(userData);
+        const parsed = getItem('userData');
+        if (parsed) {
           patientInfo = {
             name: parsed.name || 'Unknown',
             age: parsed.age || 'Unknown',
@@ -134,11 +155,32 @@ export const PatientRecordsProvider = ({ children }) => {
       
       systemMessage += `\n`;
     });
+
+    if (registry.length > 0) {
+      const allergies = registry.filter(entry => entry.type === ALLERGY);
+      const conditions = registry.filter(entry => entry.type !== ALLERGY);
+      systemMessage += `ALLERGIES: ${allergies.length > 0 ? allergies.map(describeRegistryEntry).join('; ') : 'None recorded'}\n`;
+      systemMessage += `CONDITIONS: ${conditions.length > 0 ? conditions.map(describeRegistryEntry).join('; ') : 'None recorded'}\n`;
+      const conflicts = loadActivePrescriptions().flatMap(prescription => checkAllergies(prescription, registry));
+      conflicts.forEach(conflict => {
+        systemMessage += `- Current medication conflict: ${conflict.message}\n`;
+      });
+      systemMessage += `Never suggest a medication the patient is allergic to, and take these conditions into account.\n\n`;
+    }
+
+    if (interactions.length > 0) {
+      systemMessage += `ACTIVE MEDICATION INTERACTIONS (${interactions.length}):\n`;
+      interactions.forEach(interaction => {
+        systemMessage += `- ${describeInteraction(interaction)} ${interaction.advice}\n`;
+      });
+      systemMessage += `Mention these when the patient asks about their medications or symptoms they could cause.\n\n`;
+    }
     
     systemMessage += `Based on this information, provide accurate and helpful medical insights. Always clarify when more information might be needed for a definitive assessment.`;
     
     return systemMessage;
-  }, [selectedRecords, patientRecords]);
+  }, [selectedRecords, patientRecords, loadActiveInteractions, loadActivePrescriptions]);
+  
   
   // Format date for display
   const formatDate = (dateString) => {
@@ -1,6 +1,41 @@
-import React, { useState, useRef } from 'react';
-import { X, Save, Camera, Upload, RotateCcw, Loader, Pill, Clock } from 'lucide-react';
+import React, { useState, useRef, useMemo } from 'react';
+import { X, Save, Camera, Upload, RotateCcw, Loader, Pill, Clock, AlertTriangle, RefreshCw, Sparkles, CheckCircle, BookOpen } from 'lucide-react';
 import { useGemma } from '../api/gemma';
+import OcrLanguageSelect from './OcrLanguageSelect';
+import OcrReviewPanel from './OcrReviewPanel';
+import { correctOcrWord } from '../api/ocrCorrections';
+import { MEDICATION_SCHEMA } from '../api/responseSchemas';
+import { findDrug, matchDrugName, parseStrength } from '../api/drugDictionary';
+import { PrescriptionScanError, AI_SUGGESTED, USER_CONFIRMED, applyScannedMedication, confirmPrescriptionField } from '../api/prescriptionScan';
+import { checkAllergies, loadAllergyRegistry } from '../api/allergyRegistry';
+import { getSchedule } from '../api/dosingSchedule';
+import ScheduleEditor from './ScheduleEditor';
+
+// Shows whether a field holds an AI suggestion (click to confirm it) or was confirmed by the user
+const FieldProvenance = ({ source, onConfirm }) => {
+  if (source === AI_SUGGESTED) {
+    return (
+      <button
+        type="button"
+        onClick={onConfirm}
+        className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 hover:bg-amber-200"
+        title="Filled in from the label scan. Click to confirm it is correct."
+      >
+        <Sparkles className="w-3 h-3 mr-1" />
+        AI-suggested · Confirm
+      </button>
+    );
+  }
+  if (source === USER_CONFIRMED) {
+    return (
+      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700">
+        <CheckCircle className="w-3 h-3 mr-1" />
+        Confirmed
+      </span>
+    );
+  }
+  return null;
+};
 
 const PrescriptionModal = ({ 
   isOpen, 
@@ -15,6 +50,15 @@ const PrescriptionModal = ({
   ocrProgress = 0
 }) => {
   const [imagePreview, setImagePreview] = useState(null);
+  const [ocrLanguage, setOcrLanguage] = useState('auto');
+  // The deskewed, binarized copy the server ran OCR on, to compare with the photo
+  const [cleanedPreview, setCleanedPreview] = useState(null);
+  const [showCleaned, setShowCleaned] = useState(false);
+  // Word boxes of the last OCR result, which the user can correct and analyze again
+  const [ocrPages, setOcrPages] = useState([]);
+  // Why the last scan failed (a PrescriptionScanError), and the photo to retry it with
+  const [scanError, setScanError] = useState(null);
+  const [scannedImage, setScannedImage] = useState(null);
   const fileInputRef = useRef(null);
   
   // Get the Gemma hook functions directly - specifically using generateOCRResponse
@@ -49,21 +93,71 @@ const PrescriptionModal = ({
   
   // Handle toggling a time slot for medication
   const handleToggleTimeSlot = (time) => {
+    setPrescription(prev => confirmPrescriptionField(prev, 'timeSlots', prev.timeSlots.includes(time)
+      ? prev.timeSlots.filter(t => t !== time)
+      : [...prev.timeSlots, time].sort()));
+  };
+
+  // A field the user typed or confirmed is no longer an AI suggestion
+  const setField = (field, value) => {
+    setPrescription(prev => confirmPrescriptionField(prev, field, value));
+  };
+
+  // Typing a name drops the dictionary drug; it is matched again from the new name
+  const handleNameChange = (value) => {
     setPrescription(prev => {
-      if (prev.timeSlots.includes(time)) {
-        return {
-          ...prev,
-          timeSlots: prev.timeSlots.filter(t => t !== time)
-        };
-      } else {
-        return {
-          ...prev,
-          timeSlots: [...prev.timeSlots, time].sort()
-        };
-      }
+      const next = confirmPrescriptionField(prev, 'name', value);
+      const provenance = { ...next.provenance };
+      delete provenance.drugId;
+      return { ...next, drugId: null, provenance };
     });
   };
 
+  // Picking a dictionary match confirms both the drug and its name
+  const selectDrugCandidate = (candidate) => {
+    setPrescription(prev => {
+      const next = confirmPrescriptionField(prev, 'name', candidate.matchedName);
+      return { ...next, drugId: candidate.drug.id, provenance: { ...next.provenance, drugId: USER_CONFIRMED } };
+    });
+  };
+
+  const matchedDrug = findDrug(prescription.drugId);
+  const drugCandidates = useMemo(
+    () => (matchedDrug ? [] : matchDrugName(prescription.name, prescription.dosage)),
+    [matchedDrug, prescription.name, prescription.dosage]
+  );
+  // A strength the matched drug does not come in is worth a second look at the label
+  const scannedStrength = parseStrength(prescription.dosage);
+  const unusualStrength = matchedDrug && scannedStrength && !matchedDrug.strengths.includes(scannedStrength) ? scannedStrength : null;
+
+  // Every-N-hours and as-needed schedules do not use the time slot grid
+  const usesTimeSlots = !['interval', 'as-needed'].includes(getSchedule(prescription).type);
+
+  // The user's allergies and conditions, read again each time the modal opens
+  const allergyRegistry = useMemo(() => (isOpen ? loadAllergyRegistry() : []), [isOpen]);
+  const allergyWarnings = useMemo(
+    () => checkAllergies({ name: prescription.name, dosage: prescription.dosage, drugId: prescription.drugId }, allergyRegistry),
+    [prescription.name, prescription.dosage, prescription.drugId, allergyRegistry]
+  );
+
+  // Known allergens and contraindicated conditions need an explicit go-ahead before saving
+  const handleSave = () => {
+    const blocking = allergyWarnings.filter(warning => warning.blocking);
+    if (blocking.length > 0 && !window.confirm(
+      `${prescription.name} may not be safe for you:\n\n${blocking.map(warning => warning.message).join('\n')}\n\nSave it anyway?`
+    )) {
+      return;
+    }
+    onSave();
+  };
+
+  const provenanceBadge = (field) => (
+    <FieldProvenance
+      source={prescription.provenance?.[field]}
+      onConfirm={() => setPrescription(prev => confirmPrescriptionField(prev, field))}
+    />
+  );
+
   // Handle image upload from file picker
   const handleImageUpload = (e) => {
     const file = e.target.files[0];
@@ -173,9 +267,11 @@ const PrescriptionModal = ({
 
   // Process image with OCR and then LLM
   const processImageWithOCR = async (imageData) => {
+    setScannedImage(imageData);
+    setScanError(null);
+    setIsAnalyzing(true);
     try {
       console.log('Starting OCR processing followed by LLM analysis...');
-      console.log('Image data type:', imageData instanceof File ? 'File' : (imageData instanceof Blob ? 'Blob' : typeof imageData));
       
       // Add more detailed logging for debugging
       if (imageData instanceof File) {
@@ -187,8 +283,6 @@ const PrescriptionModal = ({
       // First check if we should use the direct Gemma's generateOCRResponse function
       if (generateOCRResponse && typeof generateOCRResponse === 'function') {
         console.log('Using Gemma generateOCRResponse for prescription analysis');
-        // Show analyzing state
-        setIsAnalyzing(true);
         
         // Call Gemma's generateOCRResponse with the image
         const result = await generateOCRResponse(imageData ,  `
@@ -204,17 +298,17 @@ const PrescriptionModal = ({
               "dosage": "Dosage information"
             }
           }
-        `);
+        `, {}, { language: ocrLanguage, schema: MEDICATION_SCHEMA });
         console.log('Gemma OCR analysis result:', result);
+        setCleanedPreview(result.preprocessedImageUrl || null);
+        setOcrPages(result.pages || []);
         
         // Update the prescription data with the extracted information
-        updatePrescriptionFromOCR(result);
+        updatePrescriptionFromOCR(result.data);
         
       } else if (scanPrescriptionImage && typeof scanPrescriptionImage === 'function') {
         // Fall back to the provided scanPrescriptionImage function
         console.log('Using provided scanPrescriptionImage function');
-        // Show analyzing state
-        setIsAnalyzing(true);
         
         // Send the image for OCR and then LLM processing
         const result = await scanPrescriptionImage(imageData);
@@ -223,142 +317,63 @@ const PrescriptionModal = ({
         // Update the prescription data with the extracted information
         updatePrescriptionFromOCR(result);
       } else {
-        throw new Error('No OCR function available. Please try again later or enter details manually.');
+        throw new PrescriptionScanError('unavailable');
       }
     } catch (error) {
-      console.error('Error analyzing medication image:', error);
-      
-      // Try to give a more specific error message based on the error
-      let errorMessage = 'Failed to extract information from the image. Please try again or enter details manually.';
-      
-      if (error.message && error.message.includes('function is not available')) {
-        errorMessage = 'The AI service is not currently available. Please enter details manually.';
-      } else if (error.message && error.message.includes('model is not ready')) {
-        errorMessage = 'The AI model is still loading. Please try again in a few moments.';
-      } else if (error.message && error.message.includes('OCR could not extract')) {
-        errorMessage = 'Text recognition failed. Please try a clearer image or enter details manually.';
-      } else if (error.message && error.message.includes('NetworkError')) {
-        errorMessage = 'Network error occurred. Please check your connection and try again.';
-      }
-      
-      alert(errorMessage);
-      
-      // Still populate some fields to allow manual entry as a fallback
-      setPrescription(prev => ({
-        ...prev,
-        // Keep existing values, only provide defaults for empty fields
-        name: prev.name || '',
-        dosage: prev.dosage || '',
-        frequency: prev.frequency || 'daily',
-        startDate: prev.startDate || new Date().toISOString().split('T')[0],
-      }));
+      handleScanError(error);
     } finally {
       // Always reset the analyzing state, whether successful or not
       setIsAnalyzing(false);
     }
   };
 
-  // Helper function to update prescription state from OCR results
-// Helper function to update prescription state from OCR results
-const updatePrescriptionFromOCR = (result) => {
-  let medicationData = null;
-  
-  // Try to parse the medication data from the response
-  try {
-    // Check if the result contains llmResponse (Gemma format)
-    if (result && result.llmResponse) {
-      // Extract JSON from the markdown code block
-      const jsonString = result.llmResponse.replace(/```json\n|\n```/g, '');
-      const parsedData = JSON.parse(jsonString);
-      
-      if (parsedData && parsedData.medication) {
-        medicationData = parsedData.medication;
-        console.log('Extracted medication data from llmResponse:', medicationData);
-      }
-    } 
-    // Check for direct medication object (previous format)
-    else if (result && result.medication) {
-      medicationData = result.medication;
-      console.log('Extracted medication data directly:', medicationData);
+  // Runs the Gemma step again on the corrected OCR text (same default prompt, no new OCR)
+  const handleRerunWithCorrections = async () => {
+    setScanError(null);
+    setIsAnalyzing(true);
+    try {
+      const result = await generateOCRResponse(null, undefined, {}, { pages: ocrPages, schema: MEDICATION_SCHEMA });
+      console.log('Gemma analysis of corrected text:', result);
+      updatePrescriptionFromOCR(result.data);
+    } catch (error) {
+      handleScanError(error);
+    } finally {
+      setIsAnalyzing(false);
     }
-    else {
-      console.warn('Could not find medication data in the response:', result);
-      throw new Error('Unexpected response format');
+  };
+
+  // Nothing is filled in on failure; the OCR text stays on screen so the details can be typed in
+  const handleScanError = (error) => {
+    console.error('Error analyzing medication image:', error);
+    const scanFailure = PrescriptionScanError.from(error);
+    if (scanFailure.ocr) {
+      setCleanedPreview(scanFailure.ocr.preprocessedImageUrl);
+      setOcrPages(scanFailure.ocr.pages);
     }
-    
-    // Update prescription data with extracted information
-    if (medicationData) {
-      setPrescription(prev => {
-        // Get today's date in YYYY-MM-DD format for default start date
-        const todayFormatted = new Date().toISOString().split('T')[0];
-        
-        return {
-          ...prev,
-          name: medicationData.name || prev.name,
-          dosage: medicationData.dosage || prev.dosage,
-          frequency: medicationData.recommendedFrequency || prev.frequency || 'daily',
-          startDate: medicationData.startDate || prev.startDate || todayFormatted,
-          notes: prev.notes || medicationData.instructions || '',
-          // Include any additional fields that might be returned
-          prescriber: medicationData.prescriber || prev.prescriber || ''
-        };
-      });
-      
-      // If time slots can be inferred from the frequency, set them
-      if (medicationData.recommendedFrequency) {
-        const frequency = medicationData.recommendedFrequency.toLowerCase();
-        let suggestedTimeSlots = [];
-        
-        // Check for numbers and common patterns in various languages
-        if (frequency.includes('1') || 
-            frequency.includes('once') || 
-            frequency.includes('daily') || 
-            frequency.includes('день') || 
-            frequency.includes('раз в день') && !frequency.includes('2') && !frequency.includes('3') && !frequency.includes('4')) {
-          suggestedTimeSlots = ['09:00']; // Morning - once a day
-        } else if (frequency.includes('2') || 
-                  frequency.includes('twice') || 
-                  frequency.includes('two times') || 
-                  frequency.includes('два раза') || 
-                  frequency.includes('дважды') || 
-                  frequency.includes('1-2')) {
-          suggestedTimeSlots = ['09:00', '18:00']; // Morning and evening - twice a day
-        } else if (frequency.includes('3') || 
-                  frequency.includes('three times') || 
-                  frequency.includes('три раза')) {
-          suggestedTimeSlots = ['09:00', '13:00', '18:00']; // Morning, noon, evening - three times a day
-        } else if (frequency.includes('4') || 
-                  frequency.includes('four times') || 
-                  frequency.includes('четыре раза')) {
-          suggestedTimeSlots = ['09:00', '13:00', '18:00', '22:00']; // Four times throughout the day
-        } else {
-          // Default to once a day if we can't determine the frequency
-          suggestedTimeSlots = ['09:00'];
-        }
-        
-        if (suggestedTimeSlots.length > 0) {
-          setPrescription(prev => ({
-            ...prev,
-            timeSlots: suggestedTimeSlots
-          }));
-        }
-      } else if (medicationData.dosage && medicationData.dosage.toLowerCase().includes('capsule per day')) {
-        // If dosage mentions "capsule per day", suggest a morning time slot
-        setPrescription(prev => ({
-          ...prev,
-          timeSlots: ['09:00']
-        }));
-      }
+    setScanError(scanFailure);
+  };
+
+  // Fills the form from a MEDICATION_SCHEMA answer, marking the fields as AI-suggested
+  const updatePrescriptionFromOCR = (result) => {
+    if (!result?.medication) {
+      console.warn('Could not find medication data in the response:', result);
+      throw new PrescriptionScanError('no-medication');
     }
-  } catch (error) {
-    console.error('Error processing OCR result:', error);
-    alert('The image analysis returned incomplete data. Please check and fill in any missing details.');
-  }
-};
+    const drugCandidates = result.drugCandidates || matchDrugName(result.medication.name, result.medication.dosage);
+    setPrescription(prev => applyScannedMedication(prev, result.medication, drugCandidates));
+  };
+
+  // Text OCR read, shown when the AI step failed so the user can copy from it
+  const scanErrorText = scanError?.ocr?.extractedText?.trim();
 
   // Reset image and extracted data
   const handleResetImage = () => {
     setImagePreview(null);
+    setCleanedPreview(null);
+    setShowCleaned(false);
+    setOcrPages([]);
+    setScanError(null);
+    setScannedImage(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -424,10 +439,28 @@ const updatePrescriptionFromOCR = (result) => {
                 {imagePreview ? (
                   <div className="relative bg-white/80 backdrop-blur-sm rounded-lg border border-gray-200 p-4">
                     <img 
-                      src={imagePreview} 
-                      alt="Medication label preview" 
-                      className="w-full h-48 object-contain border rounded-lg"
+                      src={showCleaned && cleanedPreview ? cleanedPreview : imagePreview} 
+                      alt={showCleaned && cleanedPreview ? 'Medication label as read by OCR' : 'Medication label preview'} 
+                      className="w-full h-48 object-contain border rounded-lg bg-white"
                     />
+                    {cleanedPreview && (
+                      <div className="flex justify-center mt-2">
+                        <div className="flex items-center bg-gray-100 rounded-md p-1 text-xs">
+                          <button
+                            onClick={() => setShowCleaned(false)}
+                            className={`px-2 py-1 rounded ${!showCleaned ? 'bg-teal-600 text-white' : 'text-gray-700 hover:bg-gray-200'}`}
+                          >
+                            Original photo
+                          </button>
+                          <button
+                            onClick={() => setShowCleaned(true)}
+                            className={`px-2 py-1 rounded ${showCleaned ? 'bg-teal-600 text-white' : 'text-gray-700 hover:bg-gray-200'}`}
+                          >
+                            Cleaned for OCR
+                          </button>
+                        </div>
+                      </div>
+                    )}
                     <button
                       onClick={handleResetImage}
                       className="absolute top-6 right-6 bg-white p-2 rounded-full shadow-md hover:bg-gray-100 border"
@@ -526,14 +559,59 @@ const updatePrescriptionFromOCR = (result) => {
                     </button>
                   </div>
                 )}
-                <p className="text-xs text-gray-500 italic">
-                  {generateOCRResponse 
-                    ? "Using specialized OCR with Gemma AI for prescription analysis" 
-                    : "Upload an image for offline OCR text extraction followed by AI analysis"}
-                </p>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <p className="text-xs text-gray-500 italic">
+                    {generateOCRResponse 
+                      ? "Using specialized OCR with Gemma AI for prescription analysis" 
+                      : "Upload an image for offline OCR text extraction followed by AI analysis"}
+                  </p>
+                  {generateOCRResponse && (
+                    <OcrLanguageSelect value={ocrLanguage} onChange={setOcrLanguage} disabled={isAnalyzing} />
+                  )}
+                </div>
               </div>
             </div>
 
+            {scanError && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4" role="alert">
+                <div className="flex items-start">
+                  <AlertTriangle className="w-5 h-5 text-red-500 mr-2 flex-shrink-0 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="text-sm font-medium text-red-800">{scanError.message}</p>
+                    <p className="text-xs text-red-700 mt-1">
+                      Nothing was filled in. Enter the details from the label below
+                      {scanErrorText ? ', using the text that was read from it.' : '.'}
+                    </p>
+                  </div>
+                  {scannedImage && (
+                    <button
+                      type="button"
+                      onClick={() => processImageWithOCR(scannedImage)}
+                      disabled={isAnalyzing}
+                      className="ml-3 px-3 py-1.5 text-sm bg-white border border-red-300 text-red-700 rounded-lg hover:bg-red-100 flex items-center disabled:opacity-50"
+                    >
+                      <RefreshCw className="w-4 h-4 mr-1" />
+                      Retry
+                    </button>
+                  )}
+                </div>
+                {scanErrorText && (
+                  <pre dir="auto" className="mt-3 p-2 bg-white border border-red-100 rounded text-xs text-gray-700 whitespace-pre-wrap max-h-40 overflow-y-auto">
+                    {scanErrorText}
+                  </pre>
+                )}
+              </div>
+            )}
+
+            {ocrPages.length > 0 && (
+              <OcrReviewPanel
+                pages={ocrPages}
+                onCorrectWord={(position, text) => setOcrPages(pages => correctOcrWord(pages, position, text))}
+                onRerun={handleRerunWithCorrections}
+                isRunning={isAnalyzing}
+              />
+            )}
+
             {/* Form Section */}
             <div className="border-t border-gray-200 pt-6 mt-6 space-y-4">
               <div className="flex items-center space-x-2 mb-4">
@@ -545,56 +623,123 @@ const updatePrescriptionFromOCR = (result) => {
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
                     Medication Name*
+                    {provenanceBadge('name')}
                   </label>
                   <input
                     type="text"
                     value={prescription.name}
-                    onChange={e => setPrescription({...prescription, name: e.target.value})}
+                    dir="auto"
+                    onChange={e => handleNameChange(e.target.value)}
                     className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900"
                     placeholder="Enter medication name"
                   />
                 </div>
                 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
                     Dosage*
+                    {provenanceBadge('dosage')}
                   </label>
                   <input
                     type="text"
                     value={prescription.dosage}
-                    onChange={e => setPrescription({...prescription, dosage: e.target.value})}
+                    dir="auto"
+                    onChange={e => setField('dosage', e.target.value)}
                     className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900"
                     placeholder="e.g., 10mg, 1 tablet, etc."
                   />
                 </div>
               </div>
+
+              {matchedDrug ? (
+                <div className="p-3 bg-teal-50 border border-teal-100 rounded-lg text-sm">
+                  <div className="flex flex-wrap items-center gap-1 text-gray-700">
+                    <BookOpen className="w-4 h-4 mr-1 text-teal-600" />
+                    Drug dictionary: <span className="font-medium text-gray-900">{matchedDrug.name}</span>
+                    {matchedDrug.brands?.length > 0 && (
+                      <span className="text-gray-500">({matchedDrug.brands.join(', ')})</span>
+                    )}
+                    {provenanceBadge('drugId')}
+                    <button
+                      type="button"
+                      onClick={() => handleNameChange(prescription.name)}
+                      className="ml-auto text-xs text-teal-700 hover:underline"
+                    >
+                      Change
+                    </button>
+                  </div>
+                  {unusualStrength && (
+                    <p className="mt-1 text-xs text-amber-700">
+                      {matchedDrug.name} usually comes as {matchedDrug.strengths.join(', ')}, not {unusualStrength}. Please check the label.
+                    </p>
+                  )}
+                </div>
+              ) : drugCandidates.length > 0 && (
+                <div>
+                  <p className="flex items-center text-xs text-gray-500 mb-1">
+                    <BookOpen className="w-3.5 h-3.5 mr-1" />
+                    Matches in the drug dictionary
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {drugCandidates.map(candidate => (
+                      <button
+                        key={candidate.drug.id}
+                        type="button"
+                        onClick={() => selectDrugCandidate(candidate)}
+                        className="px-3 py-1 text-xs rounded-full border border-teal-200 bg-teal-50 text-teal-800 hover:bg-teal-100"
+                        title={`${Math.round(candidate.score * 100)}% match`}
+                      >
+                        {candidate.matchedName}
+                        {candidate.isBrand && <span className="text-teal-600"> ({candidate.drug.name})</span>}
+                        {candidate.strength && (
+                          <span className={candidate.strengthKnown ? 'text-teal-600' : 'text-amber-700'}> · {candidate.strength}</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {allergyWarnings.length > 0 && (
+                <ul className="p-3 bg-red-50 border border-red-200 rounded-lg space-y-1">
+                  {allergyWarnings.map(warning => (
+                    <li key={warning.id} className="flex items-start text-sm">
+                      <AlertTriangle className={`w-4 h-4 mt-0.5 mr-2 flex-shrink-0 ${warning.blocking ? 'text-red-600' : 'text-amber-500'}`} />
+                      <span className={warning.blocking ? 'text-red-800' : 'text-gray-700'}>
+                        <span className="font-medium">
+                          {warning.kind === 'condition' ? 'Condition' : 'Allergy'} ({warning.severity}):
+                        </span>{' '}
+                        {warning.message}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
               
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Frequency
+                <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+                  Schedule
+                  {provenanceBadge('schedule')}
                 </label>
-                <select
-                  value={prescription.frequency}
-                  onChange={e => setPrescription({...prescription, frequency: e.target.value})}
-                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900"
-                >
-                  <option value="daily">Daily</option>
-                  <option value="weekdays">Weekdays only</option>
-                  <option value="weekends">Weekends only</option>
-                </select>
+                <ScheduleEditor
+                  prescription={prescription}
+                  onChange={schedule => setField('schedule', schedule)}
+                  timeSlots={timeSlots}
+                />
               </div>
               
               <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
                     Start Date*
+                    {provenanceBadge('startDate')}
                   </label>
                   <input
                     type="date"
                     value={prescription.startDate}
-                    onChange={e => setPrescription({...prescription, startDate: e.target.value})}
+                    onChange={e => setField('startDate', e.target.value)}
                     className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900"
                   />
                 </div>
@@ -612,28 +757,31 @@ const updatePrescriptionFromOCR = (result) => {
                 </div>
               </div>
               
-              <div>
-                <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
-                  <Clock className="w-4 h-4 mr-2 text-teal-600" />
-                  Select Time Slots
-                </label>
-                <div className="grid grid-cols-4 gap-2 p-4 bg-gradient-to-br from-teal-50 to-cyan-50 rounded-lg border border-teal-100">
-                  {timeSlots.map(time => (
-                    <button
-                      key={time}
-                      type="button"
-                      onClick={() => handleToggleTimeSlot(time)}
-                      className={`p-2 rounded text-xs font-medium border ${
-                        prescription.timeSlots.includes(time)
-                          ? 'bg-teal-600 border-teal-600 text-white shadow-sm'
-                          : 'border-gray-300 hover:bg-white hover:shadow-sm text-gray-800 bg-white/80'
-                      } transition-all`}
-                    >
-                      {time}
-                    </button>
-                  ))}
+              {usesTimeSlots && (
+                <div>
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                    <Clock className="w-4 h-4 mr-2 text-teal-600" />
+                    Select Time Slots
+                    {provenanceBadge('timeSlots')}
+                  </label>
+                  <div className="grid grid-cols-4 gap-2 p-4 bg-gradient-to-br from-teal-50 to-cyan-50 rounded-lg border border-teal-100">
+                    {timeSlots.map(time => (
+                      <button
+                        key={time}
+                        type="button"
+                        onClick={() => handleToggleTimeSlot(time)}
+                        className={`p-2 rounded text-xs font-medium border ${
+                          prescription.timeSlots.includes(time)
+                            ? 'bg-teal-600 border-teal-600 text-white shadow-sm'
+                            : 'border-gray-300 hover:bg-white hover:shadow-sm text-gray-800 bg-white/80'
+                        } transition-all`}
+                      >
+                        {time}
+                      </button>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
               
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -659,12 +807,13 @@ const updatePrescriptionFromOCR = (result) => {
               </div>
               
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
+                <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
                   Notes (Optional)
+                  {provenanceBadge('notes')}
                 </label>
                 <textarea
                   value={prescription.notes}
-                  onChange={e => setPrescription({...prescription, notes: e.target.value})}
+                  onChange={e => setField('notes', e.target.value)}
                   className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors resize-none bg-white text-gray-900"
                   rows="3"
                   placeholder="Additional information, instructions, etc."
@@ -683,7 +832,7 @@ const updatePrescriptionFromOCR = (result) => {
             Cancel
           </button>
           <button
-            onClick={isAnalyzing ? () => alert('Please wait for image processing to complete') : onSave}
+            onClick={isAnalyzing ? () => alert('Please wait for image processing to complete') : handleSave}
             className={`px-6 py-2.5 ${isAnalyzing ? 'bg-gray-400' : 'bg-teal-600 hover:bg-teal-700'} text-white rounded-lg transition-colors font-medium shadow-sm flex items-center`}
             disabled={isAnalyzing}
           >
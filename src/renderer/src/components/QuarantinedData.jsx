@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { AlertTriangle, Download, Trash2 } from 'lucide-react';
+import { getQuarantinedEntries, clearQuarantine } from '../api/dataSchema';
+
+// Names the user knows the collections by
+const COLLECTION_LABELS = {
+  medicalRecords: 'records',
+  prescriptions: 'prescriptions',
+  conversations: 'conversations',
+  userData: 'profile',
+  healthScoreData: 'health score',
+  generationSettings: 'generation settings'
+};
+
+/**
+ * Tells the user about saved entries that could not be read and were set aside at startup, and
+ * lets them download or delete them. Shows nothing when there are none.
+ */
+const QuarantinedData = () => {
+  const [entries, setEntries] = useState(getQuarantinedEntries);
+
+  if (entries.length === 0) return null;
+
+  const collections = [...new Set(entries.map(entry => COLLECTION_LABELS[entry.collection] || entry.collection))];
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gamvra-unreadable-entries-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDiscard = () => {
+    if (!window.confirm('Delete the entries that could not be read? They cannot be recovered afterwards.')) return;
+    clearQuarantine()
+      .then(() => setEntries([]))
+      .catch(error => console.error('Error deleting the set-aside entries:', error));
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+      <div className="flex items-start">
+        <AlertTriangle className="w-5 h-5 mr-3 mt-0.5 text-yellow-600 flex-shrink-0" />
+        <div className="text-sm text-yellow-800">
+          <p className="font-medium">
+            {entries.length} saved {entries.length === 1 ? 'entry' : 'entries'} could not be read and {entries.length === 1 ? 'was' : 'were'} set aside
+          </p>
+          <p className="mt-1 text-xs">
+            From your {collections.join(', ')}. The rest of your data is not affected. Download them to keep a copy, or delete them.
+          </p>
+          <div className="flex gap-2 mt-3">
+            <button
+              type="button"
+              onClick={handleDownload}
+              className="flex items-center px-3 py-1.5 border border-yellow-300 rounded-lg text-yellow-800 hover:bg-yellow-100"
+            >
+              <Download className="w-4 h-4 mr-2" />
+              Download
+            </button>
+            <button
+              type="button"
+              onClick={handleDiscard}
+              className="flex items-center px-3 py-1.5 border border-yellow-300 rounded-lg text-yellow-800 hover:bg-yellow-100"
+            >
+              <Trash2 className="w-4 h-4 mr-2" />
+              Delete
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuarantinedData;
@@ -0,0 +1,153 @@
+import { Plus, Trash2, CalendarClock } from 'lucide-react';
+import {
+  SCHEDULE_TYPES, SCHEDULE_DEFAULTS, WEEKDAY_NAMES,
+  getSchedule, describeSchedule, scheduleEndDate
+} from '../api/dosingSchedule';
+
+const inputClass = 'w-full p-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900 text-sm';
+
+const NumberField = ({ label, value, onChange, min = 0, max }) => (
+  <label className="block text-xs font-medium text-gray-600">
+    {label}
+    <input
+      type="number"
+      value={value ?? ''}
+      min={min}
+      max={max}
+      onChange={e => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+      className={`${inputClass} mt-1`}
+    />
+  </label>
+);
+
+/**
+ * Picks the schedule type and its settings. The times of day of most types are chosen with the
+ * time slot grid of the form; every-N-hours schedules pick their first dose here instead.
+ */
+const ScheduleEditor = ({ prescription, onChange, timeSlots }) => {
+  const schedule = getSchedule(prescription);
+  const update = (changes) => onChange({ ...schedule, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = schedule.weekdays || [];
+    update({ weekdays: weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day].sort() });
+  };
+
+  const updateStep = (index, changes) => {
+    update({ steps: schedule.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)) });
+  };
+
+  const taperEnd = schedule.type === 'taper' && prescription.startDate
+    ? scheduleEndDate({ ...prescription, endDate: null })
+    : null;
+
+  return (
+    <div className="space-y-3">
+      <select
+        value={schedule.type}
+        onChange={e => onChange(SCHEDULE_DEFAULTS[e.target.value])}
+        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent transition-colors bg-white text-gray-900"
+      >
+        {SCHEDULE_TYPES.map(type => (
+          <option key={type.value} value={type.value}>{type.label}</option>
+        ))}
+      </select>
+
+      {schedule.type === 'weekdays' && (
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAY_NAMES.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-medium border transition-all ${
+                schedule.weekdays?.includes(day)
+                  ? 'bg-teal-600 border-teal-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {schedule.type === 'interval' && (
+        <div className="grid grid-cols-2 gap-3">
+          <NumberField label="Every (hours)" value={schedule.everyHours} min={1} max={72} onChange={everyHours => update({ everyHours })} />
+          <label className="block text-xs font-medium text-gray-600">
+            First dose
+            <select
+              value={schedule.firstDose}
+              onChange={e => update({ firstDose: e.target.value })}
+              className={`${inputClass} mt-1`}
+            >
+              {timeSlots.map(time => <option key={time} value={time}>{time}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {schedule.type === 'cycle' && (
+        <div className="grid grid-cols-2 gap-3">
+          <NumberField label="Days on" value={schedule.daysOn} min={1} onChange={daysOn => update({ daysOn })} />
+          <NumberField label="Days off" value={schedule.daysOff} onChange={daysOff => update({ daysOff })} />
+        </div>
+      )}
+
+      {schedule.type === 'taper' && (
+        <div className="space-y-2">
+          {schedule.steps.map((step, index) => (
+            <div key={index} className="flex items-end gap-2">
+              <label className="flex-1 block text-xs font-medium text-gray-600">
+                Step {index + 1} dose
+                <input
+                  type="text"
+                  value={step.dose}
+                  onChange={e => updateStep(index, { dose: e.target.value })}
+                  className={`${inputClass} mt-1`}
+                  placeholder={prescription.dosage || 'e.g., 20 mg'}
+                />
+              </label>
+              <div className="w-24">
+                <NumberField label="Days" value={step.days} min={1} onChange={days => updateStep(index, { days })} />
+              </div>
+              <button
+                type="button"
+                onClick={() => update({ steps: schedule.steps.filter((_, i) => i !== index) })}
+                disabled={schedule.steps.length === 1}
+                className="p-2.5 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                title="Remove step"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => update({ steps: [...schedule.steps, { dose: '', days: 7 }] })}
+            className="flex items-center text-sm text-teal-700 hover:underline"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add step
+          </button>
+        </div>
+      )}
+
+      {schedule.type === 'as-needed' && (
+        <div className="grid grid-cols-2 gap-3">
+          <NumberField label="Max doses per day" value={schedule.maxDailyDoses} min={1} onChange={maxDailyDoses => update({ maxDailyDoses })} />
+          <NumberField label="Min hours between doses" value={schedule.minHoursBetween} onChange={minHoursBetween => update({ minHoursBetween })} />
+        </div>
+      )}
+
+      <p className="flex items-center text-xs text-gray-500">
+        <CalendarClock className="w-3.5 h-3.5 mr-1 flex-shrink-0" />
+        {describeSchedule(prescription)}
+        {taperEnd && `; ends ${taperEnd}`}
+      </p>
+    </div>
+  );
+};
+
+export default ScheduleEditor;
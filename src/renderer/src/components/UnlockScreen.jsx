@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import iconImage from '../assets/icon.png';
+import { unlockVault } from '../api/vault';
+
+/**
+ * Asks for the passphrase before any saved data is read. Shown at startup and whenever the
+ * vault locks.
+ */
+const UnlockScreen = ({ onUnlocked }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || isUnlocking) return;
+    setIsUnlocking(true);
+    setError('');
+    try {
+      if (await unlockVault(passphrase)) {
+        onUnlocked();
+        return;
+      }
+      setError('That passphrase is not right. Please try again.');
+    } catch (err) {
+      console.error('Error unlocking the vault:', err);
+      setError('The app could not be unlocked. Please try again.');
+    }
+    setPassphrase('');
+    setIsUnlocking(false);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex flex-col items-center justify-center"
+      style={{ background: 'linear-gradient(to bottom, var(--color-primary-900), var(--color-primary-800))' }}
+    >
+      <img src={iconImage} alt="GAMVRA Icon" className="w-20 h-20 mb-6 object-contain" />
+      <form onSubmit={handleSubmit} className="w-full max-w-sm p-6 bg-white rounded-xl shadow-lg space-y-4">
+        <div className="flex items-center text-gray-800">
+          <Lock className="w-5 h-5 mr-2" style={{ color: 'var(--color-primary-600)' }} />
+          <h1 className="text-lg font-semibold">GAMVRA is locked</h1>
+        </div>
+        <p className="text-sm text-gray-600">Enter your passphrase to open your health data.</p>
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoFocus
+          className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-transparent text-gray-800"
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={!passphrase || isUnlocking}
+          className="w-full flex items-center justify-center px-4 py-3 rounded-lg text-white font-medium disabled:opacity-60"
+          style={{ backgroundColor: 'var(--color-primary-600)' }}
+        >
+          {isUnlocking ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Unlock'}
+        </button>
+        <p className="text-xs text-gray-500">
+          The passphrase cannot be recovered. Without it, your saved data cannot be opened.
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default UnlockScreen;
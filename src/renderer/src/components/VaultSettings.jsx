@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { Lock, KeyRound, Loader2 } from 'lucide-react';
+import {
+  AUTO_LOCK_OPTIONS,
+  getVaultStatus,
+  lockVault,
+  changeVaultProtection,
+  setAutoLockMinutes,
+  validatePassphrase
+} from '../api/vault';
+
+const inputClass = 'block w-full p-3 text-sm text-gray-900 border border-gray-300 rounded-lg bg-white focus:ring-teal-500 focus:border-teal-500';
+
+const EMPTY_FORM = { currentPassphrase: '', passphrase: '', confirmation: '' };
+
+/**
+ * Settings section for how saved data is encrypted: set, change or remove the passphrase,
+ * the auto-lock time, and locking right away.
+ */
+const VaultSettings = () => {
+  const [status, setStatus] = useState(null);
+  // 'set' | 'change' | 'remove' while a form is open
+  const [action, setAction] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    getVaultStatus()
+      .then(setStatus)
+      .catch(err => console.error('Could not read the vault status:', err));
+  }, []);
+
+  if (!status) return null;
+
+  const hasPassphrase = status.mode === 'passphrase';
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const openForm = (nextAction) => {
+    setAction(nextAction);
+    setForm(EMPTY_FORM);
+    setError('');
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (action !== 'remove') {
+      const passphraseError = validatePassphrase(form.passphrase, form.confirmation);
+      if (passphraseError) {
+        setError(passphraseError);
+        return;
+      }
+    }
+
+    setIsWorking(true);
+    setError('');
+    try {
+      const nextStatus = await changeVaultProtection({
+        mode: action === 'remove' ? 'device' : 'passphrase',
+        currentPassphrase: form.currentPassphrase,
+        passphrase: form.passphrase
+      });
+      setStatus(nextStatus);
+      setAction(null);
+      setForm(EMPTY_FORM);
+      setMessage({
+        set: 'Your data is now protected by your passphrase.',
+        change: 'Your passphrase has been changed.',
+        remove: 'The passphrase has been removed; this computer keeps the key.'
+      }[action]);
+    } catch (err) {
+      console.error('Error changing the vault protection:', err);
+      setError(err.message);
+    }
+    setIsWorking(false);
+  };
+
+  const handleAutoLockChange = async (e) => {
+    try {
+      setStatus(await setAutoLockMinutes(Number(e.target.value)));
+    } catch (err) {
+      console.error('Error saving the auto-lock time:', err);
+    }
+  };
+
+  return (
+    <div className="max-w-md">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">Security</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Your records, prescriptions, conversations and uploaded images are encrypted on this computer.
+      </p>
+
+      <div className="flex items-start p-3 mb-4 rounded-lg border border-gray-200 bg-gray-50">
+        <KeyRound className="w-5 h-5 mr-3 mt-0.5 text-teal-600 flex-shrink-0" />
+        <div className="text-sm text-gray-700">
+          {hasPassphrase
+            ? 'Unlocked with your passphrase.'
+            : status.keychainAvailable
+              ? "The key is kept in this computer's keychain; the app opens without a passphrase."
+              : "The key is stored in the app's folder because no keychain was found. Set a passphrase to protect it."}
+        </div>
+      </div>
+
+      {action ? (
+        <form onSubmit={handleSubmit} className="space-y-3 mb-4">
+          {hasPassphrase && (
+            <input
+              type="password"
+              value={form.currentPassphrase}
+              onChange={(e) => setField('currentPassphrase', e.target.value)}
+              className={inputClass}
+              placeholder="Current passphrase"
+              autoFocus
+            />
+          )}
+          {action !== 'remove' && (
+            <>
+              <input
+                type="password"
+                value={form.passphrase}
+                onChange={(e) => setField('passphrase', e.target.value)}
+                className={inputClass}
+                placeholder="New passphrase"
+                autoFocus={!hasPassphrase}
+              />
+              <input
+                type="password"
+                value={form.confirmation}
+                onChange={(e) => setField('confirmation', e.target.value)}
+                className={inputClass}
+                placeholder="Repeat the new passphrase"
+              />
+            </>
+          )}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={isWorking}
+              className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition disabled:opacity-60"
+            >
+              {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {isWorking ? 'Re-encrypting your data...' : { set: 'Set Passphrase', change: 'Change Passphrase', remove: 'Remove Passphrase' }[action]}
+            </button>
+            <button
+              type="button"
+              onClick={() => setAction(null)}
+              disabled={isWorking}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {hasPassphrase ? (
+            <>
+              <button type="button" onClick={() => openForm('change')} className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition">
+                Change Passphrase
+              </button>
+              <button type="button" onClick={() => openForm('remove')} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                Remove Passphrase
+              </button>
+              <button type="button" onClick={() => lockVault()} className="flex items-center px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                <Lock className="w-4 h-4 mr-2" />
+                Lock Now
+              </button>
+            </>
+          ) : (
+            <button type="button" onClick={() => openForm('set')} className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition">
+              Set a Passphrase
+            </button>
+          )}
+        </div>
+      )}
+
+      {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+      {hasPassphrase && (
+        <div>
+          <label htmlFor="auto-lock" className="block text-sm font-medium text-gray-700 mb-2">
+            Lock after inactivity
+          </label>
+          <select id="auto-lock" value={status.autoLockMinutes} onChange={handleAutoLockChange} className={inputClass}>
+            {AUTO_LOCK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            The app also locks when the computer sleeps or its screen locks, unless this is set to Never.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VaultSettings;
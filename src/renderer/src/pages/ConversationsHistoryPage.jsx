@@ -5,6 +5,7 @@ import {
   Check, X, Filter, SortDesc, Clock, Hash
 } from 'lucide-react';
 import { useConversationHandler } from '../api/conversationHandler';
+import { messageImageUrls } from '../api/attachments';
 import { useNavigate } from 'react-router-dom';
 
 // Sub-component for a single conversation item for better separation of concerns
@@ -29,7 +30,7 @@ const ConversationItem = ({
   const hasMediaType = useMemo(() => {
     const messages = conversation.messages || [];
     return {
-      image: messages.some(m => m.files?.some(f => f.type.startsWith('image')) || m.imageUrl),
+      image: messages.some(m => m.files?.some(f => f.type.startsWith('image')) || messageImageUrls(m).length > 0),
       audio: messages.some(m => m.audioRecording),
       file: messages.some(m => m.files?.length > 0 && !m.files?.every(f => f.type.startsWith('image')))
     };
@@ -237,7 +238,7 @@ const ConversationsHistory = ({ onSelectConversation, onCreateNew, currentConver
         const messages = conv.messages || [];
         switch (filters.hasMedia) {
           case 'images':
-            return messages.some(m => m.files?.some(f => f.type.startsWith('image')) || m.imageUrl);
+            return messages.some(m => m.files?.some(f => f.type.startsWith('image')) || messageImageUrls(m).length > 0);
           case 'audio':
             return messages.some(m => m.audioRecording);
           case 'files':
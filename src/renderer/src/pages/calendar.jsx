@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from 'react';
-import { Calendar as CalendarIcon, ChevronLeft, ChevronRight, Clock, Plus, MessageSquare, Save, X, Activity, FileText } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Calendar as CalendarIcon, ChevronLeft, ChevronRight, Clock, Plus, MessageSquare, Save, X, Activity, FileText, Pill } from 'lucide-react';
 import { useConversationHandler } from '../api/conversationHandler';
 import { useRecordManagement } from '../api/recordManagement';
+import { getLabAlerts } from '../api/labTrends';
+import { usePrescriptionManagement } from '../api/prescriptionManagement';
+import { getOccurrences, toDateKey } from '../api/dosingSchedule';
+import LabAlerts from '../components/LabAlerts';
 
 const Calendar = () => {
   // Initialize with current date
@@ -23,6 +28,18 @@ const Calendar = () => {
     saveConversation 
   } = useConversationHandler();
   const recordManager = useRecordManagement();
+  const navigate = useNavigate();
+
+  // Lab values that moved out of (or back into) range, marked on the day of the record
+  const labAlerts = useMemo(() => getLabAlerts(recordManager.medicalRecords), [recordManager.medicalRecords]);
+
+  // Scheduled medication doses of the month on display, marked on their days
+  const { prescriptions } = usePrescriptionManagement(null, false);
+  const monthOccurrences = useMemo(() => getOccurrences(
+    prescriptions,
+    new Date(currentDate.getFullYear(), currentDate.getMonth(), 1),
+    new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0)
+  ), [prescriptions, currentDate]);
   
   // Helper function to update conversation messages
   const setConversationMessages = (conversationId, messages) => {
@@ -131,6 +148,8 @@ const Calendar = () => {
       const hasRecord = userRecords.some(record => 
         record.date === dateString
       );
+      const hasLabAlert = labAlerts.some(alert => alert.day === dateString && alert.outOfRange);
+      const hasMedication = monthOccurrences.some(occurrence => occurrence.date === dateString);
       
       const isSelected = selectedDate && 
         selectedDate.getDate() === day && 
@@ -152,9 +171,11 @@ const Calendar = () => {
             hover:bg-gray-50`}
         >
           <span className="block text-center text-gray-800">{day}</span>
-          {hasRecord && (
-            <div className="absolute bottom-1 inset-x-0 flex justify-center">
-              <div className="h-1.5 w-1.5 rounded-full bg-teal-500"></div>
+          {(hasRecord || hasLabAlert || hasMedication) && (
+            <div className="absolute bottom-1 inset-x-0 flex justify-center space-x-0.5">
+              {hasRecord && <div className="h-1.5 w-1.5 rounded-full bg-teal-500"></div>}
+              {hasLabAlert && <div className="h-1.5 w-1.5 rounded-full bg-red-500" title="Lab value out of range"></div>}
+              {hasMedication && <div className="h-1.5 w-1.5 rounded-full bg-blue-400" title="Medication scheduled"></div>}
             </div>
           )}
         </div>
@@ -296,6 +317,17 @@ const Calendar = () => {
     return userRecords.filter(record => record.date === dateString);
   };
   
+  // Lab alerts of the selected date, or the latest ones when nothing is selected
+  const getLabAlertsToShow = () => {
+    if (!selectedDate) return labAlerts.slice(0, 3);
+    const utcDate = new Date(selectedDate.getTime() - (selectedDate.getTimezoneOffset() * 60000));
+    const dateString = utcDate.toISOString().split('T')[0];
+    return labAlerts.filter(alert => alert.day === dateString);
+  };
+
+  // Medication doses of the selected date
+  const getMedicationsForSelectedDate = () => (selectedDate ? getOccurrences(prescriptions, toDateKey(selectedDate)) : []);
+
   // Get recent records
   const getRecentRecords = () => {
     const today = new Date();
@@ -403,6 +435,28 @@ const Calendar = () => {
                 )}
               </div>
               
+              {getMedicationsForSelectedDate().length > 0 && (
+                <div className="p-4 border-t border-gray-200">
+                  <h4 className="font-medium text-gray-800 flex items-center mb-2">
+                    <Pill className="w-4 h-4 text-blue-500 mr-2" />
+                    Medications
+                  </h4>
+                  <ul className="space-y-1 max-h-40 overflow-y-auto">
+                    {getMedicationsForSelectedDate().map(occurrence => (
+                      <li key={occurrence.id} className="flex items-center text-sm">
+                        <span className="w-12 text-gray-500">{occurrence.time}</span>
+                        <span
+                          className="flex-shrink-0 w-2.5 h-2.5 rounded-full mr-2"
+                          style={{ backgroundColor: occurrence.prescription.color }}
+                        ></span>
+                        <span className="text-gray-800 truncate">{occurrence.prescription.name}</span>
+                        <span className="ml-auto pl-2 text-xs text-gray-500 whitespace-nowrap">{occurrence.dose}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              
               {/* Notes section */}
               {selectedRecord && (
                 <div className="p-4 border-t border-gray-200">
@@ -436,6 +490,14 @@ const Calendar = () => {
             </div>
           )}
           
+          {/* Lab value range crossings */}
+          <LabAlerts
+            alerts={getLabAlertsToShow()}
+            title={selectedDate ? 'Lab Alerts on This Day' : 'Lab Alerts'}
+            onOpenRecord={recordId => navigate(`/records?record=${recordId}`)}
+            className="mb-4"
+          />
+          
           {/* Recent activity */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200">
             <div className="p-4 border-b border-gray-200">
@@ -2,10 +2,11 @@ import React from 'react';
 import {
   Upload, Mic, MicOff, FileScan, FileText, Send, Trash2, Download,
   Settings, Stethoscope, BrainCircuit, FileAudio, BotMessageSquare,
-  HeartPulse, ArrowLeft, Database
+  HeartPulse, ArrowLeft, Database, Square
 } from 'lucide-react';
-import { useGemma } from '../api/gemma';
+import { useGemma, getActiveGeneration } from '../api/gemma';
 import { useConversationHandler } from '../api/conversationHandler';
+import { messageImageUrls } from '../api/attachments';
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useLocation } from 'react-router-dom';
 import MemoryManagementModal from '../components/MemoryManagementModal';
@@ -33,7 +34,7 @@ const debounce = (func, wait) => {
 };
 
 // MultimodalInput component (remains unchanged)
-const MultimodalInput = ({ onSubmit, isLoading, waitingForResponse, ensureConversationExists }) => {
+const MultimodalInput = ({ onSubmit, onCancel, isLoading, waitingForResponse, ensureConversationExists }) => {
   const [textInput, setTextInput] = useState('');
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [isRecording, setIsRecording] = useState(false);
@@ -181,13 +182,23 @@ const MultimodalInput = ({ onSubmit, isLoading, waitingForResponse, ensureConver
             }}
           />
           <div className="flex flex-col space-y-1">
-            <button
-              onClick={handleSubmit}
-              disabled={isDisabled || (!textInput.trim() && uploadedFiles.length === 0 && !audioBlob)}
-              className="px-4 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center h-full"
-            >
-              <Send className="w-5 h-5" />
-            </button>
+            {isDisabled ? (
+              <button
+                onClick={onCancel}
+                title="Stop generating"
+                className="px-4 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors flex items-center justify-center h-full"
+              >
+                <Square className="w-5 h-5" />
+              </button>
+            ) : (
+              <button
+                onClick={handleSubmit}
+                disabled={!textInput.trim() && uploadedFiles.length === 0 && !audioBlob}
+                className="px-4 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center h-full"
+              >
+                <Send className="w-5 h-5" />
+              </button>
+            )}
           </div>
         </div>
         <div className="flex justify-start space-x-2">
@@ -256,15 +267,19 @@ const ChatPage = () => {
     isLoading,
     messages,
     generateResponse,
+    cancel,
+    resumeGeneration,
     clearConversation,
     setMessages
   } = useGemma();
 
   const {
+    conversations,
     currentConversationId,
     createNewConversation,
     loadConversation,
     autoSaveCurrentConversation,
+    saveConversationSummary,
     setCurrentConversationId
   } = useConversationHandler();
 
@@ -301,6 +316,34 @@ const ChatPage = () => {
     }
   }, [location.state, setMessages, setCurrentConversationId, createNewConversation]);
 
+  // After a reload, reopen the conversation whose answer was still being generated
+  const restoredActiveGenerationRef = useRef(false);
+  useEffect(() => {
+    if (restoredActiveGenerationRef.current || location.state || conversations.length === 0) return;
+    restoredActiveGenerationRef.current = true;
+
+    const activeGeneration = getActiveGeneration();
+    if (!activeGeneration) return;
+    const conversation = conversations.find(conv =>
+      conv.messages.some(msg => msg.id === activeGeneration.assistantMessageId)
+    );
+    if (conversation) {
+      setMessages(conversation.messages);
+      setCurrentConversationId(conversation.id);
+    }
+  }, [conversations, location.state, setMessages, setCurrentConversationId]);
+
+  // Reattach to the last answer if its job may still be running on the server
+  const resumedJobIdsRef = useRef(new Set());
+  useEffect(() => {
+    const lastMessage = messages[messages.length - 1];
+    if (!isModelReady || isLoading || !lastMessage || lastMessage.role !== 'assistant') return;
+    if (lastMessage.complete || !lastMessage.jobId || resumedJobIdsRef.current.has(lastMessage.jobId)) return;
+
+    resumedJobIdsRef.current.add(lastMessage.jobId);
+    resumeGeneration(lastMessage);
+  }, [messages, isModelReady, isLoading, resumeGeneration]);
+
   useEffect(() => {
     debouncedAutoSave(messages, currentConversationId);
     return () => {
@@ -322,6 +365,17 @@ const ChatPage = () => {
     !messages[messages.length - 1].complete;
 
   const handleGenerateResponse = useCallback((inputData) => {
+    // Reuse the summary of older turns the server made earlier in this conversation
+    const conversationId = currentConversationId;
+    const conversation = conversations.find(conv => conv.id === conversationId);
+    const request = {
+      ...inputData,
+      contextSummary: conversation?.contextSummary,
+      onContextSummary: conversationId
+        ? (summary) => saveConversationSummary(conversationId, summary)
+        : undefined
+    };
+
     const systemMessage = createSystemMessage();
     if (systemMessage) {
       if (!sessionStorage.getItem('systemPromptNotified')) {
@@ -338,13 +392,13 @@ const ChatPage = () => {
         sessionStorage.setItem('systemPromptNotified', 'true');
       }
       generateResponse({
-        ...inputData,
+        ...request,
         systemPrompt: systemMessage
       });
     } else {
-      generateResponse(inputData);
+      generateResponse(request);
     }
-  }, [generateResponse, createSystemMessage, setMessages]);
+  }, [generateResponse, createSystemMessage, setMessages, currentConversationId, conversations, saveConversationSummary]);
 
   const handleClearConversation = () => {
     clearConversation();
@@ -362,7 +416,7 @@ const ChatPage = () => {
         timestamp: m.timestamp,
         hasFiles: !!(m.files?.length > 0),
         hasAudio: !!m.audioRecording,
-        ...(m.imageUrl && { imageUrl: m.imageUrl })
+        ...(messageImageUrls(m).length > 0 && { imageUrls: messageImageUrls(m) })
       }))
     };
     const dataStr = JSON.stringify(exportData, null, 2);
@@ -443,6 +497,7 @@ const ChatPage = () => {
       <div className="border-t border-primary-200 p-4 bg-primary-50/50 mt-auto">
         <MultimodalInput
           onSubmit={handleGenerateResponse}
+          onCancel={cancel}
           isLoading={isLoading}
           waitingForResponse={waitingForResponse}
           ensureConversationExists={ensureConversationExists}
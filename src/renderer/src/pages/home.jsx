@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Calendar, FileText, Clock, ChevronRight, BrainCircuit, ClipboardCheck,
@@ -10,8 +10,18 @@ import {
 import { usePrescriptionManagement } from '../api/prescriptionManagement';
 import { useRecordManagement } from '../api/recordManagement';
 import { useUserData } from '../api/userDataManagement';
+import { getItem, setItem, removeItem } from '../api/storage';
 import { useConversationHandler } from '../api/conversationHandler';
 import { useGemma } from '../api/gemma';
+import { getLabAlerts } from '../api/labTrends';
+import { HEALTH_SCORE_SCHEMA } from '../api/responseSchemas';
+import { interactionsFor } from '../api/drugInteractions';
+import { getOccurrences, describeSchedule } from '../api/dosingSchedule';
+import InteractionWarnings from '../components/InteractionWarnings';
+import LabAlerts from '../components/LabAlerts';
+
+// Hours [from, to) of each part of the day shown in "Medications Due"
+const PERIOD_HOURS = { morning: [0, 12], afternoon: [12, 18], evening: [18, 24] };
 
 const Home = () => {
   const navigate = useNavigate();
@@ -27,9 +37,8 @@ const Home = () => {
 
   useEffect(() => {
     try {
-      const savedScore = localStorage.getItem('healthScoreData');
-      if (savedScore) {
-        const parsedScore = JSON.parse(savedScore);
+      const parsedScore = getItem('healthScoreData');
+      if (parsedScore) {
         setHealthScoreData({
           status: 'success',
           ...parsedScore,
@@ -37,7 +46,7 @@ const Home = () => {
       }
     } catch (error) {
       console.error("Could not load saved health score:", error);
-      localStorage.removeItem('healthScoreData');
+      removeItem('healthScoreData').catch(err => console.error('Error removing the saved health score:', err));
     }
   }, []);
 
@@ -53,8 +62,8 @@ const Home = () => {
   const {
     prescriptions,
     loading: prescriptionsLoading,
-    getPrescriptionsByTimeSlot,
-    calculateAdherence
+    calculateAdherence,
+    interactions
   } = usePrescriptionManagement(mockGenerateResponse, mockIsLoading);
 
   const {
@@ -62,6 +71,9 @@ const Home = () => {
     loading: recordsLoading,
   } = useRecordManagement(mockGenerateResponse, mockIsLoading);
 
+  // Lab values that moved out of (or back into) range between records
+  const labAlerts = useMemo(() => getLabAlerts(medicalRecords), [medicalRecords]);
+
   const {
     conversations,
   } = useConversationHandler ? useConversationHandler() : { conversations: [], loading: false };
@@ -87,7 +99,7 @@ const Home = () => {
     if (recentRecords.length === 0 && recentPrescriptions.length === 0) {
       const noDataState = { /* ... */ };
       setHealthScoreData(noDataState);
-      localStorage.setItem('healthScoreData', JSON.stringify(noDataState));
+      setItem('healthScoreData', noDataState).catch(error => console.error("Could not save health score:", error));
       return;
     }
 
@@ -104,23 +116,16 @@ const Home = () => {
     `;
 
     try {
-      // **FIX: The 'response' variable will now be a correctly parsed object.**
-      const response = await generateStructuredResponse({ text: healthDataPrompt });
-
-      // **The .match() logic is removed.** We can now directly check the object.
-      if (response && typeof response.score === 'number' && typeof response.opinion === 'string') {
-        const newState = {
-          status: 'success',
-          score: response.score,
-          opinion: response.opinion,
-          lastCalculated: new Date().toISOString()
-        };
-        setHealthScoreData(newState);
-        localStorage.setItem('healthScoreData', JSON.stringify(newState));
-      } else {
-        // This will now correctly catch if the validated object is not the health score format.
-        throw new Error("Invalid response format from AI.");
-      }
+      // The server only returns answers that match HEALTH_SCORE_SCHEMA
+      const response = await generateStructuredResponse({ text: healthDataPrompt }, { feature: 'healthScore', schema: HEALTH_SCORE_SCHEMA });
+      const newState = {
+        status: 'success',
+        score: response.score,
+        opinion: response.opinion,
+        lastCalculated: new Date().toISOString()
+      };
+      setHealthScoreData(newState);
+      setItem('healthScoreData', newState).catch(error => console.error("Could not save health score:", error));
     } catch (error) {
       console.error("Failed to get health score from AI:", error);
       const errorState = {
@@ -148,7 +153,19 @@ const Home = () => {
     return 'evening';
   };
 
-  const upcomingMedications = getPrescriptionsByTimeSlot(currentTimeSlot());
+  // Today's doses in the current part of the day, one entry per prescription with its due times
+  const upcomingMedications = Object.values(getOccurrences(prescriptions, new Date())
+    .filter(occurrence => {
+      const [from, to] = PERIOD_HOURS[currentTimeSlot()];
+      const hour = Number(occurrence.time.slice(0, 2));
+      return hour >= from && hour < to;
+    })
+    .reduce((byPrescription, occurrence) => {
+      const entry = byPrescription[occurrence.prescription.id]
+        || { ...occurrence.prescription, dose: occurrence.dose, dueTimes: [] };
+      entry.dueTimes.push(occurrence.time);
+      return { ...byPrescription, [occurrence.prescription.id]: entry };
+    }, {}));
 
   const quickActions = [
     {
@@ -345,6 +362,12 @@ const Home = () => {
                 </button>
               </div>
 
+              <InteractionWarnings
+                interactions={interactions}
+                limit={2}
+                className="mb-4"
+              />
+
               <div className="space-y-4">
                 {upcomingMedications && upcomingMedications.length > 0 ? (
                   upcomingMedications.map(med => (
@@ -352,13 +375,19 @@ const Home = () => {
                       <div className="flex flex-col md:flex-row md:items-center justify-between">
                         <div className="mb-4 md:mb-0">
                           <h4 className="text-xl font-semibold text-gray-900 mb-2">{med.name}</h4>
-                          <p className="text-gray-600 mb-2">{med.dosage}</p>
-                          <p className="text-sm text-gray-500">{med.instructions}</p>
+                          <p className="text-gray-600 mb-2">{med.dose}</p>
+                          <p className="text-sm text-gray-500">{describeSchedule(med)}</p>
+                          {interactionsFor(interactions, med.id).map(interaction => (
+                            <p key={interaction.id} className="flex items-center mt-2 text-sm text-red-700">
+                              <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                              {`Interacts with ${interaction.prescriptions.find(other => other.id !== med.id).name} (${interaction.severity})`}
+                            </p>
+                          ))}
                         </div>
                         <div className="flex flex-col items-end space-y-2">
                           <div className="bg-white px-3 py-2 rounded-lg border border-gray-200 text-center">
                             <div className="text-sm font-medium text-gray-900">Due {currentTimeSlot()}</div>
-                            <div className="text-lg font-bold text-teal-600">{med.recommendedFrequency}</div>
+                            <div className="text-lg font-bold text-teal-600">{med.dueTimes.join(', ')}</div>
                           </div>
                           <button
                             onClick={() => navigate(`/prescriptions/${med.id}`)}
@@ -384,6 +413,12 @@ const Home = () => {
               </div>
             </div>
 
+            <LabAlerts
+              alerts={labAlerts}
+              limit={3}
+              onOpenRecord={recordId => navigate(`/records?record=${recordId}`)}
+            />
+
             <div className="bg-white/80 backdrop-blur-sm rounded-2xl p-6 shadow-md border border-white/50">
               <div className="flex items-center justify-between mb-6">
                 <div className="flex items-center space-x-3">
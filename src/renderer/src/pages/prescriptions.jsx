@@ -4,9 +4,18 @@ import {
   Filter, ChevronDown, ChevronUp, Search, X, CheckSquare
 } from 'lucide-react';
 import { useGemma } from '../api/gemma';
+import { readGenerationStream } from '../api/generationStream';
+import { getGenerationParams, appendGenerationParams } from '../api/generationSettings';
 import { usePrescriptionManagement } from '../api/prescriptionManagement';
+import { unconfirmedFields } from '../api/prescriptionScan';
+import { interactionsFor, describeInteraction } from '../api/drugInteractions';
+import {
+  SCHEDULE_DEFAULTS, getSchedule, getOccurrences, isScheduledOn, scheduleTimes,
+  describeSchedule, validateSchedule, asNeededUsage, toDateKey
+} from '../api/dosingSchedule';
 import PrescriptionModal from '../components/PrescriptionModal';
 import AnalysisModal from '../components/AnalysisModal';
+import InteractionWarnings from '../components/InteractionWarnings';
 
 const PrescriptionsManagement = ({ userData }) => {
   const { generateStructuredResponse, isLoading: isLoadingGemma, modelStatus } = useGemma();
@@ -31,6 +40,8 @@ const PrescriptionsManagement = ({ userData }) => {
     getPrescriptionsByTimeSlot,
     searchPrescriptions,
     scanPrescriptionImage,
+    interactions,
+    checkPrescriptionInteractions,
     isAnalyzing,
     setIsAnalyzing
   } = usePrescriptionManagement(effectiveGenerateStructuredResponse, isLoadingGemma);
@@ -64,6 +75,7 @@ const PrescriptionsManagement = ({ userData }) => {
     name: '',
     dosage: '',
     frequency: 'daily',
+    schedule: SCHEDULE_DEFAULTS.daily,
     timeSlots: [],
     startDate: '',
     endDate: '',
@@ -99,7 +111,7 @@ const PrescriptionsManagement = ({ userData }) => {
     if (timeFilter !== 'all') {
       const relevantTimeSlots = timeSlotGroups[timeFilter] || [];
       result = result.filter(p => 
-        p.timeSlots.some(ts => relevantTimeSlots.includes(ts))
+        scheduleTimes(p).some(ts => relevantTimeSlots.includes(ts))
       );
     }
     
@@ -137,12 +149,12 @@ const PrescriptionsManagement = ({ userData }) => {
         comparison = a.name.localeCompare(b.name);
       } else if (sortBy === 'time') {
         // Sort by earliest time slot
-        const aEarliest = Math.min(...a.timeSlots.map(t => {
+        const aEarliest = Math.min(...scheduleTimes(a).map(t => {
           const [hours] = t.split(':').map(Number);
           return hours;
         }));
         
-        const bEarliest = Math.min(...b.timeSlots.map(t => {
+        const bEarliest = Math.min(...scheduleTimes(b).map(t => {
           const [hours] = t.split(':').map(Number);
           return hours;
         }));
@@ -171,8 +183,22 @@ const PrescriptionsManagement = ({ userData }) => {
   
   // Handle adding a new prescription
   const handleAddPrescription = () => {
-    if (!newPrescription.name || !newPrescription.dosage || newPrescription.timeSlots.length === 0) {
-      alert('Please fill in all required fields and select at least one time slot.');
+    if (!newPrescription.name || !newPrescription.dosage) {
+      alert('Please fill in all required fields.');
+      return;
+    }
+    const scheduleError = validateSchedule(newPrescription);
+    if (scheduleError) {
+      alert(scheduleError);
+      return;
+    }
+
+    // Serious interactions with the other active prescriptions need an explicit go-ahead
+    const serious = checkPrescriptionInteractions(newPrescription)
+      .filter(interaction => interaction.severity === 'contraindicated' || interaction.severity === 'major');
+    if (serious.length > 0 && !window.confirm(
+      `${newPrescription.name} interacts with your other medications:\n\n${serious.map(describeInteraction).join('\n')}\n\nSave it anyway?`
+    )) {
       return;
     }
     
@@ -188,6 +214,7 @@ const PrescriptionsManagement = ({ userData }) => {
       name: '',
       dosage: '',
       frequency: 'daily',
+      schedule: SCHEDULE_DEFAULTS.daily,
       timeSlots: [],
       startDate: '',
       endDate: '',
@@ -212,28 +239,31 @@ const PrescriptionsManagement = ({ userData }) => {
     }
   };
   
-  // Handle marking a prescription as taken or skipped
-  const handleRecordMedicationEvent = (id, eventType) => {
-    recordMedicationEvent(id, { type: eventType });
+  // Handle marking a prescription as taken or skipped; `scheduledTime` ties it to a dose of today's schedule
+  const handleRecordMedicationEvent = (id, eventType, scheduledTime) => {
+    const prescription = prescriptions.find(p => p.id === id);
+    if (eventType === 'taken' && prescription && getSchedule(prescription).type === 'as-needed') {
+      const usage = asNeededUsage(prescription);
+      const reason = usage.remaining === 0
+        ? `You have already taken the maximum of ${getSchedule(prescription).maxDailyDoses} doses today.`
+        : usage.nextAllowedAt && `The next dose is due no earlier than ${usage.nextAllowedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+      if (!usage.canTake && !window.confirm(`${prescription.name}: ${reason}\n\nRecord a dose anyway?`)) {
+        return;
+      }
+    }
+    recordMedicationEvent(id, {
+      type: eventType,
+      ...(scheduledTime && { scheduledFor: `${toDateKey(new Date())}T${scheduledTime}` })
+    });
   };
   
   // Get prescriptions for a specific time slot
   const getPrescriptionsForTimeSlot = (time) => {
-    return prescriptions.filter(p => p.timeSlots.includes(time));
+    return prescriptions.filter(p => scheduleTimes(p).includes(time));
   };
   
-  // Check if a prescription is due today based on frequency and dates
-  const isPrescriptionDueToday = (prescription) => {
-    const today = new Date();
-    const startDate = prescription.startDate ? new Date(prescription.startDate) : null;
-    const endDate = prescription.endDate ? new Date(prescription.endDate) : null;
-    
-    // Check if today is within the date range
-    if (startDate && today < startDate) return false;
-    if (endDate && today > endDate) return false;
-    
-    return true;
-  };
+  // Check if a prescription is taken today according to its schedule and dates
+  const isPrescriptionDueToday = (prescription) => isScheduledOn(prescription, new Date());
 
   // Function to analyze prescriptions with Gemma
   const analyzeWithGemma = async () => {
@@ -257,8 +287,8 @@ const PrescriptionsManagement = ({ userData }) => {
       const prescriptionData = prescriptions.map(p => ({
         name: p.name,
         dosage: p.dosage,
-        frequency: p.frequency,
-        timeSlots: p.timeSlots,
+        schedule: describeSchedule(p),
+        timeSlots: scheduleTimes(p),
         startDate: p.startDate,
         endDate: p.endDate,
         notes: p.notes
@@ -306,6 +336,7 @@ ${JSON.stringify(prescriptionData, null, 2)}
         // Create FormData for the API request
         const formData = new FormData();
         formData.append('text', analysisPrompt.text);
+        appendGenerationParams(formData, getGenerationParams('extraction'));
         
         // Make the API request directly
         const response = await fetch('http://localhost:3010/generate', {
@@ -313,39 +344,8 @@ ${JSON.stringify(prescriptionData, null, 2)}
           body: formData,
         });
         
-        if (!response.ok) {
-          throw new Error(`Server error: ${response.status} ${response.statusText}`);
-        }
-        
         // Process the streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullResponse = '';
-        
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) break;
-          
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n').filter(line => line.trim());
-          
-          for (const line of lines) {
-            try {
-              const parsed = JSON.parse(line);
-              
-              if (parsed.type === 'chunk') {
-                fullResponse += parsed.data;
-              } else if (parsed.type === 'complete' && parsed.fullResponse) {
-                fullResponse = parsed.fullResponse;
-              }
-            } catch (e) {
-              // Not JSON, treat as plain text
-              if (!line.includes('{"type":')) {
-                fullResponse += line;
-              }
-            }
-          }
-        }
+        const { text: fullResponse } = await readGenerationStream(response);
         
         console.log('Raw response:', fullResponse);
         
@@ -387,6 +387,7 @@ ${JSON.stringify(prescriptionData, null, 2)}
       name: '',
       dosage: '',
       frequency: 'daily',
+      schedule: SCHEDULE_DEFAULTS.daily,
       timeSlots: [],
       startDate: '',
       endDate: '',
@@ -441,19 +442,19 @@ ${JSON.stringify(prescriptionData, null, 2)}
     );
   }
   
-  // Get active time slots (those with at least one prescription)
-  const activeTimeSlots = timeSlots.filter(time => {
-    const prescriptionsForSlot = getPrescriptionsForTimeSlot(time)
-      .filter(isPrescriptionDueToday);
-    return prescriptionsForSlot.length > 0;
-  });
+  // Doses scheduled for today, and the times that have at least one
+  const todayOccurrences = getOccurrences(prescriptions, new Date());
+  const activeTimeSlots = [...new Set(todayOccurrences.map(occurrence => occurrence.time))];
+  // As-needed prescriptions have no times; they are listed apart with what is left for today
+  const asNeededToday = prescriptions
+    .filter(p => getSchedule(p).type === 'as-needed' && isPrescriptionDueToday(p));
   
   // Calculate prescription count by time period for dashboard metrics
   const prescriptionsByPeriod = {
-    morning: prescriptions.filter(p => p.timeSlots.some(ts => timeSlotGroups.morning.includes(ts))).length,
-    afternoon: prescriptions.filter(p => p.timeSlots.some(ts => timeSlotGroups.afternoon.includes(ts))).length,
-    evening: prescriptions.filter(p => p.timeSlots.some(ts => timeSlotGroups.evening.includes(ts))).length,
-    night: prescriptions.filter(p => p.timeSlots.some(ts => timeSlotGroups.night.includes(ts))).length
+    morning: prescriptions.filter(p => scheduleTimes(p).some(ts => timeSlotGroups.morning.includes(ts))).length,
+    afternoon: prescriptions.filter(p => scheduleTimes(p).some(ts => timeSlotGroups.afternoon.includes(ts))).length,
+    evening: prescriptions.filter(p => scheduleTimes(p).some(ts => timeSlotGroups.evening.includes(ts))).length,
+    night: prescriptions.filter(p => scheduleTimes(p).some(ts => timeSlotGroups.night.includes(ts))).length
   };
   
   return (
@@ -524,6 +525,8 @@ ${JSON.stringify(prescriptionData, null, 2)}
         </div>
       </div>
       
+      <InteractionWarnings interactions={interactions} className="mb-4" />
+
       {/* Search and Filter Bar */}
       <div className={`transition-all duration-300 overflow-hidden ${showFilters ? 'max-h-[500px] mb-4' : 'max-h-0'}`}>
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
@@ -700,8 +703,12 @@ ${JSON.stringify(prescriptionData, null, 2)}
                               </div>
                             )}
                             
+                            <p className="text-xs text-gray-500 mt-2 truncate" title={describeSchedule(prescription)}>
+                              {describeSchedule(prescription)}
+                            </p>
+                            
                             <div className="flex flex-wrap gap-1 mt-2 max-h-[40px] overflow-y-auto scrollbar-thin">
-                              {prescription.timeSlots.map(time => (
+                              {scheduleTimes(prescription).map(time => (
                                 <span 
                                   key={time} 
                                   className="px-2 py-0.5 bg-teal-100 text-teal-800 text-xs rounded-full whitespace-nowrap"
@@ -716,6 +723,24 @@ ${JSON.stringify(prescriptionData, null, 2)}
                                 {prescription.notes}
                               </div>
                             )}
+
+                            {interactionsFor(interactions, prescription.id).length > 0 && (
+                              <div className="flex items-center mt-2 text-xs text-red-700">
+                                <AlertCircle className="flex-shrink-0 w-3.5 h-3.5 mr-1" />
+                                <span className="truncate">
+                                  Interacts with {interactionsFor(interactions, prescription.id)
+                                    .map(interaction => interaction.prescriptions.find(other => other.id !== prescription.id).name)
+                                    .join(', ')}
+                                </span>
+                              </div>
+                            )}
+
+                            {unconfirmedFields(prescription).length > 0 && (
+                              <div className="flex items-center mt-2 text-xs text-amber-700" title={`Not yet confirmed: ${unconfirmedFields(prescription).join(', ')}`}>
+                                <AlertCircle className="flex-shrink-0 w-3.5 h-3.5 mr-1" />
+                                <span className="truncate">AI-suggested details not confirmed</span>
+                              </div>
+                            )}
                           </div>
                           
                           <div className="flex space-x-1 ml-2">
@@ -790,8 +815,11 @@ ${JSON.stringify(prescriptionData, null, 2)}
                   <div className="grid grid-cols-6 gap-2 min-w-[600px]">
                     {timeSlots.map(time => {
                       const prescriptionsForSlot = getPrescriptionsForTimeSlot(time);
-                      const hasActivePrescriptions = prescriptionsForSlot.some(isPrescriptionDueToday);
-                      const count = prescriptionsForSlot.filter(isPrescriptionDueToday).length;
+                      const dueIds = todayOccurrences
+                        .filter(occurrence => occurrence.time === time)
+                        .map(occurrence => occurrence.prescription.id);
+                      const hasActivePrescriptions = dueIds.length > 0;
+                      const count = dueIds.length;
                       
                       return (
                         <div 
@@ -810,7 +838,7 @@ ${JSON.stringify(prescriptionData, null, 2)}
                           {prescriptionsForSlot.length > 0 ? (
                             <div className="flex flex-wrap justify-center gap-1">
                               {prescriptionsForSlot.map(prescription => {
-                                const isActive = isPrescriptionDueToday(prescription);
+                                const isActive = dueIds.includes(prescription.id);
                                 return (
                                   <div
                                     key={`${time}-${prescription.id}`}
@@ -905,8 +933,7 @@ ${JSON.stringify(prescriptionData, null, 2)}
                 {activeTimeSlots.length > 0 ? (
                   <div className="space-y-2 max-h-[calc(100vh-320px)] overflow-y-auto pr-1 scrollbar-thin">
                     {activeTimeSlots.map(time => {
-                      const prescriptionsForSlot = getPrescriptionsForTimeSlot(time)
-                        .filter(isPrescriptionDueToday);
+                      const occurrencesForSlot = todayOccurrences.filter(occurrence => occurrence.time === time);
                       
                       const isCurrentTimeSlot = () => {
                         const now = new Date();
@@ -937,9 +964,9 @@ ${JSON.stringify(prescriptionData, null, 2)}
                           </div>
                           
                           <div className="space-y-2">
-                            {prescriptionsForSlot.map(prescription => (
+                            {occurrencesForSlot.map(({ id, prescription, dose }) => (
                               <div 
-                                key={`${time}-${prescription.id}`} 
+                                key={id} 
                                 className="flex items-center justify-between p-2 bg-white rounded-md border border-gray-200"
                               >
                                 <div className="flex items-center flex-1 min-w-0">
@@ -952,21 +979,21 @@ ${JSON.stringify(prescriptionData, null, 2)}
                                       {prescription.name}
                                     </span>
                                     <span className="text-xs text-gray-500 block truncate">
-                                      {prescription.dosage}
+                                      {dose}
                                     </span>
                                   </div>
                                 </div>
                                 
                                 <div className="flex gap-1 ml-2">
                                   <button
-                                    onClick={() => handleRecordMedicationEvent(prescription.id, 'taken')}
+                                    onClick={() => handleRecordMedicationEvent(prescription.id, 'taken', time)}
                                     className="p-1 text-green-600 hover:bg-green-50 rounded"
                                     title="Mark as taken"
                                   >
                                     <CheckCircle className="w-5 h-5" />
                                   </button>
                                   <button
-                                    onClick={() => handleRecordMedicationEvent(prescription.id, 'skipped')}
+                                    onClick={() => handleRecordMedicationEvent(prescription.id, 'skipped', time)}
                                     className="p-1 text-yellow-600 hover:bg-yellow-50 rounded"
                                     title="Mark as skipped"
                                   >
@@ -985,6 +1012,42 @@ ${JSON.stringify(prescriptionData, null, 2)}
                     <p className="text-gray-500">No medications scheduled for today.</p>
                   </div>
                 )}
+
+                {asNeededToday.length > 0 && (
+                  <div className="mt-4 p-3 border border-gray-100 bg-gray-50 rounded-lg">
+                    <h3 className="text-sm font-medium text-gray-800 mb-2">As Needed</h3>
+                    <div className="space-y-2">
+                      {asNeededToday.map(prescription => {
+                        const usage = asNeededUsage(prescription);
+                        return (
+                          <div key={prescription.id} className="flex items-center justify-between p-2 bg-white rounded-md border border-gray-200">
+                            <div className="flex items-center flex-1 min-w-0">
+                              <span 
+                                className="flex-shrink-0 w-3 h-3 rounded-full mr-2" 
+                                style={{ backgroundColor: prescription.color }}
+                              ></span>
+                              <div className="flex-1 min-w-0">
+                                <span className="text-sm font-medium text-gray-700 block truncate">{prescription.name}</span>
+                                <span className={`text-xs block truncate ${usage.canTake ? 'text-gray-500' : 'text-amber-700'}`}>
+                                  {usage.taken} taken today
+                                  {usage.remaining !== null && `, ${usage.remaining} left`}
+                                  {usage.nextAllowedAt && ` · next from ${usage.nextAllowedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+                                </span>
+                              </div>
+                            </div>
+                            <button
+                              onClick={() => handleRecordMedicationEvent(prescription.id, 'taken')}
+                              className={`p-1 rounded ${usage.canTake ? 'text-green-600 hover:bg-green-50' : 'text-gray-400 hover:bg-gray-100'}`}
+                              title="Record a dose"
+                            >
+                              <CheckCircle className="w-5 h-5" />
+                            </button>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
                 
                 {/* Time Period Explanations */}
                 <div className="mt-4 border-t border-gray-200 pt-3">
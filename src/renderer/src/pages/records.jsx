@@ -1,9 +1,13 @@
-import React, { useState, useRef } from 'react';
-import { Database, Search, ChevronDown, ChevronRight, Plus, FileText, ImageIcon, FileAudio, Trash2, Edit } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Database, Search, ChevronDown, ChevronRight, Plus, FileText, ImageIcon, FileAudio, Trash2, Edit, List, TrendingUp } from 'lucide-react';
 import { useGemma } from '../api/gemma';
 import { useRecordManagement, getFileIcon } from '../api/recordManagement.jsx';
+import { recordImageUrl } from '../api/attachments';
 import AddRecordModal from '../components/AddRecordModal';
 import EditRecordModal from '../components/EditRecordModal';
+import LabResultsTable from '../components/LabResultsTable';
+import LabTrendsView from '../components/LabTrendsView';
 
 const Records = () => {
   const [searchTerm, setSearchTerm] = useState('');
@@ -11,6 +15,11 @@ const Records = () => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [showWebcam, setShowWebcam] = useState(false);
   const [analysisMode, setAnalysisMode] = useState('ocr');
+  const [ocrLanguage, setOcrLanguage] = useState('auto');
+  const [view, setView] = useState('list');
+  // Record to scroll to once the list is showing (from a trend point or a lab alert link)
+  const [recordToReveal, setRecordToReveal] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   const videoRef = useRef(null);
   const webcamStreamRef = useRef(null);
@@ -33,6 +42,28 @@ const Records = () => {
     gemmaProgress
   );
 
+  const { expandRecord } = recordManager;
+  const openRecord = useCallback((recordId) => {
+    setView('list');
+    setSearchTerm('');
+    expandRecord(recordId);
+    setRecordToReveal(recordId);
+  }, [expandRecord]);
+
+  // Links from the home and calendar alerts open /records?record=<id>
+  useEffect(() => {
+    const recordId = searchParams.get('record');
+    if (!recordId) return;
+    openRecord(recordId);
+    setSearchParams({}, { replace: true });
+  }, [searchParams, openRecord, setSearchParams]);
+
+  useEffect(() => {
+    if (!recordToReveal || view !== 'list') return;
+    document.getElementById(`record-${recordToReveal}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    setRecordToReveal(null);
+  }, [recordToReveal, view, recordManager.medicalRecords]);
+
   // --- Webcam Functions ---
   const startWebcam = async () => {
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
@@ -95,7 +126,7 @@ const Records = () => {
   };
   
   const handleAnalyzeWithMode = () => {
-    recordManager.analyzeAndPopulate(analysisMode);
+    recordManager.analyzeAndPopulate(analysisMode, ocrLanguage);
   };
   
   const handleDeleteRecord = (recordId, event) => {
@@ -130,35 +161,58 @@ const Records = () => {
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold text-gray-800">My Medical Records</h1>
       
-        <button 
-          onClick={() => setShowAddModal(true)}
-          className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition"
-        >
-          <Plus className="w-5 h-5 mr-2" />
-          <span>Add Record</span>
-        </button>
+        <div className="flex items-center space-x-3">
+          <div className="flex bg-gray-100 rounded-lg p-1">
+            <button
+              onClick={() => setView('list')}
+              className={`flex items-center px-3 py-1.5 text-sm rounded-md transition ${view === 'list' ? 'bg-white text-teal-700 shadow-sm' : 'text-gray-600 hover:text-gray-800'}`}
+            >
+              <List className="w-4 h-4 mr-1.5" />
+              Records
+            </button>
+            <button
+              onClick={() => setView('trends')}
+              className={`flex items-center px-3 py-1.5 text-sm rounded-md transition ${view === 'trends' ? 'bg-white text-teal-700 shadow-sm' : 'text-gray-600 hover:text-gray-800'}`}
+            >
+              <TrendingUp className="w-4 h-4 mr-1.5" />
+              Lab Trends
+            </button>
+          </div>
+          <button 
+            onClick={() => setShowAddModal(true)}
+            className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition"
+          >
+            <Plus className="w-5 h-5 mr-2" />
+            <span>Add Record</span>
+          </button>
+        </div>
       </div>
       
       {/* Search bar */}
-      <div className="relative mb-6">
-        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-          <Search className="h-5 w-5 text-gray-600" />
+      {view === 'list' && (
+        <div className="relative mb-6">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <Search className="h-5 w-5 text-gray-600" />
+          </div>
+          <input
+            type="text"
+            placeholder="Search records..."
+            className="pl-10 pr-4 py-2 w-full rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-transparent placeholder-gray-600 text-gray-800"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
         </div>
-        <input
-          type="text"
-          placeholder="Search records..."
-          className="pl-10 pr-4 py-2 w-full rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-transparent placeholder-gray-600 text-gray-800"
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-        />
-      </div>
+      )}
       
-      {/* Records list or empty state */}
-      {filteredRecords.length > 0 ? (
+      {/* Lab trends, records list or empty state */}
+      {view === 'trends' ? (
+        <LabTrendsView records={recordManager.medicalRecords} onOpenRecord={openRecord} />
+      ) : filteredRecords.length > 0 ? (
         <div className="space-y-4">
           {filteredRecords.map((record) => (
             <div 
               key={record.id} 
+              id={`record-${record.id}`}
               className="border border-gray-200 rounded-lg overflow-hidden shadow-sm hover:shadow-md transition"
             >
               <div 
@@ -228,13 +282,16 @@ const Records = () => {
                     </div>
                   )}
                   
+                  {/* Lab Results */}
+                  <LabResultsTable results={record.labResults} />
+
                   {/* Analyzed Image - Using the corrected 'imageUrl' property */}
-                  {record.returnedImageUrl && (
+                  {recordImageUrl(record) && (
                     <div>
                         <h4 className="text-sm font-medium text-gray-700 mb-2">Analyzed Image</h4>
                         <div className="flex justify-center p-2 bg-white border rounded-md">
                            <img 
-                            src={record.returnedImageUrl} 
+                            src={recordImageUrl(record)} 
                             alt="Analyzed medical document" 
                             className="rounded-lg max-w-full h-auto md:max-w-md shadow-sm"
                           />
@@ -289,6 +346,11 @@ const Records = () => {
         getFileIcon={renderFileIcon}
         analysisMode={analysisMode}
         setAnalysisMode={setAnalysisMode}
+        ocrLanguage={ocrLanguage}
+        setOcrLanguage={setOcrLanguage}
+        ocrPages={recordManager.ocrReview?.pages || []}
+        onCorrectOcrWord={recordManager.correctOcrText}
+        onRerunOcrAnalysis={recordManager.rerunOcrAnalysis}
       />
 
       <EditRecordModal
@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { loadUserData, useUserData } from '../api/userDataManagement';
+import { loadUserData, removeUserData, useUserData } from '../api/userDataManagement';
 import { User, Save, Settings, Trash2, AlertTriangle } from 'lucide-react';
+import GenerationSettings from '../components/GenerationSettings';
+import AllergyRegistryEditor from '../components/AllergyRegistryEditor';
+import VaultSettings from '../components/VaultSettings';
+import BackupSettings from '../components/BackupSettings';
+import QuarantinedData from '../components/QuarantinedData';
 
 const SettingsPage = ({ userData: propUserData }) => {
   // Use the custom hook to manage user data
@@ -11,7 +16,8 @@ const SettingsPage = ({ userData: propUserData }) => {
     name: '',
     age: '',
     sex: '',
-    medicalHistory: ''
+    medicalHistory: '',
+    allergyRegistry: []
   });
      
   // Success message state
@@ -26,7 +32,8 @@ const SettingsPage = ({ userData: propUserData }) => {
         name: userData.name || '',
         age: userData.age || '',
         sex: userData.sex || '',
-        medicalHistory: userData.medicalHistory || ''
+        medicalHistory: userData.medicalHistory || '',
+        allergyRegistry: userData.allergyRegistry || []
       });
     }
   }, [userData]);
@@ -58,15 +65,16 @@ const SettingsPage = ({ userData: propUserData }) => {
     // Close the confirmation dialog
     setShowDeleteConfirm(false);
     
-    // Clear userData from localStorage
-    localStorage.removeItem('userData');
+    // Clear userData from the database
+    removeUserData('userData');
     
     // Reset the form
     setFormData({
       name: '',
       age: '',
       sex: '',
-      medicalHistory: ''
+      medicalHistory: '',
+      allergyRegistry: []
     });
     
     // Reset user data in the hook
@@ -174,6 +182,19 @@ const SettingsPage = ({ userData: propUserData }) => {
                 This information will be used to provide better health insights and can be included in your AI interactions.
               </p>
             </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Allergies &amp; Conditions
+              </label>
+              <AllergyRegistryEditor
+                entries={formData.allergyRegistry}
+                onChange={(allergyRegistry) => setFormData(prevData => ({ ...prevData, allergyRegistry }))}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Every new medication is checked against this list, and it is shared with the AI assistant.
+              </p>
+            </div>
                      
             <button
               type="submit"
@@ -183,9 +204,22 @@ const SettingsPage = ({ userData: propUserData }) => {
               <span>Save Changes</span>
             </button>
           </form>
+
+          <div className="mt-10 pt-6 border-t border-gray-200">
+            <GenerationSettings />
+          </div>
+
+          <div className="mt-10 pt-6 border-t border-gray-200">
+            <VaultSettings />
+          </div>
+
+          <div className="mt-10 pt-6 border-t border-gray-200">
+            <BackupSettings />
+          </div>
           
           <div className="mt-10 pt-6 border-t border-gray-200">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Data Management</h3>
+            <QuarantinedData />
             <div className="flex flex-col">
               <button
                 type="button"
@@ -253,7 +287,7 @@ const SettingsPage = ({ userData: propUserData }) => {
             
             <ul className="list-disc list-inside mb-6 text-gray-600 text-sm">
               <li>Your profile information (name, age, gender)</li>
-              <li>Your medical history</li>
+              <li>Your medical history, allergies and conditions</li>
               <li>Your user preferences</li>
             </ul>
             
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { buildChatMessages } from '../resources/utils/chatMessages.js';
+
+const text = (value) => ({ type: 'text', text: value });
+const PATIENT_CONTEXT = 'PATIENT INFORMATION:\nName: Ann';
+
+// How many times the patient context appears anywhere in the messages
+const countContext = (messages) => messages
+    .flatMap(message => message.content)
+    .filter(part => part.type === 'text' && part.text.includes(PATIENT_CONTEXT))
+    .length;
+
+describe('buildChatMessages', () => {
+    it('puts the system prompt ahead of the current turn when there is no history', () => {
+        const messages = buildChatMessages({ system: PATIENT_CONTEXT, current: [text('How am I?')] });
+
+        expect(messages).toEqual([
+            { role: 'user', content: [text(`${PATIENT_CONTEXT}\n\nHow am I?`)] }
+        ]);
+    });
+
+    it('keeps the system prompt ahead of images in the first user turn', () => {
+        const messages = buildChatMessages({ system: PATIENT_CONTEXT, current: [{ type: 'image' }, text('What is this?')] });
+
+        expect(messages[0].content).toEqual([text(`${PATIENT_CONTEXT}\n\n`), { type: 'image' }, text('What is this?')]);
+    });
+
+    it('adds a user turn for the system prompt when the history starts with an assistant turn', () => {
+        const messages = buildChatMessages({
+            system: PATIENT_CONTEXT,
+            history: [
+                { role: 'assistant', content: 'Hello, how can I help?' },
+                { role: 'user', content: 'My knee hurts.' },
+                { role: 'assistant', content: 'Since when?' }
+            ],
+            current: [text('Two days.')]
+        });
+
+        expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+        expect(messages[0].content).toEqual([text(PATIENT_CONTEXT)]);
+        expect(countContext(messages)).toBe(1);
+    });
+
+    it('includes a system prompt repeated in the history only once', () => {
+        const messages = buildChatMessages({
+            system: PATIENT_CONTEXT,
+            history: [
+                { role: 'system', content: PATIENT_CONTEXT },
+                { role: 'user', content: 'My knee hurts.' },
+                { role: 'assistant', content: 'Since when?' },
+                { role: 'system', content: `  ${PATIENT_CONTEXT}  ` }
+            ],
+            current: [text('Two days.')]
+        });
+
+        expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+        expect(messages[0].content).toEqual([text(`${PATIENT_CONTEXT}\n\nMy knee hurts.`)]);
+        expect(countContext(messages)).toBe(1);
+    });
+
+    it('leaves the turns alone when the system prompt is empty', () => {
+        const messages = buildChatMessages({
+            system: '   ',
+            history: [
+                { role: 'user', content: 'My knee hurts.' },
+                { role: 'assistant', content: 'Since when?' }
+            ],
+            current: [text('Two days.')]
+        });
+
+        expect(messages).toEqual([
+            { role: 'user', content: [text('My knee hurts.')] },
+            { role: 'assistant', content: [text('Since when?')] },
+            { role: 'user', content: [text('Two days.')] }
+        ]);
+    });
+});
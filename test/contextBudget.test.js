@@ -0,0 +1,116 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fitConversationToBudget, summarizeConversation } from '../resources/utils/contextBudget.js';
+
+const text = (value) => ({ type: 'text', text: value });
+
+// Stands in for the Gemma 3n processor: calling it is async, like the real one
+const createProcessor = (summary) => {
+    const processor = vi.fn(async (prompt) => ({
+        input_ids: { dims: [1, prompt.length], dispose: vi.fn() },
+        attention_mask: { dims: [1, prompt.length], dispose: vi.fn() }
+    }));
+    processor.apply_chat_template = (messages) => messages
+        .map(message => message.content.map(part => part.text).join(''))
+        .join('\n');
+    processor.batch_decode = vi.fn(() => [summary]);
+    return processor;
+};
+
+const createModel = () => ({
+    generate: vi.fn(async ({ input_ids }) => {
+        if (!input_ids) throw new Error('No input_ids');
+        return { slice: vi.fn(() => 'generated tokens'), dispose: vi.fn() };
+    })
+});
+
+const truncate = (value, maxTokens) => value.slice(0, Math.max(0, maxTokens));
+// One token per character of text
+const countTokens = (messages) => messages
+    .flatMap(message => message.content)
+    .reduce((tokens, part) => tokens + (part.text || '').length, 0);
+
+const history = [
+    { role: 'user', content: 'a'.repeat(1000) },
+    { role: 'assistant', content: 'b'.repeat(1000) },
+    { role: 'user', content: 'c'.repeat(1000) },
+    { role: 'assistant', content: 'd'.repeat(1000) }
+];
+
+describe('summarizeConversation', () => {
+    it('generates from the processed prompt and returns the decoded summary', async () => {
+        const processor = createProcessor('The patient has knee pain.');
+        const model = createModel();
+
+        const summary = await summarizeConversation({
+            processor,
+            model,
+            previousSummary: 'Earlier summary.',
+            turns: history.slice(0, 2),
+            stoppingCriteria: { interrupted: false },
+            budget: 32768,
+            truncate
+        });
+
+        expect(summary).toBe('The patient has knee pain.');
+        const [request] = model.generate.mock.calls[0];
+        expect(request.input_ids.dims).toEqual([1, expect.any(Number)]);
+        expect(processor.mock.calls[0][0]).toContain('Summary so far:\nEarlier summary.');
+        expect(processor.mock.calls[0][0]).toContain('Patient: aaa');
+    });
+
+    it('returns nothing when the job was cancelled', async () => {
+        const summary = await summarizeConversation({
+            processor: createProcessor('Half a summ'),
+            model: createModel(),
+            turns: history.slice(0, 2),
+            stoppingCriteria: { interrupted: true },
+            budget: 32768,
+            truncate
+        });
+
+        expect(summary).toBe('');
+    });
+});
+
+describe('fitConversationToBudget', () => {
+    const fit = (summarize) => fitConversationToBudget({
+        system: 'Patient: Ann',
+        history,
+        current: [text('How is my knee?')],
+        budget: 2600,
+        countTokens,
+        truncate,
+        summarize
+    });
+
+    it('folds the oldest turns into a rolling summary when they do not fit', async () => {
+        const processor = createProcessor('The patient has knee pain.');
+        const { messages, context } = await fit((previousSummary, turns) => summarizeConversation({
+            processor,
+            model: createModel(),
+            previousSummary,
+            turns,
+            stoppingCriteria: { interrupted: false },
+            budget: 2600,
+            truncate
+        }));
+
+        expect(context.summaryUpdated).toBe(true);
+        expect(context.summarizedMessages).toBe(2);
+        expect(context.droppedMessages).toBe(0);
+        expect(context.summary).toEqual({ text: 'The patient has knee pain.', messageCount: 2 });
+        expect(messages[0].content[0].text).toContain('Summary of the earlier conversation:\nThe patient has knee pain.');
+        expect(messages[0].content[0].text).toContain('c'.repeat(1000));
+    });
+
+    it('drops the oldest turns when summarizing fails', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const { context } = await fit(async () => {
+            throw new Error('Out of memory');
+        });
+
+        expect(context.summaryUpdated).toBe(false);
+        expect(context.droppedMessages).toBe(2);
+        expect(context.summary).toBeUndefined();
+    });
+});
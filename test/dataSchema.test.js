@@ -0,0 +1,74 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// The renderer's copy of the database, without the main process behind it
+const storage = vi.hoisted(() => ({ cache: {}, snapshots: [] }));
+vi.mock('../src/renderer/src/api/storage', () => ({
+  getItem: (name) => storage.cache[name] ?? null,
+  setItem: async (name, value) => {
+    storage.cache[name] = value;
+  },
+  snapshotStorage: async (label) => {
+    storage.snapshots.push(label);
+  }
+}));
+
+const { migrateStoredData, getQuarantinedEntries } = await import('../src/renderer/src/api/dataSchema');
+
+describe('migrateStoredData', () => {
+  beforeEach(() => {
+    storage.cache = {};
+    storage.snapshots = [];
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('keeps calendar notes saved as a list', async () => {
+    const notes = ['Follow-up in two weeks', { text: 'Bring the X-ray', date: '2026-10-01' }];
+    storage.cache.medicalRecords = [{ id: '1', title: 'Knee X-ray', category: 'Radiology', notes }];
+
+    await migrateStoredData();
+
+    expect(storage.cache.medicalRecords[0].notes).toEqual(notes);
+  });
+
+  it('keeps calendar notes when a merged backup makes the records migrate again', async () => {
+    const notes = ['Follow-up in two weeks'];
+    storage.cache.medicalRecords = [{ id: '1', category: 'Radiology', notes }];
+    await migrateStoredData();
+
+    storage.cache.schemaVersions = { ...storage.cache.schemaVersions, medicalRecords: 0 };
+    await migrateStoredData();
+
+    expect(storage.cache.medicalRecords[0].notes).toEqual(notes);
+  });
+
+  it('fills in a missing category and empties notes that are neither text nor a list', async () => {
+    storage.cache.medicalRecords = [{ id: '1', notes: 42 }];
+
+    await migrateStoredData();
+
+    expect(storage.cache.medicalRecords[0]).toMatchObject({ category: 'General', title: 'Medical Record', notes: '' });
+  });
+
+  it('sets aside entries that cannot be read, after taking a snapshot', async () => {
+    storage.cache.medicalRecords = [{ id: '1' }, { title: 'No id' }, 'not a record'];
+
+    const result = await migrateStoredData();
+
+    expect(storage.snapshots).toEqual(['before-schema-upgrade']);
+    expect(result.quarantined).toBe(2);
+    expect(storage.cache.medicalRecords.map(record => record.id)).toEqual(['1']);
+    expect(getQuarantinedEntries().map(entry => entry.entry)).toEqual([{ title: 'No id' }, 'not a record']);
+  });
+
+  it('changes nothing once the data is current', async () => {
+    storage.cache.medicalRecords = [{ id: '1', notes: ['A note'] }];
+    await migrateStoredData();
+    storage.snapshots = [];
+
+    const result = await migrateStoredData();
+
+    expect(result).toEqual({ upgraded: [], quarantined: 0 });
+    expect(storage.snapshots).toEqual([]);
+  });
+});
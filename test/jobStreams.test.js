@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createJobStreams } from '../resources/utils/jobStreams.js';
+
+describe('createJobStreams', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('abandons a job nobody ever subscribes to', () => {
+        const onAbandoned = vi.fn();
+        const jobStreams = createJobStreams({ detachGraceMs: 1000, onAbandoned });
+
+        jobStreams.create('job-1');
+        vi.advanceTimersByTime(1000);
+
+        expect(onAbandoned).toHaveBeenCalledWith('job-1');
+    });
+
+    it('keeps a job whose client subscribes within the grace period', () => {
+        const onAbandoned = vi.fn();
+        const jobStreams = createJobStreams({ detachGraceMs: 1000, onAbandoned });
+
+        const stream = jobStreams.create('job-1');
+        vi.advanceTimersByTime(500);
+        stream.subscribe(() => {});
+        vi.advanceTimersByTime(1000);
+
+        expect(onAbandoned).not.toHaveBeenCalled();
+    });
+
+    it('abandons a job once its last subscriber leaves for the grace period', () => {
+        const onAbandoned = vi.fn();
+        const jobStreams = createJobStreams({ detachGraceMs: 1000, onAbandoned });
+
+        const unsubscribe = jobStreams.create('job-1').subscribe(() => {});
+        unsubscribe();
+        vi.advanceTimersByTime(999);
+        expect(onAbandoned).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1);
+
+        expect(onAbandoned).toHaveBeenCalledWith('job-1');
+    });
+
+    it('never abandons a finished job', () => {
+        const onAbandoned = vi.fn();
+        const jobStreams = createJobStreams({ detachGraceMs: 1000, onAbandoned });
+
+        jobStreams.create('job-1').emit('complete', { finishReason: 'stop' });
+        vi.advanceTimersByTime(1000);
+
+        expect(onAbandoned).not.toHaveBeenCalled();
+    });
+});
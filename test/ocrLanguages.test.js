@@ -0,0 +1,57 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import Tesseract from 'tesseract.js';
+import { OcrLanguageError, createTextRecognizer } from '../resources/utils/ocrLanguages.js';
+
+describe('createTextRecognizer', () => {
+    let tessdataDir;
+
+    beforeEach(() => {
+        tessdataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tessdataDir, { recursive: true, force: true });
+        vi.restoreAllMocks();
+    });
+
+    const installModels = (...codes) => codes.forEach(code => fs.writeFileSync(path.join(tessdataDir, `${code}.traineddata.gz`), ''));
+
+    it('offers only the languages with a local model', () => {
+        installModels('fra');
+        const { listLanguages } = createTextRecognizer({ tessdataDir });
+        expect(listLanguages().languages.map(language => language.code)).toEqual(['fra']);
+    });
+
+    it('refuses a language without a local model, English included', () => {
+        installModels('fra');
+        const { parseLanguage } = createTextRecognizer({ tessdataDir });
+        expect(() => parseLanguage('eng')).toThrow(OcrLanguageError);
+        expect(() => parseLanguage('fra+eng')).toThrow("OCR language 'eng' is not installed");
+    });
+
+    it('fails instead of downloading a model when none is installed', async () => {
+        const createWorker = vi.spyOn(Tesseract, 'createWorker');
+        const { recognize } = createTextRecognizer({ tessdataDir });
+        await expect(recognize(Buffer.from('image'))).rejects.toThrow('No OCR language is installed.');
+        expect(createWorker).not.toHaveBeenCalled();
+    });
+
+    it('loads workers from the tessdata directory only', async () => {
+        installModels('eng');
+        const worker = {
+            recognize: vi.fn(async () => ({ data: { text: 'Amoxicillin', confidence: 90, blocks: [] } })),
+            terminate: vi.fn(async () => {})
+        };
+        const createWorker = vi.spyOn(Tesseract, 'createWorker').mockResolvedValue(worker);
+        const { recognize } = createTextRecognizer({ tessdataDir });
+
+        const result = await recognize(Buffer.from('image'), 'eng');
+
+        expect(result.text).toBe('Amoxicillin');
+        expect(createWorker.mock.calls[0][2]).toMatchObject({ langPath: tessdataDir, cacheMethod: 'none' });
+        expect(worker.terminate).toHaveBeenCalled();
+    });
+});